@@ -1,4 +1,8 @@
 // API help endpoint
+// Generated from the OpenAPI document of the main API, see src/api/openapi/main.js
+const openApi = require('../src/api/openapi');
+const { sendSuccess } = require('../src/api/errors');
+
 module.exports = async (req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -10,90 +14,47 @@ module.exports = async (req, res) => {
     return res.status(200).end();
   }
   
+  const document = openApi.getDocument('main');
+  const operations = openApi.listOperations(document);
+  const current = operations.filter(operation => !operation.deprecated);
+  const isAdminPath = path => path.startsWith('/api/admin/');
+  
+  // Details by path, with the methods of the path in one entry
+  const endpointDetails = {};
+  current.forEach(operation => {
+    const details = endpointDetails[operation.path];
+    if (details) {
+      details.method = `${details.method}, ${operation.method}`;
+      details.description = `${details.description}. ${operation.method}: ${operation.summary}`;
+      return;
+    }
+    endpointDetails[operation.path] = {
+      description: operation.summary,
+      method: operation.method,
+      ...(operation.auth ? { auth: operation.auth } : {}),
+      ...(operation.description ? { note: operation.description } : {}),
+      ...(Object.keys(operation.parameters).length > 0 ? { parameters: operation.parameters } : {})
+    };
+  });
+  
   // API information
   const apiInfo = {
-    name: "Distribution Tracker API",
-    version: "1.1.0",
-    endpoints: [
-      "/api/stats",
-      "/api/distributed",
-      "/api/sol",
-      "/api/refresh",
-      "/api/fetch-all",
-      "/api/fetch-status",
-      "/api/force-save",
-      "/api/force-refresh",
-      "/api/help"
-    ],
-    adminEndpoints: [
-      "/api/admin/stop-collection",
-      "/api/admin/stop-api"
-    ],
-    endpointDetails: {
-      "/api/stats": {
-        description: "Get statistics about SOL distribution",
-        method: "GET",
-        parameters: {
-          limit: "Number of transactions to include (optional)",
-          minimal: "Set to 'true' for minimal data (optional)"
-        }
-      },
-      "/api/distributed": {
-        description: "Get information about distributed SOL",
-        method: "GET",
-        parameters: {
-          limit: "Number of transactions to include (optional)"
-        }
-      },
-      "/api/sol": {
-        description: "Get SOL price information",
-        method: "GET"
-      },
-      "/api/refresh": {
-        description: "Refresh transaction data",
-        method: "GET"
-      },
-      "/api/fetch-all": {
-        description: "Fetch all transactions",
-        method: "GET",
-        note: "This is a long-running operation"
-      },
-      "/api/fetch-status": {
-        description: "Get status of data collection",
-        method: "GET"
-      },
-      "/api/force-save": {
-        description: "Force save all data",
-        method: "GET",
-        auth: "Requires API key"
-      },
-      "/api/force-refresh": {
-        description: "Force refresh all transactions",
-        method: "GET",
-        auth: "Requires API key"
-      },
-      "/api/admin/stop-collection": {
-        description: "Stop data collection process",
-        method: "GET",
-        auth: "Requires API key",
-        note: "API will continue running but won't collect new data"
-      },
-      "/api/admin/stop-api": {
-        description: "Stop the entire API",
-        method: "GET",
-        auth: "Requires API key",
-        note: "API will shut down completely and return 503 until restarted"
-      }
+    name: document.info.title,
+    version: document.info.version,
+    openapi: "/api/openapi.json",
+    endpoints: Object.keys(endpointDetails).filter(path => !isAdminPath(path)),
+    adminEndpoints: Object.keys(endpointDetails).filter(path => isAdminPath(path)),
+    endpointDetails,
+    deprecated: {
+      description: "The old endpoints for these operations answer 410 Gone with the replacement",
+      endpoints: operations.filter(operation => operation.deprecated).map(operation => `${operation.method} ${operation.path}`)
     },
     authentication: {
-      description: "Some endpoints require authentication",
+      description: "Some endpoints require authentication, /api/admin endpoints always do",
       method: "Include X-API-KEY header with your API key"
     }
   };
   
   // Return API information
-  return res.status(200).json({
-    success: true,
-    ...apiInfo
-  });
-}; 
\ No newline at end of file
+  return sendSuccess(res, apiInfo);
+}; 
@@ -3,11 +3,33 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const { setTimeout: setTimeoutPromise } = require('timers/promises');
 const fs = require('fs').promises;
 const path = require('path');
 const nodeSetTimeout = global.setTimeout;
+const { getAmountReceivedBy, isRecipient } = require('../src/utils/balanceChanges');
+const { classifyTransaction, dryRunRules, isOutgoing, isIncoming } = require('../src/services/transactionClassifier');
+const classificationRules = require('../src/services/classificationRules');
+const rewardLedger = require('../src/services/rewardLedger');
+const distributionRounds = require('../src/services/distributionRounds');
+const leaderboard = require('../src/services/leaderboard');
+const backfillJob = require('../src/services/backfillJob');
+const gapDetector = require('../src/services/gapDetector');
+const balanceReconciler = require('../src/services/balanceReconciler');
+const webhookIngest = require('../src/services/webhookIngest');
+const rpcSubscriber = require('../src/services/rpcSubscriber');
+const rpcProvider = require('../src/services/rpcProvider');
+const usageTracker = require('../src/services/usageTracker');
+const walletRegistry = require('../src/services/walletRegistry');
+const apiKeys = require('../src/services/apiKeys');
+const jobRegistry = require('../src/services/jobRegistry');
+const auditLog = require('../src/services/auditLog');
+const openApi = require('../src/api/openapi');
+const { createValidator } = require('../src/api/validation');
+const { ApiError, CODES, sendSuccess, sendError, errorHandler } = require('../src/api/errors');
+const { getStorage } = require('../src/storage');
+const { getTransactionKey } = require('../src/storage/query');
+const { parsePaginationParams, paginateArray } = require('../src/utils/pagination');
 
 // API Shutdown flag check
 const API_SHUTDOWN_FLAG_FILE = path.join('/tmp', 'api_shutdown_flag.json');
@@ -49,11 +71,7 @@ async function checkApiShutdown() {
 
 // Storage configuration
 const STORAGE_CONFIG = {
-  localFilePath: path.join(process.cwd(), 'data', 'transactions.json'),
-  vercelKVEnabled: process.env.VERCEL_KV_URL ? true : false,
-  vercelBlobEnabled: true, // Always enable Blob storage
-  storageKey: 'transactions_data',
-  blobStoragePath: 'transactions/data.json',
+  backend: (process.env.STORAGE_BACKEND || 'json').toLowerCase(),
   maxStoredTransactions: 1000000, // Store up to 1 million transactions (effectively unlimited)
   storageInterval: 5 * 1000, // How often to save data (5 seconds)
   lastStorageTime: null
@@ -71,7 +89,6 @@ const STOP_COLLECTION_CONFIG = {
 const CONFIG = {
   // API rate limiting
   rateLimits: {
-    requestsPerSecond: process.env.RATE_LIMIT_REQUESTS_PER_SECOND ? parseFloat(process.env.RATE_LIMIT_REQUESTS_PER_SECOND) : 0.1,  // Ultra conservative: 1 request per 10 seconds
     retryDelay: process.env.RATE_LIMIT_RETRY_DELAY ? parseInt(process.env.RATE_LIMIT_RETRY_DELAY) : 15000,  // 15 seconds base delay for retries
     maxRetries: process.env.MAX_RETRIES ? parseInt(process.env.MAX_RETRIES) : 3,  // Maximum number of retries for failed requests
     maxQueueSize: process.env.MAX_QUEUE_SIZE ? parseInt(process.env.MAX_QUEUE_SIZE) : 5,  // Reduced queue size
@@ -81,10 +98,28 @@ const CONFIG = {
 
   // API Security
   security: {
+    // API_KEY is the master key: it's accepted everywhere and is the only key that can manage other keys
+    // Keys issued through /api/admin/keys are also enforced once one exists
     apiKeyRequired: process.env.API_KEY ? true : false,
     apiKey: process.env.API_KEY,
     // List of paths that don't require API key authentication
-    publicPaths: ['/api/stats', '/api/health', '/']
+    // The webhook checks its own shared secret instead
+    publicPaths: ['/api/stats', '/api/health', '/', '/api/webhooks/helius', '/api/openapi.json'],
+    // Managing keys needs the master key
+    keyManagementPath: '/api/admin/keys',
+    // State-changing operations live under this path and always need a key, see the Admin API below
+    adminPath: '/api/admin/',
+    // Routes needing these scopes also always need a key, even when none is configured
+    keyRequiredScopes: [apiKeys.SCOPES.ADMIN_REFRESH, apiKeys.SCOPES.ADMIN_JOBS],
+    // Opt-in for local development: requests from the loopback address skip the key on read routes,
+    // never on admin routes or routes in keyRequiredScopes
+    trustLocalRequests: process.env.TRUST_LOCAL_REQUESTS === 'true',
+    // Scope an issued key needs, first match wins, everything else needs read-stats
+    scopeRules: [
+      { pattern: /^\/api\/(admin\/(refresh|force-refresh|fetch-all|force-save|sample-transaction)|test-fetch)(\/|$)/, scope: apiKeys.SCOPES.ADMIN_REFRESH },
+      { pattern: /^\/api\/(admin|gaps\/check|rules\/dry-run|wallet\/track)(\/|$)/, scope: apiKeys.SCOPES.ADMIN_JOBS },
+      { pattern: /^\/api\/wallet(\/|$)/, scope: apiKeys.SCOPES.READ_WALLET }
+    ]
   },
   
   // Transaction fetching
@@ -101,6 +136,22 @@ const CONFIG = {
     errorBackoffMultiplier: process.env.ERROR_BACKOFF_MULTIPLIER ? parseInt(process.env.ERROR_BACKOFF_MULTIPLIER) : 2,
     maxBackoffInterval: process.env.MAX_BACKOFF_INTERVAL ? parseInt(process.env.MAX_BACKOFF_INTERVAL) : 30 * 60 * 1000 // Maximum backoff of 30 minutes
   },
+  // Historical backfill
+  backfill: {
+    timeLimit: process.env.BACKFILL_TIME_LIMIT ? parseInt(process.env.BACKFILL_TIME_LIMIT) : 10000 // Time per /api/admin/backfill call, fits a serverless request
+  },
+  // Gap detection
+  gapCheck: {
+    timeLimit: process.env.GAP_CHECK_TIME_LIMIT ? parseInt(process.env.GAP_CHECK_TIME_LIMIT) : 10000 // Time per /api/gaps/check or /api/admin/gaps/repair call, fits a serverless request
+  },
+  // Balance reconciliation
+  reconciliation: {
+    alerts: process.env.BALANCE_ALERTS === 'true' // Check after each auto-fetch run and alert admins in Telegram
+  },
+  // RPC websocket subscriber, needs a long-running process so it never runs on Vercel
+  subscriber: {
+    enabled: process.env.RPC_SUBSCRIBER === 'true' && !process.env.VERCEL
+  },
   // Vercel optimization
   vercel: {
     maxProcessingTime: process.env.VERCEL_MAX_PROCESSING_TIME ? parseInt(process.env.VERCEL_MAX_PROCESSING_TIME) : 3000,  // Reduced to 3 seconds
@@ -112,126 +163,10 @@ const CONFIG = {
   }
 };
 
-// Rate limiter utility with proper queue and circuit breaker
-class RateLimiter {
-  constructor(requestsPerSecond = CONFIG.rateLimits.requestsPerSecond) {
-    this.requestsPerSecond = requestsPerSecond;
-    this.queue = [];
-    this.processing = false;
-    this.lastRequestTime = 0;
-    this.consecutiveErrors = 0;
-    this.requestCount = 0;
-    this.cooldownUntil = 0;
-    this.cooldownPeriod = 60000; // 1 minute default cooldown
-  }
-
-  // Check if we're in cooldown mode
-  isInCooldown() {
-    if (this.cooldownUntil > Date.now()) {
-      const remainingCooldown = Math.ceil((this.cooldownUntil - Date.now()) / 1000);
-      console.log(`Still in cooldown mode for ${remainingCooldown} seconds`);
-      return true;
-    }
-    return false;
-  }
-
-  // Enter cooldown mode
-  enterCooldown(duration = null) {
-    // If duration is provided, use it, otherwise use exponential backoff
-    const cooldownTime = duration || Math.min(
-      this.cooldownPeriod * Math.pow(2, this.consecutiveErrors),
-      300000 // Max 5 minutes
-    );
-    
-    this.cooldownUntil = Date.now() + cooldownTime;
-    console.log(`Entering cooldown mode for ${cooldownTime / 1000} seconds until ${new Date(this.cooldownUntil).toISOString()}`);
-    return cooldownTime;
-  }
-
-  async throttle() {
-    // Check if we're in cooldown mode
-    if (this.isInCooldown()) {
-      throw new Error('Rate limiter is in cooldown mode');
-    }
-    
-    const now = Date.now();
-    // Add extra delay if we've had consecutive errors
-    const extraDelay = this.consecutiveErrors * 2000; // 2 seconds per consecutive error
-    const timeToWait = Math.max(0, (1000 / this.requestsPerSecond) - (now - this.lastRequestTime)) + extraDelay;
-    
-    if (timeToWait > 0) {
-      console.log(`Rate limiting: waiting ${timeToWait}ms before next request (consecutive errors: ${this.consecutiveErrors})`);
-      await new Promise(resolve => setTimeout(resolve, timeToWait));
-    }
-    
-    this.lastRequestTime = Date.now();
-    this.requestCount++;
-  }
-
-  // Add request to queue and process
-  async enqueue(requestFn) {
-    return new Promise((resolve, reject) => {
-      // Check if we're in cooldown mode
-      if (this.isInCooldown()) {
-        return reject(new Error('Rate limiter is in cooldown mode'));
-      }
-      
-      // Add to queue
-      this.queue.push({ requestFn, resolve, reject });
-      
-      // Start processing if not already
-      if (!this.processing) {
-        this.processQueue();
-      }
-    });
-  }
-
-  // Process queue
-  async processQueue() {
-    if (this.queue.length === 0) {
-      this.processing = false;
-      return;
-    }
-
-    this.processing = true;
-    const { requestFn, resolve, reject } = this.queue.shift();
-
-    try {
-      await this.throttle();
-      const result = await requestFn();
-      // Reset consecutive errors on success
-      this.consecutiveErrors = 0;
-      resolve(result);
-    } catch (error) {
-      // Increment consecutive errors
-      this.consecutiveErrors++;
-      
-      // If we hit a rate limit, enter cooldown mode
-      if (error.response && error.response.status === 429) {
-        const cooldownTime = this.enterCooldown();
-        reject(new Error(`Rate limit hit, entering cooldown for ${cooldownTime / 1000} seconds`));
-      } else {
-        reject(error);
-      }
-    } finally {
-      // Continue processing queue after a delay
-      setTimeout(() => this.processQueue(), 1000);
-    }
-  }
-
-  // Send request through the queue
-  async sendRequest(requestFn) {
-    return this.enqueue(requestFn);
-  }
-}
-
-// Create a rate limiter instance
-const heliusRateLimiter = new RateLimiter(CONFIG.rateLimits.requestsPerSecond);
-
 // Initialize Express for Vercel serverless function
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Helius webhook deliveries can batch many transactions
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -245,60 +180,136 @@ app.use(async (req, res, next) => {
   // Check if API is shut down
   await checkApiShutdown();
   if (isApiShutdown) {
-    return res.status(503).json({
-      success: false,
-      error: {
-        message: 'API is currently in maintenance mode. Please try again later.',
-        code: 503
-      },
-      maintenance: true,
-      timestamp: new Date().toISOString()
-    });
+    return sendError(res, CODES.API_SHUTDOWN, { maintenance: true });
   }
   
   next();
 });
 
+// Scope an issued key needs for a request
+function getRequiredScope(req) {
+  const rule = CONFIG.security.scopeRules.find(entry => entry.pattern.test(req.path));
+  return rule ? rule.scope : apiKeys.SCOPES.READ_STATS;
+}
+
+// Whether a request comes from the loopback address, IPv4, IPv6 or IPv4-mapped
+function isLoopbackRequest(req) {
+  const address = req.socket.remoteAddress || '';
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
 // API Key Authentication Middleware
-function authenticateApiKey(req, res, next) {
-  // Skip authentication for public paths
-  if (CONFIG.security.publicPaths.includes(req.path)) {
-    return next();
-  }
-  
-  // Skip API key validation if not configured
-  if (!CONFIG.security.apiKeyRequired) {
-    return next();
-  }
-  
-  // Get API key from headers or query parameters
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
-  
-  // Skip API key validation for the Telegram bot
-  const isTelegramBot = req.headers['user-agent']?.includes('TelegramBot');
-  const isLocalRequest = req.headers['x-forwarded-for'] === '127.0.0.1' || req.connection.remoteAddress === '127.0.0.1';
-  
-  if (isTelegramBot || isLocalRequest) {
-    return next();
-  }
-  
-  // Validate API key
-  if (!apiKey || apiKey !== CONFIG.security.apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: {
-        message: 'Unauthorized: Invalid or missing API key',
-        code: 401
+// Accepts the master API_KEY or an issued key with the scope the path needs
+async function authenticateApiKey(req, res, next) {
+  try {
+    // Skip authentication for public paths
+    if (CONFIG.security.publicPaths.includes(req.path)) {
+      return next();
+    }
+    
+    // Get API key from headers or query parameters
+    const apiKey = req.headers['x-api-key'] || req.query.api_key;
+    const isMasterKey = !!CONFIG.security.apiKey && apiKey === CONFIG.security.apiKey;
+    
+    if (isMasterKey) {
+      req.apiKey = { id: 'master', name: 'API_KEY', master: true };
+      return next();
+    }
+    
+    // Issuing and revoking keys needs the master key
+    if (req.path.startsWith(CONFIG.security.keyManagementPath)) {
+      return sendError(res, apiKey ? CODES.MASTER_KEY_REQUIRED : CODES.API_KEY_MISSING, {
+        message: 'Managing API keys requires the master API key'
+      });
+    }
+    
+    // Admin paths and admin-scoped routes always need a key, the rest are open
+    // while neither the master key nor any issued key is configured
+    const requiredScope = getRequiredScope(req);
+    const keyRequired = req.path.startsWith(CONFIG.security.adminPath) ||
+      CONFIG.security.keyRequiredScopes.includes(requiredScope);
+    
+    if (!keyRequired) {
+      if (CONFIG.security.trustLocalRequests && isLoopbackRequest(req)) {
+        return next();
       }
-    });
+      if (!CONFIG.security.apiKeyRequired && !(await apiKeys.hasKeys())) {
+        return next();
+      }
+    }
+    
+    if (!apiKey) {
+      return sendError(res, CODES.API_KEY_MISSING);
+    }
+    
+    // Validate the issued key: not revoked or expired, has the scope, and is within its quota
+    const result = await apiKeys.authenticate(apiKey, requiredScope);
+    if (!result.key) {
+      return sendError(res, result.error);
+    }
+    
+    if (result.quota) {
+      res.set('X-Quota-Limit', String(result.quota.limit));
+      res.set('X-Quota-Remaining', String(result.quota.remaining));
+    }
+    req.apiKey = result.key;
+    next();
+  } catch (error) {
+    next(error);
   }
-  
-  next();
 }
 
+// State-changing operations moved to the Admin API
+// Their old forms answer 410 before authentication, so a stale link or bot can't trigger them
+const MOVED_ADMIN_ROUTES = [
+  { method: 'get', path: '/api/refresh', replacement: 'POST /api/admin/refresh' },
+  { method: 'post', path: '/api/refresh', replacement: 'POST /api/admin/refresh' },
+  { method: 'get', path: '/api/force-refresh', replacement: 'POST /api/admin/force-refresh' },
+  { method: 'get', path: '/api/force-refresh/*', replacement: 'POST /api/admin/force-refresh' },
+  { method: 'get', path: '/api/force-save', replacement: 'POST /api/admin/force-save' },
+  { method: 'get', path: '/api/add-sample', replacement: 'POST /api/admin/sample-transaction' },
+  { method: 'get', path: '/api/fetch-all', replacement: 'POST /api/admin/fetch-all' },
+  { method: 'get', path: '/api/background-job/:action', replacement: 'POST /api/admin/background-job/:action' },
+  { method: 'get', path: '/api/backfill/:action', replacement: 'POST /api/admin/backfill/:action' },
+  { method: 'get', path: '/api/admin/stop-collection', replacement: 'POST /api/admin/stop-collection' },
+  { method: 'get', path: '/api/admin/stop-api', replacement: 'POST /api/admin/stop-api' }
+];
+
+MOVED_ADMIN_ROUTES.forEach(route => {
+  app[route.method](route.path, (req, res) => {
+    sendError(res, CODES.ROUTE_MOVED, {
+      message: `${route.method.toUpperCase()} ${route.path} is no longer supported, use ${route.replacement}`,
+      details: 'State-changing operations need an admin-scoped API key and POST or DELETE under /api/admin',
+      replacement: route.replacement
+    });
+  });
+});
+
 // Apply authentication middleware
 app.use(authenticateApiKey);
 
+// The Helius webhook is public to API keys and checks its own shared secret instead
+// Checked before the body is validated, so an unauthenticated caller never gets validation details back
+app.post('/api/webhooks/helius', (req, res, next) => {
+  if (!webhookIngest.isConfigured()) {
+    return sendError(res, CODES.NOT_CONFIGURED, {
+      message: 'Webhook is not configured',
+      details: 'Set HELIUS_WEBHOOK_SECRET to accept Helius webhook deliveries'
+    });
+  }
+
+  if (!webhookIngest.verifySecret(req.headers.authorization)) {
+    console.warn('Rejected Helius webhook delivery with an invalid secret');
+    return sendError(res, CODES.WEBHOOK_SECRET_INVALID);
+  }
+
+  next();
+});
+
+// Check parameters and bodies against the OpenAPI document, see src/api/openapi/main.js
+const openApiDocument = openApi.getDocument('main');
+app.use(createValidator(openApiDocument));
+
 // In-memory storage for transactions - NOTE: This won't persist between serverless function invocations
 // For Vercel, we'll need to fetch fresh data on each request
 const transactions = [];
@@ -321,6 +332,7 @@ let DISTRIBUTION_WALLET_ADDRESS = process.env.DISTRIBUTION_WALLET_ADDRESS;
 const TAX_TOKEN_MINT_ADDRESS = process.env.TAX_TOKEN_MINT_ADDRESS;
 
 // Track additional wallets and user wallets
+// trackedWallets mirrors the persisted wallet registry, see syncTrackedWallets()
 const trackedWallets = new Set();
 const userWallets = new Map();
 const lastNotifiedTimes = new Map();
@@ -328,6 +340,47 @@ if (DISTRIBUTION_WALLET_ADDRESS) {
   trackedWallets.add(DISTRIBUTION_WALLET_ADDRESS);
 }
 
+const WALLET_SYNC_TTL = 30000; // Wallets tracked by another process are picked up by request handlers within this
+let walletSync = null; // { wallets, syncedAt } of the last syncTrackedWallets()
+
+// Reload the tracked wallets from the registry into the shared set and the websocket subscriptions
+// The main wallet is DISTRIBUTION_WALLET_ADDRESS, or the first wallet tracked with the distribution role
+async function syncTrackedWallets() {
+  const wallets = await walletRegistry.listWallets();
+  trackedWallets.clear();
+  wallets.forEach(wallet => trackedWallets.add(wallet.address));
+  rpcSubscriber.setAddresses(Array.from(trackedWallets));
+  DISTRIBUTION_WALLET_ADDRESS = await walletRegistry.getPrimaryAddress();
+  walletSync = { wallets, syncedAt: Date.now() };
+  return wallets;
+}
+
+// Tracked wallets for request handlers, synced from the registry at most every WALLET_SYNC_TTL
+// Wallets tracked or untracked here sync right away, by another process within the TTL
+async function getTrackedWallets() {
+  if (walletSync && Date.now() - walletSync.syncedAt < WALLET_SYNC_TTL) {
+    return walletSync.wallets;
+  }
+  return syncTrackedWallets();
+}
+
+// Records in memory that were classified for a wallet
+function getWalletTransactions(walletAddress) {
+  return transactions.filter(tx => tx.wallet === walletAddress);
+}
+
+// Reload the transactions in memory from storage when there are none yet or they are older
+// than the cache expiration, so other processes' writes show up. Fetching new ones is left to
+// the background job and the Admin API
+let storageLoadedAt = 0;
+async function loadStoredTransactions() {
+  if (transactions.length > 0 && Date.now() - storageLoadedAt < CONFIG.transactions.cacheExpiration) {
+    return;
+  }
+  await storage.load();
+  storageLoadedAt = Date.now();
+}
+
 // Make functions available globally for the Telegram bot
 global.trackedWallets = trackedWallets;
 global.userWallets = userWallets;
@@ -354,38 +407,16 @@ app.use((req, res, next) => {
 });
 
 // Storage functions for transaction persistence
+// Keeps the in-memory transactions array in sync with the configured storage backend
 const storage = {
   // Initialize storage
   async init() {
     try {
-      if (process.env.VERCEL) {
-        console.log('Initializing Vercel storage...');
-        // For Vercel, we'll check if we can use KV storage or Blob storage
-        if (STORAGE_CONFIG.vercelKVEnabled) {
-          console.log('Vercel KV storage is enabled');
-          // We'll initialize KV storage when needed
-        } else if (STORAGE_CONFIG.vercelBlobEnabled) {
-          console.log('Vercel Blob storage is enabled');
-          // We'll initialize Blob storage when needed
-        } else {
-          console.log('No Vercel storage is enabled, using in-memory storage only');
-        }
-      } else {
-        console.log('Initializing local file storage...');
-        // For local development, ensure the data directory exists
-        const dataDir = path.dirname(STORAGE_CONFIG.localFilePath);
-        try {
-          await fs.mkdir(dataDir, { recursive: true });
-          console.log(`Created data directory: ${dataDir}`);
-        } catch (err) {
-          if (err.code !== 'EEXIST') {
-            console.error('Error creating data directory:', err);
-          }
-        }
-        
-        // Try to load existing data
-        await this.load();
-      }
+      console.log(`Initializing ${STORAGE_CONFIG.backend} storage...`);
+      this.adapter = await getStorage();
+      
+      // Try to load existing data
+      await this.load();
     } catch (error) {
       console.error('Error initializing storage:', error);
     }
@@ -394,68 +425,35 @@ const storage = {
   // Load transactions from storage
   async load() {
     try {
-      console.log('Attempting to load from Vercel Blob storage...');
-      
-      // Check if we're in Vercel environment
-      if (!process.env.VERCEL) {
-        console.log('Not in Vercel environment, skipping blob storage load');
-        return false;
-      }
-      
-      // Initialize Vercel Blob if needed
-      if (!this.blobClient) {
-        await this.init();
-      }
-      
-      // List available blobs
-      const { blobs } = await this.blobClient.list({ prefix: 'transactions/' });
-      console.log(`Available blobs: ${blobs.length}`);
-      
-      if (blobs.length === 0) {
-        console.log('No transaction data found in Vercel Blob storage');
-        return false;
-      }
-      
-      // Find the most recent blob
-      const sortedBlobs = blobs.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
-      const latestBlob = sortedBlobs[0];
-      console.log(`Found data blob: ${latestBlob.pathname}, size: ${latestBlob.size} bytes, uploaded at: ${latestBlob.uploadedAt}`);
+      // Loading the registry also assigns records stored before wallets were tracked separately
+      await syncTrackedWallets();
       
-      // Download the blob
-      const data = await this.blobClient.get(latestBlob.url);
-      if (!data) {
-        console.log('Failed to download blob data');
-        return false;
-      }
+      const adapter = await getStorage();
+      const storedTransactions = await adapter.queryTransactions({}, { sort: { blockTime: -1 } });
       
-      // Parse the data
-      const jsonData = await data.json();
-      if (!jsonData || !jsonData.transactions || !Array.isArray(jsonData.transactions)) {
-        console.log('Invalid data format in blob storage');
+      if (storedTransactions.length === 0) {
+        console.log(`No transaction data found in ${adapter.name} storage`);
         return false;
       }
       
       // Update transactions array
       transactions.length = 0; // Clear existing transactions
-      jsonData.transactions.forEach(txData => {
+      storedTransactions.forEach(txData => {
         transactions.push(new Transaction(txData));
       });
       
       // Update last fetch time
-      if (jsonData.lastFetchTime) {
-        this.lastFetchTime = new Date(jsonData.lastFetchTime).getTime();
-        storage.lastFetchTime = this.lastFetchTime;
-      } else {
-        this.lastFetchTime = new Date(latestBlob.uploadedAt).getTime();
-        storage.lastFetchTime = this.lastFetchTime;
+      const lastFetchTime = await adapter.getMetadata('lastFetchTimestamp');
+      if (lastFetchTime) {
+        this.lastFetchTime = new Date(lastFetchTime).getTime();
+        console.log(`Last fetch timestamp: ${new Date(this.lastFetchTime).toISOString()}`);
       }
       
-      console.log(`Loaded ${transactions.length} transactions from Vercel Blob storage`);
-      console.log(`Last fetch timestamp: ${new Date(this.lastFetchTime).toISOString()}`);
+      console.log(`Loaded ${transactions.length} transactions from ${adapter.name} storage`);
       
       // Log transaction breakdown
-      const sent = transactions.filter(tx => tx.type === 'sent').length;
-      const received = transactions.filter(tx => tx.type === 'received').length;
+      const sent = transactions.filter(isOutgoing).length;
+      const received = transactions.filter(isIncoming).length;
       console.log(`Transaction breakdown: ${transactions.length} SOL transactions (${sent} sent, ${received} received)`);
       
       if (transactions.length < CONFIG.transactions.minTransactionsToLoad) {
@@ -464,7 +462,19 @@ const storage = {
       
       return true;
     } catch (error) {
-      console.error('Error loading from Vercel Blob storage:', error);
+      console.error('Error loading from storage:', error);
+      return false;
+    }
+  },
+  
+  // Save specific transactions without rewriting the rest
+  async saveTransactions(list) {
+    try {
+      const adapter = await getStorage();
+      await adapter.putTransactions(list);
+      return true;
+    } catch (error) {
+      console.error('Error saving transactions to storage:', error);
       return false;
     }
   },
@@ -472,43 +482,19 @@ const storage = {
   // Save transactions to storage
   async save() {
     try {
-      // Check if we're in Vercel environment
-      if (!process.env.VERCEL) {
-        console.log('Not in Vercel environment, skipping blob storage save');
-        return false;
-      }
-      
-      // Initialize Vercel Blob if needed
-      if (!this.blobClient) {
-        await this.init();
-      }
-      
-      // Prepare data to save
-      const dataToSave = {
-        transactions: transactions.map(tx => tx.toJSON()),
-        lastFetchTime: storage.lastFetchTime || Date.now(),
-        savedAt: new Date().toISOString()
-      };
+      const adapter = await getStorage();
       
-      // Generate a unique filename with timestamp
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '');
-      const filename = `transactions/data-${timestamp.substring(0, 6)}.json`;
-      
-      // Upload to Vercel Blob
-      console.log(`Saving ${transactions.length} transactions to Vercel Blob storage as ${filename}...`);
-      const blob = await this.blobClient.put(filename, JSON.stringify(dataToSave), {
-        contentType: 'application/json',
-        access: 'public'
-      });
-      
-      console.log(`Saved to Vercel Blob: ${blob.url}`);
+      console.log(`Saving ${transactions.length} transactions to ${adapter.name} storage...`);
+      const inserted = await adapter.putTransactions(transactions);
+      await adapter.putMetadata('lastFetchTimestamp', new Date(this.lastFetchTime || Date.now()).toISOString());
+      console.log(`Saved transactions to ${adapter.name} storage (${inserted} new)`);
       
       // Update the last save time
       this.lastSaveTime = Date.now();
       
       return true;
     } catch (error) {
-      console.error('Error saving to Vercel Blob storage:', error);
+      console.error('Error saving to storage:', error);
       return false;
     }
   }
@@ -521,6 +507,8 @@ global.storage = storage;
 class Transaction {
   constructor(data) {
     this.signature = data.signature;
+    // Tracked wallet the record is classified for
+    this.wallet = data.wallet || null;
     this.timestamp = data.timestamp || new Date().toISOString();
     this.type = data.type || 'unknown';
     this.amount = data.amount || 0;
@@ -528,6 +516,10 @@ class Transaction {
     this.tokenMint = data.tokenMint || null;
     this.sender = data.sender || null;
     this.receiver = data.receiver || null;
+    // One entry per recipient: { address, lamports or rawAmount, amount }
+    this.legs = data.legs || [];
+    // Distribution round this transfer belongs to
+    this.roundId = data.roundId || null;
     this.fee = data.fee || 0;
     this.status = data.status || 'success';
     this.blockTime = data.blockTime || Math.floor(Date.now() / 1000);
@@ -535,11 +527,11 @@ class Transaction {
     this.meta = data.meta || {};
   }
 
-  // Save transaction to in-memory storage
+  // Save transaction to in-memory storage and the storage backend
   async save() {
     try {
-      // Check if transaction already exists
-      const existingIndex = transactions.findIndex(t => t.signature === this.signature);
+      // Check if transaction already exists for this wallet
+      const existingIndex = transactions.findIndex(t => getTransactionKey(t) === getTransactionKey(this));
       
       if (existingIndex >= 0) {
         // Update existing transaction
@@ -549,19 +541,11 @@ class Transaction {
         // Add new transaction
         transactions.push(this);
         console.log(`Saved new transaction: ${this.signature}`);
-        
-        // Always try to persist to storage after adding a new transaction
-        if (process.env.VERCEL) {
-          console.log('Saving transaction to persistent storage...');
-          storage.save().catch(err => console.error('Error saving transaction to storage:', err));
-        } else {
-          // For local environment, save less frequently
-          if (transactions.length % 5 === 0) {
-            storage.save().catch(err => console.error('Error auto-saving transactions:', err));
-          }
-        }
       }
       
+      // Persist right away so storage queries see it
+      await storage.saveTransactions([this]);
+      
       return this;
     } catch (error) {
       console.error('Error saving transaction:', error);
@@ -579,61 +563,42 @@ async function fetchTransactionsVercel(limit = 5) { // Reduced from 10 to 5 to p
       return [];
     }
     
-    // Check if we're in cooldown mode
-    if (heliusRateLimiter.isInCooldown && heliusRateLimiter.isInCooldown()) {
-      console.log('[Vercel] API is in cooldown mode, skipping transaction fetch');
+    // Check if every RPC endpoint is cooling down
+    if (!(await rpcProvider.isAvailable())) {
+      console.log('[Vercel] All RPC endpoints are cooling down, skipping transaction fetch');
       return [];
     }
     
     console.log(`[Vercel] Fetching transactions directly (limit: ${limit})...`);
     
-    if (!HELIUS_API_KEY || !HELIUS_RPC_URL || !DISTRIBUTION_WALLET_ADDRESS) {
-      console.error('Missing required environment variables for Helius service');
+    if (!DISTRIBUTION_WALLET_ADDRESS) {
+      console.error('DISTRIBUTION_WALLET_ADDRESS is not set');
       return [];
     }
     
-    // Prepare request data
-    const requestData = {
-      jsonrpc: '2.0',
-      id: 'my-id',
-      method: 'getSignaturesForAddress',
-      params: [
-        DISTRIBUTION_WALLET_ADDRESS,
-        {
-          limit: limit,
-          before: null, // Fetch from the most recent
-          until: null   // No end point
-        }
-      ]
-    };
-    
     // Add retry logic for rate limiting
     let retryCount = 0;
     let success = false;
-    let response;
+    let signatures;
     
     while (!success && retryCount < 5) {
       try {
-        // Make direct request to Helius API with proper headers
-        response = await axios.post(HELIUS_RPC_URL, requestData, {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': HELIUS_API_KEY
-          },
-          timeout: 5000 // Reduced from 10s to 5s timeout
-        });
+        // Fetch from the most recent, the provider fails over between RPC endpoints
+        signatures = await rpcProvider.getSignatures(DISTRIBUTION_WALLET_ADDRESS, { limit, timeout: 5000 });
         
         success = true;
       } catch (error) {
         retryCount++;
         const waitTime = Math.min(2000 * Math.pow(2, retryCount), 30000); // Exponential backoff, max 30 seconds
         
+        // The shared rate limiter has opened every endpoint's circuit, retrying won't help
+        if (error.rateLimited) {
+          console.log(`[Vercel] ${error.message}, returning empty result`);
+          return [];
+        }
+        
         if (error.response && error.response.status === 429) {
           console.log(`[Vercel] Rate limit hit (429), retrying after ${waitTime}ms (attempt ${retryCount}/5)`);
-          // Enter cooldown mode if we hit rate limits
-          if (heliusRateLimiter.enterCooldown) {
-            heliusRateLimiter.enterCooldown();
-          }
         } else {
           console.log(`[Vercel] Request error: ${error.message}, retrying after ${waitTime}ms (attempt ${retryCount}/5)`);
         }
@@ -648,13 +613,11 @@ async function fetchTransactionsVercel(limit = 5) { // Reduced from 10 to 5 to p
     }
     
     // Check if response is valid
-    if (!success || !response || !response.data || !response.data.result) {
-      console.error('Invalid response from Helius API:', response?.data);
+    if (!success || !signatures) {
+      console.error('No signatures received from RPC');
       return [];
     }
     
-    // Get signatures from response
-    const signatures = response.data.result;
     console.log(`[Vercel] Fetched ${signatures.length} signatures`);
     
     // Process each signature
@@ -668,7 +631,7 @@ async function fetchTransactionsVercel(limit = 5) { // Reduced from 10 to 5 to p
       const sig = signatures[i];
       
       // Skip if transaction is already processed
-      const existingTx = transactions.find(tx => tx.signature === sig.signature);
+      const existingTx = transactions.find(tx => tx.signature === sig.signature && tx.wallet === DISTRIBUTION_WALLET_ADDRESS);
       if (existingTx) {
         console.log(`[Vercel] Transaction already exists: ${sig.signature}`);
         continue;
@@ -704,11 +667,13 @@ async function fetchTransactionsVercel(limit = 5) { // Reduced from 10 to 5 to p
 }
 
 // Get transaction details from Helius API - Optimized for serverless
-async function getTransactionDetails(signature) {
+// The transaction is classified for walletAddress, the main wallet by default
+async function getTransactionDetails(signature, walletAddress = DISTRIBUTION_WALLET_ADDRESS) {
   // Skip detailed processing in Vercel environment if configured
   if (process.env.VERCEL && CONFIG.vercel.skipDetailedProcessing) {
     return {
       signature,
+      wallet: walletAddress,
       timestamp: new Date().toISOString(),
       type: 'unknown',
       amount: 0,
@@ -723,42 +688,16 @@ async function getTransactionDetails(signature) {
     try {
       console.log(`Getting details for transaction: ${signature}`);
       
-      // Prepare request data
-      const requestData = {
-        jsonrpc: '2.0',
-        id: 'my-id',
-        method: 'getTransaction',
-        params: [
-          signature,
-          {
-            encoding: 'jsonParsed',
-            maxSupportedTransactionVersion: 0
-          }
-        ]
-      };
-      
-      // Make request to Helius API
-      const response = await heliusRateLimiter.sendRequest(async () => {
-        return await axios.post(HELIUS_RPC_URL, requestData, {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': HELIUS_API_KEY
-          },
-          timeout: 10000 // 10 second timeout
-        });
-      });
+      // Request through the provider, which fails over between RPC endpoints within their rate limits
+      const txData = await rpcProvider.getTransaction(signature);
       
-      // Check if response is valid
-      if (!response.data || !response.data.result) {
-        console.error('Invalid response from Helius API:', response.data);
+      if (!txData) {
+        console.error(`Transaction not found: ${signature}`);
         return null;
       }
       
-      // Get transaction data
-      const txData = response.data.result;
-      
       // Process transaction data
-      const transaction = processTransaction(signature, txData);
+      const transaction = processTransaction(signature, txData, walletAddress);
       if (transaction) {
         // Save transaction to in-memory storage
         const txModel = new Transaction(transaction);
@@ -777,7 +716,7 @@ async function getTransactionDetails(signature) {
       }
       
       // If we've hit a rate limit and have retries left, wait and try again
-      if (error.response && error.response.status === 429 && retries <= maxRetries) {
+      if ((error.rateLimited || (error.response && error.response.status === 429)) && retries <= maxRetries) {
         const waitTime = Math.pow(2, retries) * CONFIG.rateLimits.retryDelay; // Exponential backoff
         console.log(`Rate limit hit, retrying in ${waitTime}ms (attempt ${retries}/${maxRetries})...`);
         await setTimeoutPromise(waitTime);
@@ -796,8 +735,8 @@ async function getTransactionDetails(signature) {
   return null;
 }
 
-// Process transaction data
-function processTransaction(signature, txData) {
+// Process transaction data from the point of view of a tracked wallet
+function processTransaction(signature, txData, walletAddress = DISTRIBUTION_WALLET_ADDRESS) {
   try {
     // Check if transaction is valid
     if (!txData || !txData.meta || txData.meta.err) {
@@ -805,140 +744,47 @@ function processTransaction(signature, txData) {
       return null;
     }
     
-    // Basic transaction data
-    const transaction = {
-      signature,
-      blockTime: txData.blockTime,
-      slot: txData.slot,
-      timestamp: new Date(txData.blockTime * 1000).toISOString(),
-      meta: {}
-    };
-    
-    // Check for SPL token transfers
-    if (txData.meta.postTokenBalances && txData.meta.preTokenBalances) {
-      // SPL token transfer processing can be added here if needed
-    }
-    
-    // Continue with existing SOL transfer logic
-    const preBalances = txData.meta.preBalances;
-    const postBalances = txData.meta.postBalances;
-    const accountKeys = txData.transaction.message.accountKeys;
-    
-    if (preBalances && postBalances && accountKeys) {
-      // Find index of distribution wallet
-      const walletIndex = accountKeys.findIndex(key => 
-        key.pubkey === DISTRIBUTION_WALLET_ADDRESS
-      );
-      
-      if (walletIndex >= 0) {
-        const preBal = preBalances[walletIndex];
-        const postBal = postBalances[walletIndex];
-        const diff = postBal - preBal;
-        
-        if (diff > 0) {
-          // Received SOL
-          transaction.type = 'received';
-          transaction.amount = diff / 1e9; // Convert lamports to SOL
-          transaction.token = 'SOL';
-          transaction.receiver = DISTRIBUTION_WALLET_ADDRESS;
-          
-          // Try to determine sender
-          const senderIndex = preBalances.findIndex((bal, i) => 
-            i !== walletIndex && preBalances[i] > postBalances[i]
-          );
-          if (senderIndex >= 0) {
-            transaction.sender = accountKeys[senderIndex].pubkey;
-          }
-        } else if (diff < 0) {
-          // Sent SOL
-          transaction.type = 'sent';
-          transaction.amount = Math.abs(diff) / 1e9; // Convert lamports to SOL
-          transaction.token = 'SOL';
-          transaction.sender = DISTRIBUTION_WALLET_ADDRESS;
-          
-          // Try to determine receiver
-          const receiverIndex = preBalances.findIndex((bal, i) => 
-            i !== walletIndex && preBalances[i] < postBalances[i]
-          );
-          if (receiverIndex >= 0) {
-            transaction.receiver = accountKeys[receiverIndex].pubkey;
-          }
-        }
-      }
-    }
-    
-    // If we couldn't determine the transaction type, mark as unknown
-    if (!transaction.type) {
-      transaction.type = 'unknown';
-      transaction.meta.raw = txData;
-    }
-    
-    return transaction;
+    // Use the shared classifier so the API, bot and collector agree on types and totals
+    return classifyTransaction(txData, walletAddress, { signature });
   } catch (error) {
     console.error(`Error processing transaction ${signature}:`, error);
     return null;
   }
 }
 
-// Get transaction statistics
-function getStats() {
+// Get transaction statistics for the records classified for a wallet
+async function getStats(walletAddress = DISTRIBUTION_WALLET_ADDRESS) {
+  const trackedWalletStats = {
+    count: trackedWallets.size,
+    addresses: Array.from(trackedWallets),
+    mainWallet: DISTRIBUTION_WALLET_ADDRESS
+  };
+  
   try {
-    console.log('Getting transaction statistics...');
-    
-    // Calculate statistics
-    const stats = {
-      totalTransactions: transactions.length,
-      transactionsByType: {},
-      transactionsByToken: {},
-      totalAmountByToken: {},
-      trackedWallets: {
-        count: trackedWallets.size,
-        addresses: Array.from(trackedWallets),
-        mainWallet: DISTRIBUTION_WALLET_ADDRESS
-      },
-      transactionsByWallet: {}
-    };
+    console.log(`Getting transaction statistics for ${walletAddress}...`);
     
-    // Process each transaction
-    for (const tx of transactions) {
-      // Count by type
-      stats.transactionsByType[tx.type] = (stats.transactionsByType[tx.type] || 0) + 1;
-      
-      // Count by token
-      stats.transactionsByToken[tx.token] = (stats.transactionsByToken[tx.token] || 0) + 1;
-      
-      // Sum amount by token
-      if (tx.amount) {
-        stats.totalAmountByToken[tx.token] = (stats.totalAmountByToken[tx.token] || 0) + tx.amount;
-      }
-      
-      // Count transactions by wallet (sender or receiver)
-      if (tx.sender) {
-        stats.transactionsByWallet[tx.sender] = stats.transactionsByWallet[tx.sender] || { sent: 0, received: 0, total: 0 };
-        stats.transactionsByWallet[tx.sender].sent++;
-        stats.transactionsByWallet[tx.sender].total++;
-      }
-      
-      if (tx.receiver) {
-        stats.transactionsByWallet[tx.receiver] = stats.transactionsByWallet[tx.receiver] || { sent: 0, received: 0, total: 0 };
-        stats.transactionsByWallet[tx.receiver].received++;
-        stats.transactionsByWallet[tx.receiver].total++;
-      }
-    }
+    // Totals are aggregated by the storage backend
+    const adapter = await getStorage();
+    const stored = await adapter.getTransactionStats({ wallet: walletAddress });
     
-    return stats;
+    return {
+      wallet: walletAddress,
+      totalTransactions: stored.totalTransactions,
+      transactionsByType: stored.transactionsByType,
+      transactionsByToken: stored.transactionsByToken,
+      totalAmountByToken: stored.totalAmountByToken,
+      trackedWallets: trackedWalletStats,
+      transactionsByWallet: stored.transactionsByWallet
+    };
   } catch (error) {
     console.error('Error getting transaction statistics:', error);
     return {
+      wallet: walletAddress,
       totalTransactions: 0,
       transactionsByType: {},
       transactionsByToken: {},
       totalAmountByToken: {},
-      trackedWallets: {
-        count: trackedWallets.size,
-        addresses: Array.from(trackedWallets),
-        mainWallet: DISTRIBUTION_WALLET_ADDRESS
-      },
+      trackedWallets: trackedWalletStats,
       transactionsByWallet: {}
     };
   }
@@ -949,28 +795,24 @@ async function getRewardsForWallet(walletAddress) {
   try {
     console.log(`Getting rewards for wallet: ${walletAddress}`);
     
-    // Filter transactions where this wallet is the receiver and the sender is the distribution wallet
-    const receivedTransactions = transactions.filter(tx => 
-      tx.token === 'SOL' && 
-      tx.type === 'sent' && 
-      tx.receiver === walletAddress && 
-      tx.sender === DISTRIBUTION_WALLET_ADDRESS
+    // Look up this wallet's SOL payouts from the distribution wallet, most recent first
+    const adapter = await getStorage();
+    const walletTransactions = await adapter.queryByAddress(
+      walletAddress,
+      { token: 'SOL', sender: DISTRIBUTION_WALLET_ADDRESS },
+      { sort: { blockTime: -1 } }
     );
+    const receivedTransactions = walletTransactions.filter(tx => isOutgoing(tx) && isRecipient(tx, walletAddress));
     
-    // Calculate total amount received
-    const totalReceived = receivedTransactions.reduce((sum, tx) => sum + (tx.amount || 0), 0);
-    
-    // Sort transactions by blockTime (most recent first)
-    const sortedTransactions = [...receivedTransactions].sort((a, b) => 
-      (b.blockTime || 0) - (a.blockTime || 0)
-    );
+    // Calculate total amount received, only counting this wallet's legs of batched payouts
+    const totalReceived = receivedTransactions.reduce((sum, tx) => sum + getAmountReceivedBy(tx, walletAddress), 0);
     
     // Return wallet rewards data
     return {
       walletAddress,
       transactionCount: receivedTransactions.length,
       totalReceived,
-      recentTransactions: sortedTransactions.slice(0, 10)
+      recentTransactions: receivedTransactions.slice(0, 10)
     };
   } catch (error) {
     console.error(`Error getting rewards for wallet ${walletAddress}:`, error);
@@ -1010,17 +852,18 @@ async function checkAndNotifyNewRewards() {
       const lastNotifiedTime = global.lastNotifiedTimes?.get(chatId) || 0;
       
       // Get transactions where this wallet is the receiver and the sender is the distribution wallet
-      const newTransactions = transactions.filter(tx => 
-        tx.token === 'SOL' && 
-        tx.type === 'sent' && 
-        tx.receiver === walletAddress && 
-        tx.sender === DISTRIBUTION_WALLET_ADDRESS &&
-        tx.blockTime > lastNotifiedTime
-      );
+      // Notification times are in milliseconds, block times in seconds
+      const adapter = await getStorage();
+      const walletTransactions = await adapter.queryByAddress(walletAddress, {
+        token: 'SOL',
+        sender: DISTRIBUTION_WALLET_ADDRESS,
+        blockTime: { $gt: Math.floor(lastNotifiedTime / 1000) }
+      });
+      const newTransactions = walletTransactions.filter(tx => isOutgoing(tx) && isRecipient(tx, walletAddress));
       
       if (newTransactions.length > 0) {
         // Calculate total new rewards
-        const totalNewRewards = newTransactions.reduce((sum, tx) => sum + (tx.amount || 0), 0);
+        const totalNewRewards = newTransactions.reduce((sum, tx) => sum + getAmountReceivedBy(tx, walletAddress), 0);
         
         // Format notification message
         let message = `🎉 *New Rewards Received!* 🎉\n\n`;
@@ -1031,13 +874,13 @@ async function checkAndNotifyNewRewards() {
           message += `*Transaction Details:*\n`;
           newTransactions.forEach((tx, i) => {
             const date = new Date(tx.timestamp).toLocaleString();
-            message += `${i+1}. ${tx.amount.toFixed(7)} SOL on ${date}\n`;
+            message += `${i+1}. ${getAmountReceivedBy(tx, walletAddress).toFixed(7)} SOL on ${date}\n`;
           });
         } else {
           // Just show the most recent transaction if there are more than 5
           const mostRecent = newTransactions.sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0))[0];
           const date = new Date(mostRecent.timestamp).toLocaleString();
-          message += `Most recent: ${mostRecent.amount.toFixed(7)} SOL on ${date}\n`;
+          message += `Most recent: ${getAmountReceivedBy(mostRecent, walletAddress).toFixed(7)} SOL on ${date}\n`;
           message += `Use /myrewards to see all transactions.`;
         }
         
@@ -1061,6 +904,23 @@ async function checkAndNotifyNewRewards() {
   }
 }
 
+// The tracked wallet a stats request is scoped to: ?wallet= or the main distribution wallet
+// Responds with 404 and returns null when the wallet isn't tracked
+async function getRequestWallet(req, res) {
+  const wallets = await getTrackedWallets();
+  const address = req.query.wallet || DISTRIBUTION_WALLET_ADDRESS;
+  const wallet = address ? wallets.find(entry => entry.address === address) || null : null;
+  
+  if (!wallet) {
+    sendError(res, CODES.WALLET_NOT_TRACKED, {
+      message: address ? `Wallet ${address} is not tracked` : 'No wallet is tracked',
+      details: 'Add it with POST /api/wallet/track'
+    });
+    return null;
+  }
+  return wallet;
+}
+
 // Wrap API endpoints with error handling and timeout protection
 const asyncHandler = fn => async (req, res, next) => {
   try {
@@ -1068,7 +928,7 @@ const asyncHandler = fn => async (req, res, next) => {
     if (process.env.VERCEL) {
       const timeoutPromise = new Promise((_, reject) => {
         nodeSetTimeout(() => {
-          reject(new Error('Request processing timeout - approaching Vercel 15s limit'));
+          reject(new ApiError(CODES.TIMEOUT, 'Approaching the Vercel 15s limit'));
         }, CONFIG.vercel.maxProcessingTime);
       });
       
@@ -1144,13 +1004,10 @@ app.get('/', (req, res) => {
       <li><a href="/api/stats">/api/stats</a> - Get distribution statistics</li>
       <li><a href="/api/distributed">/api/distributed</a> - Get distributed SOL information</li>
       <li><a href="/api/sol">/api/sol</a> - Get SOL transaction information</li>
-      <li><a href="/api/refresh">/api/refresh</a> - Refresh transaction data</li>
-      <li><a href="/api/fetch-all">/api/fetch-all</a> - Fetch all historical transactions</li>
       <li><a href="/api/fetch-status">/api/fetch-status</a> - Check fetch status</li>
-      <li><a href="/api/force-save">/api/force-save</a> - Force save current transactions</li>
-      <li><a href="/api/force-refresh">/api/force-refresh</a> - Force refresh transaction data</li>
       <li><a href="/api/help">/api/help</a> - Get API help information</li>
     </ul>
+    <p>Refreshes, saves and background jobs are POST requests under /api/admin and need an admin API key.</p>
   </div>
 </body>
 </html>
@@ -1162,73 +1019,62 @@ app.get('/', (req, res) => {
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    timestamp: new Date().toISOString(),
+  sendSuccess(res, {
     message: 'API is running',
     version: process.env.npm_package_version || '1.0.0',
     environment: process.env.NODE_ENV || 'development',
     vercel: process.env.VERCEL ? true : false,
     storage: {
-      vercelKVEnabled: STORAGE_CONFIG.vercelKVEnabled,
-      vercelBlobEnabled: STORAGE_CONFIG.vercelBlobEnabled,
-      blobStoragePath: STORAGE_CONFIG.blobStoragePath
+      backend: STORAGE_CONFIG.backend
     }
   });
 });
 
-// Add a diagnostic endpoint for Blob Storage
+// Add a diagnostic endpoint for the storage backend
 app.get('/api/storage-check', async (req, res) => {
   try {
     const storageStatus = {
-      timestamp: new Date().toISOString(),
-      vercelBlobEnabled: STORAGE_CONFIG.vercelBlobEnabled,
-      blobStoragePath: STORAGE_CONFIG.blobStoragePath,
+      backend: STORAGE_CONFIG.backend,
       environment: process.env.NODE_ENV || 'development',
       vercel: process.env.VERCEL ? true : false
     };
     
-    // If Blob Storage is enabled, try to access it
-    if (STORAGE_CONFIG.vercelBlobEnabled) {
-      try {
-        const { list } = await import('@vercel/blob');
-        const blobs = await list();
-        storageStatus.blobList = blobs;
-        storageStatus.message = 'Blob Storage is properly configured';
-      } catch (error) {
-        storageStatus.error = error.message;
-        storageStatus.message = 'Error accessing Blob Storage';
-      }
-    } else {
-      storageStatus.message = 'Blob Storage is not enabled';
+    // Try to reach the backend and count what it holds
+    try {
+      const adapter = await getStorage();
+      storageStatus.storedTransactions = await adapter.countTransactions();
+      storageStatus.metadataKeys = await adapter.listMetadata();
+      storageStatus.message = `${adapter.name} storage is properly configured`;
+    } catch (error) {
+      return sendError(res, CODES.STORAGE_UNAVAILABLE, {
+        message: `Error accessing ${STORAGE_CONFIG.backend} storage`,
+        details: error.message,
+        backend: STORAGE_CONFIG.backend
+      });
     }
     
-    res.status(200).json(storageStatus);
+    sendSuccess(res, storageStatus);
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error checking storage',
-      error: error.message
-    });
+    sendError(res, error, { message: 'Error checking storage' });
   }
 });
 
-// Help endpoint
+// The OpenAPI document describing every route of this API
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Help endpoint, generated from the OpenAPI document
 app.get('/api/help', (req, res) => {
-  res.json({
-    name: 'Distribution Tracker API',
-    version: '1.0.0',
-    endpoints: {
-      '/api/stats': 'Get distribution statistics',
-      '/api/distributed': 'Get all distributed transactions',
-      '/api/sol': 'Get SOL transactions',
-      '/api/refresh': 'Refresh transaction data',
-      '/api/fetch-all': 'Fetch all historical transactions',
-      '/api/fetch-status': 'Check transaction fetch status',
-      '/api/force-save': 'Force save transactions to storage',
-      '/api/force-refresh': 'Force a full refresh of all transactions',
-      '/': 'This help information'
-    }
+  const operations = openApi.listOperations(openApiDocument).filter(operation => !operation.deprecated);
+  sendSuccess(res, {
+    name: openApiDocument.info.title,
+    version: openApiDocument.info.version,
+    openapi: '/api/openapi.json',
+    endpoints: Object.fromEntries(operations.map(operation => [
+      `${operation.method} ${operation.path}`,
+      operation.auth ? `${operation.summary} (${operation.auth})` : operation.summary
+    ]))
   });
 });
 
@@ -1237,6 +1083,10 @@ app.get('/api/stats', asyncHandler(async (req, res) => {
   console.log('Getting overall SOL statistics...');
   
   try {
+    // Statistics cover one tracked wallet, the main distribution wallet unless ?wallet= is given
+    const wallet = await getRequestWallet(req, res);
+    if (!wallet) return;
+    
     // Get limit parameter from request, default to 5
     const limit = parseInt(req.query.limit) || 5;
     console.log(`Using limit of ${limit} transactions`);
@@ -1263,10 +1113,11 @@ app.get('/api/stats', asyncHandler(async (req, res) => {
         }
       }
       
-      // Calculate statistics from ALL stored transactions
-      const solTransactions = transactions.filter(tx => tx.token === 'SOL');
-      const sentTransactions = solTransactions.filter(tx => tx.type === 'sent');
-      const receivedTransactions = solTransactions.filter(tx => tx.type === 'received');
+      // Calculate statistics from ALL stored transactions of the wallet
+      const walletTransactions = getWalletTransactions(wallet.address);
+      const solTransactions = walletTransactions.filter(tx => tx.token === 'SOL');
+      const sentTransactions = solTransactions.filter(isOutgoing);
+      const receivedTransactions = solTransactions.filter(isIncoming);
       
       const totalSent = sentTransactions.reduce((sum, tx) => sum + tx.amount, 0);
       const totalReceived = receivedTransactions.reduce((sum, tx) => sum + tx.amount, 0);
@@ -1278,21 +1129,20 @@ app.get('/api/stats', asyncHandler(async (req, res) => {
         totalSolDistributed: totalSent.toFixed(7),
         totalSolReceived: totalReceived.toFixed(7),
         currentSolBalance: currentBalance.toFixed(7),
-        totalTransactions: transactions.length,
-        distributionWallet: DISTRIBUTION_WALLET_ADDRESS,
-        solscanLink: `https://solscan.io/account/${DISTRIBUTION_WALLET_ADDRESS}`
+        totalTransactions: walletTransactions.length,
+        distributionWallet: wallet.address,
+        solscanLink: `https://solscan.io/account/${wallet.address}`
       };
       
       // Return statistics only (no transaction lists)
-      return res.json({
-        success: true,
-        timestamp: new Date().toISOString(),
+      return sendSuccess(res, {
         environment: process.env.NODE_ENV || 'development',
         vercel: true,
         note: "Running in optimized mode for Vercel serverless environment",
+        wallet,
         stats: formattedStats,
         transactionCounts: {
-          totalStoredTransactions: transactions.length,
+          totalStoredTransactions: walletTransactions.length,
           solTransactions: solTransactions.length,
           receivedTransactions: receivedTransactions.length,
           sentTransactions: sentTransactions.length
@@ -1301,65 +1151,25 @@ app.get('/api/stats', asyncHandler(async (req, res) => {
       });
     }
     
-    // For non-Vercel environments, use the full implementation
-    if (transactions.length === 0) {
-      await fetchTransactions();
-    } else {
-      // Check cache expiration
-      const cacheExpired = lastFetchTimestamp && 
-        (new Date() - new Date(lastFetchTimestamp)) > CONFIG.transactions.cacheExpiration;
-      
-      if (cacheExpired) {
-        await fetchTransactions();
-      } else {
-        console.log(`Using cached transactions (${transactions.length} transactions)`);
-      }
-    }
-    
-    // Get transaction statistics
-    const stats = getStats();
+    // For non-Vercel environments, the totals are aggregated by the storage backend
+    const stats = await getStats(wallet.address);
     
-    // Return statistics
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    // Return statistics with tracked wallet info prominently displayed
+    sendSuccess(res, {
       lastFetch: lastFetchTimestamp,
       environment: process.env.NODE_ENV || 'development',
       vercel: false,
-      cacheStatus: {
-        transactionCount: transactions.length,
-        note: "Using cached data when available"
-      },
-      stats
-    });
-    
-    // Return statistics with tracked wallet info prominently displayed
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      lastFetch: lastFetchTimestamp,
-      environment: process.env.NODE_ENV || 'development',
-      vercel: process.env.VERCEL ? true : false,
+      wallet,
       trackedWallets: {
         count: trackedWallets.size,
         addresses: Array.from(trackedWallets),
         mainWallet: DISTRIBUTION_WALLET_ADDRESS
       },
-      cacheStatus: {
-        transactionCount: transactions.length,
-        note: "Using cached data when available"
-      },
       stats
     });
   } catch (error) {
     console.error('Error in /api/stats:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get statistics',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get statistics' });
   }
 }));
 
@@ -1367,6 +1177,18 @@ app.get('/api/stats', asyncHandler(async (req, res) => {
 app.get('/api/distributed', asyncHandler(async (req, res) => {
   console.log('Getting SOL distribution data...');
   
+  // Distributions from one tracked wallet, the main distribution wallet unless ?wallet= is given
+  const wallet = await getRequestWallet(req, res);
+  if (!wallet) return;
+  
+  // Distributions are listed a page at a time with ?limit, ?cursor and ?order, like the other listings
+  let pagination;
+  try {
+    pagination = parsePaginationParams(req.query);
+  } catch (error) {
+    return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid pagination parameters', details: error.message });
+  }
+  
   // For Vercel, use a simplified approach
   if (process.env.VERCEL) {
     // Try to load from storage first
@@ -1404,8 +1226,9 @@ app.get('/api/distributed', asyncHandler(async (req, res) => {
       }
     }
     
-    // Get transactions with type 'sent' from ALL stored transactions
-    const sentTransactions = transactions.filter(tx => tx.type === 'sent' && tx.token === 'SOL');
+    // Get outgoing transactions from ALL stored transactions of the wallet
+    const walletTransactions = getWalletTransactions(wallet.address);
+    const sentTransactions = walletTransactions.filter(tx => isOutgoing(tx) && tx.token === 'SOL');
     
     // Calculate distribution statistics
     const totalDistributed = sentTransactions.reduce((sum, tx) => sum + tx.amount, 0);
@@ -1427,43 +1250,37 @@ app.get('/api/distributed', asyncHandler(async (req, res) => {
       averageDistribution: averageDistribution.toFixed(7),
       largestDistribution: largestDistribution.toFixed(7),
       smallestDistribution: smallestDistribution.toFixed(7),
-      distributionWallet: DISTRIBUTION_WALLET_ADDRESS,
-      solscanLink: `https://solscan.io/account/${DISTRIBUTION_WALLET_ADDRESS}`
+      distributionWallet: wallet.address,
+      solscanLink: `https://solscan.io/account/${wallet.address}`
     };
     
-    // Return statistics and ALL transactions
-    return res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    // Return statistics and one page of distributions
+    const page = paginateArray(sentTransactions, pagination);
+    return sendSuccess(res, {
       environment: process.env.NODE_ENV || 'development',
       vercel: true,
       note: "Running in optimized mode for Vercel serverless environment",
+      wallet,
       stats: formattedStats,
       transactions: {
-        totalStoredTransactions: transactions.length,
-        totalDistributions: sentTransactions.length,
-        allTransactions: transactions, // Include ALL transactions
-        allDistributions: sentTransactions // Include ALL distributions
+        totalStoredTransactions: walletTransactions.length,
+        totalDistributions: sentTransactions.length
       },
+      distributions: page.items,
+      limit: page.limit,
+      order: page.order,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
       fetchedAt: new Date().toISOString()
     });
   }
   
-  // For non-Vercel environments, use the full implementation
-  if (transactions.length === 0) {
-    await fetchTransactions();
-  } else {
-    // Check cache expiration
-    const cacheExpired = lastFetchTimestamp && 
-      (new Date() - new Date(lastFetchTimestamp)) > CONFIG.transactions.cacheExpiration;
-    
-    if (cacheExpired) {
-      await fetchTransactions();
-    }
-  }
+  // For non-Vercel environments, use the stored transactions
+  await loadStoredTransactions();
   
-  // Get transactions with type 'sent'
-  const sentTransactions = transactions.filter(tx => tx.type === 'sent' && tx.token === 'SOL');
+  // Get outgoing transactions
+  const walletTransactions = getWalletTransactions(wallet.address);
+  const sentTransactions = walletTransactions.filter(tx => isOutgoing(tx) && tx.token === 'SOL');
   
   // Calculate distribution statistics
   const stats = {
@@ -1481,15 +1298,18 @@ app.get('/api/distributed', asyncHandler(async (req, res) => {
     recentDistributions: sentTransactions.slice(0, 3)
   };
   
-  // Return statistics
-  res.json({
-    success: true,
-    timestamp: new Date().toISOString(),
+  // Return statistics and one page of distributions
+  const page = paginateArray(sentTransactions, pagination);
+  sendSuccess(res, {
     environment: process.env.NODE_ENV || 'development',
     vercel: false,
+    wallet,
     stats,
-    allTransactions: transactions,
-    allDistributions: sentTransactions
+    distributions: page.items,
+    limit: page.limit,
+    order: page.order,
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor
   });
 }));
 
@@ -1497,6 +1317,10 @@ app.get('/api/distributed', asyncHandler(async (req, res) => {
 app.get('/api/sol', asyncHandler(async (req, res) => {
   console.log('Getting detailed SOL transfer statistics...');
   
+  // Transfers of one tracked wallet, the main distribution wallet unless ?wallet= is given
+  const wallet = await getRequestWallet(req, res);
+  if (!wallet) return;
+  
   // For Vercel, use a simplified approach
   if (process.env.VERCEL) {
     // Try to load from storage first
@@ -1534,12 +1358,13 @@ app.get('/api/sol', asyncHandler(async (req, res) => {
       }
     }
     
-    // Get transactions for SOL from ALL stored transactions
-    const solTransactions = transactions.filter(tx => tx.token === 'SOL');
+    // Get transactions for SOL from ALL stored transactions of the wallet
+    const walletTransactions = getWalletTransactions(wallet.address);
+    const solTransactions = walletTransactions.filter(tx => tx.token === 'SOL');
     
     // Calculate statistics
-    const received = solTransactions.filter(tx => tx.type === 'received');
-    const sent = solTransactions.filter(tx => tx.type === 'sent');
+    const received = solTransactions.filter(isIncoming);
+    const sent = solTransactions.filter(isOutgoing);
     
     const totalReceived = received.reduce((sum, tx) => sum + tx.amount, 0);
     const totalSent = sent.reduce((sum, tx) => sum + tx.amount, 0);
@@ -1554,20 +1379,20 @@ app.get('/api/sol', asyncHandler(async (req, res) => {
       totalTransactions: solTransactions.length,
       receivedTransactions: received.length,
       sentTransactions: sent.length,
-      distributionWallet: DISTRIBUTION_WALLET_ADDRESS,
-      solscanLink: `https://solscan.io/account/${DISTRIBUTION_WALLET_ADDRESS}`
+      distributionWallet: wallet.address,
+      solscanLink: `https://solscan.io/account/${wallet.address}`
     };
     
     // Return statistics and ALL SOL transactions
-    return res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    return sendSuccess(res, {
       environment: process.env.NODE_ENV || 'development',
       vercel: true,
       note: "Running in optimized mode for Vercel serverless environment",
+      wallet,
       stats: formattedStats,
+      reconciliation: await balanceReconciler.getLastReport(wallet.address),
       transactions: {
-        totalStoredTransactions: transactions.length,
+        totalStoredTransactions: walletTransactions.length,
         totalSolTransactions: solTransactions.length,
         allTransactions: solTransactions, // Include ALL SOL transactions
         receivedTransactions: received,    // Include ALL received transactions
@@ -1577,25 +1402,15 @@ app.get('/api/sol', asyncHandler(async (req, res) => {
     });
   }
   
-  // For non-Vercel environments, use the full implementation
-  if (transactions.length === 0) {
-    await fetchTransactions();
-  } else {
-    // Check cache expiration
-    const cacheExpired = lastFetchTimestamp && 
-      (new Date() - new Date(lastFetchTimestamp)) > CONFIG.transactions.cacheExpiration;
-    
-    if (cacheExpired) {
-      await fetchTransactions();
-    }
-  }
+  // For non-Vercel environments, use the stored transactions
+  await loadStoredTransactions();
   
   // Get transactions for SOL
-  const solTransactions = transactions.filter(tx => tx.token === 'SOL');
+  const solTransactions = getWalletTransactions(wallet.address).filter(tx => tx.token === 'SOL');
   
   // Calculate statistics
-  const received = solTransactions.filter(tx => tx.type === 'received');
-  const sent = solTransactions.filter(tx => tx.type === 'sent');
+  const received = solTransactions.filter(isIncoming);
+  const sent = solTransactions.filter(isOutgoing);
   
   const stats = {
     totalTransactions: solTransactions.length,
@@ -1618,13 +1433,13 @@ app.get('/api/sol', asyncHandler(async (req, res) => {
   };
   
   // Return statistics and ALL SOL transactions
-  res.json({
-    success: true,
-    timestamp: new Date().toISOString(),
+  sendSuccess(res, {
     environment: process.env.NODE_ENV || 'development',
     vercel: true,
     note: "Running in optimized mode for Vercel serverless environment",
+    wallet,
     stats,
+    reconciliation: await balanceReconciler.getLastReport(wallet.address),
     allTransactions: solTransactions,
     receivedTransactions: received,
     sentTransactions: sent,
@@ -1632,223 +1447,6 @@ app.get('/api/sol', asyncHandler(async (req, res) => {
   });
 }));
 
-// Force refresh historical transaction data - Simplified for Vercel
-app.post('/api/refresh', asyncHandler(async (req, res) => {
-  console.log('Refreshing historical transaction data...');
-  
-  try {
-    // For Vercel, use a simplified approach
-    if (process.env.VERCEL) {
-      // Try to load from storage first
-      let fetchedTransactions = [];
-      const loadedFromStorage = await storage.load();
-      
-      if (loadedFromStorage && transactions.length > 0) {
-        console.log(`Using ${transactions.length} transactions from storage`);
-        fetchedTransactions = transactions;
-      } else {
-        // If no stored data, fetch fresh data
-        fetchedTransactions = await fetchTransactionsVercel(20);
-        
-        // Save the fetched transactions to storage
-        if (fetchedTransactions.length > 0) {
-          transactions.length = 0;
-          transactions.push(...fetchedTransactions);
-          lastFetchTimestamp = new Date().toISOString();
-          await storage.save();
-        }
-      }
-      
-      // Return simplified response
-      return res.json({
-        success: true,
-        timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development',
-        vercel: true,
-        note: "Running in optimized mode for Vercel serverless environment",
-        message: 'Fetched transaction data with details',
-        count: fetchedTransactions.length,
-        totalStoredTransactions: transactions.length,
-        recentTransactions: fetchedTransactions.slice(0, 10),
-        allTransactions: transactions,
-        fetchedAt: new Date().toISOString()
-      });
-    }
-    
-    // For non-Vercel environments, use the full implementation
-    // Check if we've fetched recently to avoid rate limits
-    const lastFetchTime = lastFetchTimestamp ? new Date(lastFetchTimestamp) : null;
-    const timeSinceLastFetch = lastFetchTime ? (new Date() - lastFetchTime) : Infinity;
-    
-    if (timeSinceLastFetch < 60000) { // 1 minute
-      console.log(`Last fetch was ${Math.round(timeSinceLastFetch / 1000)} seconds ago. Skipping to avoid rate limits.`);
-      
-      return res.json({
-        success: true,
-        timestamp: new Date().toISOString(),
-        message: 'Skipped refresh to avoid rate limits',
-        lastFetch: lastFetchTimestamp,
-        waitTime: 60000 - timeSinceLastFetch,
-        totalTransactions: transactions.length,
-        recentTransactions: transactions.slice(0, 3)
-      });
-    }
-    
-    // Fetch transactions
-    const newTransactions = await fetchTransactions();
-    
-    // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: false,
-      message: 'Historical transaction data refreshed successfully',
-      count: newTransactions.length,
-      totalTransactions: transactions.length,
-      recentTransactions: transactions.slice(0, 3)
-    });
-  } catch (error) {
-    console.error('Error in /api/refresh:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to refresh transaction data',
-        details: error.message
-      }
-    });
-  }
-}));
-
-// Add GET endpoint for /api/refresh to handle browser requests
-app.get('/api/refresh', asyncHandler(async (req, res) => {
-  console.log('GET: Refreshing historical transaction data...');
-  
-  try {
-    // For Vercel, use a simplified approach
-    if (process.env.VERCEL) {
-      // Try to load from storage first
-      let fetchedTransactions = [];
-      const loadedFromStorage = await storage.load();
-      
-      if (loadedFromStorage && transactions.length > 0) {
-        console.log(`Using ${transactions.length} transactions from storage`);
-        fetchedTransactions = transactions;
-      } else {
-        // If no stored data, fetch fresh data
-        fetchedTransactions = await fetchTransactionsVercel(20);
-        
-        // Save the fetched transactions to storage
-        if (fetchedTransactions.length > 0) {
-          transactions.length = 0;
-          transactions.push(...fetchedTransactions);
-          lastFetchTimestamp = new Date().toISOString();
-          await storage.save();
-        }
-      }
-      
-      // Return simplified response
-      return res.json({
-        success: true,
-        timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'development',
-        vercel: true,
-        note: "Running in optimized mode for Vercel serverless environment",
-        message: 'Fetched transaction data with details',
-        count: fetchedTransactions.length,
-        totalStoredTransactions: transactions.length,
-        recentTransactions: fetchedTransactions.slice(0, 10),
-        allTransactions: transactions,
-        fetchedAt: new Date().toISOString()
-      });
-    }
-    
-    // For non-Vercel environments, use the full implementation
-    // Check if we've fetched recently to avoid rate limits
-    const lastFetchTime = lastFetchTimestamp ? new Date(lastFetchTimestamp) : null;
-    const timeSinceLastFetch = lastFetchTime ? (new Date() - lastFetchTime) : Infinity;
-    
-    if (timeSinceLastFetch < 60000) { // 1 minute
-      console.log(`Last fetch was ${Math.round(timeSinceLastFetch / 1000)} seconds ago. Skipping to avoid rate limits.`);
-      
-      return res.json({
-        success: true,
-        timestamp: new Date().toISOString(),
-        message: 'Skipped refresh to avoid rate limits',
-        lastFetch: lastFetchTimestamp,
-        waitTime: 60000 - timeSinceLastFetch,
-        totalTransactions: transactions.length,
-        recentTransactions: transactions.slice(0, 3)
-      });
-    }
-    
-    // Fetch transactions
-    const newTransactions = await fetchTransactions();
-    
-    // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: false,
-      message: 'Historical transaction data refreshed successfully',
-      count: newTransactions.length,
-      totalTransactions: transactions.length,
-      recentTransactions: transactions.slice(0, 3)
-    });
-  } catch (error) {
-    console.error('Error in GET /api/refresh:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to refresh transaction data',
-        details: error.message
-      }
-    });
-  }
-}));
-
-// Add a sample transaction (for testing)
-app.get('/api/add-sample', async (req, res) => {
-  try {
-    console.log('Adding sample transaction...');
-    
-    // Create sample transaction
-    const transaction = new Transaction({
-      signature: `sample-${Date.now()}`,
-      timestamp: new Date().toISOString(),
-      type: 'received',
-      amount: 1.0,
-      token: 'SOL',
-      sender: 'SampleSender123456789',
-      receiver: DISTRIBUTION_WALLET_ADDRESS,
-      fee: 0.000005,
-      status: 'success',
-      blockTime: Math.floor(Date.now() / 1000),
-      slot: 123456789
-    });
-    
-    // Save transaction
-    await transaction.save();
-    
-    // Return transaction
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      transaction
-    });
-  } catch (error) {
-    console.error('Error adding sample transaction:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to add sample transaction',
-        details: error.message
-      }
-    });
-  }
-});
-
 // Initialize Telegram bot (only in local environment)
 if (process.env.TELEGRAM_BOT_TOKEN && !process.env.VERCEL) {
   try {
@@ -1872,13 +1470,8 @@ if (process.env.TELEGRAM_BOT_TOKEN && !process.env.VERCEL) {
       try {
         bot.sendMessage(chatId, 'Fetching overall SOL statistics...');
         
-        // If no transactions, try to fetch some
-        if (transactions.length === 0) {
-          await fetchTransactions();
-        }
-        
-        // Get transaction statistics
-        const stats = getStats();
+        // Totals are aggregated by the storage backend
+        const stats = await getStats();
         
         // Format message
         let message = '📊 *SOL Statistics*\n\n';
@@ -1910,13 +1503,11 @@ if (process.env.TELEGRAM_BOT_TOKEN && !process.env.VERCEL) {
       try {
         bot.sendMessage(chatId, 'Fetching SOL distribution data...');
         
-        // If no transactions, try to fetch some
-        if (transactions.length === 0) {
-          await fetchTransactions();
-        }
+        // Use the stored transactions
+        await loadStoredTransactions();
         
-        // Get transactions with type 'sent'
-        const sentTransactions = transactions.filter(tx => tx.type === 'sent' && tx.token === 'SOL');
+        // Get outgoing transactions
+        const sentTransactions = transactions.filter(tx => isOutgoing(tx) && tx.token === 'SOL');
         
         // Calculate distribution statistics
         const stats = {
@@ -1960,17 +1551,15 @@ if (process.env.TELEGRAM_BOT_TOKEN && !process.env.VERCEL) {
       try {
         bot.sendMessage(chatId, 'Fetching detailed SOL transfer statistics...');
         
-        // If no transactions, try to fetch some
-        if (transactions.length === 0) {
-          await fetchTransactions();
-        }
+        // Use the stored transactions
+        await loadStoredTransactions();
         
         // Get transactions for SOL
         const solTransactions = transactions.filter(tx => tx.token === 'SOL');
         
         // Calculate statistics
-        const received = solTransactions.filter(tx => tx.type === 'received');
-        const sent = solTransactions.filter(tx => tx.type === 'sent');
+        const received = solTransactions.filter(isIncoming);
+        const sent = solTransactions.filter(isOutgoing);
         
         const stats = {
           totalTransactions: solTransactions.length,
@@ -2019,8 +1608,12 @@ if (process.env.TELEGRAM_BOT_TOKEN && !process.env.VERCEL) {
       try {
         bot.sendMessage(chatId, 'Refreshing historical transaction data...');
         
-        // Fetch transactions
-        const newTransactions = await fetchTransactions();
+        // Fetch the newest transactions like POST /api/admin/refresh
+        await storage.load();
+        const newTransactions = await fetchTransactionsVercel(20);
+        if (newTransactions.length > 0) {
+          await addFetchedTransactions(newTransactions);
+        }
         
         // Format message
         let message = '🔄 *Transaction Data Refreshed*\n\n';
@@ -2031,9 +1624,9 @@ if (process.env.TELEGRAM_BOT_TOKEN && !process.env.VERCEL) {
           message += '*Recent Transactions:*\n';
           for (let i = 0; i < Math.min(3, newTransactions.length); i++) {
             const tx = newTransactions[i];
-            if (tx.type === 'received') {
+            if (isIncoming(tx)) {
               message += `- Received ${tx.amount.toFixed(4)} SOL from ${tx.sender ? tx.sender.substring(0, 8) + '...' : 'Unknown'}\n`;
-            } else if (tx.type === 'sent') {
+            } else if (isOutgoing(tx)) {
               message += `- Sent ${tx.amount.toFixed(4)} SOL to ${tx.receiver ? tx.receiver.substring(0, 8) + '...' : 'Unknown'}\n`;
             } else {
               message += `- ${tx.type} transaction of ${tx.amount.toFixed(4)} SOL\n`;
@@ -2053,8 +1646,36 @@ if (process.env.TELEGRAM_BOT_TOKEN && !process.env.VERCEL) {
   }
 }
 
+// Group transactions in memory into distribution rounds and store the round IDs that changed
+// Runs when transactions are ingested, the round routes only read the stored IDs
+async function updateDistributionRounds() {
+  const { changed } = distributionRounds.assignRounds(transactions);
+  
+  if (changed.length > 0) {
+    console.log(`Assigned round IDs to ${changed.length} transactions`);
+    await storage.saveTransactions(changed);
+  }
+}
+
+// Add transactions saved by the backfill, gap repair or webhook to memory and group them into rounds
+async function addFetchedTransactions(records) {
+  records.forEach(record => {
+    const tx = new Transaction(record);
+    const existingIndex = transactions.findIndex(t => getTransactionKey(t) === getTransactionKey(tx));
+    if (existingIndex >= 0) {
+      transactions[existingIndex] = tx;
+    } else {
+      transactions.push(tx);
+    }
+  });
+  
+  await updateDistributionRounds();
+}
+
 // Add a function to fetch historical transactions with pagination
-async function fetchAllHistoricalTransactions() {
+// Each tracked wallet is caught up and classified on its own, sharing the run's time limit
+// Options: background, for the provider to refuse the calls while the usage budget is paused
+async function fetchAllHistoricalTransactions(options = {}) {
   try {
     // Check if API is shut down
     if (await checkApiShutdown()) {
@@ -2063,8 +1684,8 @@ async function fetchAllHistoricalTransactions() {
     }
     
     // Check if we're in cooldown mode
-    if (heliusRateLimiter.isInCooldown && heliusRateLimiter.isInCooldown()) {
-      console.log('[Vercel] API is in cooldown mode, skipping historical transaction fetch');
+    if (!(await rpcProvider.isAvailable())) {
+      console.log('[Vercel] All RPC endpoints are cooling down, skipping historical transaction fetch');
       return [];
     }
     
@@ -2073,10 +1694,8 @@ async function fetchAllHistoricalTransactions() {
     
     console.log('[Vercel] Starting historical transaction fetch...');
     
-    if (!HELIUS_API_KEY || !HELIUS_RPC_URL) {
-      console.error('Missing required environment variables for Helius service');
-      return [];
-    }
+    // First, load any existing transactions and the tracked wallets
+    await storage.load();
     
     // Check if we have any wallets to track
     if (trackedWallets.size === 0) {
@@ -2084,27 +1703,66 @@ async function fetchAllHistoricalTransactions() {
       return [];
     }
     
-    // First, load any existing transactions
-    await storage.load();
-    const existingSignatures = new Set(transactions.map(tx => tx.signature));
-    console.log(`[Vercel] Loaded ${existingSignatures.size} existing transaction signatures`);
+    const wallets = Array.from(trackedWallets);
+    const allNewTransactions = [];
+    
+    // Start time tracking - still keep time limit for each serverless function execution
+    const startTime = Date.now();
+    const timeLimit = 13000; // Keep the same time limit for serverless function
+    
+    for (let i = 0; i < wallets.length; i++) {
+      const walletTime = timeLimit - (Date.now() - startTime);
+      if (walletTime < 2000) {
+        console.log(`[Vercel] Approaching time limit, ${wallets.length - i} wallets left for the next run`);
+        break;
+      }
+      
+      // Split the time left evenly between the wallets still to fetch
+      const walletTransactions = await fetchWalletHistory(wallets[i], Math.floor(walletTime / (wallets.length - i)), options);
+      allNewTransactions.push(...walletTransactions);
+    }
+    
+    // The loops above only catch up on the newest signatures. Older history comes
+    // from the backfill job, which continues from its saved `before` signature
+    const remainingTime = timeLimit - (Date.now() - startTime);
+    if (remainingTime > 2000) {
+      const backfill = await backfillJob.resumeBackfill(DISTRIBUTION_WALLET_ADDRESS, {
+        timeLimit: remainingTime - 2000,
+        onPage: addFetchedTransactions,
+        background: options.background
+      });
+      allNewTransactions.push(...backfill.transactions);
+      console.log(`[Vercel] Backfill status: ${backfill.state.status} (${backfill.state.pages} pages, before: ${backfill.state.before || 'none'})`);
+    }
+    
+    console.log(`[Vercel] Historical fetch complete. Added ${allNewTransactions.length} new transactions for ${wallets.length} wallets.`);
+    
+    // Update last fetch time only if we found new transactions
+    if (allNewTransactions.length > 0) {
+      storage.lastFetchTime = Date.now();
+    }
+    
+    return allNewTransactions;
+  } catch (error) {
+    console.error('[Vercel] Error in historical transaction fetch:', error.message);
+    return [];
+  }
+}
+
+// Catch up on a wallet's newest signatures until they reach stored ones or the time limit passes
+async function fetchWalletHistory(walletAddress, timeLimit, options = {}) {
+  const newTransactions = [];
+  
+  try {
+    const existingSignatures = new Set(getWalletTransactions(walletAddress).map(tx => tx.signature));
+    console.log(`[Vercel] Loaded ${existingSignatures.size} existing transaction signatures for ${walletAddress}`);
     
-    let allNewTransactions = [];
     let hasMore = true;
     let beforeSignature = null;
     const batchSize = 10; // Keep batch size at 10 signatures at a time
     let batchCount = 0;
-    // Remove the maxBatches limit to allow continuous scanning
-    // const maxBatches = 1; 
-    
-    // Start time tracking - still keep time limit for each serverless function execution
     const startTime = Date.now();
-    const timeLimit = 13000; // Keep the same time limit for serverless function
-    
-    // Track if we've found any new transactions in this run
-    let foundNewTransactions = false;
     
-    // while (hasMore && batchCount < maxBatches) {
     while (hasMore) {
       // Check if we're approaching the time limit
       if (Date.now() - startTime > timeLimit) {
@@ -2115,34 +1773,18 @@ async function fetchAllHistoricalTransactions() {
       batchCount++;
       console.log(`[Vercel] Fetching batch ${batchCount} of signatures (before: ${beforeSignature || 'none'})...`);
       
-      // Prepare request data
-      const requestData = {
-        jsonrpc: '2.0',
-        id: 'my-id',
-        method: 'getSignaturesForAddress',
-        params: [
-          DISTRIBUTION_WALLET_ADDRESS,
-          {
-            limit: batchSize,
-            before: beforeSignature
-          }
-        ]
-      };
-      
       // Add exponential backoff for rate limiting
       let retryCount = 0;
       let success = false;
-      let response;
+      let signatures;
       
       while (!success && retryCount < 5) {
         try {
-          // Make direct request to Helius API
-          response = await axios.post(HELIUS_RPC_URL, requestData, {
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': HELIUS_API_KEY
-            },
-            timeout: 10000 // 10 second timeout
+          // Request through the provider, which fails over between RPC endpoints
+          signatures = await rpcProvider.getSignatures(walletAddress, {
+            limit: batchSize,
+            before: beforeSignature,
+            background: options.background
           });
           
           success = true;
@@ -2150,12 +1792,14 @@ async function fetchAllHistoricalTransactions() {
           retryCount++;
           const waitTime = Math.min(2000 * Math.pow(2, retryCount), 30000); // Exponential backoff, max 30 seconds
           
+          // The shared rate limiter has opened every endpoint's circuit, retrying won't help
+          if (error.rateLimited) {
+            console.log(`[Vercel] ${error.message}, stopping this run`);
+            break;
+          }
+          
           if (error.response && error.response.status === 429) {
             console.log(`[Vercel] Rate limit hit (429), retrying after ${waitTime}ms (attempt ${retryCount}/5)`);
-            // Enter cooldown mode if we hit rate limits
-            if (heliusRateLimiter.enterCooldown) {
-              heliusRateLimiter.enterCooldown();
-            }
           } else {
             console.log(`[Vercel] Request error: ${error.message}, retrying after ${waitTime}ms (attempt ${retryCount}/5)`);
           }
@@ -2170,14 +1814,12 @@ async function fetchAllHistoricalTransactions() {
       }
       
       // Check if response is valid
-      if (!success || !response || !response.data || !response.data.result || response.data.result.length === 0) {
+      if (!success || !signatures || signatures.length === 0) {
         console.log('[Vercel] No more signatures found or invalid response');
         hasMore = false;
         break;
       }
       
-      // Get signatures from response
-      const signatures = response.data.result;
       console.log(`[Vercel] Fetched ${signatures.length} signatures in batch ${batchCount}`);
       
       // Update beforeSignature for next batch
@@ -2204,9 +1846,6 @@ async function fetchAllHistoricalTransactions() {
         continue;
       }
       
-      // We found new transactions in this run
-      foundNewTransactions = true;
-      
       // Process new signatures - OPTIMIZED VERSION
       // Process up to 10 signatures per run to avoid timeouts
       const maxSignaturesToProcess = Math.min(newSignatures.length, 10);
@@ -2227,38 +1866,23 @@ async function fetchAllHistoricalTransactions() {
           // Add to existing signatures set to avoid reprocessing in future runs
           existingSignatures.add(sig.signature);
           
-          // Prepare request for transaction details
-          const txRequestData = {
-            jsonrpc: '2.0',
-            id: 'tx-details',
-            method: 'getTransaction',
-            params: [
-              sig.signature,
-              {
-                encoding: 'jsonParsed',
-                maxSupportedTransactionVersion: 0
-              }
-            ]
-          };
-          
           // Add retry logic for transaction details
           let txRetryCount = 0;
           let txSuccess = false;
-          let txResponse;
+          let txData;
           
           while (!txSuccess && txRetryCount < 3) {
             try {
-              // Make direct request to Helius API
-              txResponse = await axios.post(HELIUS_RPC_URL, txRequestData, {
-                headers: {
-                  'Content-Type': 'application/json',
-                  'x-api-key': HELIUS_API_KEY
-                },
-                timeout: 5000 // 5 second timeout for transaction details
-              });
+              // 5 second timeout for transaction details
+              txData = await rpcProvider.getTransaction(sig.signature, { timeout: 5000, background: options.background });
               
               txSuccess = true;
             } catch (error) {
+              // Retrying won't help until the usage budget resets
+              if (error.budgetPaused) {
+                throw error;
+              }
+              
               txRetryCount++;
               const waitTime = Math.min(1000 * Math.pow(2, txRetryCount), 8000); // Shorter backoff for tx details
               
@@ -2274,21 +1898,20 @@ async function fetchAllHistoricalTransactions() {
           }
           
           // Check if response is valid
-          if (!txSuccess || !txResponse || !txResponse.data || !txResponse.data.result) {
+          if (!txSuccess || !txData) {
             console.log(`[Vercel] Invalid transaction details response for ${sig.signature}, skipping`);
             continue;
           }
           
           // Process transaction
-          const txData = txResponse.data.result;
-          const processedTx = processTransaction(sig.signature, txData);
+          const processedTx = processTransaction(sig.signature, txData, walletAddress);
           
           if (processedTx) {
             // Create and save transaction
             const tx = new Transaction(processedTx);
             await tx.save();
             batchProcessedTransactions.push(tx);
-            allNewTransactions.push(tx);
+            newTransactions.push(tx);
           }
         } catch (error) {
           console.error(`[Vercel] Error processing transaction ${sig.signature}:`, error.message);
@@ -2301,6 +1924,9 @@ async function fetchAllHistoricalTransactions() {
       // Save after each batch to ensure we don't lose data
       if (batchProcessedTransactions.length > 0) {
         try {
+          // Group new transfers into distribution rounds, storing the round IDs that changed
+          await updateDistributionRounds();
+          
           await storage.save();
           console.log(`[Vercel] Saved ${batchProcessedTransactions.length} new transactions to storage`);
         } catch (saveError) {
@@ -2312,147 +1938,46 @@ async function fetchAllHistoricalTransactions() {
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
     
-    console.log(`[Vercel] Historical fetch complete. Added ${allNewTransactions.length} new transactions in ${batchCount} batches.`);
-    
-    // Update last fetch time only if we found new transactions
-    if (foundNewTransactions) {
-      storage.lastFetchTime = Date.now();
-    }
-    
-    return allNewTransactions;
+    console.log(`[Vercel] Added ${newTransactions.length} new transactions for ${walletAddress} in ${batchCount} batches`);
   } catch (error) {
-    console.error('[Vercel] Error in historical transaction fetch:', error.message);
-    return [];
+    console.error(`[Vercel] Error fetching transactions for ${walletAddress}:`, error.message);
   }
+  
+  return newTransactions;
 }
 
-// Add a new endpoint to trigger historical fetch
-app.get('/api/fetch-all', asyncHandler(async (req, res) => {
-  console.log('Starting full historical transaction fetch...');
+// Add a new endpoint to check transaction fetch status
+app.get('/api/fetch-status', asyncHandler(async (req, res) => {
+  console.log('Checking transaction fetch status...');
   
   try {
-    // Start the historical fetch
-    const newTransactions = await fetchAllHistoricalTransactions();
+    // Load transactions from storage to get the latest count
+    await storage.load();
+    
+    // Get transaction statistics
+    const solTransactions = transactions.filter(tx => tx.token === 'SOL');
+    const sentTransactions = solTransactions.filter(isOutgoing);
+    const receivedTransactions = solTransactions.filter(isIncoming);
+    
+    // Get the most recent transaction timestamp
+    const mostRecentTransaction = transactions.length > 0 
+      ? transactions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0]
+      : null;
+    
+    // Get background job status
+    const backgroundJobStatus = {
+      enabled: CONFIG.backgroundJobs.enabled,
+      isRunning: backgroundJobState.isRunning,
+      lastRunTime: backgroundJobState.lastRunTime,
+      nextRunTime: backgroundJobState.lastRunTime 
+        ? new Date(backgroundJobState.lastRunTime.getTime() + backgroundJobState.currentInterval)
+        : null,
+      currentInterval: `${backgroundJobState.currentInterval / 1000} seconds`,
+      consecutiveErrors: backgroundJobState.consecutiveErrors
+    };
     
     // Return response
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: process.env.VERCEL ? true : false,
-      message: 'Historical transaction fetch completed',
-      newTransactionsCount: newTransactions.length,
-      totalTransactionsCount: transactions.length,
-      note: 'This process fetches transactions in batches and may not get all transactions in a single run due to serverless time constraints.'
-    });
-  } catch (error) {
-    console.error('Error in /api/fetch-all:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to fetch all historical transactions',
-        details: error.message
-      }
-    });
-  }
-}));
-
-// Add a new endpoint to trigger historical fetch
-app.get('/api/fetch-all', asyncHandler(async (req, res) => {
-  console.log('Starting continuous transaction fetch...');
-  
-  try {
-    // Start the historical fetch
-    const newTransactions = await fetchAllHistoricalTransactions();
-    
-    // Return response
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: process.env.VERCEL ? true : false,
-      message: 'Continuous transaction fetch completed',
-      newTransactionsCount: newTransactions.length,
-      totalTransactionsCount: transactions.length,
-      note: 'This endpoint will always attempt to fetch new transactions regardless of when it was last called. Call it repeatedly to continuously collect all transactions.'
-    });
-  } catch (error) {
-    console.error('Error in /api/fetch-all:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to fetch all historical transactions',
-        details: error.message
-      }
-    });
-  }
-}));
-
-// Add a new endpoint to trigger continuous transaction fetch
-app.get('/api/fetch-all', asyncHandler(async (req, res) => {
-  console.log('Starting continuous transaction fetch...');
-  
-  try {
-    // Start the historical fetch
-    const newTransactions = await fetchAllHistoricalTransactions();
-    
-    // Return response
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: process.env.VERCEL ? true : false,
-      message: 'Continuous transaction fetch completed',
-      newTransactionsCount: newTransactions.length,
-      totalTransactionsCount: transactions.length,
-      note: 'This endpoint will always attempt to fetch new transactions regardless of when it was last called. Call it repeatedly to continuously collect all transactions.'
-    });
-  } catch (error) {
-    console.error('Error in /api/fetch-all:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to fetch all historical transactions',
-        details: error.message
-      }
-    });
-  }
-}));
-
-// Add a new endpoint to check transaction fetch status
-app.get('/api/fetch-status', asyncHandler(async (req, res) => {
-  console.log('Checking transaction fetch status...');
-  
-  try {
-    // Load transactions from storage to get the latest count
-    await storage.load();
-    
-    // Get transaction statistics
-    const solTransactions = transactions.filter(tx => tx.token === 'SOL');
-    const sentTransactions = solTransactions.filter(tx => tx.type === 'sent');
-    const receivedTransactions = solTransactions.filter(tx => tx.type === 'received');
-    
-    // Get the most recent transaction timestamp
-    const mostRecentTransaction = transactions.length > 0 
-      ? transactions.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0]
-      : null;
-    
-    // Get background job status
-    const backgroundJobStatus = {
-      enabled: CONFIG.backgroundJobs.enabled,
-      isRunning: backgroundJobState.isRunning,
-      lastRunTime: backgroundJobState.lastRunTime,
-      nextRunTime: backgroundJobState.lastRunTime 
-        ? new Date(backgroundJobState.lastRunTime.getTime() + backgroundJobState.currentInterval)
-        : null,
-      currentInterval: `${backgroundJobState.currentInterval / 1000} seconds`,
-      consecutiveErrors: backgroundJobState.consecutiveErrors
-    };
-    
-    // Return response
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       environment: process.env.NODE_ENV || 'development',
       vercel: process.env.VERCEL ? true : false,
       status: {
@@ -2467,147 +1992,383 @@ app.get('/api/fetch-status', asyncHandler(async (req, res) => {
           amount: mostRecentTransaction.amount
         } : null,
         lastFetchTimestamp: lastFetchTimestamp,
-        backgroundJob: backgroundJobStatus
+        backgroundJob: backgroundJobStatus,
+        backfill: await backfillJob.getBackfillStatus(),
+        webhook: await webhookIngest.getStatus()
       }
     });
   } catch (error) {
     console.error('Error in /api/fetch-status:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get transaction fetch status',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get transaction fetch status' });
   }
 }));
 
-// Add a new endpoint to control background jobs
-app.get('/api/background-job/:action', asyncHandler(async (req, res) => {
+// Control the historical backfill
+// start takes an optional range (fromSlot, toSlot, from, to) and replaces any earlier backfill,
+// run continues the saved backfill, pause stops it after the current page, reset forgets it
+// start backfills ?wallet when given, otherwise the main distribution wallet
+app.post('/api/admin/backfill/:action', asyncHandler(async (req, res) => {
   const action = req.params.action;
-  console.log(`Background job control: ${action}`);
+  console.log(`Backfill control: ${action}`);
   
   try {
     let message = '';
-    let success = true;
     
     switch (action) {
-      case 'start':
-        if (!CONFIG.backgroundJobs.enabled) {
-          CONFIG.backgroundJobs.enabled = true;
-          startBackgroundJobs();
-          message = 'Background jobs started successfully';
-        } else if (backgroundJobState.timerId) {
-          message = 'Background jobs are already running';
-        } else {
-          startBackgroundJobs();
-          message = 'Background jobs restarted successfully';
+      case 'start': {
+        const wallet = await getRequestWallet(req, res);
+        if (!wallet) {
+          return;
         }
-        break;
-        
-      case 'stop':
-        if (backgroundJobState.timerId) {
-          clearTimeout(backgroundJobState.timerId);
-          backgroundJobState.timerId = null;
-          backgroundJobState.isRunning = false;
-          CONFIG.backgroundJobs.enabled = false;
-          message = 'Background jobs stopped successfully';
-        } else {
-          message = 'Background jobs are not running';
+        try {
+          await backfillJob.startBackfill(wallet.address, req.query);
+        } catch (error) {
+          return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid backfill request', details: error.message });
         }
+        await backfillJob.runBackfill(wallet.address, {
+          timeLimit: CONFIG.backfill.timeLimit,
+          onPage: addFetchedTransactions
+        });
+        message = `Backfill started for ${wallet.address}`;
         break;
+      }
         
-      case 'run-now':
-        // Trigger a fetch job immediately
-        fetchAllHistoricalTransactions()
-          .then(newTransactions => {
-            console.log(`Manual job run completed: fetched ${newTransactions.length} new transactions`);
-          })
-          .catch(err => {
-            console.error('Error in manual job run:', err);
-          });
+      case 'run':
+        await backfillJob.runBackfill(DISTRIBUTION_WALLET_ADDRESS, {
+          timeLimit: CONFIG.backfill.timeLimit,
+          onPage: addFetchedTransactions
+        });
+        message = 'Backfill run completed';
+        break;
         
-        message = 'Manual job run triggered';
+      case 'pause':
+        await backfillJob.pauseBackfill();
+        message = 'Backfill paused';
         break;
         
       case 'reset':
-        // Reset the background job state
-        if (backgroundJobState.timerId) {
-          clearTimeout(backgroundJobState.timerId);
-        }
-        
-        backgroundJobState.isRunning = false;
-        backgroundJobState.lastRunTime = null;
-        backgroundJobState.consecutiveErrors = 0;
-        backgroundJobState.currentInterval = CONFIG.backgroundJobs.autoFetchInterval;
-        backgroundJobState.timerId = null;
-        
-        // Restart if enabled
-        if (CONFIG.backgroundJobs.enabled) {
-          startBackgroundJobs();
-        }
-        
-        message = 'Background job state reset successfully';
+        await backfillJob.resetBackfill();
+        message = 'Backfill reset';
         break;
         
       default:
-        success = false;
-        message = `Unknown action: ${action}. Valid actions are: start, stop, run-now, reset`;
+        return sendError(res, CODES.INVALID_REQUEST, {
+          message: `Invalid action: ${action}`,
+          details: 'Valid actions are: start, run, pause, reset'
+        });
     }
     
-    // Return response
-    res.json({
-      success,
-      timestamp: new Date().toISOString(),
-      action,
+    const { api_key, ...params } = req.query;
+    await auditRequest(req, `backfill.${action}`, { params: { ...params, message } });
+    
+    sendSuccess(res, {
       message,
-      backgroundJobStatus: {
-        enabled: CONFIG.backgroundJobs.enabled,
-        isRunning: backgroundJobState.isRunning,
-        lastRunTime: backgroundJobState.lastRunTime,
-        nextRunTime: backgroundJobState.lastRunTime 
-          ? new Date(backgroundJobState.lastRunTime.getTime() + backgroundJobState.currentInterval)
-          : null,
-        currentInterval: `${backgroundJobState.currentInterval / 1000} seconds`,
-        consecutiveErrors: backgroundJobState.consecutiveErrors
-      }
+      backfill: await backfillJob.getBackfillStatus()
     });
   } catch (error) {
-    console.error(`Error in /api/background-job/${action}:`, error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: `Failed to ${action} background job`,
-        details: error.message
-      }
-    });
+    console.error('Error in /api/admin/backfill:', error);
+    sendError(res, error, { message: 'Failed to control backfill' });
   }
 }));
 
-// 404 handler
-app.use((req, res, next) => {
-  res.status(404).json({
-    success: false,
-    timestamp: new Date().toISOString(),
-    error: {
-      message: `Route not found: ${req.method} ${req.url}`,
-      code: 404
+// Helius webhook receiver for enhanced transactions
+// Authenticated with the shared secret set as the webhook's auth header, checked before validation
+// above, polling stays as a fallback
+app.post('/api/webhooks/helius', asyncHandler(async (req, res) => {
+  try {
+    // Each delivered transaction is stored once for every tracked wallet it involves
+    await getTrackedWallets();
+    const result = await webhookIngest.ingestEnhancedTransactions(req.body, Array.from(trackedWallets));
+    
+    if (result.transactions.length > 0) {
+      await addFetchedTransactions(result.transactions);
+      
+      // Notify holders right away instead of waiting for the next poll
+      checkAndNotifyNewRewards().catch(err =>
+        console.error('Error sending reward notifications after webhook:', err)
+      );
     }
+    
+    sendSuccess(res, {
+      received: result.received,
+      stored: result.stored,
+      duplicates: result.duplicates,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Error in /api/webhooks/helius:', error);
+    sendError(res, error, { message: 'Failed to ingest webhook payload' });
+  }
+}));
+
+// Result of the last gap check
+app.get('/api/gaps', asyncHandler(async (req, res) => {
+  try {
+    const result = await gapDetector.getLastResult();
+    
+    sendSuccess(res, {
+      running: gapDetector.isRunning(),
+      message: result ? undefined : 'No gap check has run yet. Use /api/gaps/check to run one',
+      result
+    });
+  } catch (error) {
+    console.error('Error in /api/gaps:', error);
+    sendError(res, error, { message: 'Failed to get gap check result' });
+  }
+}));
+
+// Compare stored transactions with the wallet's signatures on chain, ?wallet checks another tracked wallet
+// Only reports the gaps, POST /api/admin/gaps/repair refetches them
+app.get('/api/gaps/check', asyncHandler(async (req, res) => {
+  const wallet = await getRequestWallet(req, res);
+  if (!wallet) {
+    return;
+  }
+  console.log(`Running gap check for ${wallet.address}...`);
+  
+  try {
+    const result = await gapDetector.checkHistory(wallet.address, {
+      timeLimit: CONFIG.gapCheck.timeLimit
+    });
+    
+    sendSuccess(res, {
+      result
+    });
+  } catch (error) {
+    console.error('Error in /api/gaps/check:', error);
+    sendError(res, error, { message: 'Failed to check for gaps' });
+  }
+}));
+
+// Run a gap check and fetch and store the missing transactions, ?wallet repairs another tracked wallet
+app.post('/api/admin/gaps/repair', asyncHandler(async (req, res) => {
+  const wallet = await getRequestWallet(req, res);
+  if (!wallet) {
+    return;
+  }
+  console.log(`Running gap check for ${wallet.address} with repair...`);
+  
+  try {
+    const result = await runAudited(req, 'gaps.repair', { wallet: wallet.address }, () =>
+      gapDetector.checkHistory(wallet.address, {
+        repair: true,
+        timeLimit: CONFIG.gapCheck.timeLimit,
+        onRepaired: addFetchedTransactions
+      })
+    );
+    
+    sendSuccess(res, {
+      result
+    });
+  } catch (error) {
+    console.error('Error in /api/admin/gaps/repair:', error);
+    sendError(res, error, { message: 'Failed to repair gaps' });
+  }
+}));
+
+// Compare a wallet's on-chain SOL balance with received - sent - fees from stored transactions
+// Checks the distribution wallet unless wallet is given, POST /api/admin/reconciliation also alerts admins
+app.get('/api/reconciliation', asyncHandler(async (req, res) => {
+  const walletAddress = req.query.wallet || DISTRIBUTION_WALLET_ADDRESS;
+  console.log(`Reconciling balance for ${walletAddress}...`);
+  
+  try {
+    const report = await balanceReconciler.reconcileBalance(walletAddress);
+    
+    sendSuccess(res, {
+      report
+    });
+  } catch (error) {
+    console.error('Error in /api/reconciliation:', error);
+    sendError(res, error, { message: 'Failed to reconcile wallet balance' });
+  }
+}));
+
+// Reconcile like GET /api/reconciliation and message admins in Telegram about a new delta
+app.post('/api/admin/reconciliation', asyncHandler(async (req, res) => {
+  const walletAddress = req.query.wallet || DISTRIBUTION_WALLET_ADDRESS;
+  console.log(`Reconciling balance for ${walletAddress} with alerts...`);
+  
+  try {
+    const report = await balanceReconciler.reconcileBalance(walletAddress, {
+      alert: true
+    });
+    await auditRequest(req, 'reconciliation.alert', { params: { wallet: walletAddress } });
+    
+    sendSuccess(res, {
+      report
+    });
+  } catch (error) {
+    console.error('Error in /api/admin/reconciliation:', error);
+    sendError(res, error, { message: 'Failed to reconcile wallet balance' });
+  }
+}));
+
+// Get a holder's reward history in daily, weekly or monthly buckets
+app.get('/api/wallet/:address/rewards', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  // The address format and interval are checked against the OpenAPI document
+  const interval = req.query.interval || 'day';
+  
+  let from;
+  let to;
+  try {
+    from = rewardLedger.parseDateParam(req.query.from, 'from');
+    to = rewardLedger.parseDateParam(req.query.to, 'to');
+  } catch (error) {
+    return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid date range', details: error.message });
+  }
+  
+  if (from && to && from > to) {
+    return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid date range', details: '"from" must be before "to"' });
+  }
+  
+  // Rewards paid by ?wallet= or the main distribution wallet
+  const wallet = await getRequestWallet(req, res);
+  if (!wallet) {
+    return;
+  }
+  
+  // Records written by the collector, the bot or a webhook in another process are in storage
+  await loadStoredTransactions();
+  
+  console.log(`Building ${interval} reward ledger for wallet: ${address}`);
+  const ledger = rewardLedger.buildRewardLedger(getWalletTransactions(wallet.address), address, {
+    from,
+    to,
+    interval,
+    token: req.query.token || 'SOL',
+    distributionWallet: wallet.address
   });
-});
+  
+  sendSuccess(res, {
+    wallet,
+    ...ledger
+  });
+}));
 
-// Error handler middleware
-app.use((err, req, res, next) => {
-  console.error('API Error:', err);
-  res.status(500).json({
-    success: false,
-    timestamp: new Date().toISOString(),
-    error: {
-      message: err.message || 'Internal server error',
-      code: err.code || 500
-    }
+// Rank recipients by total SOL received from the distribution wallet
+// Supports ?limit, ?offset, ?period (all, day, week, month, 7d, 24h...) or ?from/?to, ?address for a rank lookup
+// and ?wallet for another tracked distribution wallet
+app.get('/api/leaderboard', asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+  const offset = parseInt(req.query.offset) || 0;
+  // The address format is checked against the OpenAPI document
+  const { address } = req.query;
+  
+  let from;
+  let to;
+  try {
+    from = req.query.period
+      ? leaderboard.parsePeriod(req.query.period)
+      : rewardLedger.parseDateParam(req.query.from, 'from');
+    to = rewardLedger.parseDateParam(req.query.to, 'to');
+  } catch (error) {
+    return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid time window', details: error.message });
+  }
+  
+  const wallet = await getRequestWallet(req, res);
+  if (!wallet) {
+    return;
+  }
+  
+  // Records written by the collector, the bot or a webhook in another process are in storage
+  await loadStoredTransactions();
+  
+  const page = leaderboard.getLeaderboardPage(getWalletTransactions(wallet.address), {
+    limit,
+    offset,
+    from,
+    to,
+    address,
+    token: req.query.token || 'SOL',
+    distributionWallet: wallet.address
   });
-});
+  
+  sendSuccess(res, {
+    wallet,
+    period: req.query.period || null,
+    ...page
+  });
+}));
+
+// List distribution rounds, newest first, sent by ?wallet or the main distribution wallet
+app.get('/api/rounds', asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const offset = parseInt(req.query.offset) || 0;
+  
+  const wallet = await getRequestWallet(req, res);
+  if (!wallet) {
+    return;
+  }
+  
+  // Records written by the collector, the bot or a webhook in another process are in storage
+  await loadStoredTransactions();
+  
+  let rounds = distributionRounds.detectRounds(getWalletTransactions(wallet.address)).map(round => round.summary);
+  if (req.query.token) {
+    rounds = rounds.filter(round => round.token === req.query.token);
+  }
+  
+  sendSuccess(res, {
+    wallet,
+    roundGapSeconds: distributionRounds.DEFAULT_ROUND_GAP_SECONDS,
+    count: rounds.length,
+    offset,
+    limit,
+    rounds: rounds.slice(offset, offset + limit)
+  });
+}));
+
+// Get a single distribution round with its transfers
+app.get('/api/rounds/:id', asyncHandler(async (req, res) => {
+  await loadStoredTransactions();
+  const round = distributionRounds.getRound(transactions, req.params.id);
+  
+  if (!round) {
+    return sendError(res, CODES.ROUND_NOT_FOUND, { message: `Round not found: ${req.params.id}` });
+  }
+  
+  sendSuccess(res, {
+    round: round.summary,
+    transactions: round.transactions
+  });
+}));
+
+// Get the active classification rules
+app.get('/api/rules', asyncHandler(async (req, res) => {
+  sendSuccess(res, {
+    ...classificationRules.getRulesInfo()
+  });
+}));
+
+// Dry-run classification rules against stored transactions
+// Sections given in the request body (rules, systemAddresses, transferProgramIds)
+// replace the ones in the rules file on disk
+app.post('/api/rules/dry-run', asyncHandler(async (req, res) => {
+  let rules;
+  try {
+    const { rules: ruleList, systemAddresses, transferProgramIds } = req.body || {};
+    const overrides = Object.fromEntries(
+      Object.entries({ rules: ruleList, systemAddresses, transferProgramIds }).filter(([, value]) => value !== undefined)
+    );
+    rules = classificationRules.compileRules({ ...classificationRules.readRawRules(), ...overrides });
+  } catch (error) {
+    return sendError(res, CODES.RULES_INVALID, { details: error.message });
+  }
+  
+  const walletAddress = (req.body && req.body.walletAddress) || DISTRIBUTION_WALLET_ADDRESS;
+  const sampleSize = Math.min(parseInt(req.body && req.body.limit) || 50, 500);
+  
+  console.log(`Dry-running ${rules.rules.length} classification rules against ${transactions.length} transactions`);
+  const report = dryRunRules(transactions, walletAddress, rules, sampleSize);
+  
+  sendSuccess(res, {
+    walletAddress,
+    ruleCount: rules.rules.length,
+    report
+  });
+}));
 
 // Initialize the app
 async function initializeApp() {
@@ -2615,11 +2376,28 @@ async function initializeApp() {
     // Initialize storage
     await storage.init();
     
+    // Load classification rules and reload them when the file changes
+    classificationRules.loadRules();
+    classificationRules.watchRules();
+    
     // Start background jobs if enabled
     if (CONFIG.backgroundJobs.enabled) {
       startBackgroundJobs();
     }
     
+    // Watch tracked wallets over the RPC websocket, polling stays as a fallback
+    // storage.init() has loaded the wallet registry, later changes are applied by syncTrackedWallets()
+    if (CONFIG.subscriber.enabled) {
+      rpcSubscriber.start(Array.from(trackedWallets), {
+        onTransactions: async newTransactions => {
+          await addFetchedTransactions(newTransactions);
+          checkAndNotifyNewRewards().catch(err =>
+            console.error('Error sending reward notifications after subscription:', err)
+          );
+        }
+      });
+    }
+    
     // Start the server
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
@@ -2709,8 +2487,15 @@ function startBackgroundJobs() {
       try {
         // Use the historical fetch function to get all transactions
         // This will now scan continuously due to our modifications
-        await fetchAllHistoricalTransactions();
+        // As a background fetch it stops while provider usage is close to the credit budget
+        await fetchAllHistoricalTransactions({ background: true });
         console.log('Auto-fetch job completed successfully');
+        
+        if (CONFIG.reconciliation.alerts) {
+          for (const walletAddress of trackedWallets) {
+            await balanceReconciler.reconcileBalance(walletAddress, { alert: true });
+          }
+        }
       } catch (fetchError) {
         console.error('Error in auto-fetch job:', fetchError.message);
         
@@ -2745,192 +2530,575 @@ function startBackgroundJobs() {
     }
   }
   
-  // Start the auto-fetch job immediately
-  runAutoFetchJob().catch(err => console.error('Error starting auto-fetch job:', err));
+  // Start the auto-fetch job immediately
+  runAutoFetchJob().catch(err => console.error('Error starting auto-fetch job:', err));
+  
+  // Also start the stop collection flag check job
+  nodeSetTimeout(checkStopCollectionFlag, STOP_COLLECTION_CONFIG.checkInterval);
+}
+
+// Initialize the app
+initializeApp();
+
+// Add an endpoint to check the status of data collection
+app.get('/api/collection-status', asyncHandler(async (req, res) => {
+  console.log('Checking data collection status...');
+  
+  try {
+    // Check the stop flag
+    const isStopped = await checkStopCollectionFlag();
+    
+    // Return the status
+    sendSuccess(res, {
+      environment: process.env.NODE_ENV || 'development',
+      vercel: process.env.VERCEL ? true : false,
+      collectionStatus: {
+        isRunning: !isStopped && !backgroundJobState.isStopped,
+        isStopped: isStopped || backgroundJobState.isStopped,
+        lastRunTime: backgroundJobState.lastRunTime,
+        nextRunTime: backgroundJobState.lastRunTime && !backgroundJobState.isStopped
+          ? new Date(backgroundJobState.lastRunTime.getTime() + backgroundJobState.currentInterval)
+          : null,
+        consecutiveErrors: backgroundJobState.consecutiveErrors,
+        currentInterval: `${backgroundJobState.currentInterval / 1000} seconds`,
+        subscriber: {
+          enabled: CONFIG.subscriber.enabled,
+          ...rpcSubscriber.getStatus()
+        },
+        // Background fetching pauses while this is paused
+        usageBudget: await usageTracker.checkBudget()
+      }
+    });
+  } catch (error) {
+    console.error('Error in /api/collection-status:', error);
+    sendError(res, error, { message: 'Failed to check data collection status' });
+  }
+}));
+
+// Provider calls and Helius credits used today, this month and over the last days
+app.get('/api/usage', asyncHandler(async (req, res) => {
+  try {
+    const usage = await usageTracker.getUsage({ days: req.query.days });
+    sendSuccess(res, {
+      ...usage
+    });
+  } catch (error) {
+    console.error('Error in /api/usage:', error);
+    sendError(res, error, { message: 'Failed to get usage' });
+  }
+}));
+
+// The Telegram user the admin bot acts for, sent as X-Audit-Actor with the master key
+// Other keys can't act for someone else
+function getDelegatedActor(req) {
+  if (!req.apiKey || !req.apiKey.master || !req.headers['x-audit-actor']) {
+    return null;
+  }
+  
+  let name = null;
+  try {
+    name = req.headers['x-audit-actor-name'] ? decodeURIComponent(req.headers['x-audit-actor-name']) : null;
+  } catch (error) {
+    name = req.headers['x-audit-actor-name'];
+  }
+  return { id: String(req.headers['x-audit-actor']), name };
+}
+
+// Who made an admin request, stored with its jobs and audit entries
+function getRequester(req) {
+  const delegated = getDelegatedActor(req);
+  if (delegated) {
+    return delegated;
+  }
+  return req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name } : { id: 'local', name: 'local request' };
+}
+
+// Append an audit entry for a request
+function auditRequest(req, action, details = {}) {
+  return auditLog.record(action, {
+    ...details,
+    actor: getRequester(req),
+    channel: getDelegatedActor(req) ? auditLog.CHANNELS.TELEGRAM : auditLog.CHANNELS.API
+  });
+}
+
+// Run an admin operation and audit it with the stored transaction counts before and after
+async function runAudited(req, action, params, fn) {
+  const countStored = () => auditLog.countTransactions().catch(() => null);
+  const before = { transactions: await countStored() };
+  
+  try {
+    const result = await fn();
+    await auditRequest(req, action, { params, before, after: { transactions: await countStored() } });
+    return result;
+  } catch (error) {
+    await auditRequest(req, action, { params, before, after: { transactions: await countStored() }, error });
+    throw error;
+  }
+}
+
+// List issued API keys with their scopes, quotas and usage, never the keys themselves
+app.get('/api/admin/keys', asyncHandler(async (req, res) => {
+  try {
+    const keys = await apiKeys.listKeys();
+    sendSuccess(res, {
+      scopes: Object.values(apiKeys.SCOPES),
+      count: keys.length,
+      keys
+    });
+  } catch (error) {
+    console.error('Error in /api/admin/keys:', error);
+    sendError(res, error, { message: 'Failed to list API keys' });
+  }
+}));
+
+// Issue an API key
+// Body: name, scopes (list or comma-separated), optional dailyQuota and expiresAt or expiresInDays
+app.post('/api/admin/keys', asyncHandler(async (req, res) => {
+  let issued;
+  try {
+    issued = await apiKeys.createKey(req.body || {});
+  } catch (error) {
+    await auditRequest(req, 'api-key.issue', { params: { name: (req.body || {}).name, scopes: (req.body || {}).scopes }, error });
+    return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid API key request', details: error.message });
+  }
+  
+  await auditRequest(req, 'api-key.issue', {
+    params: { id: issued.key.id, name: issued.key.name, scopes: issued.key.scopes, dailyQuota: issued.key.dailyQuota, expiresAt: issued.key.expiresAt }
+  });
+  
+  sendSuccess(res, {
+    message: 'API key issued. Store it now, it cannot be shown again',
+    apiKey: issued.secret,
+    key: issued.key
+  }, 201);
+}));
+
+// Revoke an API key, it stays listed with its usage
+app.delete('/api/admin/keys/:id', asyncHandler(async (req, res) => {
+  try {
+    const key = await apiKeys.revokeKey(req.params.id);
+    await auditRequest(req, 'api-key.revoke', {
+      params: { id: req.params.id, name: key ? key.name : null },
+      result: key ? 'success' : 'not-found'
+    });
+    if (!key) {
+      return sendError(res, CODES.API_KEY_NOT_FOUND, { message: `API key not found: ${req.params.id}` });
+    }
+    
+    sendSuccess(res, {
+      message: 'API key revoked',
+      key
+    });
+  } catch (error) {
+    console.error('Error in /api/admin/keys:', error);
+    sendError(res, error, { message: 'Failed to revoke API key' });
+  }
+}));
+
+// Admin API
+// State-changing operations need an admin-scoped key (or the master key) and POST or DELETE.
+// Long operations start a job and answer 202 with its ID, poll /api/admin/jobs/:id for the result
+
+// Answer with a started job, or with the job of the same type that is already running
+function sendJob(res, started, message) {
+  sendSuccess(res, {
+    message: started.created ? message : `A ${started.job.type} job is already running`,
+    jobId: started.job.id,
+    statusUrl: `/api/admin/jobs/${started.job.id}`,
+    job: started.job
+  }, started.created ? 202 : 200);
+}
+
+// State of the background fetch job
+function getBackgroundJobStatus() {
+  return {
+    enabled: CONFIG.backgroundJobs.enabled,
+    isRunning: backgroundJobState.isRunning,
+    lastRunTime: backgroundJobState.lastRunTime,
+    nextRunTime: backgroundJobState.lastRunTime 
+      ? new Date(backgroundJobState.lastRunTime.getTime() + backgroundJobState.currentInterval)
+      : null,
+    currentInterval: `${backgroundJobState.currentInterval / 1000} seconds`,
+    consecutiveErrors: backgroundJobState.consecutiveErrors
+  };
+}
+
+// Force save with the storage interval check bypassed
+async function forceSave() {
+  const originalInterval = STORAGE_CONFIG.storageInterval;
+  STORAGE_CONFIG.storageInterval = 0;
+  STORAGE_CONFIG.lastStorageTime = null;
+  
+  try {
+    return await storage.save();
+  } finally {
+    STORAGE_CONFIG.storageInterval = originalInterval;
+  }
+}
+
+// Recent admin jobs, newest first, with optional ?type and ?limit
+app.get('/api/admin/jobs', asyncHandler(async (req, res) => {
+  try {
+    const jobs = await jobRegistry.listJobs({ type: req.query.type, limit: req.query.limit });
+    sendSuccess(res, {
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    console.error('Error in /api/admin/jobs:', error);
+    sendError(res, error, { message: 'Failed to list jobs' });
+  }
+}));
+
+// Status and result of one admin job
+app.get('/api/admin/jobs/:id', asyncHandler(async (req, res) => {
+  const job = await jobRegistry.getJob(req.params.id);
+  if (!job) {
+    return sendError(res, CODES.JOB_NOT_FOUND, { message: `Job not found: ${req.params.id}` });
+  }
+  
+  sendSuccess(res, {
+    job
+  });
+}));
+
+// Audit log of administrative and destructive actions, newest first
+// Query: action, channel (api, telegram or system), actor, from and to (ISO or unix time), limit and offset
+app.get('/api/admin/audit', asyncHandler(async (req, res) => {
+  let entries;
+  try {
+    entries = await auditLog.list(req.query);
+  } catch (error) {
+    return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid audit log query', details: error.message });
+  }
+  
+  sendSuccess(res, {
+    count: entries.length,
+    entries
+  });
+}));
+
+// Record an action taken outside the API, such as an admin bot command
+// Body: action, actor ({ id, name }), and optionally params, before and after; needs the master key
+app.post('/api/admin/audit', asyncHandler(async (req, res) => {
+  if (!req.apiKey || !req.apiKey.master) {
+    return sendError(res, CODES.MASTER_KEY_REQUIRED, { message: 'Forbidden: Recording audit entries requires the master API key' });
+  }
+  
+  // action and actor.id are required by the OpenAPI document
+  const { action, actor, params, before, after, error } = req.body;
   
-  // Also start the stop collection flag check job
-  nodeSetTimeout(checkStopCollectionFlag, STOP_COLLECTION_CONFIG.checkInterval);
-}
+  const entry = await auditLog.record(String(action), {
+    actor,
+    channel: auditLog.CHANNELS.TELEGRAM,
+    params,
+    before,
+    after,
+    error
+  });
+  if (!entry) {
+    return sendError(res, CODES.STORAGE_UNAVAILABLE, { message: 'Failed to store audit entry' });
+  }
+  
+  sendSuccess(res, {
+    entry
+  }, 201);
+}));
 
-// Initialize the app
-initializeApp();
+// Fetch the newest transactions of the main wallet
+app.post('/api/admin/refresh', asyncHandler(async (req, res) => {
+  // Check if we've fetched recently to avoid rate limits
+  const lastFetchTime = lastFetchTimestamp ? new Date(lastFetchTimestamp) : null;
+  const timeSinceLastFetch = lastFetchTime ? (new Date() - lastFetchTime) : Infinity;
+  
+  if (timeSinceLastFetch < 60000) { // 1 minute
+    console.log(`Last fetch was ${Math.round(timeSinceLastFetch / 1000)} seconds ago. Skipping to avoid rate limits.`);
+    
+    return sendSuccess(res, {
+      message: 'Skipped refresh to avoid rate limits',
+      lastFetch: lastFetchTimestamp,
+      waitTime: 60000 - timeSinceLastFetch,
+      totalTransactions: transactions.length
+    });
+  }
+  
+  const started = jobRegistry.startJob('refresh', job => runAudited(req, 'transactions.refresh', { jobId: job.id }, async () => {
+    await storage.load();
+    const fetchedTransactions = await fetchTransactionsVercel(20);
+    if (fetchedTransactions.length > 0) {
+      await addFetchedTransactions(fetchedTransactions);
+    }
+    return { newTransactions: fetchedTransactions.length, totalTransactions: transactions.length };
+  }), { requestedBy: getRequester(req) });
+  
+  sendJob(res, started, 'Refresh started');
+}));
 
-// Add a new endpoint to force save to Blob storage
-app.get('/api/force-save', asyncHandler(async (req, res) => {
-  console.log('Forcing save to Blob storage...');
+// Clear every stored transaction, fetch the newest ones again and then the history
+app.post('/api/admin/force-refresh', asyncHandler(async (req, res) => {
+  console.log('Forcing full refresh of all transactions...');
   
-  try {
-    // Temporarily bypass the storage interval check
-    const originalInterval = STORAGE_CONFIG.storageInterval;
-    STORAGE_CONFIG.storageInterval = 0;
-    STORAGE_CONFIG.lastStorageTime = null;
+  const started = jobRegistry.startJob('force-refresh', job => runAudited(req, 'transactions.force-refresh', { jobId: job.id }, async () => {
+    const StoredTransaction = require('../src/models/Transaction');
+    await StoredTransaction.clearAll();
+    transactions.length = 0;
+    lastFetchTimestamp = null;
+    console.log('Cleared all stored and in-memory transactions');
     
-    // Force save
-    const saveResult = await storage.save();
+    // Fetch fresh transactions - limited to 10
+    const fetchedTransactions = await fetchTransactionsVercel(10);
+    transactions.push(...fetchedTransactions);
+    lastFetchTimestamp = new Date().toISOString();
+    await forceSave();
     
-    // Restore original interval
-    STORAGE_CONFIG.storageInterval = originalInterval;
+    // Then walk the history within the usual time limit
+    const historicalTransactions = fetchedTransactions.length > 0 ? await fetchAllHistoricalTransactions() : [];
     
-    // Return response
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: process.env.VERCEL ? true : false,
-      message: saveResult ? 'Successfully forced save to Blob storage' : 'Failed to save to Blob storage',
+    return {
+      fetchedTransactions: fetchedTransactions.length,
+      historicalTransactions: historicalTransactions.length,
+      totalTransactions: transactions.length
+    };
+  }), { requestedBy: getRequester(req) });
+  
+  sendJob(res, started, 'Force refresh started');
+}));
+
+// Fetch historical transactions of every tracked wallet
+app.post('/api/admin/fetch-all', asyncHandler(async (req, res) => {
+  console.log('Starting full historical transaction fetch...');
+  
+  const started = jobRegistry.startJob('fetch-all', job => runAudited(req, 'transactions.fetch-all', { jobId: job.id }, async () => {
+    const newTransactions = await fetchAllHistoricalTransactions();
+    return { newTransactions: newTransactions.length, totalTransactions: transactions.length };
+  }), { requestedBy: getRequester(req) });
+  
+  sendJob(res, started, 'Historical fetch started');
+}));
+
+// Save in-memory transactions to storage now
+app.post('/api/admin/force-save', asyncHandler(async (req, res) => {
+  console.log('Forcing save to storage...');
+  
+  try {
+    const saveResult = await runAudited(req, 'transactions.force-save', null, forceSave);
+    
+    sendSuccess(res, {
+      message: saveResult ? 'Successfully forced save to storage' : 'Failed to save to storage',
       transactionCount: transactions.length,
       savedAt: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error in /api/force-save:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to force save to Blob storage',
-        details: error.message
-      }
-    });
+    console.error('Error in /api/admin/force-save:', error);
+    sendError(res, error, { message: 'Failed to force save to storage' });
   }
 }));
 
-// Add an endpoint to check the status of data collection
-app.get('/api/collection-status', asyncHandler(async (req, res) => {
-  console.log('Checking data collection status...');
-  
+// Add a sample transaction to the main wallet (for testing)
+app.post('/api/admin/sample-transaction', asyncHandler(async (req, res) => {
   try {
-    // Check the stop flag
-    const isStopped = await checkStopCollectionFlag();
+    console.log('Adding sample transaction...');
     
-    // Return the status
-    res.json({
-      success: true,
+    const transaction = new Transaction({
+      signature: `sample-${Date.now()}`,
+      wallet: DISTRIBUTION_WALLET_ADDRESS,
       timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: process.env.VERCEL ? true : false,
-      collectionStatus: {
-        isRunning: !isStopped && !backgroundJobState.isStopped,
-        isStopped: isStopped || backgroundJobState.isStopped,
-        lastRunTime: backgroundJobState.lastRunTime,
-        nextRunTime: backgroundJobState.lastRunTime && !backgroundJobState.isStopped
-          ? new Date(backgroundJobState.lastRunTime.getTime() + backgroundJobState.currentInterval)
-          : null,
-        consecutiveErrors: backgroundJobState.consecutiveErrors,
-        currentInterval: `${backgroundJobState.currentInterval / 1000} seconds`
-      }
+      type: 'received',
+      amount: 1.0,
+      token: 'SOL',
+      sender: 'SampleSender123456789',
+      receiver: DISTRIBUTION_WALLET_ADDRESS,
+      fee: 0.000005,
+      status: 'success',
+      blockTime: Math.floor(Date.now() / 1000),
+      slot: 123456789
     });
+    await runAudited(req, 'transactions.add-sample', { signature: transaction.signature }, () => transaction.save());
+    
+    sendSuccess(res, {
+      transaction
+    }, 201);
   } catch (error) {
-    console.error('Error in /api/collection-status:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to check data collection status',
-        details: error.message
-      }
-    });
+    console.error('Error adding sample transaction:', error);
+    sendError(res, error, { message: 'Failed to add sample transaction' });
   }
 }));
 
-// Add a new endpoint to force a full refresh of all transactions
-app.get('/api/force-refresh', asyncHandler(async (req, res) => {
-  console.log('Forcing full refresh of all transactions...');
+// State of the background fetch job
+app.get('/api/admin/background-job', asyncHandler(async (req, res) => {
+  sendSuccess(res, {
+    backgroundJobStatus: getBackgroundJobStatus()
+  });
+}));
+
+// Control the background fetch job: start, stop, run-now (starts a job) or reset
+app.post('/api/admin/background-job/:action', asyncHandler(async (req, res) => {
+  const action = req.params.action;
+  console.log(`Background job control: ${action}`);
   
   try {
-    // Clear existing transactions from both in-memory and MongoDB
-    try {
-      // Try to use MongoDB if available
-      try {
-        const Transaction = require('../src/models/Transaction');
-        await Transaction.clearAll();
-        console.log('Cleared all transactions from MongoDB');
-      } catch (error) {
-        console.warn('MongoDB clearAll failed:', error.message);
+    let message = '';
+    
+    switch (action) {
+      case 'start':
+        if (!CONFIG.backgroundJobs.enabled) {
+          CONFIG.backgroundJobs.enabled = true;
+          startBackgroundJobs();
+          message = 'Background jobs started successfully';
+        } else if (backgroundJobState.timerId) {
+          message = 'Background jobs are already running';
+        } else {
+          startBackgroundJobs();
+          message = 'Background jobs restarted successfully';
+        }
+        break;
+        
+      case 'stop':
+        if (backgroundJobState.timerId) {
+          clearTimeout(backgroundJobState.timerId);
+          backgroundJobState.timerId = null;
+          backgroundJobState.isRunning = false;
+          CONFIG.backgroundJobs.enabled = false;
+          message = 'Background jobs stopped successfully';
+        } else {
+          message = 'Background jobs are not running';
+        }
+        break;
+        
+      case 'run-now': {
+        // Trigger a fetch job immediately
+        const started = jobRegistry.startJob('fetch-all', job => runAudited(req, 'background-job.run-now', { jobId: job.id }, async () => {
+          const newTransactions = await fetchAllHistoricalTransactions();
+          console.log(`Manual job run completed: fetched ${newTransactions.length} new transactions`);
+          return { newTransactions: newTransactions.length, totalTransactions: transactions.length };
+        }), { requestedBy: getRequester(req) });
+        return sendJob(res, started, 'Manual job run started');
       }
-    } catch (error) {
-      console.warn('Error importing Transaction model:', error.message);
+        
+      case 'reset':
+        // Reset the background job state
+        if (backgroundJobState.timerId) {
+          clearTimeout(backgroundJobState.timerId);
+        }
+        
+        backgroundJobState.isRunning = false;
+        backgroundJobState.lastRunTime = null;
+        backgroundJobState.consecutiveErrors = 0;
+        backgroundJobState.currentInterval = CONFIG.backgroundJobs.autoFetchInterval;
+        backgroundJobState.timerId = null;
+        
+        // Restart if enabled
+        if (CONFIG.backgroundJobs.enabled) {
+          startBackgroundJobs();
+        }
+        
+        message = 'Background job state reset successfully';
+        break;
+        
+      default:
+        return sendError(res, CODES.INVALID_REQUEST, {
+          message: `Unknown action: ${action}`,
+          details: 'Valid actions are: start, stop, run-now, reset'
+        });
     }
     
-    // Clear in-memory transactions
-    transactions.length = 0;
-    lastFetchTimestamp = null;
-    console.log('Cleared all in-memory transactions');
-    
-    // Fetch fresh transactions - limited to 10
-    const fetchedTransactions = await fetchTransactionsVercel(10);
-    
-    // Save the fetched transactions to storage
-    if (fetchedTransactions.length > 0) {
-      transactions.push(...fetchedTransactions);
-      lastFetchTimestamp = new Date().toISOString();
-      
-      // Force save to storage
-      const originalInterval = STORAGE_CONFIG.storageInterval;
-      STORAGE_CONFIG.storageInterval = 0;
-      STORAGE_CONFIG.lastStorageTime = null;
-      await storage.save();
-      STORAGE_CONFIG.storageInterval = originalInterval;
-      
-      // Trigger historical fetch automatically after a short delay
-      console.log('Scheduling historical transaction fetch after force refresh...');
-      setTimeout(() => {
-        fetchAllHistoricalTransactions().catch(err => 
-          console.error('Error fetching historical transactions after force refresh:', err)
-        );
-      }, 5000); // Wait 5 seconds before starting historical fetch
-    }
+    await auditRequest(req, `background-job.${action}`, { params: { message } });
     
-    // Return response
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      vercel: process.env.VERCEL ? true : false,
-      message: 'Forced full refresh of all transactions (without historical fetch)',
-      transactionCount: transactions.length,
-      fetchedTransactions: fetchedTransactions.length,
-      note: 'Only the most recent transactions have been fetched. Use /api/fetch-all to get historical transactions.'
+    sendSuccess(res, {
+      action,
+      message,
+      backgroundJobStatus: getBackgroundJobStatus()
     });
   } catch (error) {
-    console.error('Error in /api/force-refresh:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to force refresh all transactions',
-        details: error.message
-      }
-    });
+    console.error(`Error in /api/admin/background-job/${action}:`, error);
+    sendError(res, error, { message: `Failed to ${action} background job` });
   }
 }));
 
-// Add a redirect for malformed URLs
-app.get('/api/force-refresh/*', (req, res) => {
-  console.log(`Redirecting malformed URL: ${req.originalUrl} to /api/force-refresh`);
-  res.redirect('/api/force-refresh');
-});
+// Stop data collection until DELETE /api/admin/stop-collection or a restart without the flag file
+app.post('/api/admin/stop-collection', asyncHandler(async (req, res) => {
+  const reason = (req.body && req.body.reason) || 'Admin requested stop via API';
+  
+  global.STOP_DATA_COLLECTION = true;
+  STOP_COLLECTION_CONFIG.isStopRequested = true;
+  backgroundJobState.isStopped = true;
+  
+  // The flag file keeps collection stopped across restarts where the file system allows it
+  let persisted = true;
+  try {
+    await fs.mkdir(path.dirname(STOP_COLLECTION_CONFIG.flagFilePath), { recursive: true });
+    await fs.writeFile(STOP_COLLECTION_CONFIG.flagFilePath, JSON.stringify({
+      stopped: true,
+      timestamp: new Date().toISOString(),
+      reason,
+      requestedBy: getRequester(req)
+    }, null, 2));
+  } catch (error) {
+    console.warn('Could not write stop collection flag file:', error.message);
+    persisted = false;
+  }
+  
+  console.log(`Data collection stop requested via API: ${reason}`);
+  await auditRequest(req, 'collection.stop', { params: { reason, persisted } });
+  
+  sendSuccess(res, {
+    message: 'Data collection has been stopped. The API will no longer fetch new data until it is resumed.',
+    persisted
+  });
+}));
 
-// Add a catch-all route for API endpoints
-app.get('/api/*', (req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found',
-    availableEndpoints: [
-      '/api/stats',
-      '/api/distributed',
-      '/api/sol',
-      '/api/refresh',
-      '/api/fetch-all',
-      '/api/fetch-status',
-      '/api/force-save',
-      '/api/force-refresh',
-      '/api/background-job/:action',
-      '/api/test-fetch',
-      '/api/test-all',
-      '/api/wallet/track',
-      '/api/wallet/tracked',
-      '/api/wallet/track/:address',
-      '/track-wallet',
-      '/'
-    ]
+// Resume data collection
+app.delete('/api/admin/stop-collection', asyncHandler(async (req, res) => {
+  global.STOP_DATA_COLLECTION = false;
+  STOP_COLLECTION_CONFIG.isStopRequested = false;
+  backgroundJobState.isStopped = false;
+  await fs.unlink(STOP_COLLECTION_CONFIG.flagFilePath).catch(() => {});
+  
+  console.log('Data collection resumed via API');
+  await auditRequest(req, 'collection.resume');
+  
+  sendSuccess(res, {
+    message: 'Data collection resumed'
   });
-});
+}));
+
+// Put the API in maintenance mode and stop the process
+app.post('/api/admin/stop-api', asyncHandler(async (req, res) => {
+  await fs.writeFile(API_SHUTDOWN_FLAG_FILE, JSON.stringify({
+    shutdown: true,
+    timestamp: new Date().toISOString(),
+    reason: 'Admin requested API shutdown',
+    requestedBy: getRequester(req)
+  }, null, 2));
+  
+  global.API_SHUTDOWN = true;
+  global.STOP_DATA_COLLECTION = true; // Also stop data collection
+  console.log('API shutdown requested via endpoint');
+  await auditRequest(req, 'api.stop');
+  
+  sendSuccess(res, {
+    message: 'API shutdown initiated. The API will be unavailable until restarted.'
+  });
+  
+  // Give time for the response to be sent before exiting
+  nodeSetTimeout(() => {
+    console.log('Shutting down API process...');
+    process.exit(0);
+  }, 1000);
+}));
+
+// Health and latency of the configured RPC endpoints, in failover order
+app.get('/api/rpc-status', asyncHandler(async (req, res) => {
+  try {
+    sendSuccess(res, {
+      rpc: await rpcProvider.getStatus()
+    });
+  } catch (error) {
+    console.error('Error in /api/rpc-status:', error);
+    sendError(res, error, { message: 'Failed to get RPC status' });
+  }
+}));
 
 // Add a test endpoint to verify transaction fetching and storage
 app.get('/api/test-fetch', asyncHandler(async (req, res) => {
@@ -2950,9 +3118,7 @@ app.get('/api/test-fetch', asyncHandler(async (req, res) => {
     console.log(`After fetch transaction count: ${afterFetchCount}`);
     
     // Return test results
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       testResults: {
         initialTransactionCount: initialCount,
         fetchedTransactionCount: fetchedTransactions.length,
@@ -2970,148 +3136,116 @@ app.get('/api/test-fetch', asyncHandler(async (req, res) => {
     });
   } catch (error) {
     console.error('Error in test-fetch endpoint:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Test failed',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Test failed' });
   }
 }));
 
 // Add endpoints for wallet tracking
+// Body: walletAddress, and optionally label and role (distribution, treasury or tax-collector)
+// Tracking a wallet again updates its label and role
 app.post('/api/wallet/track', express.json(), asyncHandler(async (req, res) => {
   try {
-    const { walletAddress } = req.body;
-    
-    if (!walletAddress) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Wallet address is required'
-        }
-      });
-    }
+    const { walletAddress, label, role } = req.body;
     
-    // Validate wallet address (basic check for Solana address)
-    if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(walletAddress)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Invalid Solana wallet address format'
-        }
-      });
+    const walletsBefore = trackedWallets.size;
+    let result;
+    try {
+      result = await walletRegistry.addWallet(walletAddress, { label, role });
+    } catch (error) {
+      await auditRequest(req, 'wallet.track', { params: { walletAddress, label, role }, error });
+      return sendError(res, error);
     }
     
-    // Add to tracked wallets
-    trackedWallets.add(walletAddress);
+    // Persisted in the registry, reload the tracked set and subscriptions from it
+    const wallets = await syncTrackedWallets();
     
-    // If this is the first wallet, set it as the main distribution wallet
-    if (!DISTRIBUTION_WALLET_ADDRESS) {
-      DISTRIBUTION_WALLET_ADDRESS = walletAddress;
-      console.log(`Set main distribution wallet to: ${walletAddress}`);
-    }
-    
-    console.log(`Added wallet to tracking: ${walletAddress}`);
+    console.log(`${result.created ? 'Added wallet to' : 'Updated wallet in'} tracking: ${walletAddress}`);
     console.log(`Currently tracking ${trackedWallets.size} wallets`);
+    await auditRequest(req, result.created ? 'wallet.track' : 'wallet.update', {
+      params: { walletAddress, label: result.wallet.label, role: result.wallet.role },
+      before: { wallets: walletsBefore },
+      after: { wallets: trackedWallets.size }
+    });
     
-    // Start fetching transactions for this wallet
-    setTimeout(() => {
-      fetchTransactionsForWallet(walletAddress).catch(err => 
-        console.error(`Error fetching initial transactions for wallet ${walletAddress}:`, err)
-      );
-    }, 100);
+    // Start fetching transactions for a newly tracked wallet
+    if (result.created) {
+      setTimeout(() => {
+        fetchTransactionsForWallet(walletAddress).then(addFetchedTransactions).catch(err => 
+          console.error(`Error fetching initial transactions for wallet ${walletAddress}:`, err)
+        );
+      }, 100);
+    }
     
-    res.json({
-      success: true,
-      message: 'Wallet added to tracking',
+    sendSuccess(res, {
+      message: result.created ? 'Wallet added to tracking' : 'Wallet updated',
       walletAddress,
+      wallet: result.wallet,
       isMainWallet: walletAddress === DISTRIBUTION_WALLET_ADDRESS,
       trackedWalletCount: trackedWallets.size,
-      trackedWallets: Array.from(trackedWallets)
+      trackedWallets: Array.from(trackedWallets),
+      wallets
     });
   } catch (error) {
     console.error('Error adding wallet for tracking:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to add wallet for tracking',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to add wallet for tracking' });
   }
 }));
 
+// Stop tracking a wallet, its stored transactions are kept
 app.delete('/api/wallet/track/:address', asyncHandler(async (req, res) => {
   try {
     const { address } = req.params;
     
-    if (!address) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Wallet address is required'
-        }
-      });
+    const walletsBefore = trackedWallets.size;
+    let removed;
+    try {
+      removed = await walletRegistry.removeWallet(address);
+    } catch (error) {
+      await auditRequest(req, 'wallet.untrack', { params: { walletAddress: address }, error });
+      return sendError(res, error);
     }
     
-    // Remove from tracked wallets
-    const wasTracked = trackedWallets.has(address);
-    trackedWallets.delete(address);
-    
-    // If this was the main distribution wallet, set a new one if available
-    if (address === DISTRIBUTION_WALLET_ADDRESS) {
-      const remainingWallets = Array.from(trackedWallets);
-      if (remainingWallets.length > 0) {
-        DISTRIBUTION_WALLET_ADDRESS = remainingWallets[0];
-        console.log(`Set new main distribution wallet to: ${DISTRIBUTION_WALLET_ADDRESS}`);
-      } else {
-        DISTRIBUTION_WALLET_ADDRESS = null;
-        console.log('No main distribution wallet set');
-      }
-    }
+    // The main wallet falls back to the next wallet with the distribution role
+    const wallets = await syncTrackedWallets();
     
     console.log(`Removed wallet from tracking: ${address}`);
     console.log(`Currently tracking ${trackedWallets.size} wallets`);
+    await auditRequest(req, 'wallet.untrack', {
+      params: { walletAddress: address, label: removed ? removed.label : null, role: removed ? removed.role : null },
+      before: { wallets: walletsBefore },
+      after: { wallets: trackedWallets.size },
+      result: removed ? 'success' : 'not-found'
+    });
     
-    res.json({
-      success: true,
-      message: wasTracked ? 'Wallet removed from tracking' : 'Wallet was not being tracked',
+    sendSuccess(res, {
+      message: removed ? 'Wallet removed from tracking' : 'Wallet was not being tracked',
       walletAddress: address,
       currentMainWallet: DISTRIBUTION_WALLET_ADDRESS,
       trackedWalletCount: trackedWallets.size,
-      trackedWallets: Array.from(trackedWallets)
+      trackedWallets: Array.from(trackedWallets),
+      wallets
     });
   } catch (error) {
     console.error('Error removing wallet from tracking:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to remove wallet from tracking',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to remove wallet from tracking' });
   }
 }));
 
+// List tracked wallets with their labels and roles
 app.get('/api/wallet/tracked', asyncHandler(async (req, res) => {
   try {
-    res.json({
-      success: true,
+    const wallets = await syncTrackedWallets();
+    
+    sendSuccess(res, {
       mainWallet: DISTRIBUTION_WALLET_ADDRESS,
       trackedWalletCount: trackedWallets.size,
-      trackedWallets: Array.from(trackedWallets)
+      trackedWallets: Array.from(trackedWallets),
+      roles: Object.values(walletRegistry.ROLES),
+      wallets
     });
   } catch (error) {
     console.error('Error getting tracked wallets:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get tracked wallets',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get tracked wallets' });
   }
 }));
 
@@ -3129,6 +3263,7 @@ app.get('/api/test-all', asyncHandler(async (req, res) => {
     testResults.tests.configuration = {
       heliusApiKey: !!HELIUS_API_KEY,
       heliusRpcUrl: !!HELIUS_RPC_URL,
+      rpcEndpoints: (await rpcProvider.getStatus()).endpoints.map(endpoint => endpoint.name),
       distributionWalletAddress: !!DISTRIBUTION_WALLET_ADDRESS,
       taxTokenMintAddress: !!TAX_TOKEN_MINT_ADDRESS,
       trackedWalletCount: trackedWallets.size,
@@ -3197,20 +3332,13 @@ app.get('/api/test-all', asyncHandler(async (req, res) => {
     }
     
     // Return all test results
-    res.json({
-      success: true,
+    sendSuccess(res, {
       message: 'Comprehensive system test completed',
       testResults
     });
   } catch (error) {
     console.error('Error in comprehensive test:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Comprehensive test failed',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Comprehensive test failed' });
   }
 }));
 
@@ -3219,41 +3347,15 @@ async function fetchTransactionsForWallet(walletAddress, limit = 10) {
   try {
     console.log(`Fetching transactions for wallet: ${walletAddress} (limit: ${limit})...`);
     
-    if (!HELIUS_API_KEY || !HELIUS_RPC_URL) {
-      console.error('Missing required environment variables for Helius service');
-      return [];
-    }
-    
-    // Prepare request data
-    const requestData = {
-      jsonrpc: '2.0',
-      id: 'my-id',
-      method: 'getSignaturesForAddress',
-      params: [
-        walletAddress,
-        {
-          limit: limit,
-          before: null, // Fetch from the most recent
-          until: null   // No end point
-        }
-      ]
-    };
-    
     // Add retry logic for rate limiting
     let retryCount = 0;
     let success = false;
-    let response;
+    let signatures;
     
     while (!success && retryCount < 5) {
       try {
-        // Make direct request to Helius API with proper headers
-        response = await axios.post(HELIUS_RPC_URL, requestData, {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': HELIUS_API_KEY
-          },
-          timeout: 10000 // 10 second timeout
-        });
+        // Fetch from the most recent, the provider fails over between RPC endpoints
+        signatures = await rpcProvider.getSignatures(walletAddress, { limit, timeout: 10000 });
         
         success = true;
       } catch (error) {
@@ -3273,13 +3375,11 @@ async function fetchTransactionsForWallet(walletAddress, limit = 10) {
     }
     
     // Check if response is valid
-    if (!response || !response.data || !response.data.result) {
-      console.error('Invalid response from Helius API:', response?.data);
+    if (!signatures) {
+      console.error('No signatures received from RPC');
       return [];
     }
     
-    // Get signatures from response
-    const signatures = response.data.result;
     console.log(`Got ${signatures.length} signatures for wallet ${walletAddress}`);
     
     // Process each signature to get transaction details
@@ -3288,14 +3388,14 @@ async function fetchTransactionsForWallet(walletAddress, limit = 10) {
     for (const item of signatures) {
       try {
         // Check if we already have this transaction
-        const existingTransaction = transactions.find(t => t.signature === item.signature);
+        const existingTransaction = transactions.find(t => t.signature === item.signature && t.wallet === walletAddress);
         if (existingTransaction) {
           console.log(`Transaction ${item.signature} already exists, skipping`);
           continue;
         }
         
         // Get transaction details
-        const txData = await getTransactionDetails(item.signature);
+        const txData = await getTransactionDetails(item.signature, walletAddress);
         
         if (txData) {
           newTransactions.push(txData);
@@ -3500,20 +3600,20 @@ app.get('/track-wallet', (req, res) => {
             const walletsList = document.getElementById('walletsList');
             walletsList.innerHTML = '';
             
-            if (data.success && data.wallets && data.wallets.length > 0) {
-              data.wallets.forEach(wallet => {
+            if (data.success && data.data.wallets.length > 0) {
+              data.data.wallets.forEach(wallet => {
                 const walletItem = document.createElement('div');
                 walletItem.className = 'wallet-item';
                 
                 const walletText = document.createElement('span');
-                walletText.textContent = wallet;
+                walletText.textContent = wallet.label ? wallet.label + ' (' + wallet.address + ')' : wallet.address;
                 walletItem.appendChild(walletText);
                 
                 const removeBtn = document.createElement('button');
                 removeBtn.className = 'remove-btn';
                 removeBtn.textContent = 'Remove';
                 removeBtn.onclick = function() {
-                  removeWallet(wallet);
+                  removeWallet(wallet.address);
                 };
                 walletItem.appendChild(removeBtn);
                 
@@ -3554,6 +3654,25 @@ app.get('/track-wallet', (req, res) => {
   res.send(html);
 });
 
+// Add a catch-all route for API endpoints
+app.get('/api/*', (req, res) => {
+  sendError(res, CODES.ROUTE_NOT_FOUND, {
+    message: `Endpoint not found: ${req.path}`,
+    availableEndpoints: Array.from(new Set(openApi.listOperations(openApiDocument)
+      .filter(operation => !operation.deprecated)
+      .map(operation => operation.path))),
+    openapi: '/api/openapi.json'
+  });
+});
+
+// 404 handler
+app.use((req, res, next) => {
+  sendError(res, CODES.ROUTE_NOT_FOUND, { message: `Route not found: ${req.method} ${req.url}` });
+});
+
+// Error handler middleware, thrown errors are answered with their catalog code
+app.use(errorHandler);
+
 // Initialize the app is already called earlier in the file
 // initializeApp();
 
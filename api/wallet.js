@@ -4,6 +4,7 @@
 const { Connection, PublicKey } = require('@solana/web3.js');
 const { getTransactions } = require('../src/transactions');
 const { getEnvironment } = require('../src/utils');
+const { CODES, sendSuccess, sendError } = require('../src/api/errors');
 
 module.exports = async (req, res) => {
   // Set CORS headers
@@ -28,13 +29,7 @@ module.exports = async (req, res) => {
   // Only validate API key if it's configured and not from the Telegram bot or local request
   if (validApiKey && !isTelegramBot && !isLocalRequest) {
     if (!apiKey || apiKey !== validApiKey) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          message: 'Unauthorized: Invalid or missing API key',
-          code: 401
-        }
-      });
+      return sendError(res, apiKey ? CODES.API_KEY_INVALID : CODES.API_KEY_MISSING);
     }
   }
 
@@ -43,13 +38,7 @@ module.exports = async (req, res) => {
     const { address, limit = 50 } = req.query;
 
     if (!address) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Wallet address is required',
-          code: 400
-        }
-      });
+      return sendError(res, CODES.INVALID_REQUEST, { message: 'Wallet address is required' });
     }
 
     // Validate wallet address
@@ -57,13 +46,7 @@ module.exports = async (req, res) => {
     try {
       publicKey = new PublicKey(address);
     } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Invalid wallet address',
-          code: 400
-        }
-      });
+      return sendError(res, CODES.WALLET_INVALID, { message: 'Invalid wallet address' });
     }
 
     // Get environment info
@@ -99,31 +82,21 @@ module.exports = async (req, res) => {
     });
 
     // Return wallet data
-    res.status(200).json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
+      address: publicKey.toString(),
+      balance: (balance / 1000000000).toFixed(9),
+      totalReceived: totalReceived.toFixed(9),
+      totalSent: totalSent.toFixed(9),
+      totalRewards: totalRewards.toFixed(9),
+      transactionCount: transactions.length,
+      solscanLink: `https://solscan.io/account/${publicKey.toString()}`,
       environment: environment,
       vercel: isVercel,
-      data: {
-        address: publicKey.toString(),
-        balance: (balance / 1000000000).toFixed(9),
-        totalReceived: totalReceived.toFixed(9),
-        totalSent: totalSent.toFixed(9),
-        totalRewards: totalRewards.toFixed(9),
-        transactionCount: transactions.length,
-        solscanLink: `https://solscan.io/account/${publicKey.toString()}`
-      },
       fetchedAt: new Date().toISOString()
     });
   } catch (error) {
     console.error('Error in wallet API:', error);
     
-    res.status(500).json({
-      success: false,
-      error: {
-        message: `Error fetching wallet data: ${error.message}`,
-        code: 500
-      }
-    });
+    sendError(res, error, { message: 'Error fetching wallet data' });
   }
 }; 
\ No newline at end of file
@@ -21,10 +21,10 @@ async function checkApi() {
     console.log('\n=== FULL API RESPONSE ===');
     console.log(JSON.stringify(data, null, 2));
     
-    // Check if financial data exists
-    if (data.success && data.stats) {
+    // Check if financial data exists, responses carry it in data
+    if (data.success && data.data.stats) {
       console.log('\n=== FINANCIAL DATA CHECK ===');
-      const stats = data.stats;
+      const stats = data.data.stats;
       
       console.log(`Total Distributed: ${stats.totalSolDistributed} (${typeof stats.totalSolDistributed})`);
       console.log(`Total Received: ${stats.totalSolReceived} (${typeof stats.totalSolReceived})`);
@@ -38,9 +38,9 @@ async function checkApi() {
       // Check transaction counts
       console.log('\n=== TRANSACTION COUNTS ===');
       console.log(`Total Transactions: ${stats.totalTransactions}`);
-      if (data.transactionCounts) {
-        console.log(`Sent Transactions: ${data.transactionCounts.sentTransactions}`);
-        console.log(`Received Transactions: ${data.transactionCounts.receivedTransactions}`);
+      if (data.data.transactionCounts) {
+        console.log(`Sent Transactions: ${data.data.transactionCounts.sentTransactions}`);
+        console.log(`Received Transactions: ${data.data.transactionCounts.receivedTransactions}`);
       }
     } else {
       console.log('\n❌ API response does not contain expected data structure');
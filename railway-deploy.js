@@ -35,13 +35,27 @@ const server = app.listen(PORT, () => {
 const TelegramBot = require('node-telegram-bot-api');
 const fetch = require('node-fetch');
 const axios = require('axios');
+const { isOutgoing } = require('./src/services/transactionClassifier');
 
 // API base URL - can be overridden by Railway environment variables
 const API_BASE_URL = process.env.API_BASE_URL || 'https://distro-tracker.vercel.app';
 console.log(`Using API: ${API_BASE_URL}`);
 
-// Add API stop endpoint with authentication
+// The stop endpoint changes state, so it only accepts POST under /api/admin
 app.get('/api/stop', (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: {
+      message: 'GET /api/stop is no longer supported, use POST /api/admin/stop',
+      details: 'State-changing operations moved to POST and DELETE endpoints under /api/admin',
+      code: 410
+    },
+    replacement: 'POST /api/admin/stop'
+  });
+});
+
+// Add API stop endpoint with authentication
+app.post('/api/admin/stop', (req, res) => {
   const apiKey = req.headers['x-api-key'];
   const configuredApiKey = process.env.API_KEY;
   
@@ -222,6 +236,57 @@ if (!token) {
         }
       }
 
+      // The Telegram user a command came from, as recorded in the audit log
+      function getActor(msg) {
+        return {
+          id: `telegram:${msg.from.id}`,
+          name: msg.from.username ? `@${msg.from.username}` : (msg.from.first_name || null)
+        };
+      }
+
+      // Helper function to send an admin request to the API with the master API key
+      // With the command's message, the API audits the request as that Telegram user
+      async function sendToAPI(method, endpoint, data, msg) {
+        const headers = process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {};
+        if (msg) {
+          const actor = getActor(msg);
+          headers['X-Audit-Actor'] = actor.id;
+          if (actor.name) {
+            headers['X-Audit-Actor-Name'] = encodeURIComponent(actor.name);
+          }
+        }
+        
+        try {
+          const response = await axios({
+            method,
+            url: `${API_BASE_URL}${endpoint}`,
+            data,
+            headers,
+            timeout: 15000
+          });
+          return response.data.data;
+        } catch (error) {
+          // Surface the API's own error message when it sent one, with its error code
+          // (e.g. TIMEOUT, API_SHUTDOWN) and HTTP status for callers to branch on
+          const apiError = error.response && error.response.data && error.response.data.error;
+          const wrapped = new Error(apiError ? [apiError.message, apiError.details].filter(Boolean).join(': ') : error.message);
+          wrapped.code = apiError ? apiError.code : null;
+          wrapped.status = error.response ? error.response.status : null;
+          throw wrapped;
+        }
+      }
+
+      // Read from the API, resolves with the data of the response
+      function fetchFromAPI(endpoint) {
+        return sendToAPI('get', endpoint);
+      }
+
+      // Record a command that only changes the bot in the API's audit log, failures are only logged
+      function recordAudit(msg, action, details = {}) {
+        return sendToAPI('post', '/api/admin/audit', { action, actor: getActor(msg), ...details })
+          .catch(error => console.error(`Error recording audit entry for ${action}:`, error.message));
+      }
+
       // First run setup command - only works if no creator is set
       bot.onText(/\/setup_creator/, (msg) => {
         const userId = msg.from.id;
@@ -232,7 +297,9 @@ if (!token) {
           botCreatorId = userId;
           
           // Save the configuration
-          if (saveAdminConfig()) {
+          const saved = saveAdminConfig();
+          recordAudit(msg, 'bot.setup-creator', { params: { userId }, error: saved ? null : 'Configuration not saved' });
+          if (saved) {
             bot.sendMessage(
               chatId,
               "🎉 *Congratulations!*\n\n" +
@@ -271,6 +338,7 @@ if (!token) {
           // Store admin session for 1 hour
           adminSessions.set(userId, Date.now() + 3600000); // 1 hour expiry
           bot.sendMessage(chatId, "✅ Admin authentication successful. Your session will expire in 1 hour.");
+          recordAudit(msg, 'bot.admin-login');
           
           // Set a timeout to clear the session after 1 hour
           setTimeout(() => {
@@ -283,6 +351,7 @@ if (!token) {
           }, 3600000);
         } else {
           bot.sendMessage(chatId, "❌ Authentication failed. Incorrect password.");
+          recordAudit(msg, 'bot.admin-login', { error: 'Incorrect password' });
         }
       });
 
@@ -295,10 +364,17 @@ if (!token) {
         // Only the creator can add admins
         if (userId === botCreatorId) {
           if (!ADMIN_USER_IDS.includes(newAdminId)) {
+            const adminsBefore = ADMIN_USER_IDS.length;
             ADMIN_USER_IDS.push(newAdminId);
             
             // Save the updated configuration
-            if (saveAdminConfig()) {
+            const saved = saveAdminConfig();
+            recordAudit(msg, 'bot.add-admin', {
+              params: { userId: newAdminId, persisted: saved },
+              before: { admins: adminsBefore },
+              after: { admins: ADMIN_USER_IDS.length }
+            });
+            if (saved) {
               bot.sendMessage(chatId, `✅ User ID ${newAdminId} has been added as an admin.`);
             } else {
               bot.sendMessage(chatId, "❌ Failed to save admin configuration. The admin was added for this session only.");
@@ -327,10 +403,17 @@ if (!token) {
           
           const index = ADMIN_USER_IDS.indexOf(adminIdToRemove);
           if (index !== -1) {
+            const adminsBefore = ADMIN_USER_IDS.length;
             ADMIN_USER_IDS.splice(index, 1);
             
             // Save the updated configuration
-            if (saveAdminConfig()) {
+            const saved = saveAdminConfig();
+            recordAudit(msg, 'bot.remove-admin', {
+              params: { userId: adminIdToRemove, persisted: saved },
+              before: { admins: adminsBefore },
+              after: { admins: ADMIN_USER_IDS.length }
+            });
+            if (saved) {
               bot.sendMessage(chatId, `✅ User ID ${adminIdToRemove} has been removed from admins.`);
             } else {
               bot.sendMessage(chatId, "❌ Failed to save admin configuration. The admin was removed for this session only.");
@@ -370,7 +453,7 @@ if (!token) {
       });
 
       // Stop command (admin only)
-      bot.onText(/\/stop/, (msg) => {
+      bot.onText(/\/stop(?:@\w+)?$/, (msg) => {
         const userId = msg.from.id;
         const chatId = msg.chat.id;
         
@@ -386,10 +469,12 @@ if (!token) {
         bot.sendMessage(chatId, `🛑 *Bot Shutdown Initiated*\n\nThe bot is shutting down. It will be restarted automatically by the ${platformName} deployment platform.`, { parse_mode: 'Markdown' });
         console.log(`Bot shutdown initiated by admin (User ID: ${userId}) on ${platformName} platform`);
         
-        // Exit the process after a short delay
-        setTimeout(() => {
-          process.exit(0);
-        }, 1000);
+        // Exit the process after a short delay, once the shutdown is in the audit log
+        recordAudit(msg, 'bot.stop', { params: { platform: platformName } }).then(() => {
+          setTimeout(() => {
+            process.exit(0);
+          }, 1000);
+        });
       });
 
       // Stop API data collection command (admin only)
@@ -400,15 +485,11 @@ if (!token) {
           const statusMessage = await bot.sendMessage(chatId, "⏳ Stopping API data collection...");
           
           try {
-            const response = await fetchFromAPI('/api/admin/stop-collection');
+            const response = await sendToAPI('post', '/api/admin/stop-collection', { reason: 'Stopped with the admin bot' }, msg);
             
-            if (response.success) {
-              await bot.sendMessage(chatId, "✅ *API Data Collection Stopped*\n\n" + (response.message || "Data collection has been stopped successfully."), {
-                parse_mode: 'Markdown'
-              });
-            } else {
-              throw new Error(response.error?.message || 'Unknown error');
-            }
+            await bot.sendMessage(chatId, "✅ *API Data Collection Stopped*\n\n" + (response.message || "Data collection has been stopped successfully."), {
+              parse_mode: 'Markdown'
+            });
           } catch (error) {
             console.error('Error stopping API data collection:', error.message);
             
@@ -427,15 +508,11 @@ if (!token) {
           const statusMessage = await bot.sendMessage(chatId, "⏳ Stopping Vercel API...");
           
           try {
-            const response = await fetchFromAPI('/api/admin/stop-api');
+            const response = await sendToAPI('post', '/api/admin/stop-api', null, msg);
             
-            if (response.success) {
-              await bot.sendMessage(chatId, "✅ *Vercel API Shutdown Initiated*\n\n" + (response.message || "The API has been shut down successfully. It will be unavailable until restarted."), {
-                parse_mode: 'Markdown'
-              });
-            } else {
-              throw new Error(response.error?.message || 'Unknown error');
-            }
+            await bot.sendMessage(chatId, "✅ *Vercel API Shutdown Initiated*\n\n" + (response.message || "The API has been shut down successfully. It will be unavailable until restarted."), {
+              parse_mode: 'Markdown'
+            });
           } catch (error) {
             console.error('Error stopping Vercel API:', error.message);
             
@@ -444,6 +521,7 @@ if (!token) {
             });
           }
         });
+      });
 
       // Force refresh command (admin only)
       bot.onText(/\/force_refresh/, (msg) => {
@@ -453,15 +531,11 @@ if (!token) {
           const statusMessage = await bot.sendMessage(chatId, "⏳ Forcing refresh of all transactions...");
           
           try {
-            const response = await fetchFromAPI('/api/admin/force-refresh');
+            const response = await sendToAPI('post', '/api/admin/force-refresh', null, msg);
             
-            if (response.success) {
-              await bot.sendMessage(chatId, "✅ *Force Refresh Successful*\n\n" + response.message, {
-                parse_mode: 'Markdown'
-              });
-            } else {
-              throw new Error(response.error?.message || 'Unknown error');
-            }
+            await bot.sendMessage(chatId, "✅ *Force Refresh Started*\n\n" + response.message + "\nJob: `" + response.jobId + "`", {
+              parse_mode: 'Markdown'
+            });
           } catch (error) {
             console.error('Error in force refresh command:', error.message);
             
@@ -480,15 +554,11 @@ if (!token) {
           const statusMessage = await bot.sendMessage(chatId, "⏳ Forcing save of all data...");
           
           try {
-            const response = await fetchFromAPI('/api/admin/force-save');
+            const response = await sendToAPI('post', '/api/admin/force-save', null, msg);
             
-            if (response.success) {
-              await bot.sendMessage(chatId, "✅ *Force Save Successful*\n\n" + response.message, {
-                parse_mode: 'Markdown'
-              });
-            } else {
-              throw new Error(response.error?.message || 'Unknown error');
-            }
+            await bot.sendMessage(chatId, "✅ *Force Save Successful*\n\n" + response.message, {
+              parse_mode: 'Markdown'
+            });
           } catch (error) {
             console.error('Error in force save command:', error.message);
             
@@ -497,6 +567,7 @@ if (!token) {
             });
           }
         });
+      });
 
       // Fetch all command (admin only)
       bot.onText(/\/fetch_all/, (msg) => {
@@ -506,25 +577,296 @@ if (!token) {
           const statusMessage = await bot.sendMessage(chatId, "⏳ Fetching all transactions (this may take a while)...");
           
           try {
-            const response = await fetchFromAPI('/api/admin/fetch-all');
+            const response = await sendToAPI('post', '/api/admin/fetch-all', null, msg);
+            
+            await bot.sendMessage(chatId, "✅ *Fetch All Started*\n\n" + response.message + "\nJob: `" + response.jobId + "`", {
+              parse_mode: 'Markdown'
+            });
+          } catch (error) {
+            console.error('Error in fetch all command:', error.message);
+            
+            await bot.sendMessage(chatId, "❌ *Fetch All Failed*\n\n" + error.message, {
+              parse_mode: 'Markdown'
+            });
+          }
+        });
+      });
+
+      // Gaps command (admin only) - Shows the last gap check, or runs a new one
+      // Usage: /gaps, /gaps check or /gaps repair
+      bot.onText(/\/gaps(?:\s+(check|repair))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        const action = match[1];
+        
+        requireAdmin(msg, async () => {
+          try {
+            let endpoint = '/api/gaps';
+            if (action) {
+              endpoint = action === 'repair' ? '/api/admin/gaps/repair' : '/api/gaps/check';
+              await bot.sendMessage(chatId, action === 'repair'
+                ? "⏳ Checking for gaps and refetching missing transactions..."
+                : "⏳ Checking stored history for gaps...");
+            }
             
-            if (response.success) {
-              await bot.sendMessage(chatId, "✅ *Fetch All Successful*\n\n" + response.message, {
+            // Repairing writes transactions, so it goes through the audited Admin API
+            const response = action === 'repair'
+              ? await sendToAPI('post', endpoint, null, msg)
+              : await fetchFromAPI(endpoint);
+            const result = response.result;
+            if (!result) {
+              await bot.sendMessage(chatId, "ℹ️ *No Gap Check Yet*\n\nRun `/gaps check` to verify the stored history.", {
                 parse_mode: 'Markdown'
               });
-            } else {
-              throw new Error(response.error?.message || 'Unknown error');
+              return;
+            }
+            
+            let message = result.missingCount === 0
+              ? "✅ *No Gaps Found*\n\n"
+              : `⚠️ *${result.missingCount} Missing Transactions*\n\n`;
+            
+            message += `🕒 Checked: ${new Date(result.checkedAt).toLocaleString()}\n`;
+            message += `🔎 Signatures: ${result.signaturesChecked}${result.complete ? '' : ' (partial, time limit reached)'}\n`;
+            message += `💾 Stored: ${result.storedCount}\n`;
+            
+            if (result.ranges.length > 0) {
+              message += `\n*Missing ranges:*\n`;
+              result.ranges.slice(0, 10).forEach(range => {
+                message += `• Slots ${range.oldestSlot}-${range.newestSlot}: ${range.count} transactions\n`;
+              });
+              if (result.ranges.length > 10) {
+                message += `• ...and ${result.ranges.length - 10} more ranges\n`;
+              }
+            }
+            
+            if (result.repair) {
+              message += `\n🔧 Repaired: ${result.repair.repaired}/${result.repair.attempted}`;
+              if (result.repair.failed > 0) message += `, ${result.repair.failed} failed`;
+              if (result.repair.remaining > 0) message += `, ${result.repair.remaining} left for the next repair`;
+              message += '\n';
+            } else if (result.missingCount > 0) {
+              message += `\nRun \`/gaps repair\` to refetch them.`;
             }
+            
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
           } catch (error) {
-            console.error('Error in fetch all command:', error.message);
+            console.error('Error in gaps command:', error.message);
             
-            await bot.sendMessage(chatId, "❌ *Fetch All Failed*\n\n" + error.message, {
+            await bot.sendMessage(chatId, "❌ *Gap Check Failed*\n\n" + error.message, {
               parse_mode: 'Markdown'
             });
           }
         });
       });
 
+      // Usage command (admin only) - Shows provider calls and Helius credits against the budget
+      bot.onText(/\/usage/, (msg) => {
+        const chatId = msg.chat.id;
+        
+        requireAdmin(msg, async () => {
+          try {
+            const response = await fetchFromAPI('/api/usage');
+            const { today, month, budget, history } = response;
+            const formatLimit = (limit) => limit.limit
+              ? `${limit.used.toLocaleString()} / ${limit.limit.toLocaleString()} credits (${(limit.ratio * 100).toFixed(1)}%)`
+              : `${limit.used.toLocaleString()} credits (no budget set)`;
+            
+            let message = budget.paused
+              ? `⏸ *Background Fetching Paused*\n${budget.reason}\n\n`
+              : "📊 *Provider Usage*\n\n";
+            
+            message += `*Today:* ${today.requests.toLocaleString()} calls, ${formatLimit(budget.daily)}\n`;
+            message += `*This month:* ${month.requests.toLocaleString()} calls, ${formatLimit(budget.monthly)}\n`;
+            
+            const endpoints = Object.entries(today.endpoints);
+            if (endpoints.length > 0) {
+              message += `\n*Today by endpoint:*\n`;
+              endpoints.forEach(([name, endpoint]) => {
+                const methods = Object.entries(endpoint.methods)
+                  .sort((a, b) => b[1] - a[1])
+                  .slice(0, 3)
+                  .map(([method, count]) => `${method} ${count}`)
+                  .join(', ');
+                message += `• ${name}: ${endpoint.requests} calls, ${endpoint.credits} credits${endpoint.errors ? `, ${endpoint.errors} errors` : ''} (${methods})\n`;
+              });
+            }
+            
+            message += `\n*Last ${history.length} days:*\n`;
+            history.forEach(day => {
+              message += `• ${day.day}: ${day.requests} calls, ${day.credits} credits\n`;
+            });
+            
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+          } catch (error) {
+            console.error('Error in usage command:', error.message);
+            
+            await bot.sendMessage(chatId, "❌ *Usage Unavailable*\n\n" + error.message, {
+              parse_mode: 'Markdown'
+            });
+          }
+        });
+      });
+
+      // API keys command (admin only) - Lists issued keys with their scopes, quotas and last use
+      bot.onText(/\/apikeys/, (msg) => {
+        const chatId = msg.chat.id;
+        
+        requireAdmin(msg, async () => {
+          try {
+            const response = await sendToAPI('get', '/api/admin/keys');
+            
+            if (response.keys.length === 0) {
+              await bot.sendMessage(chatId, "🔑 No API keys have been issued.\n\nUse `/issuekey <name> <scopes> [daily quota] [days]`", {
+                parse_mode: 'Markdown'
+              });
+              return;
+            }
+            
+            let message = "🔑 *API Keys*\n\n";
+            response.keys.forEach(key => {
+              const state = key.revokedAt ? 'revoked' : (key.active ? 'active' : 'expired');
+              message += `*${key.name}* \`${key.id}\` (${state})\n`;
+              message += `  Scopes: ${key.scopes.join(', ')}\n`;
+              message += `  Today: ${key.requestsToday}${key.dailyQuota ? ` / ${key.dailyQuota}` : ''} requests, ${key.requestCount} total\n`;
+              message += `  Last used: ${key.lastUsedAt || 'never'}${key.expiresAt ? `, expires ${key.expiresAt}` : ''}\n\n`;
+            });
+            
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+          } catch (error) {
+            console.error('Error in apikeys command:', error.message);
+            await bot.sendMessage(chatId, "❌ *Could not list API keys*\n\n" + error.message, { parse_mode: 'Markdown' });
+          }
+        });
+      });
+      
+      // Issue key command (admin only) - /issuekey <name> <scopes> [daily quota] [days until expiry]
+      bot.onText(/\/issuekey(?:\s+(.+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        
+        requireAdmin(msg, async () => {
+          const [name, scopes, dailyQuota, expiresInDays] = (match[1] || '').trim().split(/\s+/);
+          if (!name || !scopes) {
+            await bot.sendMessage(
+              chatId,
+              "Usage: `/issuekey <name> <scopes> [daily quota] [days]`\n\n" +
+              "Scopes are comma-separated: read-stats, read-wallet, admin-refresh, admin-jobs",
+              { parse_mode: 'Markdown' }
+            );
+            return;
+          }
+          
+          try {
+            const response = await sendToAPI('post', '/api/admin/keys', { name, scopes, dailyQuota, expiresInDays }, msg);
+            
+            await bot.sendMessage(
+              chatId,
+              `✅ *API key issued for ${response.key.name}*\n\n` +
+              `\`${response.apiKey}\`\n\n` +
+              `ID: \`${response.key.id}\`\n` +
+              `Scopes: ${response.key.scopes.join(', ')}\n` +
+              `Daily quota: ${response.key.dailyQuota || 'none'}\n` +
+              `Expires: ${response.key.expiresAt || 'never'}\n\n` +
+              "Store the key now, it cannot be shown again.",
+              { parse_mode: 'Markdown' }
+            );
+          } catch (error) {
+            console.error('Error in issuekey command:', error.message);
+            await bot.sendMessage(chatId, "❌ *Could not issue API key*\n\n" + error.message, { parse_mode: 'Markdown' });
+          }
+        });
+      });
+      
+      // Revoke key command (admin only) - /revokekey <key id>
+      bot.onText(/\/revokekey(?:\s+(\S+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        
+        requireAdmin(msg, async () => {
+          if (!match[1]) {
+            await bot.sendMessage(chatId, "Usage: `/revokekey <key id>`, see `/apikeys` for IDs", { parse_mode: 'Markdown' });
+            return;
+          }
+          
+          try {
+            const response = await sendToAPI('delete', `/api/admin/keys/${encodeURIComponent(match[1])}`, null, msg);
+            await bot.sendMessage(chatId, `✅ API key *${response.key.name}* (\`${response.key.id}\`) revoked`, { parse_mode: 'Markdown' });
+          } catch (error) {
+            console.error('Error in revokekey command:', error.message);
+            await bot.sendMessage(chatId, "❌ *Could not revoke API key*\n\n" + error.message, { parse_mode: 'Markdown' });
+          }
+        });
+      });
+
+      // Job command (admin only) - /job <job id> shows an admin job, /job lists recent ones
+      bot.onText(/\/job(?:\s+(\S+))?$/, (msg, match) => {
+        const chatId = msg.chat.id;
+        
+        requireAdmin(msg, async () => {
+          try {
+            if (!match[1]) {
+              const response = await sendToAPI('get', '/api/admin/jobs?limit=5');
+              if (response.jobs.length === 0) {
+                await bot.sendMessage(chatId, "No admin jobs have run yet.");
+                return;
+              }
+              const lines = response.jobs.map(job => `\`${job.id}\` ${job.type}: *${job.status}* (${job.startedAt})`);
+              await bot.sendMessage(chatId, "🧾 *Recent Jobs*\n\n" + lines.join("\n"), { parse_mode: 'Markdown' });
+              return;
+            }
+            
+            const { job } = await sendToAPI('get', `/api/admin/jobs/${encodeURIComponent(match[1])}`);
+            let message = `🧾 *Job ${job.type}*\n\nStatus: *${job.status}*\nStarted: ${job.startedAt}`;
+            if (job.finishedAt) {
+              message += `\nFinished: ${job.finishedAt}`;
+            }
+            if (job.result) {
+              message += "\n\n" + Object.entries(job.result).map(([key, value]) => `${key}: ${value}`).join("\n");
+            }
+            if (job.error) {
+              message += `\n\nError: ${job.error}`;
+            }
+            await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+          } catch (error) {
+            console.error('Error in job command:', error.message);
+            await bot.sendMessage(chatId, "❌ *Could not get job*\n\n" + error.message, { parse_mode: 'Markdown' });
+          }
+        });
+      });
+
+      // Audit command (admin only) - /audit [action] shows the latest audited actions
+      bot.onText(/\/audit(?:\s+(\S+))?/, (msg, match) => {
+        const chatId = msg.chat.id;
+        
+        requireAdmin(msg, async () => {
+          try {
+            const query = match[1] ? `?limit=10&action=${encodeURIComponent(match[1])}` : '?limit=10';
+            const response = await sendToAPI('get', `/api/admin/audit${query}`);
+            if (response.entries.length === 0) {
+              await bot.sendMessage(chatId, match[1] ? `No audit entries for ${match[1]}.` : "The audit log is empty.");
+              return;
+            }
+            
+            // Counts as "transactions 120 → 0"
+            const showCount = (counts, key) => (counts && counts[key] !== undefined && counts[key] !== null ? counts[key] : '?');
+            const formatCounts = (entry) => Object.keys({ ...entry.before, ...entry.after })
+              .map(key => `${key} ${showCount(entry.before, key)} → ${showCount(entry.after, key)}`)
+              .join(', ');
+            
+            const lines = response.entries.map(entry => {
+              const actor = entry.actor ? (entry.actor.name || entry.actor.id) : 'unknown';
+              const counts = formatCounts(entry);
+              return `• ${entry.timestamp.slice(0, 16).replace('T', ' ')} ${entry.action} by ${actor} via ${entry.channel}` +
+                (entry.result !== 'success' ? ` (${entry.result}${entry.error ? `: ${entry.error}` : ''})` : '') +
+                (counts ? `\n   ${counts}` : '');
+            });
+            
+            // Plain text, actions and names can contain Markdown characters
+            await bot.sendMessage(chatId, "🧾 Audit Log\n\n" + lines.join("\n"));
+          } catch (error) {
+            console.error('Error in audit command:', error.message);
+            await bot.sendMessage(chatId, "❌ *Could not get the audit log*\n\n" + error.message, { parse_mode: 'Markdown' });
+          }
+        });
+      });
+
       // Simplified stats command with better error handling and timeout management
       bot.onText(/\/stats/, async (msg) => {
         const chatId = msg.chat.id;
@@ -544,7 +886,7 @@ if (!token) {
           const data = await Promise.race([fetchPromise, timeoutPromise])
             .catch(async (error) => {
               // If the first attempt fails, try with an even smaller limit
-              if (error.message.includes('timeout') || error.message.includes('15s limit')) {
+              if (error.code === 'TIMEOUT') {
                 await bot.sendMessage(chatId, '⏳ First attempt timed out, trying with minimal data...');
                 
                 // Try with minimal data
@@ -553,30 +895,6 @@ if (!token) {
               throw error;
             });
           
-          if (!data.success) {
-            // If we have fallback stats data, use it instead of throwing an error
-            if (data.stats) {
-              const stats = data.stats;
-              
-              // Safely format values
-              const balance = formatSol(stats.currentSolBalance || "0.00");
-              const totalDistributed = formatSol(stats.totalSolDistributed || "0.00");
-              
-              const message = 
-                `${stats.title || "SOL Distribution Tracker"} (Limited Data)\n\n` +
-                `💰 *Current Balance*: ${balance} SOL\n` +
-                `💸 *Total Distributed*: ${totalDistributed} SOL\n` +
-                `📊 *Total Transactions*: ${stats.totalTransactions || "N/A"}\n\n` +
-                `🔗 [View on Solscan](${stats.solscanLink || "https://solscan.io"})\n\n` +
-                `⚠️ Note: Using fallback data due to API issues.`;
-              
-              await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-              return;
-            }
-            
-            throw new Error(data.error?.message || 'Unknown error');
-          }
-          
           const stats = data.stats;
           const currentDate = new Date().toLocaleString();
           const address = process.env.DISTRIBUTION_WALLET_ADDRESS || 'HMDVj2Mhax9Kg68yTPo8qH1bcMQuCAqzDatV6d4Wqawv';
@@ -621,15 +939,17 @@ if (!token) {
           // Provide a more helpful error message
           let errorMessage = '⏱️ *API Timeout Error*\n\n';
           
-          if (error.message.includes('timeout') || error.message.includes('15s limit') || error.message.includes('high load')) {
+          if (error.code === 'TIMEOUT') {
             errorMessage += 'The API is currently experiencing high load and reached the timeout limit. You can:\n\n' +
               '• Try again later\n' +
               '• Use simpler commands like /balance\n' +
               '• Check the Solscan link directly: https://solscan.io/account/' + 
               (process.env.DISTRIBUTION_WALLET_ADDRESS || 'HMDVj2Mhax9Kg68yTPo8qH1bcMQuCAqzDatV6d4Wqawv');
-          } else if (error.message.includes('rate limit')) {
+          } else if (error.code === 'PROVIDER_RATE_LIMITED' || error.code === 'QUOTA_EXCEEDED') {
             errorMessage += 'The API is currently rate limited. Please try again in a few minutes.';
-          } else if (error.message.includes('server error')) {
+          } else if (error.code === 'API_SHUTDOWN') {
+            errorMessage += 'The API is in maintenance mode. Please try again later.';
+          } else if (error.status >= 500) {
             errorMessage += 'The API server is experiencing issues. Please try again later.';
           } else {
             errorMessage = '❌ Error fetching statistics: ' + error.message;
@@ -661,7 +981,7 @@ if (!token) {
           const data = await Promise.race([fetchPromise, timeoutPromise])
             .catch(async (error) => {
               // If the first attempt fails, try with an even smaller limit
-              if (error.message.includes('timeout') || error.message.includes('15s limit')) {
+              if (error.code === 'TIMEOUT') {
                 await bot.sendMessage(chatId, '⏳ First attempt timed out, trying with minimal data...');
                 
                 // Try with minimal data
@@ -672,24 +992,6 @@ if (!token) {
               throw error;
             });
           
-          if (!data.success) {
-            // If we have fallback stats data and no wallet address was provided, use it
-            if (!walletAddress && data.stats) {
-              const stats = data.stats;
-              
-              const message = 
-                `💰 *Distribution Wallet Balance (Limited Data)*\n\n` +
-                `Current Balance: ${formatSol(stats.currentSolBalance)} SOL\n` +
-                `🔗 [View on Solscan](${stats.solscanLink})\n\n` +
-                `⚠️ Note: Using fallback data due to API issues.`;
-              
-              await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-              return;
-            }
-            
-            throw new Error(data.error?.message || 'Unknown error');
-          }
-          
           let message;
           const currentDate = new Date().toLocaleString();
           
@@ -748,12 +1050,14 @@ if (!token) {
           // Provide a more helpful error message
           let errorMessage = '⏱️ *API Timeout Error*\n\n';
           
-          if (error.message.includes('timeout') || error.message.includes('15s limit') || error.message.includes('high load')) {
+          if (error.code === 'TIMEOUT') {
             errorMessage += 'The API is currently experiencing high load. Try again later or check Solscan directly: ' +
               'https://solscan.io/account/' + (walletAddress || process.env.DISTRIBUTION_WALLET_ADDRESS || 'HMDVj2Mhax9Kg68yTPo8qH1bcMQuCAqzDatV6d4Wqawv');
-          } else if (error.message.includes('rate limit')) {
+          } else if (error.code === 'PROVIDER_RATE_LIMITED' || error.code === 'QUOTA_EXCEEDED') {
             errorMessage += 'The API is currently rate limited. Please try again in a few minutes.';
-          } else if (error.message.includes('server error')) {
+          } else if (error.code === 'API_SHUTDOWN') {
+            errorMessage += 'The API is in maintenance mode. Please try again later.';
+          } else if (error.status >= 500) {
             errorMessage += 'The API server is experiencing issues. Please try again later.';
           } else {
             errorMessage = '❌ Error fetching balance: ' + error.message;
@@ -782,7 +1086,7 @@ if (!token) {
           const data = await Promise.race([fetchPromise, timeoutPromise])
             .catch(async (error) => {
               // If the first attempt fails, try with minimal data
-              if (error.message.includes('timeout') || error.message.includes('15s limit')) {
+              if (error.code === 'TIMEOUT') {
                 await bot.sendMessage(chatId, '⏳ First attempt timed out, trying with minimal data...');
                 
                 // Try with minimal data
@@ -791,26 +1095,6 @@ if (!token) {
               throw error;
             });
           
-          if (!data.success) {
-            // If we have fallback stats data, use it
-            if (data.stats) {
-              const stats = data.stats;
-              
-              // Safely format values
-              const totalDistributed = formatSol(stats.totalSolDistributed || "0.00");
-              
-              const message = 
-                `💸 *Distribution Summary (Limited Data)*\n\n` +
-                `Total Distributed: ${totalDistributed} SOL\n\n` +
-                `⚠️ Note: Using fallback data due to API issues.`;
-              
-              await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-              return;
-            }
-            
-            throw new Error(data.error?.message || 'Unknown error');
-          }
-          
           const currentDate = new Date().toLocaleString();
           const stats = data.stats || {};
           
@@ -841,11 +1125,13 @@ if (!token) {
           // Provide a more helpful error message
           let errorMessage = '⏱️ *API Timeout Error*\n\n';
           
-          if (error.message.includes('timeout') || error.message.includes('15s limit') || error.message.includes('high load')) {
+          if (error.code === 'TIMEOUT') {
             errorMessage += 'The API is currently experiencing high load. Try again later or check the stats command for a summary.';
-          } else if (error.message.includes('rate limit')) {
+          } else if (error.code === 'PROVIDER_RATE_LIMITED' || error.code === 'QUOTA_EXCEEDED') {
             errorMessage += 'The API is currently rate limited. Please try again in a few minutes.';
-          } else if (error.message.includes('server error')) {
+          } else if (error.code === 'API_SHUTDOWN') {
+            errorMessage += 'The API is in maintenance mode. Please try again later.';
+          } else if (error.status >= 500) {
             errorMessage += 'The API server is experiencing issues. Please try again later.';
           } else {
             errorMessage = '❌ Error fetching distributed amount: ' + error.message;
@@ -874,7 +1160,7 @@ if (!token) {
           const data = await Promise.race([fetchPromise, timeoutPromise])
             .catch(async (error) => {
               // If the first attempt fails, try with minimal data
-              if (error.message.includes('timeout') || error.message.includes('15s limit')) {
+              if (error.code === 'TIMEOUT') {
                 await bot.sendMessage(chatId, '⏳ First attempt timed out, trying with minimal data...');
                 
                 // Try with minimal data
@@ -883,10 +1169,6 @@ if (!token) {
               throw error;
             });
           
-          if (!data.success) {
-            throw new Error(data.error?.message || 'Unknown error');
-          }
-          
           const transactions = data.transactions?.allTransactions || [];
           const currentDate = new Date().toLocaleString();
           
@@ -900,7 +1182,7 @@ if (!token) {
           
           transactions.forEach((tx, index) => {
             const date = new Date(tx.timestamp || tx.blockTime * 1000).toLocaleString();
-            const type = tx.type === 'sent' ? '🔴 Sent' : '🟢 Received';
+            const type = isOutgoing(tx) ? '🔴 Sent' : '🟢 Received';
             const amount = formatSol(tx.amount || "0.00");
             const signature = tx.signature ? tx.signature.replace(/([_*[\]()~`>#+=|{}.!-])/g, '\\$1') : '';
             
@@ -922,11 +1204,13 @@ if (!token) {
           // Provide a more helpful error message
           let errorMessage = '⏱️ *API Timeout Error*\n\n';
           
-          if (error.message.includes('timeout') || error.message.includes('15s limit') || error.message.includes('high load')) {
+          if (error.code === 'TIMEOUT') {
             errorMessage += 'The API is currently experiencing high load. Try again later or check the stats command for a summary.';
-          } else if (error.message.includes('rate limit')) {
+          } else if (error.code === 'PROVIDER_RATE_LIMITED' || error.code === 'QUOTA_EXCEEDED') {
             errorMessage += 'The API is currently rate limited. Please try again in a few minutes.';
-          } else if (error.message.includes('server error')) {
+          } else if (error.code === 'API_SHUTDOWN') {
+            errorMessage += 'The API is in maintenance mode. Please try again later.';
+          } else if (error.status >= 500) {
             errorMessage += 'The API server is experiencing issues. Please try again later.';
           } else {
             errorMessage = '❌ Error fetching transactions: ' + error.message;
@@ -936,6 +1220,50 @@ if (!token) {
         }
       });
 
+      // Top command - Shows the holders who received the most rewards
+      // Usage: /top [n] [period], e.g. /top 10 week or /top 25 30d
+      bot.onText(/\/top(?:\s+(\d+))?(?:\s+(\S+))?/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        const count = Math.min(parseInt(match[1]) || 10, 50);
+        const period = match[2] || 'all';
+        
+        try {
+          await bot.sendMessage(chatId, '⏳ Fetching leaderboard...');
+          
+          // Set a timeout for the API request
+          const timeoutPromise = new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('Request timed out after 8 seconds')), 8000)
+          );
+          
+          const data = await Promise.race([
+            fetchFromAPI(`/api/leaderboard?limit=${count}&period=${encodeURIComponent(period)}`),
+            timeoutPromise
+          ]);
+          
+          const entries = data.entries || [];
+          if (entries.length === 0) {
+            await bot.sendMessage(chatId, '🏆 *No Rewards Found*\n\nNo distributions were found for this period.', { parse_mode: 'Markdown' });
+            return;
+          }
+          
+          const periodLabel = period === 'all' ? 'All Time' : period;
+          let message = `🏆 *TOP ${entries.length} HOLDERS* (${periodLabel})\n\n`;
+          
+          entries.forEach(entry => {
+            const shortAddr = `${entry.address.substring(0, 4)}...${entry.address.substring(entry.address.length - 4)}`;
+            message += `*${entry.rank}.* \`${shortAddr}\` - ${formatSol(entry.totalReceived.toFixed(9))} SOL (${entry.rewardCount} rewards)\n`;
+          });
+          
+          message += `\n👥 Total Holders: ${data.totalHolders}\n`;
+          message += `💸 Total Distributed: ${formatSol(data.totalDistributed.toFixed(9))} SOL`;
+          
+          await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        } catch (error) {
+          console.error('Error fetching leaderboard:', error.message);
+          bot.sendMessage(chatId, '❌ Error fetching leaderboard: ' + error.message);
+        }
+      });
+
       // Start command
       bot.onText(/\/start/, (msg) => {
         const chatId = msg.chat.id;
@@ -950,6 +1278,7 @@ if (!token) {
           "/balance [address] - Check any wallet's balance\n" +
           "/distributed - View total distributed amount\n" +
           "/transactions - View recent transactions\n" +
+          "/top [n] [period] - Top reward recipients (e.g. /top 10 week)\n" +
           "/help - Show this help message";
         
         bot.sendMessage(chatId, message);
@@ -983,6 +1312,7 @@ if (!token) {
           "*/balance [address]* - Check any wallet's balance\n" +
           "*/distributed* - View total distributed amount\n" +
           "*/transactions* - View recent transactions\n" +
+          "*/top [n] [period]* - Top reward recipients (e.g. /top 10 week)\n" +
           "*/help* - Show this help message\n\n";
         
         // Add admin commands if the user is an admin
@@ -992,7 +1322,14 @@ if (!token) {
             "*/force_refresh* - Force refresh all transactions\n" +
             "*/force_save* - Force save all data\n" +
             "*/fetch_all* - Fetch all transactions\n" +
+            "*/job [id]* - Show an admin job, or the recent ones\n" +
+            "*/audit [action]* - Show the latest audited admin actions\n" +
             "*/status* - Check data collection status\n" +
+            "*/gaps [check|repair]* - Show or run the stored history gap check\n" +
+            "*/usage* - Show provider calls and Helius credits used\n" +
+            "*/apikeys* - List issued API keys\n" +
+            "*/issuekey <name> <scopes> [quota] [days]* - Issue an API key\n" +
+            "*/revokekey <id>* - Revoke an API key\n" +
             "*/stop_api* - Stop API data collection\n" +
             "*/stop_vercel_api* - Stop the Vercel API completely\n" +
             "*/stop* - Stop the bot (will restart automatically)\n";
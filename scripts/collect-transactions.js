@@ -1,141 +1,52 @@
 // Transaction data collector script
-// This script fetches transaction data from Helius API and stores it locally
+// This script fetches transaction data from Helius API and stores it in the configured storage backend
+// Every tracked wallet is collected in turn, each with its own cursor
 // Run this script periodically (e.g., using cron) to keep transaction data up to date
 
 // Load environment variables
 require('dotenv').config();
 
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
 const { setTimeout } = require('timers/promises');
+const { classifyTransaction } = require('../src/services/transactionClassifier');
+const { getStorage } = require('../src/storage');
+const walletRegistry = require('../src/services/walletRegistry');
+const rpcProvider = require('../src/services/rpcProvider');
+const usageTracker = require('../src/services/usageTracker');
 
 // Configuration
 const CONFIG = {
   // API rate limiting
   rateLimits: {
-    requestsPerSecond: 0.5,      // Very conservative: 1 request per 2 seconds
     retryDelay: 10000,           // 10 seconds base delay for retries
     maxRetries: 5,               // Maximum number of retries for failed requests
     batchSize: 2,                // Very small batch size
     batchDelay: 10000,           // 10 seconds between batches
-    initialBackoff: 30000,       // 30 seconds initial backoff time
     maxRequestsPerRun: 20,       // Maximum requests per script run
   },
-  // Data storage
-  storage: {
-    dataDir: path.join(__dirname, '../data'),
-    transactionsFile: 'transactions.json',
-    lastFetchFile: 'last-fetch.json',
-    backupInterval: 5,           // Create a backup every 5 new transactions
-  }
+  // Name of the storage cursor holding this script's progress for the main wallet,
+  // other wallets use 'collector:<address>'
+  cursorName: 'collector'
 };
 
 // Constants
-const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
-const HELIUS_RPC_URL = process.env.HELIUS_RPC_URL;
-const DISTRIBUTION_WALLET_ADDRESS = process.env.DISTRIBUTION_WALLET_ADDRESS;
-
-// Ensure data directory exists
-if (!fs.existsSync(CONFIG.storage.dataDir)) {
-  fs.mkdirSync(CONFIG.storage.dataDir, { recursive: true });
-  console.log(`Created data directory: ${CONFIG.storage.dataDir}`);
-}
-
-// Rate limiter utility
-class RateLimiter {
-  constructor(requestsPerSecond = CONFIG.rateLimits.requestsPerSecond) {
-    this.requestsPerSecond = requestsPerSecond;
-    this.queue = [];
-    this.processing = false;
-    this.lastRequestTime = 0;
-    this.consecutiveErrors = 0;
-    this.requestCount = 0;
-  }
-
-  async throttle() {
-    const now = Date.now();
-    // Add extra delay if we've had consecutive errors
-    const extraDelay = this.consecutiveErrors * 2000; // 2 seconds per consecutive error
-    const timeToWait = Math.max(0, (1000 / this.requestsPerSecond) - (now - this.lastRequestTime)) + extraDelay;
-    
-    if (timeToWait > 0) {
-      console.log(`Rate limiting: waiting ${timeToWait}ms before next request (consecutive errors: ${this.consecutiveErrors})`);
-      await setTimeout(timeToWait);
-    }
-    
-    this.lastRequestTime = Date.now();
-    this.requestCount++;
-  }
-
-  // Add request to queue and process
-  async enqueue(requestFn) {
-    return new Promise((resolve, reject) => {
-      // Check if we've reached the maximum requests for this run
-      if (this.requestCount >= CONFIG.rateLimits.maxRequestsPerRun) {
-        return reject(new Error('Maximum request limit reached for this run'));
-      }
-      
-      // Add to queue
-      this.queue.push({ requestFn, resolve, reject });
-      
-      // Start processing if not already
-      if (!this.processing) {
-        this.processQueue();
-      }
-    });
-  }
-
-  // Process queue
-  async processQueue() {
-    if (this.queue.length === 0) {
-      this.processing = false;
-      return;
-    }
+const TAX_TOKEN_MINT_ADDRESS = process.env.TAX_TOKEN_MINT_ADDRESS;
 
-    this.processing = true;
-    const { requestFn, resolve, reject } = this.queue.shift();
+// Requests made by this run, RPC budgets and cooldowns are shared with the API through the rate limiter
+let requestCount = 0;
 
-    try {
-      await this.throttle();
-      const result = await requestFn();
-      // Reset consecutive errors on success
-      this.consecutiveErrors = 0;
-      resolve(result);
-    } catch (error) {
-      // Increment consecutive errors
-      this.consecutiveErrors++;
-      
-      // If we hit a rate limit, wait longer and retry
-      if (error.response && error.response.status === 429) {
-        const waitTime = CONFIG.rateLimits.initialBackoff * Math.pow(2, this.consecutiveErrors - 1);
-        console.log(`Rate limit hit, waiting ${waitTime}ms before continuing (consecutive errors: ${this.consecutiveErrors})...`);
-        await setTimeout(waitTime);
-        
-        // Put the request back at the front of the queue
-        this.queue.unshift({ requestFn, resolve, reject });
-      } else {
-        reject(error);
-      }
-    } finally {
-      // Continue processing queue after a delay
-      setTimeout(() => this.processQueue(), 1000);
-    }
-  }
-
-  // Send request through the queue
-  async sendRequest(requestFn) {
-    return this.enqueue(requestFn);
+function countRequest() {
+  if (requestCount >= CONFIG.rateLimits.maxRequestsPerRun) {
+    throw new Error('Maximum request limit reached for this run');
   }
+  requestCount++;
 }
 
-// Create a rate limiter instance
-const heliusRateLimiter = new RateLimiter(CONFIG.rateLimits.requestsPerSecond);
-
 // Transaction class
 class Transaction {
   constructor(data) {
     this.signature = data.signature;
+    // Tracked wallet the record is classified for
+    this.wallet = data.wallet || null;
     this.timestamp = data.timestamp || new Date().toISOString();
     this.type = data.type || 'unknown';
     this.amount = data.amount || 0;
@@ -143,6 +54,8 @@ class Transaction {
     this.tokenMint = data.tokenMint || null;
     this.sender = data.sender || null;
     this.receiver = data.receiver || null;
+    // One entry per recipient: { address, lamports or rawAmount, amount }
+    this.legs = data.legs || [];
     this.fee = data.fee || 0;
     this.status = data.status || 'success';
     this.blockTime = data.blockTime || Math.floor(Date.now() / 1000);
@@ -151,126 +64,71 @@ class Transaction {
   }
 }
 
-// Load transactions from file
-function loadTransactions() {
-  const filePath = path.join(CONFIG.storage.dataDir, CONFIG.storage.transactionsFile);
-  
-  if (fs.existsSync(filePath)) {
-    try {
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error loading transactions from file:', error);
-      return [];
-    }
-  }
-  
-  return [];
+// Get the signatures already stored for a wallet
+async function loadExistingSignatures(walletAddress) {
+  const storage = await getStorage();
+  const transactions = await storage.queryTransactions({ wallet: walletAddress });
+  return new Set(transactions.map(tx => tx.signature));
 }
 
-// Save transactions to file
-function saveTransactions(transactions) {
-  const filePath = path.join(CONFIG.storage.dataDir, CONFIG.storage.transactionsFile);
-  
+// Save transactions to storage
+async function saveTransactions(transactions) {
   try {
-    fs.writeFileSync(filePath, JSON.stringify(transactions, null, 2), 'utf8');
-    console.log(`Saved ${transactions.length} transactions to ${filePath}`);
-    
-    // Create a backup if needed
-    if (transactions.length % CONFIG.storage.backupInterval === 0) {
-      const backupPath = path.join(CONFIG.storage.dataDir, `transactions-backup-${Date.now()}.json`);
-      fs.writeFileSync(backupPath, JSON.stringify(transactions, null, 2), 'utf8');
-      console.log(`Created backup at ${backupPath}`);
-    }
+    const storage = await getStorage();
+    await storage.putTransactions(transactions);
+    console.log(`Saved ${transactions.length} transactions to ${storage.name} storage`);
   } catch (error) {
-    console.error('Error saving transactions to file:', error);
+    console.error('Error saving transactions to storage:', error);
   }
 }
 
 // Load last fetch data
-function loadLastFetch() {
-  const filePath = path.join(CONFIG.storage.dataDir, CONFIG.storage.lastFetchFile);
-  
-  if (fs.existsSync(filePath)) {
-    try {
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error loading last fetch data:', error);
-      return { timestamp: null, until: null };
-    }
+async function loadLastFetch(cursorName) {
+  try {
+    const storage = await getStorage();
+    return await storage.getCursor(cursorName) || { timestamp: null, until: null };
+  } catch (error) {
+    console.error('Error loading last fetch data:', error);
+    return { timestamp: null, until: null };
   }
-  
-  return { timestamp: null, until: null };
 }
 
 // Save last fetch data
-function saveLastFetch(data) {
-  const filePath = path.join(CONFIG.storage.dataDir, CONFIG.storage.lastFetchFile);
-  
+async function saveLastFetch(cursorName, data) {
   try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    console.log(`Saved last fetch data to ${filePath}`);
+    const storage = await getStorage();
+    await storage.putCursor(cursorName, data);
+    await storage.putMetadata('lastFetchTimestamp', data.timestamp);
+    console.log(`Saved last fetch data to ${storage.name} storage`);
   } catch (error) {
     console.error('Error saving last fetch data:', error);
   }
 }
 
-// Fetch transactions from Helius API
-async function fetchTransactions() {
+// Fetch a wallet's transactions from Helius API
+async function fetchTransactions(walletAddress, cursorName) {
   try {
-    console.log('Fetching transactions from Helius API...');
-    
-    if (!HELIUS_API_KEY || !HELIUS_RPC_URL || !DISTRIBUTION_WALLET_ADDRESS) {
-      console.error('Missing required environment variables for Helius service');
-      return [];
-    }
+    console.log(`Fetching transactions for ${walletAddress} from Helius API...`);
     
     // Load existing transactions
-    const transactions = loadTransactions();
-    console.log(`Loaded ${transactions.length} existing transactions`);
+    const existingSignatures = await loadExistingSignatures(walletAddress);
+    console.log(`Loaded ${existingSignatures.size} existing transactions`);
     
     // Load last fetch data
-    const lastFetch = loadLastFetch();
+    const lastFetch = await loadLastFetch(cursorName);
     console.log(`Last fetch: ${lastFetch.timestamp || 'never'}`);
     
-    // Prepare request data
-    const requestData = {
-      jsonrpc: '2.0',
-      id: 'my-id',
-      method: 'getSignaturesForAddress',
-      params: [
-        DISTRIBUTION_WALLET_ADDRESS,
-        {
-          limit: CONFIG.rateLimits.maxRequestsPerRun
-        }
-      ]
-    };
-    
-    // Add until parameter if we have a previous signature
-    if (lastFetch.until) {
-      requestData.params[1].until = lastFetch.until;
-    }
-    
-    // Make request to Helius API
-    const response = await heliusRateLimiter.sendRequest(async () => {
-      return await axios.post(HELIUS_RPC_URL, requestData, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': HELIUS_API_KEY
-        },
-        timeout: 10000 // 10 second timeout
-      });
+    // Request through the provider, which fails over between the configured RPC endpoints
+    // The until parameter stops at the previous run's signature, if we have one
+    countRequest();
+    // A background fetch, refused while provider usage is close to the credit budget
+    const signatures = await rpcProvider.getSignatures(walletAddress, {
+      limit: CONFIG.rateLimits.maxRequestsPerRun,
+      until: lastFetch.until,
+      timeout: 10000, // 10 second timeout
+      background: true
     });
     
-    // Check if response is valid
-    if (!response.data || !response.data.result) {
-      console.error('Invalid response from Helius API:', response.data);
-      return [];
-    }
-    
-    // Get signatures from response
-    const signatures = response.data.result;
     console.log(`Fetched ${signatures.length} signatures`);
     
     // Save the last signature for pagination in future runs
@@ -279,7 +137,6 @@ async function fetchTransactions() {
     }
     
     // Filter out signatures that we've already processed
-    const existingSignatures = new Set(transactions.map(tx => tx.signature));
     const newSignatures = signatures.filter(sig => !existingSignatures.has(sig.signature));
     console.log(`Found ${newSignatures.length} new signatures to process`);
     
@@ -303,13 +160,12 @@ async function fetchTransactions() {
       // Process one signature at a time to better control rate limiting
       for (const sig of batch) {
         try {
-          const txDetails = await getTransactionDetails(sig.signature);
+          const txDetails = await getTransactionDetails(sig.signature, walletAddress);
           if (txDetails) {
             newTransactions.push(txDetails);
             
-            // Update transactions array and save to file
-            transactions.push(txDetails);
-            saveTransactions(transactions);
+            // Save each transaction as it arrives so progress survives a crash
+            await saveTransactions([txDetails]);
           }
           // Add a small delay between each signature in the batch
           await setTimeout(2000);
@@ -329,7 +185,7 @@ async function fetchTransactions() {
     
     // Update last fetch timestamp
     lastFetch.timestamp = new Date().toISOString();
-    saveLastFetch(lastFetch);
+    await saveLastFetch(cursorName, lastFetch);
     
     console.log(`Successfully processed ${newTransactions.length} new transactions`);
     return newTransactions;
@@ -340,7 +196,7 @@ async function fetchTransactions() {
 }
 
 // Get transaction details from Helius API
-async function getTransactionDetails(signature) {
+async function getTransactionDetails(signature, walletAddress) {
   let retries = 0;
   const maxRetries = CONFIG.rateLimits.maxRetries;
   
@@ -348,52 +204,31 @@ async function getTransactionDetails(signature) {
     try {
       console.log(`Getting details for transaction: ${signature}`);
       
-      // Prepare request data
-      const requestData = {
-        jsonrpc: '2.0',
-        id: 'my-id',
-        method: 'getTransaction',
-        params: [
-          signature,
-          {
-            encoding: 'jsonParsed',
-            maxSupportedTransactionVersion: 0
-          }
-        ]
-      };
-      
-      // Make request to Helius API
-      const response = await heliusRateLimiter.sendRequest(async () => {
-        return await axios.post(HELIUS_RPC_URL, requestData, {
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': HELIUS_API_KEY
-          },
-          timeout: 10000 // 10 second timeout
-        });
-      });
+      countRequest();
+      const txData = await rpcProvider.getTransaction(signature, { timeout: 10000, background: true });
       
-      // Check if response is valid
-      if (!response.data || !response.data.result) {
-        console.error('Invalid response from Helius API:', response.data);
+      if (!txData) {
+        console.error(`Transaction not found: ${signature}`);
         return null;
       }
       
-      // Get transaction data
-      const txData = response.data.result;
-      
       // Process transaction data
-      const transaction = processTransaction(signature, txData);
+      const transaction = processTransaction(signature, txData, walletAddress);
       if (transaction) {
         return transaction;
       }
       
       return null;
     } catch (error) {
+      // Retrying won't help until the usage budget resets
+      if (error.budgetPaused) {
+        throw error;
+      }
+      
       retries++;
       
       // If we've hit a rate limit and have retries left, wait and try again
-      if (error.response && error.response.status === 429 && retries <= maxRetries) {
+      if ((error.rateLimited || (error.response && error.response.status === 429)) && retries <= maxRetries) {
         const waitTime = Math.pow(2, retries) * CONFIG.rateLimits.retryDelay; // Exponential backoff
         console.log(`Rate limit hit, retrying in ${waitTime}ms (attempt ${retries}/${maxRetries})...`);
         await setTimeout(waitTime);
@@ -413,7 +248,7 @@ async function getTransactionDetails(signature) {
 }
 
 // Process transaction data
-function processTransaction(signature, txData) {
+function processTransaction(signature, txData, walletAddress) {
   try {
     // Check if transaction is valid
     if (!txData || !txData.meta || txData.meta.err) {
@@ -421,70 +256,8 @@ function processTransaction(signature, txData) {
       return null;
     }
     
-    // Basic transaction data
-    const transaction = new Transaction({
-      signature,
-      blockTime: txData.blockTime,
-      slot: txData.slot,
-      timestamp: new Date(txData.blockTime * 1000).toISOString(),
-      meta: {}
-    });
-    
-    // Determine transaction type and details
-    const preBalances = txData.meta.preBalances;
-    const postBalances = txData.meta.postBalances;
-    const accountKeys = txData.transaction.message.accountKeys;
-    
-    if (preBalances && postBalances && accountKeys) {
-      // Find index of distribution wallet
-      const walletIndex = accountKeys.findIndex(key => 
-        key.pubkey === DISTRIBUTION_WALLET_ADDRESS
-      );
-      
-      if (walletIndex >= 0) {
-        const preBal = preBalances[walletIndex];
-        const postBal = postBalances[walletIndex];
-        const diff = postBal - preBal;
-        
-        if (diff > 0) {
-          // Received SOL
-          transaction.type = 'received';
-          transaction.amount = diff / 1e9; // Convert lamports to SOL
-          transaction.token = 'SOL';
-          transaction.receiver = DISTRIBUTION_WALLET_ADDRESS;
-          
-          // Try to determine sender
-          const senderIndex = preBalances.findIndex((bal, i) => 
-            i !== walletIndex && preBalances[i] > postBalances[i]
-          );
-          if (senderIndex >= 0) {
-            transaction.sender = accountKeys[senderIndex].pubkey;
-          }
-        } else if (diff < 0) {
-          // Sent SOL
-          transaction.type = 'sent';
-          transaction.amount = Math.abs(diff) / 1e9; // Convert lamports to SOL
-          transaction.token = 'SOL';
-          transaction.sender = DISTRIBUTION_WALLET_ADDRESS;
-          
-          // Try to determine receiver
-          const receiverIndex = preBalances.findIndex((bal, i) => 
-            i !== walletIndex && preBalances[i] < postBalances[i]
-          );
-          if (receiverIndex >= 0) {
-            transaction.receiver = accountKeys[receiverIndex].pubkey;
-          }
-        }
-      }
-    }
-    
-    // If we couldn't determine the transaction type, mark as unknown
-    if (!transaction.type) {
-      transaction.type = 'unknown';
-      transaction.meta.raw = txData;
-    }
-    
-    return transaction;
+    // Use the shared classifier so the API, bot and collector agree on types and totals
+    return new Transaction(classifyTransaction(txData, walletAddress, { signature }));
   } catch (error) {
     console.error(`Error processing transaction ${signature}:`, error);
     return null;
@@ -496,12 +269,34 @@ async function main() {
   console.log('Starting transaction data collection...');
   
   try {
-    // Fetch and process transactions
-    await fetchTransactions();
+    const wallets = await walletRegistry.listWallets();
+    if (wallets.length === 0) {
+      console.error('No wallet is tracked, set DISTRIBUTION_WALLET_ADDRESS');
+      return;
+    }
+    
+    // Fetch and process transactions for each tracked wallet
+    const primaryAddress = await walletRegistry.getPrimaryAddress();
+    for (const wallet of wallets) {
+      const cursorName = wallet.address === primaryAddress ? CONFIG.cursorName : `${CONFIG.cursorName}:${wallet.address}`;
+      await fetchTransactions(wallet.address, cursorName);
+      
+      if (requestCount >= CONFIG.rateLimits.maxRequestsPerRun) {
+        console.log('Request limit reached, remaining wallets are collected next run');
+        break;
+      }
+    }
     
     console.log('Transaction data collection completed successfully');
   } catch (error) {
     console.error('Error in transaction data collection:', error);
+  } finally {
+    // Flush usage counts and pending writes, then close connections
+    await usageTracker.flush().catch(error => console.error('Error saving usage:', error.message));
+    const storage = await getStorage().catch(() => null);
+    if (storage) {
+      await storage.close();
+    }
   }
 }
 
@@ -1,7 +1,13 @@
 const express = require('express');
 const cors = require('cors');
 const transactionService = require('../services/transactionService');
+const apiKeys = require('../services/apiKeys');
+const jobRegistry = require('../services/jobRegistry');
 const telegramBot = require('../bot/telegramBot');
+const openApi = require('./openapi');
+const { createValidator } = require('./validation');
+const { CODES, sendSuccess, sendError, errorHandler } = require('./errors');
+const { parsePaginationParams, paginateArray } = require('../utils/pagination');
 
 // Create Express app
 const app = express();
@@ -11,35 +17,61 @@ const PORT = process.env.API_PORT || 3001;
 app.use(cors());
 app.use(express.json());
 
-// Format response data for API
-const formatApiResponse = (data) => {
-  return {
-    success: true,
-    timestamp: new Date().toISOString(),
-    data
-  };
+// Admin routes need the master API_KEY or an issued key with the given scope
+const requireScope = (scope) => async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'] || req.query.api_key;
+    if (process.env.API_KEY && apiKey === process.env.API_KEY) {
+      req.apiKey = { id: 'master', name: 'API_KEY', master: true };
+      return next();
+    }
+    
+    if (!apiKey) {
+      return sendError(res, CODES.API_KEY_MISSING);
+    }
+    
+    const result = await apiKeys.authenticate(apiKey, scope);
+    if (!result.key) {
+      return sendError(res, result.error);
+    }
+    
+    req.apiKey = result.key;
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
-// Error handler middleware
-const errorHandler = (err, req, res, next) => {
-  console.error('API Error:', err);
-  res.status(500).json({
-    success: false,
-    timestamp: new Date().toISOString(),
-    error: {
-      message: err.message || 'Internal server error',
-      code: err.code || 500
-    }
-  });
+// Read limit, cursor and order, or answer 400 and return null
+const getPagination = (req, res) => {
+  try {
+    return parsePaginationParams(req.query);
+  } catch (error) {
+    sendError(res, CODES.INVALID_REQUEST, { message: error.message });
+    return null;
+  }
 };
 
+// Format a transaction list entry for API response
+const formatTransaction = (tx) => ({
+  ...tx,
+  solAmount: parseFloat(tx.solAmount.toFixed(9)),
+  timestamp: tx.timestamp.toISOString(),
+  date: telegramBot.formatDate(tx.timestamp)
+});
+
 // Routes
 
+// OpenAPI document of this server, requests are validated against it
+const openApiDocument = openApi.getDocument('apiServer');
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.use(createValidator(openApiDocument));
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    timestamp: new Date().toISOString(),
+  sendSuccess(res, {
     message: 'API is running',
     version: process.env.npm_package_version || '1.0.0'
   });
@@ -57,22 +89,10 @@ app.get('/api/stats', async (req, res, next) => {
       totalSolSent: parseFloat(stats.totalSolSent.toFixed(9)),
       totalSolReceived: parseFloat(stats.totalSolReceived.toFixed(9)),
       totalTaxReceived: parseFloat(stats.totalTaxReceived.toFixed(9)),
-      currentBalance: parseFloat(stats.currentBalance.toFixed(9)),
-      outgoingTransactions: stats.outgoingTransactions.map(tx => ({
-        ...tx,
-        solAmount: parseFloat(tx.solAmount.toFixed(9)),
-        timestamp: tx.timestamp.toISOString(),
-        date: telegramBot.formatDate(tx.timestamp)
-      })),
-      taxIncomingTransactions: stats.taxIncomingTransactions.map(tx => ({
-        ...tx,
-        solAmount: parseFloat(tx.solAmount.toFixed(9)),
-        timestamp: tx.timestamp.toISOString(),
-        date: telegramBot.formatDate(tx.timestamp)
-      }))
+      currentBalance: parseFloat(stats.currentBalance.toFixed(9))
     };
     
-    res.json(formatApiResponse(formattedStats));
+    sendSuccess(res, formattedStats);
   } catch (error) {
     next(error);
   }
@@ -81,22 +101,25 @@ app.get('/api/stats', async (req, res, next) => {
 // Get distribution transactions
 app.get('/api/distributions', async (req, res, next) => {
   try {
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    
     const walletAddress = req.query.wallet || process.env.DISTRIBUTION_WALLET_ADDRESS;
     const distributionData = await transactionService.getDistributionTransactions(walletAddress);
+    const page = paginateArray(distributionData.transactions, pagination);
     
     // Format numbers for API response
     const formattedData = {
       ...distributionData,
       totalSolSent: parseFloat(distributionData.totalSolSent.toFixed(9)),
-      transactions: distributionData.transactions.map(tx => ({
-        ...tx,
-        solAmount: parseFloat(tx.solAmount.toFixed(9)),
-        timestamp: tx.timestamp.toISOString(),
-        date: telegramBot.formatDate(tx.timestamp)
-      }))
+      transactions: page.items.map(formatTransaction),
+      limit: page.limit,
+      order: page.order,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
     };
     
-    res.json(formatApiResponse(formattedData));
+    sendSuccess(res, formattedData);
   } catch (error) {
     next(error);
   }
@@ -105,42 +128,79 @@ app.get('/api/distributions', async (req, res, next) => {
 // Get tax transactions
 app.get('/api/tax', async (req, res, next) => {
   try {
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    
     const walletAddress = req.query.wallet || process.env.DISTRIBUTION_WALLET_ADDRESS;
     const taxData = await transactionService.getTaxTransactions(walletAddress);
+    const page = paginateArray(taxData.transactions, pagination);
     
     // Format numbers for API response
     const formattedData = {
       ...taxData,
       totalTaxReceived: parseFloat(taxData.totalTaxReceived.toFixed(9)),
-      transactions: taxData.transactions.map(tx => ({
-        ...tx,
-        solAmount: parseFloat(tx.solAmount.toFixed(9)),
-        timestamp: tx.timestamp.toISOString(),
-        date: telegramBot.formatDate(tx.timestamp)
-      }))
+      transactions: page.items.map(formatTransaction),
+      limit: page.limit,
+      order: page.order,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
     };
     
-    res.json(formatApiResponse(formattedData));
+    sendSuccess(res, formattedData);
   } catch (error) {
     next(error);
   }
 });
 
-// Force refresh historical data
-app.post('/api/refresh', async (req, res, next) => {
+// Force refresh historical data, runs as a job and answers with its ID
+app.post('/api/admin/refresh', requireScope(apiKeys.SCOPES.ADMIN_REFRESH), (req, res, next) => {
   try {
     const walletAddress = req.body.wallet || process.env.DISTRIBUTION_WALLET_ADDRESS;
-    await transactionService.refreshHistoricalData(walletAddress);
+    const started = jobRegistry.startJob('refresh', async () => {
+      await transactionService.refreshHistoricalData(walletAddress);
+      return { wallet: walletAddress };
+    }, {
+      params: { wallet: walletAddress },
+      requestedBy: { id: req.apiKey.id, name: req.apiKey.name }
+    });
     
-    res.json(formatApiResponse({
-      message: 'Historical data refreshed successfully',
-      timestamp: new Date().toISOString()
-    }));
+    sendSuccess(res, {
+      message: started.created ? 'Historical data refresh started' : 'A refresh job is already running',
+      jobId: started.job.id,
+      job: started.job
+    }, started.created ? 202 : 200);
   } catch (error) {
     next(error);
   }
 });
 
+// Status and result of an admin job
+app.get('/api/admin/jobs/:id', requireScope(apiKeys.SCOPES.ADMIN_JOBS), async (req, res, next) => {
+  try {
+    const job = await jobRegistry.getJob(req.params.id);
+    if (!job) {
+      return sendError(res, CODES.JOB_NOT_FOUND, { message: `Job not found: ${req.params.id}` });
+    }
+    
+    sendSuccess(res, { job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The refresh moved under /api/admin
+app.post('/api/refresh', (req, res) => {
+  sendError(res, CODES.ROUTE_MOVED, {
+    message: 'POST /api/refresh is no longer supported, use POST /api/admin/refresh',
+    replacement: 'POST /api/admin/refresh'
+  });
+});
+
+// 404 handler
+app.use((req, res) => {
+  sendError(res, CODES.ROUTE_NOT_FOUND, { message: `Route not found: ${req.method} ${req.url}` });
+});
+
 // Apply error handler
 app.use(errorHandler);
 
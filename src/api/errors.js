@@ -0,0 +1,173 @@
+// Response envelope and error catalog
+// Every route of the three apps answers with the same envelope:
+//   { success: true, timestamp, data }
+//   { success: false, timestamp, error: { code, message, details, status } }
+// error.code is one of the codes below and never changes for a kind of failure, so
+// clients and the bots branch on it; message and details are for people. Thrown errors
+// are classified by toApiError(): requests a service rejected, provider rate limits,
+// unreachable providers and storage failures get their own codes, anything else is INTERNAL_ERROR
+const { REJECTIONS, RejectedError } = require('../utils/errors');
+
+const ERRORS = {
+  // The request
+  INVALID_REQUEST: { status: 400, message: 'Invalid request' },
+  WALLET_INVALID: { status: 400, message: 'Invalid Solana wallet address' },
+  RULES_INVALID: { status: 400, message: 'Invalid classification rules' },
+  API_KEY_MISSING: { status: 401, message: 'Unauthorized: Invalid or missing API key' },
+  API_KEY_INVALID: { status: 401, message: 'Unauthorized: Invalid or missing API key' },
+  API_KEY_EXPIRED: { status: 401, message: 'Unauthorized: API key has expired' },
+  WEBHOOK_SECRET_INVALID: { status: 401, message: 'Unauthorized: Invalid webhook secret' },
+  API_KEY_SCOPE: { status: 403, message: 'Forbidden: API key lacks the scope this endpoint needs' },
+  MASTER_KEY_REQUIRED: { status: 403, message: 'Forbidden: This endpoint requires the master API key' },
+  QUOTA_EXCEEDED: { status: 429, message: 'Daily request quota exceeded for this API key' },
+  ROUTE_MOVED: { status: 410, message: 'This endpoint is no longer supported' },
+
+  // What it asked for
+  ROUTE_NOT_FOUND: { status: 404, message: 'Route not found' },
+  WALLET_NOT_TRACKED: { status: 404, message: 'Wallet is not tracked' },
+  JOB_NOT_FOUND: { status: 404, message: 'Job not found' },
+  ROUND_NOT_FOUND: { status: 404, message: 'Round not found' },
+  API_KEY_NOT_FOUND: { status: 404, message: 'API key not found' },
+  WALLET_PROTECTED: { status: 400, message: 'This wallet cannot be changed' },
+
+  // The service
+  NOT_CONFIGURED: { status: 503, message: 'This feature is not configured' },
+  API_SHUTDOWN: { status: 503, message: 'API is currently in maintenance mode. Please try again later.' },
+  STORAGE_UNAVAILABLE: { status: 503, message: 'The storage backend is unavailable' },
+  PROVIDER_RATE_LIMITED: { status: 503, message: 'The RPC providers are rate limiting requests, try again later' },
+  PROVIDER_UNAVAILABLE: { status: 502, message: 'The RPC providers could not be reached' },
+  TIMEOUT: { status: 504, message: 'Request processing timed out' },
+  INTERNAL_ERROR: { status: 500, message: 'Internal server error' }
+};
+
+const CODES = Object.fromEntries(Object.keys(ERRORS).map(code => [code, code]));
+
+// The code for each reason a service rejects a request with, see src/utils/errors.js
+const REJECTION_CODES = {
+  [REJECTIONS.INVALID_ADDRESS]: CODES.WALLET_INVALID,
+  [REJECTIONS.INVALID_ROLE]: CODES.INVALID_REQUEST,
+  [REJECTIONS.PROTECTED_WALLET]: CODES.WALLET_PROTECTED,
+  [REJECTIONS.KEY_INVALID]: CODES.API_KEY_INVALID,
+  [REJECTIONS.KEY_EXPIRED]: CODES.API_KEY_EXPIRED,
+  [REJECTIONS.KEY_SCOPE]: CODES.API_KEY_SCOPE,
+  [REJECTIONS.KEY_QUOTA]: CODES.QUOTA_EXCEEDED
+};
+
+// An error with a catalog code, thrown by services and routes and sent by sendError()
+class ApiError extends Error {
+  constructor(code, details, options = {}) {
+    const entry = ERRORS[code] || ERRORS.INTERNAL_ERROR;
+    super(options.message || entry.message);
+    this.name = 'ApiError';
+    this.code = ERRORS[code] ? code : CODES.INTERNAL_ERROR;
+    this.status = entry.status;
+    this.details = details;
+    this.retryAfter = options.retryAfter || null; // seconds
+  }
+}
+
+// Storage adapters' connection failures
+function isStorageError(error) {
+  return !!error.storageUnavailable ||
+    /^Mongo(Network|ServerSelection|NotConnected)Error$/.test(error.name) ||
+    /^SQLITE_(BUSY|LOCKED|CANTOPEN|IOERR|READONLY|FULL)/.test(error.code || '');
+}
+
+// Classify a thrown error
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof RejectedError) {
+    return new ApiError(REJECTION_CODES[error.reason] || CODES.INVALID_REQUEST, error.details, {
+      message: error.message,
+      retryAfter: error.retryAfter
+    });
+  }
+  // Bodies express.json() couldn't parse
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(CODES.INVALID_REQUEST, error.message);
+  }
+  if (error.rateLimited || (error.response && error.response.status === 429)) {
+    // The rate limiter gives milliseconds
+    const retryAfter = error.retryAfter ? Math.ceil(error.retryAfter / 1000) : null;
+    return new ApiError(CODES.PROVIDER_RATE_LIMITED, error.message, { retryAfter });
+  }
+  if (error.providerUnavailable) {
+    return new ApiError(CODES.PROVIDER_UNAVAILABLE, error.message);
+  }
+  if (isStorageError(error)) {
+    return new ApiError(CODES.STORAGE_UNAVAILABLE, error.message);
+  }
+  return new ApiError(CODES.INTERNAL_ERROR, error.message);
+}
+
+// A success body
+function envelope(data = {}) {
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    data
+  };
+}
+
+// An error body; fields: message, details and any extra error fields (fields, replacement)
+function errorEnvelope(code, fields = {}) {
+  const entry = ERRORS[code] || ERRORS.INTERNAL_ERROR;
+  const { message, details, ...extra } = fields;
+  return {
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code,
+      message: message || entry.message,
+      ...(details !== undefined && details !== null ? { details: String(details) } : {}),
+      status: entry.status,
+      ...extra
+    }
+  };
+}
+
+function sendSuccess(res, data, status = 200) {
+  return res.status(status).json(envelope(data));
+}
+
+// Send an error: a catalog code, or a thrown error classified by toApiError()
+// Options: message and details override the error's own, retryAfter (seconds) and extra error fields
+function sendError(res, error, options = {}) {
+  const apiError = typeof error === 'string' ? new ApiError(error) : toApiError(error);
+  const { message, details, retryAfter, ...extra } = options;
+  const wait = retryAfter || apiError.retryAfter;
+  if (wait) {
+    res.setHeader('Retry-After', String(wait));
+  }
+  return res.status(apiError.status).json(errorEnvelope(apiError.code, {
+    message: message || apiError.message,
+    details: details !== undefined ? details : apiError.details,
+    ...extra
+  }));
+}
+
+// Express error handler, last in each app
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+  const apiError = toApiError(err);
+  if (apiError.status >= 500) {
+    console.error('API Error:', err);
+  }
+  sendError(res, apiError);
+}
+
+module.exports = {
+  ERRORS,
+  CODES,
+  ApiError,
+  toApiError,
+  envelope,
+  errorEnvelope,
+  sendSuccess,
+  sendError,
+  errorHandler
+};
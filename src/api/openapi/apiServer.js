@@ -0,0 +1,114 @@
+// OpenAPI paths of the bot's API server (src/api/apiServer.js)
+const { SCOPES } = require('../../services/apiKeys');
+const {
+  ref,
+  jsonResponse,
+  success,
+  errors,
+  path,
+  jsonBody,
+  scoped,
+  PUBLIC,
+  params,
+  PAGINATION
+} = require('./components');
+
+// A page of formatted transactions with its total
+const transactionPage = total => success({
+  [total]: { type: 'number' },
+  transactions: { type: 'array', items: ref('Transaction') },
+  limit: { type: 'integer' },
+  order: { type: 'string', enum: ['desc', 'asc'] },
+  hasMore: { type: 'boolean' },
+  nextCursor: { type: ['string', 'null'] }
+}, ['transactions']);
+
+const paths = {
+  '/api/health': {
+    get: {
+      summary: 'Health check',
+      responses: {
+        200: jsonResponse('API is running', success({ message: { type: 'string' }, version: { type: 'string' } }))
+      }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      summary: 'This OpenAPI document',
+      responses: { 200: jsonResponse('OpenAPI 3.1 document', { type: 'object', required: ['openapi', 'paths'] }) }
+    }
+  },
+  '/api/stats': {
+    get: {
+      summary: 'Balance and totals of a wallet',
+      parameters: [params.wallet],
+      responses: {
+        200: jsonResponse('Wallet statistics', success({
+          totalSolSent: { type: 'number' },
+          totalSolReceived: { type: 'number' },
+          totalTaxReceived: { type: 'number' },
+          currentBalance: { type: 'number' }
+        })),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/distributions': {
+    get: {
+      summary: 'Distributions sent by a wallet',
+      parameters: [params.wallet, ...PAGINATION],
+      responses: {
+        200: jsonResponse('Distributions', transactionPage('totalSolSent')),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/tax': {
+    get: {
+      summary: 'Tax received by a wallet',
+      parameters: [params.wallet, ...PAGINATION],
+      responses: {
+        200: jsonResponse('Tax transactions', transactionPage('totalTaxReceived')),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/admin/refresh': {
+    post: {
+      summary: 'Refresh the historical data of a wallet',
+      description: 'Starts a job and returns its ID',
+      security: scoped(SCOPES.ADMIN_REFRESH),
+      requestBody: jsonBody({ type: 'object', properties: { wallet: ref('WalletAddress') } }, false),
+      responses: {
+        200: jsonResponse('A refresh job is already running', success({ jobId: { type: 'string' }, job: ref('Job') }, ['jobId'])),
+        202: jsonResponse('Job started', success({ jobId: { type: 'string' }, job: ref('Job') }, ['jobId'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/admin/jobs/{id}': {
+    get: {
+      summary: 'Status and result of an admin job',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [path('id', { type: 'string' }, 'Job ID')],
+      responses: {
+        200: jsonResponse('Job', success({ job: ref('Job') }, ['job'])),
+        ...errors(401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/refresh': {
+    post: {
+      deprecated: true,
+      summary: 'Moved to POST /api/admin/refresh',
+      responses: errors(410)
+    }
+  }
+};
+
+module.exports = {
+  title: 'Distribution Tracker bot API',
+  description: 'Wallet statistics for the Telegram bot, served by src/api/apiServer.js',
+  security: PUBLIC,
+  paths
+};
@@ -0,0 +1,309 @@
+// Shared OpenAPI components
+// Schemas, parameters and responses used by the documents of all three apps, with
+// helpers to build operations from them. Schemas are JSON Schema 2020-12 (OpenAPI 3.1),
+// the same schemas validate requests and responses, see src/api/validation.js.
+// Response schemas list the fields clients rely on and allow any others. Every body is
+// the envelope of src/api/errors.js, success() and the Error schema describe it
+const { SCOPES } = require('../../services/apiKeys');
+const { ROLES } = require('../../services/walletRegistry');
+const { INTERVALS } = require('../../services/rewardLedger');
+const { ERRORS } = require('../errors');
+
+const BASE58_ADDRESS = '^[1-9A-HJ-NP-Za-km-z]{32,44}$';
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function nullable(schema) {
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+const schemas = {
+  WalletAddress: {
+    type: 'string',
+    pattern: BASE58_ADDRESS,
+    description: 'Solana address, base58'
+  },
+  DateParam: {
+    type: 'string',
+    description: 'ISO date or unix time in seconds'
+  },
+  Transaction: {
+    type: 'object',
+    properties: {
+      signature: { type: 'string' },
+      wallet: { type: ['string', 'null'], description: 'Tracked wallet the record is classified for' },
+      timestamp: { type: 'string' },
+      type: { type: 'string' },
+      amount: { type: 'number' },
+      token: { type: 'string' },
+      tokenMint: { type: ['string', 'null'] },
+      sender: { type: ['string', 'null'] },
+      receiver: { type: ['string', 'null'] },
+      legs: { type: 'array', items: { type: 'object' } },
+      fee: { type: 'number' },
+      status: { type: 'string' },
+      blockTime: { type: ['integer', 'null'] },
+      slot: { type: ['integer', 'null'] }
+    },
+    required: ['signature']
+  },
+  Wallet: {
+    type: 'object',
+    properties: {
+      address: ref('WalletAddress'),
+      label: { type: ['string', 'null'] },
+      role: { type: 'string', enum: Object.values(ROLES) },
+      addedAt: { type: 'string' }
+    },
+    required: ['address', 'role']
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      prefix: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: Object.values(SCOPES) } },
+      dailyQuota: { type: ['integer', 'null'] },
+      expiresAt: { type: ['string', 'null'] },
+      createdAt: { type: 'string' },
+      revokedAt: { type: ['string', 'null'] },
+      lastUsedAt: { type: ['string', 'null'] },
+      requestCount: { type: 'integer' }
+    },
+    required: ['id', 'name', 'scopes']
+  },
+  Actor: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      name: { type: ['string', 'null'] }
+    },
+    required: ['id']
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string' },
+      status: { type: 'string', enum: ['running', 'completed', 'failed'] },
+      params: { type: ['object', 'null'] },
+      requestedBy: nullable(ref('Actor')),
+      startedAt: { type: 'string' },
+      finishedAt: { type: ['string', 'null'] },
+      result: {},
+      error: { type: ['string', 'null'] }
+    },
+    required: ['id', 'type', 'status', 'startedAt']
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      timestamp: { type: 'string' },
+      action: { type: 'string' },
+      channel: { type: 'string', enum: ['api', 'telegram', 'system'] },
+      actor: nullable(ref('Actor')),
+      params: { type: ['object', 'null'] },
+      before: { type: ['object', 'null'] },
+      after: { type: ['object', 'null'] },
+      result: { type: 'string' },
+      error: { type: ['string', 'null'] }
+    },
+    required: ['id', 'timestamp', 'action', 'channel', 'result']
+  },
+  BackgroundJobStatus: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      isRunning: { type: 'boolean' },
+      lastRunTime: { type: ['string', 'null'] },
+      nextRunTime: { type: ['string', 'null'] },
+      currentInterval: { type: 'string' },
+      consecutiveErrors: { type: 'integer' }
+    }
+  },
+  JobStarted: success({
+    message: { type: 'string' },
+    jobId: { type: 'string' },
+    statusUrl: { type: 'string' },
+    job: ref('Job')
+  }, ['jobId', 'job']),
+  Error: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      timestamp: { type: 'string' },
+      error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', enum: Object.keys(ERRORS), description: 'Stable error code, see the README' },
+          message: { type: 'string' },
+          details: { type: 'string' },
+          status: { type: 'integer', description: 'HTTP status' }
+        },
+        required: ['code', 'message', 'status']
+      }
+    },
+    required: ['success', 'timestamp', 'error']
+  },
+  ValidationError: {
+    allOf: [ref('Error')],
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          fields: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['path', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  Moved: {
+    allOf: [ref('Error')],
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          replacement: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function jsonResponse(description, schema) {
+  return {
+    description,
+    content: { 'application/json': { schema } }
+  };
+}
+
+const responses = {
+  BadRequest: jsonResponse('Invalid parameters or body', ref('ValidationError')),
+  Unauthorized: jsonResponse('Missing, invalid or expired API key', ref('Error')),
+  Forbidden: jsonResponse('The API key lacks the scope the endpoint needs', ref('Error')),
+  NotFound: jsonResponse('Not found', ref('Error')),
+  Gone: jsonResponse('The endpoint moved, see error.replacement', ref('Moved')),
+  QuotaExceeded: jsonResponse('The API key used up its daily quota, see Retry-After', ref('Error')),
+  ServerError: jsonResponse('Unexpected error', ref('Error')),
+  BadGateway: jsonResponse('The RPC providers could not be reached', ref('Error')),
+  Unavailable: jsonResponse('Maintenance mode, a feature that is not configured, or storage or RPC providers unavailable', ref('Error')),
+  Timeout: jsonResponse('The request took too long', ref('Error'))
+};
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  410: 'Gone',
+  429: 'QuotaExceeded',
+  500: 'ServerError',
+  502: 'BadGateway',
+  503: 'Unavailable',
+  504: 'Timeout'
+};
+
+const securitySchemes = {
+  ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-KEY' },
+  ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+};
+
+// A successful JSON body: success, timestamp and the given fields in data
+function success(properties = {}, required = []) {
+  return {
+    type: 'object',
+    properties: {
+      success: { const: true },
+      timestamp: { type: 'string' },
+      data: { type: 'object', properties, required }
+    },
+    required: ['success', 'timestamp', 'data']
+  };
+}
+
+// The given error responses by status code
+function errors(...codes) {
+  return Object.fromEntries(codes.map(code => [String(code), { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` }]));
+}
+
+function query(name, schema, description, required = false) {
+  return { name, in: 'query', required, description, schema };
+}
+
+function path(name, schema, description) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+function jsonBody(schema, required = true) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+// An API key with the scope, or the master API_KEY, in the header or the query
+function scoped(scope) {
+  return [{ ApiKeyHeader: [scope] }, { ApiKeyQuery: [scope] }];
+}
+
+const PUBLIC = [];
+
+// Parameters shared by several operations
+const params = {
+  wallet: query('wallet', ref('WalletAddress'), 'Tracked wallet, the main distribution wallet by default'),
+  limit: query('limit', { type: 'integer', minimum: 1 }, 'Page size'),
+  offset: query('offset', { type: 'integer', minimum: 0 }, 'Items to skip'),
+  cursor: query('cursor', { type: 'string' }, 'nextCursor of the previous page'),
+  order: query('order', { type: 'string', enum: ['desc', 'asc'] }, 'Slot order, newest first by default'),
+  from: query('from', ref('DateParam'), 'Start date, ISO or unix time'),
+  to: query('to', ref('DateParam'), 'End date, ISO or unix time'),
+  token: query('token', { type: 'string' }, 'SOL or a token mint, SOL by default'),
+  interval: query('interval', { type: 'string', enum: INTERVALS }, 'Bucket size, day by default')
+};
+
+// Cursor pagination as read by parsePaginationParams
+const PAGINATION = [
+  query('limit', { type: 'integer', minimum: 1 }, 'Page size, up to 1000'),
+  params.cursor,
+  params.order
+];
+
+// An old route answering 410 with its replacement
+function moved(replacement) {
+  return {
+    deprecated: true,
+    summary: `Moved to ${replacement}`,
+    security: PUBLIC,
+    responses: errors(410)
+  };
+}
+
+module.exports = {
+  BASE58_ADDRESS,
+  schemas,
+  responses,
+  securitySchemes,
+  ref,
+  nullable,
+  jsonResponse,
+  success,
+  errors,
+  query,
+  path,
+  jsonBody,
+  scoped,
+  PUBLIC,
+  params,
+  PAGINATION,
+  moved
+};
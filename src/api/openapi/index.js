@@ -0,0 +1,83 @@
+// OpenAPI documents
+// The main API, the service routes and the bot's API server each serve their own
+// document at /api/openapi.json, built from the shared components. The documents
+// also drive request and response validation (src/api/validation.js) and /api/help
+const { schemas, responses, securitySchemes } = require('./components');
+
+const APIS = {
+  main: require('./main'),
+  routes: require('./routes'),
+  apiServer: require('./apiServer')
+};
+
+const VERSION = process.env.npm_package_version || '1.0.0';
+const documents = new Map();
+
+// The document of an API: main, routes or apiServer
+function getDocument(name) {
+  if (!APIS[name]) {
+    throw new Error(`Unknown API: ${name}. Use one of: ${Object.keys(APIS).join(', ')}`);
+  }
+
+  if (!documents.has(name)) {
+    const api = APIS[name];
+    documents.set(name, {
+      openapi: '3.1.0',
+      info: {
+        title: api.title,
+        description: api.description,
+        version: VERSION
+      },
+      security: api.security,
+      paths: api.paths,
+      components: { schemas, responses, securitySchemes }
+    });
+  }
+  return documents.get(name);
+}
+
+// Express form of a document path, /api/jobs/{id} -> /api/jobs/:id
+function toExpressPath(template) {
+  return template.replace(/\{([^}]+)\}/g, ':$1');
+}
+
+// How an operation is authenticated, for /api/help
+function describeAuth(document, operation) {
+  const security = operation.security || document.security || [];
+  if (operation['x-master-key']) {
+    return 'Requires the master API_KEY';
+  }
+  if (security.length === 0) {
+    return null;
+  }
+  const scopes = Array.from(new Set(security.flatMap(entry => Object.values(entry).flat())));
+  return scopes.length > 0 ? `Requires a ${scopes.join(' or ')} API key` : 'Requires an API key';
+}
+
+// Every operation of a document with what /api/help shows of it
+// Returns [{ method, path, summary, description, auth, deprecated, parameters }]
+function listOperations(document) {
+  const operations = [];
+  for (const [template, item] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      operations.push({
+        method: method.toUpperCase(),
+        path: toExpressPath(template),
+        summary: operation.summary,
+        description: operation.description || null,
+        auth: describeAuth(document, operation),
+        deprecated: !!operation.deprecated,
+        parameters: Object.fromEntries((operation.parameters || [])
+          .filter(param => param.in === 'query')
+          .map(param => [param.name, `${param.description}${param.required ? '' : ' (optional)'}`]))
+      });
+    }
+  }
+  return operations;
+}
+
+module.exports = {
+  getDocument,
+  toExpressPath,
+  listOperations
+};
@@ -0,0 +1,717 @@
+// OpenAPI paths of the main API (api/index.js)
+// Operations without their own security need a read-stats key once keys are enforced,
+// the same scopes as CONFIG.security.scopeRules in api/index.js
+const { SCOPES } = require('../../services/apiKeys');
+const { ROLES } = require('../../services/walletRegistry');
+const {
+  ref,
+  jsonResponse,
+  success,
+  errors,
+  query,
+  path,
+  jsonBody,
+  scoped,
+  PUBLIC,
+  params,
+  PAGINATION,
+  moved
+} = require('./components');
+
+// Managing keys and recording audit entries need the master API_KEY itself
+const MASTER_KEY = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+
+const TRANSACTIONS = { type: 'array', items: ref('Transaction') };
+const WALLETS = { type: 'array', items: ref('Wallet') };
+const ADMIN_ERRORS = errors(401, 403, 429, 500);
+
+const paths = {
+  '/': {
+    get: {
+      summary: 'Landing page with links to the endpoints',
+      security: PUBLIC,
+      responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+    }
+  },
+  '/api/health': {
+    get: {
+      summary: 'Health check',
+      security: PUBLIC,
+      responses: {
+        200: jsonResponse('API is running', success({
+          message: { type: 'string' },
+          version: { type: 'string' },
+          environment: { type: 'string' },
+          vercel: { type: 'boolean' },
+          storage: { type: 'object' }
+        }))
+      }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      summary: 'This OpenAPI document',
+      security: PUBLIC,
+      responses: { 200: jsonResponse('OpenAPI 3.1 document', { type: 'object', required: ['openapi', 'paths'] }) }
+    }
+  },
+  '/api/help': {
+    get: {
+      summary: 'Endpoints with their descriptions, generated from the OpenAPI document',
+      responses: {
+        200: jsonResponse('Endpoint list', success({
+          name: { type: 'string' },
+          version: { type: 'string' },
+          openapi: { type: 'string' },
+          endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+        }, ['name', 'endpoints'])),
+        ...errors(401, 403, 429)
+      }
+    }
+  },
+  '/api/storage-check': {
+    get: {
+      summary: 'Storage backend status and what it holds',
+      responses: {
+        200: jsonResponse('Storage status', success({
+          backend: { type: 'string' },
+          storedTransactions: { type: 'integer' },
+          metadataKeys: { type: 'array', items: { type: 'string' } },
+          message: { type: 'string' }
+        }, ['backend', 'message'])),
+        ...errors(401, 403, 429, 500, 503)
+      }
+    }
+  },
+  '/api/stats': {
+    get: {
+      summary: 'Distribution statistics of a tracked wallet',
+      security: PUBLIC,
+      parameters: [
+        params.wallet,
+        query('limit', { type: 'integer', minimum: 1 }, 'Recent transactions to include, 5 by default')
+      ],
+      responses: {
+        200: jsonResponse('Statistics', success({ wallet: ref('Wallet'), stats: { type: 'object' } }, ['stats'])),
+        ...errors(400, 404, 500)
+      }
+    }
+  },
+  '/api/distributed': {
+    get: {
+      summary: 'Distributed (sent) transactions of a tracked wallet, a page at a time',
+      parameters: [params.wallet, ...PAGINATION],
+      responses: {
+        200: jsonResponse('Distributions', success({
+          wallet: ref('Wallet'),
+          stats: { type: 'object' },
+          distributions: TRANSACTIONS,
+          limit: { type: 'integer' },
+          order: { type: 'string', enum: ['desc', 'asc'] },
+          hasMore: { type: 'boolean' },
+          nextCursor: { type: ['string', 'null'] }
+        }, ['distributions'])),
+        ...errors(400, 401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/sol': {
+    get: {
+      summary: 'SOL transactions of a tracked wallet with the last balance reconciliation',
+      parameters: [params.wallet],
+      responses: {
+        200: jsonResponse('SOL transactions', success({
+          wallet: ref('Wallet'),
+          stats: { type: 'object' },
+          reconciliation: { type: ['object', 'null'] }
+        })),
+        ...errors(400, 401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/fetch-status': {
+    get: {
+      summary: 'Status of transaction fetching',
+      responses: {
+        200: jsonResponse('Fetch status', success({ status: { type: 'object' } }, ['status'])),
+        ...errors(401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/collection-status': {
+    get: {
+      summary: 'Whether data collection runs, with the subscriber and usage budget state',
+      responses: {
+        200: jsonResponse('Collection status', success({ collectionStatus: { type: 'object' } }, ['collectionStatus'])),
+        ...errors(401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/usage': {
+    get: {
+      summary: 'Provider calls and Helius credits used today, this month and over the last days',
+      parameters: [query('days', { type: 'integer', minimum: 1 }, 'Days of history to include')],
+      responses: {
+        200: jsonResponse('Usage', success()),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/rpc-status': {
+    get: {
+      summary: 'Health and latency of the configured RPC endpoints',
+      responses: {
+        200: jsonResponse('RPC status', success({ rpc: { type: 'object' } }, ['rpc'])),
+        ...errors(401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/webhooks/helius': {
+    post: {
+      summary: 'Helius enhanced transaction webhook deliveries',
+      description: 'Authenticated by the HELIUS_WEBHOOK_SECRET shared secret in the Authorization header, not an API key',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        anyOf: [{ type: 'array', items: { type: 'object' } }, { type: 'object' }]
+      }),
+      responses: {
+        200: jsonResponse('Delivery stored', success({
+          received: { type: 'integer' },
+          stored: { type: 'integer' },
+          duplicates: { type: 'integer' },
+          skipped: { type: 'integer' }
+        }, ['received', 'stored'])),
+        ...errors(400, 401, 500, 503)
+      }
+    }
+  },
+  '/api/gaps': {
+    get: {
+      summary: 'Result of the last gap check',
+      responses: {
+        200: jsonResponse('Gap check result', success({ running: { type: 'boolean' }, result: { type: ['object', 'null'] } })),
+        ...errors(401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/gaps/check': {
+    get: {
+      summary: 'Check stored transactions for gaps',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [params.wallet],
+      responses: {
+        200: jsonResponse('Gap check result', success({ result: { type: 'object' } }, ['result'])),
+        ...errors(400, 401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/reconciliation': {
+    get: {
+      summary: 'Reconcile the stored balance changes of a wallet against its on-chain balance',
+      parameters: [params.wallet],
+      responses: {
+        200: jsonResponse('Reconciliation report', success({ report: { type: 'object' } }, ['report'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/wallet/{address}/rewards': {
+    get: {
+      summary: 'Rewards a wallet received, bucketed by day, week or month',
+      security: scoped(SCOPES.READ_WALLET),
+      parameters: [
+        path('address', ref('WalletAddress'), 'Recipient wallet'),
+        params.interval,
+        params.from,
+        params.to,
+        params.token
+      ],
+      responses: {
+        200: jsonResponse('Reward ledger', success({
+          wallet: ref('Wallet'),
+          walletAddress: { type: 'string' },
+          interval: { type: 'string' },
+          rewardCount: { type: 'integer' },
+          totalReceived: { type: 'number' },
+          buckets: { type: 'array', items: { type: 'object' } }
+        }, ['buckets'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/leaderboard': {
+    get: {
+      summary: 'Recipients ranked by the rewards they received',
+      parameters: [
+        query('limit', { type: 'integer', minimum: 1 }, 'Page size, up to 100'),
+        params.offset,
+        query('period', { type: 'string' }, 'all, day, week, month, year or a value like 24h, 7d, 4w, 3m'),
+        params.from,
+        params.to,
+        query('address', ref('WalletAddress'), 'Also return the rank of this recipient'),
+        params.token,
+        params.wallet
+      ],
+      responses: {
+        200: jsonResponse('Leaderboard page', success({
+          wallet: ref('Wallet'),
+          period: { type: ['string', 'null'] },
+          totalHolders: { type: 'integer' },
+          entries: { type: 'array', items: { type: 'object' } }
+        }, ['entries'])),
+        ...errors(400, 401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/rounds': {
+    get: {
+      summary: 'Distribution rounds, newest first',
+      parameters: [
+        query('limit', { type: 'integer', minimum: 1 }, 'Page size, up to 500'),
+        params.offset,
+        params.wallet,
+        params.token
+      ],
+      responses: {
+        200: jsonResponse('Rounds', success({
+          wallet: ref('Wallet'),
+          roundGapSeconds: { type: 'number' },
+          count: { type: 'integer' },
+          offset: { type: 'integer' },
+          limit: { type: 'integer' },
+          rounds: { type: 'array', items: { type: 'object' } }
+        }, ['rounds'])),
+        ...errors(400, 401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/rounds/{id}': {
+    get: {
+      summary: 'One distribution round with its transactions',
+      parameters: [path('id', { type: 'string' }, 'Round ID')],
+      responses: {
+        200: jsonResponse('Round', success({ round: { type: 'object' }, transactions: TRANSACTIONS }, ['round'])),
+        ...errors(401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/rules': {
+    get: {
+      summary: 'Loaded classification rules',
+      responses: {
+        200: jsonResponse('Classification rules', success()),
+        ...errors(401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/rules/dry-run': {
+    post: {
+      summary: 'Classify stored transactions with the current or the given rules without saving',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          rules: { type: 'array', items: { type: 'object' } },
+          systemAddresses: { type: 'array', items: { type: 'string' } },
+          transferProgramIds: { type: 'array', items: { type: 'string' } },
+          walletAddress: ref('WalletAddress'),
+          limit: { type: 'integer', minimum: 1, description: 'Changed transactions to list, up to 500' }
+        }
+      }, false),
+      responses: {
+        200: jsonResponse('Dry-run report', success({
+          walletAddress: { type: ['string', 'null'] },
+          ruleCount: { type: 'integer' },
+          report: { type: 'object' }
+        }, ['report'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/test-fetch': {
+    get: {
+      summary: 'Fetch a few transactions to test the RPC configuration',
+      security: scoped(SCOPES.ADMIN_REFRESH),
+      responses: {
+        200: jsonResponse('Test results', success({ testResults: { type: 'object' } })),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/test-all': {
+    get: {
+      summary: 'Test storage, RPC and the Telegram configuration',
+      responses: {
+        200: jsonResponse('Test results', success({ message: { type: 'string' }, testResults: { type: 'object' } })),
+        ...errors(401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/wallet/tracked': {
+    get: {
+      summary: 'Tracked wallets with their labels and roles',
+      security: scoped(SCOPES.READ_WALLET),
+      responses: {
+        200: jsonResponse('Tracked wallets', success({
+          mainWallet: { type: ['string', 'null'] },
+          trackedWalletCount: { type: 'integer' },
+          trackedWallets: { type: 'array', items: { type: 'string' } },
+          roles: { type: 'array', items: { type: 'string' } },
+          wallets: WALLETS
+        }, ['wallets'])),
+        ...errors(401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/wallet/track': {
+    post: {
+      summary: 'Track a wallet, or update the label and role of a tracked one',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          walletAddress: ref('WalletAddress'),
+          label: { type: 'string' },
+          role: { type: 'string', enum: Object.values(ROLES) }
+        },
+        required: ['walletAddress']
+      }),
+      responses: {
+        200: jsonResponse('Wallet tracked', success({
+          message: { type: 'string' },
+          walletAddress: { type: 'string' },
+          wallet: ref('Wallet'),
+          isMainWallet: { type: 'boolean' },
+          trackedWalletCount: { type: 'integer' },
+          wallets: WALLETS
+        }, ['wallet'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/wallet/track/{address}': {
+    delete: {
+      summary: 'Stop tracking a wallet, its stored transactions are kept',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [path('address', ref('WalletAddress'), 'Tracked wallet')],
+      responses: {
+        200: jsonResponse('Wallet untracked', success({
+          message: { type: 'string' },
+          walletAddress: { type: 'string' },
+          currentMainWallet: { type: ['string', 'null'] },
+          trackedWalletCount: { type: 'integer' },
+          wallets: WALLETS
+        })),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/track-wallet': {
+    get: {
+      summary: 'Form to track a wallet',
+      responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+    }
+  },
+
+  // Admin API
+  '/api/admin/keys': {
+    get: {
+      summary: 'Issued API keys with their scopes, quotas and usage, never the keys themselves',
+      security: MASTER_KEY,
+      'x-master-key': true,
+      responses: {
+        200: jsonResponse('API keys', success({
+          scopes: { type: 'array', items: { type: 'string' } },
+          count: { type: 'integer' },
+          keys: { type: 'array', items: ref('ApiKey') }
+        }, ['keys'])),
+        ...errors(401, 500)
+      }
+    },
+    post: {
+      summary: 'Issue an API key, the key is only shown in this response',
+      security: MASTER_KEY,
+      'x-master-key': true,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          scopes: {
+            anyOf: [
+              { type: 'array', items: { type: 'string', enum: Object.values(SCOPES) }, minItems: 1 },
+              { type: 'string', minLength: 1, description: 'Comma-separated scopes' }
+            ]
+          },
+          // The bot passes the numbers as typed
+          dailyQuota: { type: ['integer', 'string', 'null'], minimum: 1, pattern: '^[1-9]\\d*$' },
+          expiresAt: { type: 'string' },
+          expiresInDays: { type: ['number', 'string'], exclusiveMinimum: 0, pattern: '^\\d*\\.?\\d+$' }
+        },
+        required: ['name', 'scopes']
+      }),
+      responses: {
+        201: jsonResponse('API key issued', success({ message: { type: 'string' }, apiKey: { type: 'string' }, key: ref('ApiKey') }, ['apiKey', 'key'])),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/api/admin/keys/{id}': {
+    delete: {
+      summary: 'Revoke an API key',
+      security: MASTER_KEY,
+      'x-master-key': true,
+      parameters: [path('id', { type: 'string' }, 'Key ID')],
+      responses: {
+        200: jsonResponse('API key revoked', success({ message: { type: 'string' }, key: ref('ApiKey') }, ['key'])),
+        ...errors(401, 404, 500)
+      }
+    }
+  },
+  '/api/admin/jobs': {
+    get: {
+      summary: 'Recent admin jobs, newest first',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [
+        query('type', { type: 'string' }, 'Only jobs of this type'),
+        query('limit', { type: 'integer', minimum: 1 }, 'Number of jobs, up to 50')
+      ],
+      responses: {
+        200: jsonResponse('Jobs', success({ count: { type: 'integer' }, jobs: { type: 'array', items: ref('Job') } }, ['jobs'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/admin/jobs/{id}': {
+    get: {
+      summary: 'Status and result of an admin job',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [path('id', { type: 'string' }, 'Job ID')],
+      responses: {
+        200: jsonResponse('Job', success({ job: ref('Job') }, ['job'])),
+        ...errors(401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/admin/audit': {
+    get: {
+      summary: 'Audit log of administrative and destructive actions, newest first',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [
+        query('action', { type: 'string' }, 'Only entries of this action'),
+        query('channel', { type: 'string', enum: ['api', 'telegram', 'system'] }, 'Only entries from this channel'),
+        query('actor', { type: 'string' }, 'Only entries of this actor ID'),
+        params.from,
+        params.to,
+        query('limit', { type: 'integer', minimum: 1 }, 'Number of entries, up to 500'),
+        params.offset
+      ],
+      responses: {
+        200: jsonResponse('Audit entries', success({ count: { type: 'integer' }, entries: { type: 'array', items: ref('AuditEntry') } }, ['entries'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    },
+    post: {
+      summary: 'Record an action taken in the admin bot',
+      security: MASTER_KEY,
+      'x-master-key': true,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          action: { type: 'string', minLength: 1 },
+          actor: ref('Actor'),
+          params: { type: 'object' },
+          before: { type: 'object' },
+          after: { type: 'object' },
+          error: { type: 'string' }
+        },
+        required: ['action', 'actor']
+      }),
+      responses: {
+        201: jsonResponse('Audit entry stored', success({ entry: ref('AuditEntry') }, ['entry'])),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+  '/api/admin/refresh': {
+    post: {
+      summary: 'Fetch the newest transactions of the main wallet',
+      description: 'Starts a job and returns its ID, skipped when the last fetch was less than a minute ago',
+      security: scoped(SCOPES.ADMIN_REFRESH),
+      responses: {
+        200: jsonResponse('Skipped, or a refresh job is already running', success({ message: { type: 'string' } })),
+        202: jsonResponse('Job started', ref('JobStarted')),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/force-refresh': {
+    post: {
+      summary: 'Clear stored transactions and fetch them all again',
+      security: scoped(SCOPES.ADMIN_REFRESH),
+      responses: {
+        200: jsonResponse('A job of this type is already running', ref('JobStarted')),
+        202: jsonResponse('Job started', ref('JobStarted')),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/fetch-all': {
+    post: {
+      summary: 'Fetch all historical transactions',
+      security: scoped(SCOPES.ADMIN_REFRESH),
+      responses: {
+        200: jsonResponse('A job of this type is already running', ref('JobStarted')),
+        202: jsonResponse('Job started', ref('JobStarted')),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/force-save': {
+    post: {
+      summary: 'Save the transactions in memory to storage now',
+      security: scoped(SCOPES.ADMIN_REFRESH),
+      responses: {
+        200: jsonResponse('Saved', success({ message: { type: 'string' }, transactionCount: { type: 'integer' }, savedAt: { type: 'string' } })),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/sample-transaction': {
+    post: {
+      summary: 'Add a sample transaction for testing',
+      security: scoped(SCOPES.ADMIN_REFRESH),
+      responses: {
+        201: jsonResponse('Sample transaction added', success({ transaction: ref('Transaction') }, ['transaction'])),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/backfill/{action}': {
+    post: {
+      summary: 'Control the historical backfill: start, run, pause or reset',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [
+        path('action', { type: 'string', enum: ['start', 'run', 'pause', 'reset'] }, 'Backfill action'),
+        params.wallet,
+        query('fromSlot', { type: 'integer', minimum: 0 }, 'Oldest slot to backfill (start)'),
+        query('toSlot', { type: 'integer', minimum: 0 }, 'Newest slot to backfill (start)'),
+        params.from,
+        params.to
+      ],
+      responses: {
+        200: jsonResponse('Backfill state', success({ message: { type: 'string' }, backfill: { type: ['object', 'null'] } })),
+        ...errors(400, 401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/admin/gaps/repair': {
+    post: {
+      summary: 'Check stored transactions for gaps and refetch what is missing',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [params.wallet],
+      responses: {
+        200: jsonResponse('Gap check result', success({ result: { type: 'object' } }, ['result'])),
+        ...errors(400, 401, 403, 404, 429, 500)
+      }
+    }
+  },
+  '/api/admin/reconciliation': {
+    post: {
+      summary: 'Reconcile a wallet balance and alert admins in Telegram about a new delta',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [params.wallet],
+      responses: {
+        200: jsonResponse('Reconciliation report', success({ report: { type: 'object' } }, ['report'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/admin/background-job': {
+    get: {
+      summary: 'State of the background fetch job',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      responses: {
+        200: jsonResponse('Background job state', success({ backgroundJobStatus: ref('BackgroundJobStatus') }, ['backgroundJobStatus'])),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/background-job/{action}': {
+    post: {
+      summary: 'Control the background fetch job',
+      description: 'run-now starts a job and returns its ID',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      parameters: [path('action', { type: 'string', enum: ['start', 'stop', 'run-now', 'reset'] }, 'Background job action')],
+      responses: {
+        200: jsonResponse('Done, or a run-now job is already running', {
+          anyOf: [
+            success({ action: { type: 'string' }, message: { type: 'string' }, backgroundJobStatus: ref('BackgroundJobStatus') }, ['backgroundJobStatus']),
+            ref('JobStarted')
+          ]
+        }),
+        202: jsonResponse('run-now job started', ref('JobStarted')),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/admin/stop-collection': {
+    get: moved('POST /api/admin/stop-collection'),
+    post: {
+      summary: 'Stop data collection, the API keeps answering',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      requestBody: jsonBody({ type: 'object', properties: { reason: { type: 'string' } } }, false),
+      responses: {
+        200: jsonResponse('Collection stopped', success({ message: { type: 'string' }, persisted: { type: 'boolean' } })),
+        ...ADMIN_ERRORS
+      }
+    },
+    delete: {
+      summary: 'Resume data collection',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      responses: {
+        200: jsonResponse('Collection resumed', success({ message: { type: 'string' } })),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/api/admin/stop-api': {
+    get: moved('POST /api/admin/stop-api'),
+    post: {
+      summary: 'Shut the API down, it answers 503 until restarted',
+      security: scoped(SCOPES.ADMIN_JOBS),
+      responses: {
+        200: jsonResponse('Shutdown initiated', success({ message: { type: 'string' } })),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+
+  // Moved to the Admin API, these answer 410 before authentication
+  '/api/refresh': {
+    get: moved('POST /api/admin/refresh'),
+    post: moved('POST /api/admin/refresh')
+  },
+  '/api/force-refresh': { get: moved('POST /api/admin/force-refresh') },
+  '/api/force-save': { get: moved('POST /api/admin/force-save') },
+  '/api/add-sample': { get: moved('POST /api/admin/sample-transaction') },
+  '/api/fetch-all': { get: moved('POST /api/admin/fetch-all') },
+  '/api/background-job/{action}': {
+    get: {
+      ...moved('POST /api/admin/background-job/{action}'),
+      parameters: [path('action', { type: 'string' }, 'Background job action')]
+    }
+  },
+  '/api/backfill/{action}': {
+    get: {
+      ...moved('POST /api/admin/backfill/{action}'),
+      parameters: [path('action', { type: 'string' }, 'Backfill action')]
+    }
+  }
+};
+
+module.exports = {
+  title: 'Distribution Tracker API',
+  description: 'Distribution statistics, rewards and the Admin API, served by api/index.js',
+  security: scoped(SCOPES.READ_STATS),
+  paths
+};
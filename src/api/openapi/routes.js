@@ -0,0 +1,143 @@
+// OpenAPI paths of the service routes (src/routes/index.js), mounted at /api by src/index.js
+const {
+  BASE58_ADDRESS,
+  ref,
+  jsonResponse,
+  success,
+  errors,
+  query,
+  path,
+  PUBLIC,
+  params,
+  PAGINATION
+} = require('./components');
+
+const TRANSACTIONS = { type: 'array', items: ref('Transaction') };
+
+// Token mints are base58 addresses like wallets
+const tokenMint = path('tokenMint', { type: 'string', pattern: BASE58_ADDRESS }, 'Token mint address');
+
+const statsResponse = (description, properties = {}) => jsonResponse(description, success({
+  ...properties,
+  stats: {
+    type: 'object',
+    properties: {
+      totalTransactions: { type: 'integer' },
+      transactionsByType: { type: 'object', additionalProperties: { type: 'integer' } },
+      totalAmount: { type: 'number' }
+    }
+  }
+}, ['stats']));
+
+// One page of transactions, see pageResponse() in src/routes/index.js
+const pageResponse = (description, properties = {}) => jsonResponse(description, success({
+  ...properties,
+  count: { type: 'integer' },
+  limit: { type: 'integer' },
+  order: { type: 'string', enum: ['desc', 'asc'] },
+  hasMore: { type: 'boolean' },
+  nextCursor: { type: ['string', 'null'] },
+  transactions: TRANSACTIONS
+}, ['transactions']));
+
+const listing = (summary, parameters = PAGINATION, properties = {}, errorCodes = [400, 500]) => ({
+  get: {
+    summary,
+    parameters,
+    responses: {
+      200: pageResponse('Transactions', properties),
+      ...errors(...errorCodes)
+    }
+  }
+});
+
+const paths = {
+  '/health': {
+    get: {
+      summary: 'Health check',
+      responses: {
+        200: jsonResponse('Service is running', success({ status: { const: 'ok' } }, ['status']))
+      }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      summary: 'This OpenAPI document',
+      responses: { 200: jsonResponse('OpenAPI 3.1 document', { type: 'object', required: ['openapi', 'paths'] }) }
+    }
+  },
+  '/api/stats': {
+    get: {
+      summary: 'Transaction statistics, optionally of one tracked wallet',
+      parameters: [query('wallet', ref('WalletAddress'), 'Tracked wallet, all wallets by default')],
+      responses: {
+        200: jsonResponse('Statistics', success({ stats: { type: 'object' } }, ['stats'])),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/stats/tax-token': {
+    get: {
+      summary: 'Statistics of the tax token (TAX_TOKEN_MINT_ADDRESS)',
+      responses: {
+        200: statsResponse('Tax token statistics'),
+        ...errors(400, 500, 503)
+      }
+    }
+  },
+  '/api/stats/token/{tokenMint}': {
+    get: {
+      summary: 'Statistics of a token',
+      parameters: [tokenMint],
+      responses: {
+        200: statsResponse('Token statistics', { tokenMint: { type: 'string' } }),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/stats/sol': {
+    get: {
+      summary: 'Statistics of SOL transactions',
+      responses: {
+        200: statsResponse('SOL statistics'),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/transactions': listing('Transactions matching the filters', [
+    query('type', { type: ['string', 'array'], items: { type: 'string' } }, 'Transaction types, comma-separated'),
+    params.token,
+    query('tokenMint', { type: 'string', pattern: BASE58_ADDRESS }, 'Token mint address'),
+    query('sender', ref('WalletAddress'), 'Sending address'),
+    query('receiver', ref('WalletAddress'), 'Receiving address'),
+    query('address', ref('WalletAddress'), 'Sent or received by this address'),
+    query('wallet', ref('WalletAddress'), 'Classified for this tracked wallet'),
+    params.from,
+    params.to,
+    query('sort', { type: 'string' }, 'Sort field, prefix with - for descending'),
+    query('skip', { type: 'integer', minimum: 0 }, 'Transactions to skip'),
+    ...PAGINATION
+  ], { total: { type: 'integer' } }),
+  '/api/transactions/tax-token': listing('Tax token transactions', [], { tokenMint: { type: 'string' } }, [400, 500, 503]),
+  '/api/transactions/token/{tokenMint}': listing('Transactions of a token', [tokenMint], { tokenMint: { type: 'string' } }),
+  '/api/transactions/sol': listing('SOL transactions', []),
+  '/api/transactions/collected': listing('Incoming transactions: received and tax collections'),
+  '/api/transactions/distributed': listing('Outgoing transactions: distributions'),
+  '/api/transactions/swaps': listing('Swap transactions'),
+  '/api/fetch-transactions': {
+    post: {
+      summary: 'Fetch new transactions from the Helius API',
+      responses: {
+        200: jsonResponse('Fetched transactions', success({ count: { type: 'integer' }, transactions: TRANSACTIONS }, ['transactions'])),
+        ...errors(500)
+      }
+    }
+  }
+};
+
+module.exports = {
+  title: 'Distribution Tracker service API',
+  description: 'Transaction listings and statistics of the long-running service, served by src/index.js',
+  security: PUBLIC,
+  paths
+};
@@ -0,0 +1,215 @@
+// Request and response validation from an OpenAPI document
+// Path parameters, the query string and JSON bodies are checked against the schemas
+// of the matching operation before the route runs, and invalid requests are answered
+// with 400 and the fields at fault: WALLET_INVALID when only addresses are at fault,
+// INVALID_REQUEST otherwise. Query and path values are strings, they're checked as the
+// types the schema gives them, but the route still reads them as sent.
+// Routes that aren't in the document, and unknown query parameters (api_key, for one),
+// are let through.
+// Responses are checked too, mismatches are logged or answered with 500 depending on
+// OPENAPI_RESPONSE_VALIDATION: off, warn (default outside production) or error
+const Ajv2020 = require('ajv/dist/2020');
+const { CODES, errorEnvelope } = require('./errors');
+
+const RESPONSE_MODES = ['off', 'warn', 'error'];
+
+function getResponseMode() {
+  const mode = process.env.OPENAPI_RESPONSE_VALIDATION || (process.env.NODE_ENV === 'production' ? 'off' : 'warn');
+  if (!RESPONSE_MODES.includes(mode)) {
+    console.warn(`Invalid OPENAPI_RESPONSE_VALIDATION: ${mode}. Use one of: ${RESPONSE_MODES.join(', ')}. Using warn`);
+    return 'warn';
+  }
+  return mode;
+}
+
+// Literal segments match first, so /api/wallet/tracked isn't read as a wallet address
+function compareTemplates(a, b) {
+  const count = template => (template.match(/\{/g) || []).length;
+  return count(a) - count(b);
+}
+
+// Compile the schemas of every operation in a document
+// Response schemas are only compiled when options.responses is set
+// Returns a list of { method, template, pattern, names, query, path, body, responses }
+function compileOperations(document, options = {}) {
+  // Schemas reference #/components, so each is compiled with the components beside it
+  const withComponents = schema => ({ ...schema, components: document.components });
+  const ajvOptions = { strict: false, allErrors: true, validateFormats: false };
+  const coercing = new Ajv2020({ ...ajvOptions, coerceTypes: 'array' });
+  const exact = new Ajv2020(ajvOptions);
+  // Error responses share their schemas, compile each once
+  const compiled = new Map();
+  const compileExact = schema => {
+    if (!compiled.has(schema)) {
+      compiled.set(schema, exact.compile(withComponents(schema)));
+    }
+    return compiled.get(schema);
+  };
+
+  const parameterSchema = (parameters, location) => {
+    const selected = parameters.filter(param => param.in === location);
+    if (selected.length === 0) {
+      return null;
+    }
+    return coercing.compile(withComponents({
+      type: 'object',
+      properties: Object.fromEntries(selected.map(param => [param.name, param.schema || {}])),
+      required: selected.filter(param => param.required).map(param => param.name)
+    }));
+  };
+
+  const operations = [];
+  for (const template of Object.keys(document.paths).sort(compareTemplates)) {
+    const item = document.paths[template];
+    const names = [];
+    const source = template.replace(/\./g, '\\.').replace(/\{([^}]+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    const pattern = new RegExp(`^${source}/?$`);
+
+    for (const [method, operation] of Object.entries(item)) {
+      const parameters = [...(item.parameters || []), ...(operation.parameters || [])];
+      const body = operation.requestBody && operation.requestBody.content && operation.requestBody.content['application/json'];
+
+      const responses = {};
+      for (const [status, response] of Object.entries(options.responses ? operation.responses || {} : {})) {
+        const resolved = response.$ref ? document.components.responses[response.$ref.split('/').pop()] : response;
+        const content = resolved.content && resolved.content['application/json'];
+        if (content && content.schema) {
+          responses[status] = compileExact(content.schema);
+        }
+      }
+
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        pattern,
+        names,
+        query: parameterSchema(parameters, 'query'),
+        path: parameterSchema(parameters, 'path'),
+        body: body && body.schema ? compileExact(body.schema) : null,
+        responses
+      });
+    }
+  }
+  return operations;
+}
+
+// The operation for a request, with its path parameters
+function findOperation(operations, method, requestPath) {
+  for (const operation of operations) {
+    if (operation.method !== method) {
+      continue;
+    }
+    const match = operation.pattern.exec(requestPath);
+    if (match) {
+      const pathParams = {};
+      operation.names.forEach((name, index) => {
+        try {
+          pathParams[name] = decodeURIComponent(match[index + 1]);
+        } catch (error) {
+          pathParams[name] = match[index + 1];
+        }
+      });
+      return { operation, pathParams };
+    }
+  }
+  return null;
+}
+
+// Readable messages for Ajv errors, e.g. "query.wallet must match pattern ..."
+function formatErrors(location, errors) {
+  return errors.map(error => {
+    const segments = error.instancePath.split('/').filter(Boolean);
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+    }
+    const field = segments.join('.');
+    let message = error.keyword === 'required' ? 'is required' : error.message;
+    if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    return {
+      location,
+      field,
+      message: `${[location, field].filter(Boolean).join('.')} ${message}`,
+      wallet: error.schemaPath.includes('/WalletAddress/')
+    };
+  });
+}
+
+// Check a request against its operation, returns the list of problems
+function checkRequest(operation, pathParams, req) {
+  const problems = [];
+
+  if (operation.path && !operation.path({ ...pathParams })) {
+    problems.push(...formatErrors('path', operation.path.errors));
+  }
+  // Validate a copy, coercion would otherwise change req.query
+  if (operation.query && !operation.query(JSON.parse(JSON.stringify(req.query || {})))) {
+    problems.push(...formatErrors('query', operation.query.errors));
+  }
+
+  // Without a body the required fields are reported missing
+  const body = req.body === undefined ? {} : req.body;
+  if (operation.body && !operation.body(body)) {
+    problems.push(...formatErrors('body', operation.body.errors));
+  }
+
+  return problems;
+}
+
+// Middleware validating requests and responses against a document
+// Mount it after authentication and before the routes; it matches the full request
+// path, so it also works inside a router
+function createValidator(document) {
+  const responseMode = getResponseMode();
+  const operations = compileOperations(document, { responses: responseMode !== 'off' });
+  console.log(`OpenAPI validation: ${operations.length} operations of "${document.info.title}", responses: ${responseMode}`);
+
+  return (req, res, next) => {
+    const found = findOperation(operations, req.method, `${req.baseUrl}${req.path}`);
+    if (!found) {
+      return next();
+    }
+    const { operation, pathParams } = found;
+
+    const problems = checkRequest(operation, pathParams, req);
+    if (problems.length > 0) {
+      const details = problems.map(problem => problem.message).join('; ');
+      console.warn(`Invalid request ${req.method} ${req.originalUrl}: ${details}`);
+      const code = problems.every(problem => problem.wallet) ? CODES.WALLET_INVALID : CODES.INVALID_REQUEST;
+      return res.status(400).json(errorEnvelope(code, {
+        details,
+        fields: problems.map(({ location, field, message }) => ({ location, field, message }))
+      }));
+    }
+
+    if (responseMode !== 'off') {
+      const json = res.json.bind(res);
+      res.json = body => {
+        const validate = operation.responses[String(res.statusCode)] || operation.responses.default;
+        // Check the body as it is sent, with dates as strings
+        if (validate && !validate(JSON.parse(JSON.stringify(body === undefined ? null : body)))) {
+          const details = formatErrors('response', validate.errors).map(problem => problem.message).join('; ');
+          console.warn(`Response ${res.statusCode} of ${operation.method} ${operation.template} doesn't match the OpenAPI document: ${details}`);
+          if (responseMode === 'error') {
+            res.status(500);
+            return json(errorEnvelope(CODES.INTERNAL_ERROR, {
+              message: 'Response does not match the OpenAPI document',
+              details
+            }));
+          }
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createValidator
+};
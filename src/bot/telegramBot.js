@@ -10,6 +10,12 @@ const heliusService = require('../services/heliusService');
 
 // Import fileStorage
 const fileStorage = require('../services/fileStorage');
+const { getStorage } = require('../storage');
+const auditLog = require('../services/auditLog');
+
+// Import the shared transaction classifier
+const { reclassifyTransaction, isOutgoing, isIncoming } = require('../services/transactionClassifier');
+const { getAmountReceivedBy, isRecipient } = require('../utils/balanceChanges');
 
 // Initialize fileStorage
 fileStorage.initialize();
@@ -483,8 +489,8 @@ async function displayStats(chatId, additionalInfo = false, inProgress = false)
     // Find the most recent sent transaction
     let lastDistribution = null;
     if (transactions && transactions.length > 0) {
-      // Filter sent transactions
-      const sentTransactions = transactions.filter(tx => tx.type === 'sent');
+      // Filter outgoing transactions, sends and distributions
+      const sentTransactions = transactions.filter(isOutgoing);
       if (sentTransactions.length > 0) {
         // Sort by timestamp (newest first)
         const sortedSentTx = [...sentTransactions].sort((a, b) => {
@@ -1462,6 +1468,17 @@ console.log('Waiting for commands...');
 // Export the bot for external use
 module.exports = bot; 
 
+// Transaction and type counts of the bot's data, for audit entries
+function getDataCounts() {
+  const data = (global.storage && global.storage.data) || {};
+  const stats = data.stats || {};
+  return {
+    transactions: Array.isArray(data.transactions) ? data.transactions.length : 0,
+    sent: stats.sentCount || stats.sentTransactions || 0,
+    received: stats.receivedCount || stats.receivedTransactions || 0
+  };
+}
+
 // Add this new function to handle the clear data command
 async function handleClearDataCommand(msg) {
   try {
@@ -1490,6 +1507,7 @@ async function handleClearDataCommand(msg) {
         if (confirmReply.text && confirmReply.text.toUpperCase() === 'YES') {
           // User confirmed, proceed with clearing data
           const loadingMsg = await bot.sendMessage(chatId, '🗑️ Clearing all stored data...');
+          const countsBefore = getDataCounts();
           
           try {
             // Set refreshing flag to prevent other operations during clear
@@ -1623,6 +1641,13 @@ async function handleClearDataCommand(msg) {
               }
             }
             
+            await auditLog.record('bot.clear-data', {
+              actor: auditLog.actorFromMessage(confirmReply),
+              channel: auditLog.CHANNELS.TELEGRAM,
+              before: countsBefore,
+              after: getDataCounts()
+            });
+            
             // Update the message
             await bot.editMessageText('✅ All data has been completely cleared.\n\nUse /refresh to fetch all transactions from scratch.', {
               chat_id: chatId,
@@ -1648,6 +1673,13 @@ async function handleClearDataCommand(msg) {
             
           } catch (error) {
             console.error('Error clearing data:', error);
+            await auditLog.record('bot.clear-data', {
+              actor: auditLog.actorFromMessage(confirmReply),
+              channel: auditLog.CHANNELS.TELEGRAM,
+              before: countsBefore,
+              after: getDataCounts(),
+              error
+            });
             await bot.editMessageText(`❌ Error clearing data: ${error.message}`, {
               chat_id: chatId,
               message_id: loadingMsg.message_id
@@ -1733,8 +1765,10 @@ async function handleSearchCommand(msg, match) {
     );
     const statusMessageId = statusMessage.message_id;
     
-    // Check if we have transactions to search through
-    if (!global.storage?.data?.transactions || global.storage.data.transactions.length === 0) {
+    // Look the address up in storage, which indexes every address a transaction touches
+    const storage = await getStorage();
+    const totalStored = await storage.countTransactions();
+    if (totalStored === 0) {
       await bot.editMessageText(
         `❌ No transactions to search through. Please run /refresh first to fetch transactions.`,
         { chat_id: chatId, message_id: statusMessageId }
@@ -1742,147 +1776,11 @@ async function handleSearchCommand(msg, match) {
       return;
     }
     
-    const transactions = global.storage.data.transactions;
-    console.log(`Searching through ${transactions.length} transactions for wallet ${walletAddress}`);
-    
-    // Create or use an address index for faster lookups
-    if (!global.storage.addressIndex) {
-      await bot.editMessageText(
-        `🔍 Building address index for faster searches (first-time only)...\n` +
-        `0% complete (0/${transactions.length} transactions indexed)`,
-        { chat_id: chatId, message_id: statusMessageId }
-      );
-      
-      // Build an index of transactions by address
-      global.storage.addressIndex = new Map();
-      
-      // Process transactions in batches to avoid blocking the main thread
-      const batchSize = 500;
-      const totalBatches = Math.ceil(transactions.length / batchSize);
-      
-      for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
-        const start = batchNum * batchSize;
-        const end = Math.min(start + batchSize, transactions.length);
-        const batchTransactions = transactions.slice(start, end);
-        
-        for (const tx of batchTransactions) {
-          // Index by 'from' address
-          if (tx.from) {
-            if (!global.storage.addressIndex.has(tx.from)) {
-              global.storage.addressIndex.set(tx.from, []);
-            }
-            global.storage.addressIndex.get(tx.from).push(tx.signature);
-          }
-          
-          // Index by 'to' address
-          if (tx.to) {
-            if (!global.storage.addressIndex.has(tx.to)) {
-              global.storage.addressIndex.set(tx.to, []);
-            }
-            global.storage.addressIndex.get(tx.to).push(tx.signature);
-          }
-          
-          // Index any other addresses in the transaction
-          if (tx.otherAddresses && Array.isArray(tx.otherAddresses)) {
-            for (const addr of tx.otherAddresses) {
-              if (!global.storage.addressIndex.has(addr)) {
-                global.storage.addressIndex.set(addr, []);
-              }
-              global.storage.addressIndex.get(addr).push(tx.signature);
-            }
-          }
-        }
-        
-        // Update status every few batches
-        if (batchNum % 5 === 0 || batchNum === totalBatches - 1) {
-          const indexProgress = Math.round(((batchNum + 1) / totalBatches) * 100);
-          await bot.editMessageText(
-            `🔍 Building address index for faster searches (first-time only)...\n` +
-            `${indexProgress}% complete (${(batchNum + 1) * batchSize > transactions.length ? transactions.length : (batchNum + 1) * batchSize}/${transactions.length} transactions indexed)`,
-            { chat_id: chatId, message_id: statusMessageId }
-          );
-        }
-        
-        // Yield to event loop
-        await new Promise(resolve => setTimeout(resolve, 0));
-      }
-      
-      console.log(`Built address index with ${global.storage.addressIndex.size} unique addresses`);
-    }
-    
-    // Start the search with a timeout
-    let matchedTransactions = [];
-    const searchTimeout = 60000; // 60 seconds max
-    const searchStartTime = Date.now();
-    
-    // Check if the address is in our index for quick lookup
-    await bot.editMessageText(
-      `🔍 Searching for transactions with wallet ${walletAddress}...`,
-      { chat_id: chatId, message_id: statusMessageId }
-    );
-    
-    // First try to use the index for a fast lookup
-    if (global.storage.addressIndex && global.storage.addressIndex.has(walletAddress)) {
-      const signatureSet = new Set(global.storage.addressIndex.get(walletAddress));
-      
-      // Find the full transactions that match these signatures
-      matchedTransactions = transactions.filter(tx => signatureSet.has(tx.signature));
-      
-      console.log(`Found ${matchedTransactions.length} transactions via index lookup`);
-    } else {
-      // If not in index or we need a full search, process in batches
-      console.log(`Address not found in index, performing full scan`);
-      
-      const isWalletMatch = (addr) => {
-        if (!addr) return false;
-        return addr.toLowerCase() === walletAddress.toLowerCase();
-      };
-      
-      // Process in batches to provide progress updates and prevent timeout
-      const batchSize = 500;
-      const totalBatches = Math.ceil(transactions.length / batchSize);
-      
-      for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
-        // Check if search timeout exceeded
-        if (Date.now() - searchStartTime > searchTimeout) {
-          await bot.editMessageText(
-            `⚠️ Search timeout reached after examining ${batchNum * batchSize} transactions.\n` +
-            `Showing partial results. Please try a more specific search.`,
-            { chat_id: chatId, message_id: statusMessageId }
-          );
-          break;
-        }
-        
-        const start = batchNum * batchSize;
-        const end = Math.min(start + batchSize, transactions.length);
-        const batchTransactions = transactions.slice(start, end);
-        
-        // Find matches in this batch
-        const batchMatches = batchTransactions.filter(tx => {
-          return isWalletMatch(tx.from) || 
-                 isWalletMatch(tx.to) || 
-                 (tx.otherAddresses && tx.otherAddresses.some(addr => isWalletMatch(addr)));
-        });
-        
-        matchedTransactions.push(...batchMatches);
-        
-        // Update search progress
-        const searchProgress = Math.round((batchNum + 1) / totalBatches * 100);
-        
-        await bot.editMessageText(
-          `🔍 *Searching through ${transactions.length.toLocaleString()} transactions*\n` +
-          `Progress: ${searchProgress}% (${(batchNum + 1) * batchSize > transactions.length ? transactions.length : (batchNum + 1) * batchSize}/${transactions.length})\n` +
-          `Matches found so far: ${matchedTransactions.length}`,
-          { chat_id: chatId, message_id: statusMessageId, parse_mode: 'Markdown' }
-        );
-        
-        // Yield to event loop
-        await new Promise(resolve => setTimeout(resolve, 0));
-      }
-    }
+    console.log(`Searching through ${totalStored} stored transactions for wallet ${walletAddress}`);
     
-    // Sort transactions by date (newest first)
-    matchedTransactions.sort((a, b) => b.blockTime - a.blockTime);
+    // Newest first
+    const matchedTransactions = await storage.queryByAddress(walletAddress, {}, { sort: { blockTime: -1 } });
+    console.log(`Found ${matchedTransactions.length} transactions for ${walletAddress}`);
     
     // If no transactions found
     if (matchedTransactions.length === 0) {
@@ -1900,11 +1798,13 @@ async function handleSearchCommand(msg, match) {
     let lastTransaction = null;
     
     for (const tx of matchedTransactions) {
-      if (tx.from && tx.from.toLowerCase() === walletAddress.toLowerCase()) {
+      if ((tx.from || tx.sender) === walletAddress) {
         totalSent += tx.amount || 0;
       }
       
-      if (tx.to && tx.to.toLowerCase() === walletAddress.toLowerCase()) {
+      if (isRecipient(tx, walletAddress)) {
+        totalReceived += getAmountReceivedBy(tx, walletAddress);
+      } else if (tx.to === walletAddress) {
         totalReceived += tx.amount || 0;
       }
       
@@ -1975,7 +1875,7 @@ async function handleSearchCommand(msg, match) {
         message += `*${start + index + 1}. ${type}* - ${amount} SOL\n`;
         message += `📅 ${date}\n`;
         
-        if (tx.type === 'sent' || tx.from === walletAddress) {
+        if (isOutgoing(tx) || tx.from === walletAddress) {
           message += `📤 From: \`${tx.from ? escapeMarkdown(tx.from.substring(0, 10)) + '...' : 'Unknown'}\`\n`;
           message += `📥 To: \`${tx.to ? escapeMarkdown(tx.to.substring(0, 10)) + '...' : 'Unknown'}\`\n`;
         } else {
@@ -2165,6 +2065,14 @@ bot.onText(/\/resetstats/, async (msg) => {
     
     // Send initial message
     const loadingMsg = await bot.sendMessage(chatId, '🔄 Resetting statistics...');
+    const countsBefore = getDataCounts();
+    const auditReset = (details = {}) => auditLog.record('bot.reset-stats', {
+      actor: auditLog.actorFromMessage(msg),
+      channel: auditLog.CHANNELS.TELEGRAM,
+      before: countsBefore,
+      after: getDataCounts(),
+      ...details
+    });
     
     // First fix stats silently
     await bot.editMessageText('Step 1/3: Recalculating statistics...', {
@@ -2272,6 +2180,7 @@ bot.onText(/\/resetstats/, async (msg) => {
           
           // Fix stats one more time with the fresh data
           await fixStatsQuietly();
+          await auditReset();
           
           // Final success message
           await bot.editMessageText('✅ Statistics reset complete! All data has been refreshed.', {
@@ -2286,6 +2195,7 @@ bot.onText(/\/resetstats/, async (msg) => {
         }
       } catch (error) {
         console.error('Error refreshing transactions:', error);
+        await auditReset({ error });
         await bot.editMessageText(`⚠️ Error during refresh: ${error.message}. Statistics may be partially updated.`, {
           chat_id: chatId,
           message_id: loadingMsg.message_id
@@ -2459,29 +2369,22 @@ bot.onText(/\/recategorize/, async (msg) => {
     
     // Process each transaction
     for (let i = 0; i < transactions.length; i++) {
-      const tx = transactions[i];
-      
-      // Recategorize and enhance
-      tx.type = heliusService.parseTransactionType(tx, walletAddress);
-      const enhanced = heliusService.enhanceTransactionWithWalletContext(tx, walletAddress);
-      
-      // Save enhanced transaction back to storage
-      if (enhanced) {
-        transactions[i] = enhanced;
-      }
+      // Recategorize with the shared classifier and save back to storage
+      const tx = reclassifyTransaction(transactions[i], walletAddress);
+      transactions[i] = tx;
       
       // Update counters
-      if (tx.type === 'sent') {
+      if (isOutgoing(tx)) {
         sentCount++;
         if (typeof tx.amount === 'number' && !isNaN(tx.amount)) {
           totalSent += tx.amount;
         }
-      } else if (tx.type === 'received') {
+      } else if (isIncoming(tx)) {
         receivedCount++;
         if (typeof tx.amount === 'number' && !isNaN(tx.amount)) {
           totalReceived += tx.amount;
         }
-      } else if (tx.type === 'interaction') {
+      } else if (tx.type !== 'unknown') {
         interactionCount++;
     } else {
         unknownCount++;
@@ -2569,6 +2472,7 @@ bot.onText(/\/forcereprocess/, async (msg) => {
     
     const transactions = global.storage.data.transactions;
     const walletAddress = process.env.DISTRIBUTION_WALLET_ADDRESS;
+    const countsBefore = getDataCounts();
     
     // Initialize stats
     const stats = {
@@ -2587,31 +2491,22 @@ bot.onText(/\/forcereprocess/, async (msg) => {
     
     // Process each transaction
     for (let i = 0; i < transactions.length; i++) {
-      const tx = transactions[i];
-      
-      // Determine transaction type
-      tx.type = heliusService.parseTransactionType(tx, walletAddress);
-      
-      // Enhance transaction with amount info
-      const enhanced = heliusService.enhanceTransactionWithWalletContext(tx, walletAddress);
-      
-      // Save enhanced transaction
-      if (enhanced) {
-        transactions[i] = enhanced;
-      }
+      // Determine transaction type and amounts with the shared classifier
+      const tx = reclassifyTransaction(transactions[i], walletAddress);
+      transactions[i] = tx;
       
       // Update stats based on transaction type
-      if (tx.type === 'sent') {
+      if (isOutgoing(tx)) {
         stats.sentCount++;
         if (typeof tx.amount === 'number' && !isNaN(tx.amount)) {
           stats.totalSent += tx.amount;
         }
-      } else if (tx.type === 'received') {
+      } else if (isIncoming(tx)) {
         stats.receivedCount++;
         if (typeof tx.amount === 'number' && !isNaN(tx.amount)) {
           stats.totalReceived += tx.amount;
         }
-      } else if (tx.type === 'interaction') {
+      } else if (tx.type !== 'unknown') {
         stats.interactionCount++;
     } else {
         stats.unknownCount++;
@@ -2639,6 +2534,13 @@ bot.onText(/\/forcereprocess/, async (msg) => {
     
     // Save to file
     await fileStorage.saveData(global.storage.data);
+    await auditLog.record('bot.force-reprocess', {
+      actor: auditLog.actorFromMessage(msg),
+      channel: auditLog.CHANNELS.TELEGRAM,
+      params: { walletAddress },
+      before: countsBefore,
+      after: getDataCounts()
+    });
     
     // Show completion message
     await bot.editMessageText(`✅ Successfully reprocessed all ${transactions.length} transactions!\n\n` +
@@ -2855,6 +2757,12 @@ bot.onText(/\/cleanduplicates/, async (msg) => {
     
     const newCount = global.storage.data.transactions.length;
     const removedCount = originalCount - newCount;
+    await auditLog.record('bot.clean-duplicates', {
+      actor: auditLog.actorFromMessage(msg),
+      channel: auditLog.CHANNELS.TELEGRAM,
+      before: { transactions: originalCount },
+      after: { transactions: newCount }
+    });
     
     // Update message
     if (removedCount > 0) {
@@ -2929,42 +2837,33 @@ bot.onText(/\/testconnection/, async (msg) => {
   try {
     await bot.sendMessage(chatId, 'Testing RPC connections...');
     
-    const endpoints = [
-      process.env.HELIUS_RPC_URL,
-      'https://api.mainnet-beta.solana.com',
-      'https://ssc-dao.genesysgo.net'
-    ].filter(Boolean);
+    const rpcProvider = require('../services/rpcProvider');
     
-    for (const endpoint of endpoints) {
-      try {
-        const maskedEndpoint = endpoint.includes('api-key') ? 
-          endpoint.split('?')[0] + '?api-key=***' : endpoint;
-        
-        await bot.sendMessage(chatId, `Testing connection to ${maskedEndpoint}...`);
-        const connection = new Connection(endpoint, 'confirmed');
-        const slot = await connection.getSlot();
-        await bot.sendMessage(chatId, `✓ Successfully connected to ${maskedEndpoint} (slot: ${slot})`);
-        
-        // Try a basic wallet query
-        const walletAddress = process.env.DISTRIBUTION_WALLET_ADDRESS;
-        if (walletAddress) {
-          const balance = await connection.getBalance(new PublicKey(walletAddress));
-          await bot.sendMessage(chatId, `✓ Successfully retrieved wallet balance: ${balance / LAMPORTS_PER_SOL} SOL`);
-          
-          // Test signature retrieval
-          const signatures = await connection.getSignaturesForAddress(
-            new PublicKey(walletAddress),
-            { limit: 5 }
-          );
-          await bot.sendMessage(chatId, `✓ Successfully retrieved ${signatures.length} signatures`);
-        }
+    try {
+      const slot = await rpcProvider.request('getSlot');
+      await bot.sendMessage(chatId, `✓ Successfully connected (slot: ${slot})`);
+      
+      // Try a basic wallet query
+      const walletAddress = process.env.DISTRIBUTION_WALLET_ADDRESS;
+      if (walletAddress) {
+        const balance = await rpcProvider.getBalance(walletAddress);
+        await bot.sendMessage(chatId, `✓ Successfully retrieved wallet balance: ${balance.lamports / 1e9} SOL`);
         
-        // Success with this endpoint, stop testing
-        break;
-      } catch (error) {
-        await bot.sendMessage(chatId, `✗ Failed to connect to ${endpoint.includes('api-key') ? endpoint.split('?')[0] : endpoint}: ${error.message}`);
+        // Test signature retrieval
+        const signatures = await rpcProvider.getSignatures(walletAddress, { limit: 5 });
+        await bot.sendMessage(chatId, `✓ Successfully retrieved ${signatures.length} signatures`);
       }
+    } catch (error) {
+      await bot.sendMessage(chatId, `✗ All RPC endpoints failed: ${error.message}`);
     }
+    
+    // Health of each endpoint, in failover order
+    const status = await rpcProvider.getStatus();
+    const lines = status.endpoints.map(endpoint =>
+      `${endpoint.healthy ? '✓' : '✗'} ${endpoint.name}: ${endpoint.avgLatencyMs !== null ? endpoint.avgLatencyMs + 'ms avg' : 'not used yet'}` +
+      `${endpoint.failures ? `, ${endpoint.failures} failures` : ''}${endpoint.rateLimit.openUntil ? `, circuit open until ${endpoint.rateLimit.openUntil}` : ''}`
+    );
+    await bot.sendMessage(chatId, `RPC endpoints (active: ${status.active || 'none'}):\n${lines.join('\n')}`);
   } catch (error) {
     await bot.sendMessage(chatId, `Error testing connections: ${error.message}`);
   }
@@ -7,6 +7,10 @@ const heliusService = require('./services/heliusService');
 const telegramBot = require('./bot/telegramBot');
 const routes = require('./routes');
 const apiServer = require('./api/apiServer');
+const classificationRules = require('./services/classificationRules');
+const openApi = require('./api/openapi');
+const { createValidator } = require('./api/validation');
+const { CODES, sendSuccess, sendError, errorHandler } = require('./api/errors');
 
 // Initialize Express app
 const app = express();
@@ -15,14 +19,27 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(express.json());
 
+// OpenAPI document of the routes below, their requests are validated against it
+const openApiDocument = openApi.getDocument('routes');
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.use(createValidator(openApiDocument));
+
 // API Routes
 app.use('/api', routes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok' });
+  sendSuccess(res, { status: 'ok' });
 });
 
+// 404 and error handlers
+app.use((req, res) => {
+  sendError(res, CODES.ROUTE_NOT_FOUND, { message: `Route not found: ${req.method} ${req.url}` });
+});
+app.use(errorHandler);
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -34,7 +51,7 @@ app.listen(PORT, () => {
   const transactionJob = new cron.CronJob('*/15 * * * *', async () => {
     console.log('Running scheduled transaction fetch...');
     try {
-      await heliusService.fetchAndProcessTransactions();
+      await heliusService.fetchTransactions();
     } catch (error) {
       console.error('Error in scheduled transaction fetch:', error);
     }
@@ -44,7 +61,7 @@ app.listen(PORT, () => {
   transactionJob.start();
   
   // Initial fetch of transactions
-  heliusService.fetchAndProcessTransactions()
+  heliusService.fetchTransactions()
     .then(() => console.log('Initial transaction fetch completed'))
     .catch(err => console.error('Error in initial transaction fetch:', err));
 });
@@ -64,6 +81,10 @@ const init = async () => {
   try {
     console.log('Starting SOL Distribution Tracker...');
     
+    // Load classification rules and reload them when the file changes
+    classificationRules.loadRules();
+    classificationRules.watchRules();
+    
     // Initialize Helius service
     await heliusService.init();
     
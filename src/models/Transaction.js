@@ -1,10 +1,12 @@
-// In-memory transaction storage for Vercel environment
-const transactions = [];
-let lastFetchTimestamp = null;
+// Transaction model backed by the configured storage adapter
+const { getStorage } = require('../storage');
+const { TransactionQuery, markStorageError } = require('./TransactionQuery');
 
 class Transaction {
   constructor(data) {
     this.signature = data.signature;
+    // Tracked wallet the record is classified for
+    this.wallet = data.wallet || null;
     this.timestamp = data.timestamp || new Date().toISOString();
     this.type = data.type || 'unknown';
     this.amount = data.amount || 0;
@@ -12,6 +14,10 @@ class Transaction {
     this.tokenMint = data.tokenMint || null;
     this.sender = data.sender || null;
     this.receiver = data.receiver || null;
+    // One entry per recipient: { address, lamports or rawAmount, amount }
+    this.legs = data.legs || [];
+    // Distribution round this transfer belongs to
+    this.roundId = data.roundId || null;
     this.fee = data.fee || 0;
     this.status = data.status || 'success';
     this.blockTime = data.blockTime || Math.floor(Date.now() / 1000);
@@ -22,45 +28,13 @@ class Transaction {
   // Save transaction to storage
   async save() {
     try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        // Check if transaction already exists
-        const existing = await collection.findOne({ signature: this.signature });
-        
-        if (existing) {
-          // Update existing transaction
-          await collection.updateOne(
-            { signature: this.signature },
-            { $set: this }
-          );
-          console.log(`Updated transaction in MongoDB: ${this.signature}`);
-        } else {
-          // Insert new transaction
-          await collection.insertOne(this);
-          console.log(`Saved new transaction to MongoDB: ${this.signature}`);
-        }
-        
-        return this;
-      } catch (error) {
-        console.warn('MongoDB save failed, falling back to in-memory storage:', error.message);
-      }
-      
-      // Fall back to in-memory storage
-      // Check if transaction already exists
-      const existingIndex = transactions.findIndex(t => t.signature === this.signature);
+      const storage = await getStorage();
+      const inserted = await storage.putTransactions([this]);
       
-      if (existingIndex >= 0) {
-        // Update existing transaction
-        transactions[existingIndex] = this;
-        console.log(`Updated transaction in memory: ${this.signature}`);
+      if (inserted > 0) {
+        console.log(`Saved new transaction to ${storage.name} storage: ${this.signature}`);
       } else {
-        // Add new transaction
-        transactions.push(this);
-        console.log(`Saved new transaction to memory: ${this.signature}`);
+        console.log(`Updated transaction in ${storage.name} storage: ${this.signature}`);
       }
       
       return this;
@@ -70,206 +44,110 @@ class Transaction {
     }
   }
 
-  // Find transactions by query
-  static async find(query = {}) {
+  // Save many transactions at once, returns how many were new
+  static async saveMany(transactions) {
     try {
-      console.log(`Finding transactions with query:`, query);
-      
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        return await collection.find(query).toArray();
-      } catch (error) {
-        console.warn('MongoDB find failed, falling back to in-memory storage:', error.message);
-      }
-      
-      // Fall back to in-memory storage
-      // Filter transactions based on query
-      return transactions.filter(transaction => {
-        for (const [key, value] of Object.entries(query)) {
-          if (transaction[key] !== value) {
-            return false;
-          }
-        }
-        return true;
-      });
+      const storage = await getStorage();
+      const inserted = await storage.putTransactions(transactions);
+      console.log(`Saved ${transactions.length} transactions to ${storage.name} storage (${inserted} new)`);
+      return inserted;
     } catch (error) {
-      console.error('Error finding transactions:', error);
-      return [];
+      console.error('Error saving transactions:', error);
+      throw error;
     }
   }
 
+  // Find transactions by filter, with optional { sort, skip, limit }
+  // Returns a chainable query that can be awaited or run with exec()
+  static find(filter = {}, options = {}) {
+    console.log(`Finding transactions with query:`, filter);
+    return new TransactionQuery(filter, options);
+  }
+
+  // Build a query from plain criteria such as request query parameters:
+  // type (one or a list), token, tokenMint, sender, receiver, address, wallet,
+  // from, to, sort, limit and skip
+  static search(criteria = {}) {
+    const query = new TransactionQuery();
+    
+    if (criteria.type) query.type(Array.isArray(criteria.type) ? criteria.type : String(criteria.type).split(','));
+    if (criteria.token) query.token(criteria.token);
+    if (criteria.tokenMint) query.tokenMint(criteria.tokenMint);
+    if (criteria.sender) query.sender(criteria.sender);
+    if (criteria.receiver) query.receiver(criteria.receiver);
+    if (criteria.address) query.involving(criteria.address);
+    if (criteria.wallet) query.wallet(criteria.wallet);
+    query.between(criteria.from, criteria.to);
+    if (criteria.sort) query.sort(criteria.sort);
+    if (criteria.limit) query.limit(criteria.limit);
+    if (criteria.skip) query.skip(criteria.skip);
+    
+    return query;
+  }
+
+  // Count transactions matching a filter
+  static async count(filter = {}) {
+    return new TransactionQuery(filter).count();
+  }
+
+  // Sum a numeric field (amount by default) over transactions matching a filter
+  static async sum(field = 'amount', filter = {}) {
+    return new TransactionQuery(filter).sum(field);
+  }
+
   // Find one transaction by query
   static async findOne(query = {}) {
     try {
       console.log(`Finding one transaction with query:`, query);
+      const storage = await getStorage();
       
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        return await collection.findOne(query);
-      } catch (error) {
-        console.warn('MongoDB findOne failed, falling back to in-memory storage:', error.message);
+      // Signature lookups, optionally for one wallet, go straight to the key
+      const keys = Object.keys(query);
+      if (typeof query.signature === 'string' && keys.every(key => key === 'signature' || (key === 'wallet' && typeof query.wallet === 'string'))) {
+        return await storage.getTransaction(query.signature, query.wallet || null);
       }
       
-      // Fall back to in-memory storage
-      // Find first transaction matching query
-      return transactions.find(transaction => {
-        for (const [key, value] of Object.entries(query)) {
-          if (transaction[key] !== value) {
-            return false;
-          }
-        }
-        return true;
-      }) || null;
+      const [transaction] = await storage.queryTransactions(query, { limit: 1 });
+      return transaction || null;
     } catch (error) {
       console.error('Error finding transaction:', error);
-      return null;
+      throw markStorageError(error);
     }
   }
 
   // Get all transactions
   static async getAll() {
-    try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        const result = await collection.find({}).toArray();
-        console.log(`Getting all transactions from MongoDB (count: ${result.length})`);
-        return result;
-      } catch (error) {
-        console.warn('MongoDB getAll failed, falling back to in-memory storage:', error.message);
-      }
-      
-      // Fall back to in-memory storage
-      console.log(`Getting all transactions from memory (count: ${transactions.length})`);
-      return transactions;
-    } catch (error) {
-      console.error('Error getting all transactions:', error);
-      return [];
-    }
+    const result = await new TransactionQuery().exec();
+    console.log(`Getting all transactions from storage (count: ${result.length})`);
+    return result;
   }
 
   // Get transaction count
   static async getCount() {
-    try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        return await collection.countDocuments({});
-      } catch (error) {
-        console.warn('MongoDB getCount failed, falling back to in-memory storage:', error.message);
-      }
-      
-      // Fall back to in-memory storage
-      return transactions.length;
-    } catch (error) {
-      console.error('Error getting transaction count:', error);
-      return 0;
-    }
+    return Transaction.count();
   }
 
   // Get transactions by type
   static async getByType(type) {
-    try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        return await collection.find({ type }).toArray();
-      } catch (error) {
-        console.warn(`MongoDB getByType failed, falling back to in-memory storage:`, error.message);
-      }
-      
-      // Fall back to in-memory storage
-      return transactions.filter(t => t.type === type);
-    } catch (error) {
-      console.error(`Error getting transactions by type ${type}:`, error);
-      return [];
-    }
+    return Transaction.find({ type });
   }
 
   // Get transactions by token
   static async getByToken(token) {
-    try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        return await collection.find({ token }).toArray();
-      } catch (error) {
-        console.warn(`MongoDB getByToken failed, falling back to in-memory storage:`, error.message);
-      }
-      
-      // Fall back to in-memory storage
-      return transactions.filter(t => t.token === token);
-    } catch (error) {
-      console.error(`Error getting transactions by token ${token}:`, error);
-      return [];
-    }
+    return Transaction.find({ token });
   }
 
   // Get transactions by token mint
   static async getByTokenMint(tokenMint) {
-    try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        return await collection.find({ tokenMint }).toArray();
-      } catch (error) {
-        console.warn(`MongoDB getByTokenMint failed, falling back to in-memory storage:`, error.message);
-      }
-      
-      // Fall back to in-memory storage
-      return transactions.filter(t => t.tokenMint === tokenMint);
-    } catch (error) {
-      console.error(`Error getting transactions by token mint ${tokenMint}:`, error);
-      return [];
-    }
+    return Transaction.find({ tokenMint });
   }
 
   // Set last fetch timestamp
   static async setLastFetchTimestamp(timestamp) {
     try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('metadata');
-        
-        await collection.updateOne(
-          { key: 'lastFetchTimestamp' },
-          { $set: { value: timestamp } },
-          { upsert: true }
-        );
-        
-        console.log(`Set last fetch timestamp in MongoDB: ${timestamp}`);
-      } catch (error) {
-        console.warn('MongoDB setLastFetchTimestamp failed, falling back to in-memory storage:', error.message);
-      }
-      
-      // Fall back to in-memory storage
-      lastFetchTimestamp = timestamp;
-      console.log(`Set last fetch timestamp in memory: ${timestamp}`);
+      const storage = await getStorage();
+      await storage.putMetadata('lastFetchTimestamp', timestamp);
+      console.log(`Set last fetch timestamp in ${storage.name} storage: ${timestamp}`);
     } catch (error) {
       console.error('Error setting last fetch timestamp:', error);
     }
@@ -278,24 +156,10 @@ class Transaction {
   // Get last fetch timestamp
   static async getLastFetchTimestamp() {
     try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('metadata');
-        
-        const doc = await collection.findOne({ key: 'lastFetchTimestamp' });
-        if (doc) {
-          console.log(`Got last fetch timestamp from MongoDB: ${doc.value}`);
-          return doc.value;
-        }
-      } catch (error) {
-        console.warn('MongoDB getLastFetchTimestamp failed, falling back to in-memory storage:', error.message);
-      }
-      
-      // Fall back to in-memory storage
-      console.log(`Got last fetch timestamp from memory: ${lastFetchTimestamp}`);
-      return lastFetchTimestamp;
+      const storage = await getStorage();
+      const timestamp = await storage.getMetadata('lastFetchTimestamp');
+      console.log(`Got last fetch timestamp from ${storage.name} storage: ${timestamp}`);
+      return timestamp;
     } catch (error) {
       console.error('Error getting last fetch timestamp:', error);
       return null;
@@ -305,23 +169,9 @@ class Transaction {
   // Clear all transactions (for testing)
   static async clearAll() {
     try {
-      // Try to use MongoDB if available
-      try {
-        const { connectToDatabase } = require('../utils/mongodb');
-        const { db } = await connectToDatabase();
-        const collection = db.collection('transactions');
-        
-        const result = await collection.deleteMany({});
-        console.log(`Cleared all transactions from MongoDB (count: ${result.deletedCount})`);
-        return result.deletedCount;
-      } catch (error) {
-        console.warn('MongoDB clearAll failed, falling back to in-memory storage:', error.message);
-      }
-      
-      // Fall back to in-memory storage
-      const count = transactions.length;
-      transactions.length = 0;
-      console.log(`Cleared all transactions from memory (count: ${count})`);
+      const storage = await getStorage();
+      const count = await storage.deleteTransactions({});
+      console.log(`Cleared all transactions from ${storage.name} storage (count: ${count})`);
       return count;
     } catch (error) {
       console.error('Error clearing transactions:', error);
@@ -330,4 +180,4 @@ class Transaction {
   }
 }
 
-module.exports = Transaction; 
\ No newline at end of file
+module.exports = Transaction;
@@ -0,0 +1,185 @@
+// Chainable transaction query
+// Transaction.find() returns one of these. It can be awaited directly or
+// refined first, e.g. Transaction.find({ type: 'swap' }).since(date).sort('-blockTime').limit(20)
+// Filters run in the storage backend, so they behave the same on every backend
+const { getStorage } = require('../storage');
+
+// Turn a Date, ISO string or unix time (seconds or milliseconds) into unix seconds
+function toBlockTime(value, name) {
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const number = Number(value);
+    // Anything this large is milliseconds
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid ${name}: ${value}. Use an ISO date or unix time`);
+  }
+  return Math.floor(time / 1000);
+}
+
+// Turn '-blockTime' or 'blockTime amount' into { blockTime: -1, amount: 1 }
+function parseSort(sort) {
+  if (typeof sort !== 'string') {
+    return sort;
+  }
+
+  const spec = {};
+  sort.split(/[\s,]+/).filter(Boolean).forEach(field => {
+    if (field.startsWith('-')) {
+      spec[field.substring(1)] = -1;
+    } else {
+      spec[field] = 1;
+    }
+  });
+  return spec;
+}
+
+// Storage failures are reported to API clients as STORAGE_UNAVAILABLE, see src/api/errors.js
+function markStorageError(error) {
+  error.storageUnavailable = true;
+  return error;
+}
+
+class TransactionQuery {
+  constructor(filter = {}, options = {}) {
+    this.filter = { ...filter };
+    this.options = {};
+
+    if (options.sort) this.sort(options.sort);
+    if (options.limit) this.limit(options.limit);
+    if (options.skip) this.skip(options.skip);
+  }
+
+  // Add a condition on any field, e.g. where('amount', { $gte: 1 })
+  where(field, condition) {
+    this.filter[field] = condition;
+    return this;
+  }
+
+  // One type or a list of types
+  type(type) {
+    return this.where('type', Array.isArray(type) ? { $in: type } : type);
+  }
+
+  token(token) {
+    return this.where('token', token);
+  }
+
+  tokenMint(tokenMint) {
+    return this.where('tokenMint', tokenMint);
+  }
+
+  sender(address) {
+    return this.where('sender', address);
+  }
+
+  receiver(address) {
+    return this.where('receiver', address);
+  }
+
+  // Records classified for a tracked wallet
+  wallet(address) {
+    return this.where('wallet', address);
+  }
+
+  // Transactions that involve an address as sender, receiver or payout leg
+  involving(address) {
+    return this.where('$address', address);
+  }
+
+  // Block time from (inclusive)
+  since(from) {
+    this.filter.blockTime = { ...this.blockTimeCondition(), $gte: toBlockTime(from, 'from') };
+    return this;
+  }
+
+  // Block time until (inclusive)
+  until(to) {
+    this.filter.blockTime = { ...this.blockTimeCondition(), $lte: toBlockTime(to, 'to') };
+    return this;
+  }
+
+  // Block time range, either end can be left out
+  between(from, to) {
+    if (from !== undefined && from !== null && from !== '') this.since(from);
+    if (to !== undefined && to !== null && to !== '') this.until(to);
+    return this;
+  }
+
+  // Existing range operators on blockTime, so since() and until() combine
+  blockTimeCondition() {
+    const current = this.filter.blockTime;
+    return current && typeof current === 'object' ? current : {};
+  }
+
+  // Sort spec object ({ blockTime: -1 }) or string ('-blockTime')
+  sort(sort) {
+    this.options.sort = parseSort(sort);
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = parseInt(limit, 10) || 0;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = parseInt(skip, 10) || 0;
+    return this;
+  }
+
+  // Run the query
+  async exec() {
+    try {
+      const storage = await getStorage();
+      return await storage.queryTransactions(this.filter, this.options);
+    } catch (error) {
+      console.error('Error finding transactions:', error);
+      throw markStorageError(error);
+    }
+  }
+
+  // Count matching transactions, ignoring sort, limit and skip
+  async count() {
+    try {
+      const storage = await getStorage();
+      return await storage.countTransactions(this.filter);
+    } catch (error) {
+      console.error('Error counting transactions:', error);
+      throw markStorageError(error);
+    }
+  }
+
+  // Sum a numeric field over matching transactions, ignoring sort, limit and skip
+  async sum(field = 'amount') {
+    try {
+      const storage = await getStorage();
+      return await storage.sumTransactions(this.filter, field);
+    } catch (error) {
+      console.error(`Error summing transaction ${field}:`, error);
+      throw markStorageError(error);
+    }
+  }
+
+  // Make the query awaitable
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+module.exports = {
+  TransactionQuery,
+  toBlockTime,
+  parseSort,
+  markStorageError
+};
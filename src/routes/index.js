@@ -3,6 +3,10 @@ const router = express.Router();
 const Transaction = require('../models/Transaction');
 const heliusService = require('../services/heliusService');
 const fileStorage = require('../services/fileStorage');
+const { OUTGOING_TYPES, INCOMING_TYPES } = require('../services/transactionClassifier');
+const { parsePaginationParams, paginateQuery } = require('../utils/pagination');
+const { CODES, sendSuccess, sendError } = require('../api/errors');
+const { getStorage } = require('../storage');
 
 // Initialize services
 let servicesInitialized = false;
@@ -30,6 +34,41 @@ async function initializeServices() {
   }
 }
 
+// Read limit, cursor and order for a listing, or answer 400 and return null
+function getPagination(req, res) {
+  try {
+    return parsePaginationParams(req.query);
+  } catch (error) {
+    sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid pagination parameters', details: error.message });
+    return null;
+  }
+}
+
+// Response fields for one page of transactions
+function pageResponse(page) {
+  return {
+    count: page.items.length,
+    limit: page.limit,
+    order: page.order,
+    hasMore: page.hasMore,
+    nextCursor: page.nextCursor,
+    transactions: page.items
+  };
+}
+
+// Totals over every transaction matching a filter, not just one page
+// Aggregated by the storage backend instead of loading the transactions
+async function getQueryStats(filter) {
+  const storage = await getStorage();
+  const stats = await storage.getTransactionStats(filter);
+  
+  return {
+    totalTransactions: stats.totalTransactions,
+    transactionsByType: stats.transactionsByType,
+    totalAmount: Object.values(stats.totalAmountByToken).reduce((sum, amount) => sum + amount, 0)
+  };
+}
+
 // Middleware to ensure services are initialized
 router.use(async (req, res, next) => {
   try {
@@ -37,13 +76,7 @@ router.use(async (req, res, next) => {
     next();
   } catch (error) {
     console.error('Error in initialization middleware:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to initialize services',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to initialize services' });
   }
 });
 
@@ -52,24 +85,16 @@ router.get('/stats', async (req, res) => {
   try {
     console.log('Getting statistics...');
     
-    // Get transaction statistics
-    const stats = await heliusService.getStats();
+    // Get transaction statistics, ?wallet limits them to one tracked wallet
+    const stats = await heliusService.getStats(req.query.wallet || null);
     
     // Return statistics
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       stats
     });
   } catch (error) {
     console.error('Error getting statistics:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get statistics',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get statistics' });
   }
 });
 
@@ -81,51 +106,23 @@ router.get('/stats/tax-token', async (req, res) => {
     // Check if tax token mint is set
     const taxTokenMint = process.env.TAX_TOKEN_MINT_ADDRESS;
     if (!taxTokenMint) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Tax token mint address not set'
-        }
+      return sendError(res, CODES.NOT_CONFIGURED, {
+        message: 'Tax token mint address not set',
+        details: 'Set TAX_TOKEN_MINT_ADDRESS'
       });
     }
     
-    // Get transactions for tax token
-    const transactions = await Transaction.getByTokenMint(taxTokenMint);
-    
-    // Calculate statistics
-    const stats = {
-      totalTransactions: transactions.length,
-      transactionsByType: {},
-      totalAmount: 0
-    };
-    
-    // Process each transaction
-    for (const tx of transactions) {
-      // Count by type
-      stats.transactionsByType[tx.type] = (stats.transactionsByType[tx.type] || 0) + 1;
-      
-      // Sum amount
-      if (tx.amount) {
-        stats.totalAmount += tx.amount;
-      }
-    }
+    // Statistics over every tax token transaction
+    const stats = await getQueryStats({ tokenMint: taxTokenMint });
     
     // Return statistics
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       tokenMint: taxTokenMint,
       stats
     });
   } catch (error) {
     console.error('Error getting tax token statistics:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get tax token statistics',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get tax token statistics' });
   }
 });
 
@@ -135,43 +132,17 @@ router.get('/stats/token/:tokenMint', async (req, res) => {
     const { tokenMint } = req.params;
     console.log(`Getting statistics for token: ${tokenMint}`);
     
-    // Get transactions for token
-    const transactions = await Transaction.getByTokenMint(tokenMint);
-    
-    // Calculate statistics
-    const stats = {
-      totalTransactions: transactions.length,
-      transactionsByType: {},
-      totalAmount: 0
-    };
-    
-    // Process each transaction
-    for (const tx of transactions) {
-      // Count by type
-      stats.transactionsByType[tx.type] = (stats.transactionsByType[tx.type] || 0) + 1;
-      
-      // Sum amount
-      if (tx.amount) {
-        stats.totalAmount += tx.amount;
-      }
-    }
+    // Statistics over every transaction of the token
+    const stats = await getQueryStats({ tokenMint });
     
     // Return statistics
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       tokenMint,
       stats
     });
   } catch (error) {
     console.error(`Error getting statistics for token ${req.params.tokenMint}:`, error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get token statistics',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get token statistics' });
   }
 });
 
@@ -180,69 +151,47 @@ router.get('/stats/sol', async (req, res) => {
   try {
     console.log('Getting SOL statistics...');
     
-    // Get transactions for SOL
-    const transactions = await Transaction.getByToken('SOL');
-    
-    // Calculate statistics
-    const stats = {
-      totalTransactions: transactions.length,
-      transactionsByType: {},
-      totalAmount: 0
-    };
-    
-    // Process each transaction
-    for (const tx of transactions) {
-      // Count by type
-      stats.transactionsByType[tx.type] = (stats.transactionsByType[tx.type] || 0) + 1;
-      
-      // Sum amount
-      if (tx.amount) {
-        stats.totalAmount += tx.amount;
-      }
-    }
+    // Statistics over every SOL transaction
+    const stats = await getQueryStats({ token: 'SOL' });
     
     // Return statistics
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       stats
     });
   } catch (error) {
     console.error('Error getting SOL statistics:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get SOL statistics',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get SOL statistics' });
   }
 });
 
-// Get all transactions
+// Get transactions, optionally filtered by type, token, tokenMint, sender,
+// receiver, address and from/to, with sort, limit and skip
 router.get('/transactions', async (req, res) => {
+  const pagination = getPagination(req, res);
+  if (!pagination) return;
+  
+  let query;
   try {
-    console.log('Getting all transactions...');
+    query = Transaction.search(req.query);
+  } catch (error) {
+    return sendError(res, CODES.INVALID_REQUEST, { message: 'Invalid transaction query', details: error.message });
+  }
+  
+  try {
+    console.log('Getting transactions...');
     
-    // Get all transactions
-    const transactions = await Transaction.getAll();
+    // Total matches and the requested page
+    const total = await query.count();
+    const page = await paginateQuery(query, pagination);
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      count: transactions.length,
-      transactions
+    sendSuccess(res, {
+      total,
+      ...pageResponse(page)
     });
   } catch (error) {
     console.error('Error getting transactions:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get transactions',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get transactions' });
   }
 });
 
@@ -254,34 +203,25 @@ router.get('/transactions/tax-token', async (req, res) => {
     // Check if tax token mint is set
     const taxTokenMint = process.env.TAX_TOKEN_MINT_ADDRESS;
     if (!taxTokenMint) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Tax token mint address not set'
-        }
+      return sendError(res, CODES.NOT_CONFIGURED, {
+        message: 'Tax token mint address not set',
+        details: 'Set TAX_TOKEN_MINT_ADDRESS'
       });
     }
     
-    // Get transactions for tax token
-    const transactions = await Transaction.getByTokenMint(taxTokenMint);
+    // Get a page of transactions for tax token
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    const page = await paginateQuery(Transaction.find({ tokenMint: taxTokenMint }), pagination);
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       tokenMint: taxTokenMint,
-      count: transactions.length,
-      transactions
+      ...pageResponse(page)
     });
   } catch (error) {
     console.error('Error getting tax token transactions:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get tax token transactions',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get tax token transactions' });
   }
 });
 
@@ -291,26 +231,19 @@ router.get('/transactions/token/:tokenMint', async (req, res) => {
     const { tokenMint } = req.params;
     console.log(`Getting transactions for token: ${tokenMint}`);
     
-    // Get transactions for token
-    const transactions = await Transaction.getByTokenMint(tokenMint);
+    // Get a page of transactions for token
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    const page = await paginateQuery(Transaction.find({ tokenMint }), pagination);
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       tokenMint,
-      count: transactions.length,
-      transactions
+      ...pageResponse(page)
     });
   } catch (error) {
     console.error(`Error getting transactions for token ${req.params.tokenMint}:`, error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get token transactions',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get token transactions' });
   }
 });
 
@@ -319,25 +252,18 @@ router.get('/transactions/sol', async (req, res) => {
   try {
     console.log('Getting SOL transactions...');
     
-    // Get transactions for SOL
-    const transactions = await Transaction.getByToken('SOL');
+    // Get a page of SOL transactions
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    const page = await paginateQuery(Transaction.find({ token: 'SOL' }), pagination);
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      count: transactions.length,
-      transactions
+    sendSuccess(res, {
+      ...pageResponse(page)
     });
   } catch (error) {
     console.error('Error getting SOL transactions:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get SOL transactions',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get SOL transactions' });
   }
 });
 
@@ -346,25 +272,18 @@ router.get('/transactions/collected', async (req, res) => {
   try {
     console.log('Getting collected transactions...');
     
-    // Get transactions with type 'received'
-    const transactions = await Transaction.find({ type: 'received' });
+    // Get a page of incoming transactions (received and tax collections)
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    const page = await paginateQuery(Transaction.find({ type: { $in: INCOMING_TYPES } }), pagination);
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      count: transactions.length,
-      transactions
+    sendSuccess(res, {
+      ...pageResponse(page)
     });
   } catch (error) {
     console.error('Error getting collected transactions:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get collected transactions',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get collected transactions' });
   }
 });
 
@@ -373,25 +292,18 @@ router.get('/transactions/distributed', async (req, res) => {
   try {
     console.log('Getting distributed transactions...');
     
-    // Get transactions with type 'sent'
-    const transactions = await Transaction.find({ type: 'sent' });
+    // Get a page of outgoing transactions (sent and distributions)
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    const page = await paginateQuery(Transaction.find({ type: { $in: OUTGOING_TYPES } }), pagination);
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      count: transactions.length,
-      transactions
+    sendSuccess(res, {
+      ...pageResponse(page)
     });
   } catch (error) {
     console.error('Error getting distributed transactions:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get distributed transactions',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get distributed transactions' });
   }
 });
 
@@ -400,25 +312,18 @@ router.get('/transactions/swaps', async (req, res) => {
   try {
     console.log('Getting swap transactions...');
     
-    // Get transactions with type 'swap'
-    const transactions = await Transaction.find({ type: 'swap' });
+    // Get a page of transactions with type 'swap'
+    const pagination = getPagination(req, res);
+    if (!pagination) return;
+    const page = await paginateQuery(Transaction.find({ type: 'swap' }), pagination);
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      count: transactions.length,
-      transactions
+    sendSuccess(res, {
+      ...pageResponse(page)
     });
   } catch (error) {
     console.error('Error getting swap transactions:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to get swap transactions',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to get swap transactions' });
   }
 });
 
@@ -431,62 +336,13 @@ router.post('/fetch-transactions', async (req, res) => {
     const transactions = await heliusService.fetchTransactions();
     
     // Return transactions
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
+    sendSuccess(res, {
       count: transactions.length,
       transactions
     });
   } catch (error) {
     console.error('Error fetching transactions:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to fetch transactions',
-        details: error.message
-      }
-    });
-  }
-});
-
-// Add a sample transaction (for testing)
-router.get('/add-sample', async (req, res) => {
-  try {
-    console.log('Adding sample transaction...');
-    
-    // Create sample transaction
-    const transaction = new Transaction({
-      signature: `sample-${Date.now()}`,
-      timestamp: new Date().toISOString(),
-      type: 'received',
-      amount: 1.0,
-      token: 'SOL',
-      sender: 'SampleSender123456789',
-      receiver: process.env.DISTRIBUTION_WALLET_ADDRESS,
-      fee: 0.000005,
-      status: 'success',
-      blockTime: Math.floor(Date.now() / 1000),
-      slot: 123456789
-    });
-    
-    // Save transaction
-    await transaction.save();
-    
-    // Return transaction
-    res.json({
-      success: true,
-      timestamp: new Date().toISOString(),
-      transaction
-    });
-  } catch (error) {
-    console.error('Error adding sample transaction:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: 'Failed to add sample transaction',
-        details: error.message
-      }
-    });
+    sendError(res, error, { message: 'Failed to fetch transactions' });
   }
 });
 
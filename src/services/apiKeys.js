@@ -0,0 +1,266 @@
+// Scoped API keys
+// Keys are kept in the storage backend under the 'apiKeys' metadata key, so every
+// process sharing a backend accepts the same keys. Only a SHA-256 hash of each key is
+// stored; the key itself is shown once when it's issued. Each key has scopes, an
+// optional daily request quota (UTC days) and expiry. Request counts and last use are
+// buffered in memory and written every few seconds, like provider usage
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+const { REJECTIONS, RejectedError } = require('../utils/errors');
+
+const METADATA_KEY = 'apiKeys';
+const KEY_PREFIX = 'dtk_';
+const SCOPES = {
+  READ_STATS: 'read-stats',
+  READ_WALLET: 'read-wallet',
+  ADMIN_REFRESH: 'admin-refresh',
+  ADMIN_JOBS: 'admin-jobs'
+};
+const CACHE_TTL = 30000; // Keys issued or revoked by another process are picked up within this
+const FLUSH_INTERVAL = 10000;
+
+let cache = null; // { keys, loadedAt }
+const pending = new Map(); // key id -> { day, requests, lastUsedAt } not yet written to storage
+let flushTimer = null;
+
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// A key as shown by the API and the bot, without its hash
+function toPublic(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+async function loadKeys(force = false) {
+  if (!force && cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.keys;
+  }
+  const storage = await getStorage();
+  cache = { keys: (await storage.getMetadata(METADATA_KEY)) || [], loadedAt: Date.now() };
+  return cache.keys;
+}
+
+// Change the stored keys in one atomic update of the backend, so a key revoked or issued by
+// another process in between is kept. change edits the list it gets and must not await,
+// it can run again with a fresher list
+async function updateKeys(change) {
+  const storage = await getStorage();
+  let result;
+  const keys = await storage.updateMetadata(METADATA_KEY, saved => {
+    const list = saved || [];
+    result = change(list);
+    return list;
+  });
+  cache = { keys, loadedAt: Date.now() };
+  return result;
+}
+
+function isActive(key, now = new Date()) {
+  return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt) > now);
+}
+
+// Requests a key made today, stored and pending
+function getRequestsToday(key) {
+  const today = dayKey();
+  const stored = key.usage && key.usage.day === today ? key.usage.requests : 0;
+  const buffered = pending.get(key.id);
+  return stored + (buffered && buffered.day === today ? buffered.requests : 0);
+}
+
+function parseScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+  const parsed = Array.from(new Set(list.map(scope => String(scope).trim()).filter(Boolean)));
+  if (parsed.length === 0) {
+    throw new Error(`At least one scope is required: ${Object.values(SCOPES).join(', ')}`);
+  }
+  const invalid = parsed.filter(scope => !Object.values(SCOPES).includes(scope));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid scope: ${invalid.join(', ')}. Use: ${Object.values(SCOPES).join(', ')}`);
+  }
+  return parsed;
+}
+
+// Whether any key can still be used, API key checks are enforced once one exists
+async function hasKeys() {
+  const keys = await loadKeys();
+  return keys.some(key => isActive(key));
+}
+
+async function listKeys() {
+  const keys = await loadKeys(true);
+  return keys.map(key => ({ ...toPublic(key), requestsToday: getRequestsToday(key), active: isActive(key) }));
+}
+
+// Issue a key
+// Options: name, scopes (list or comma-separated), dailyQuota (requests per UTC day), expiresAt or expiresInDays
+// Returns { key, secret }, the secret is not stored and can't be shown again
+async function createKey(options = {}) {
+  const name = options.name ? String(options.name).trim() : '';
+  if (!name) {
+    throw new Error('A name is required');
+  }
+  const scopes = parseScopes(options.scopes);
+
+  let dailyQuota = null;
+  if (options.dailyQuota !== undefined && options.dailyQuota !== null && options.dailyQuota !== '') {
+    dailyQuota = parseInt(options.dailyQuota);
+    if (!(dailyQuota > 0)) {
+      throw new Error('dailyQuota must be a positive number of requests');
+    }
+  }
+
+  let expiresAt = null;
+  if (options.expiresAt) {
+    expiresAt = new Date(options.expiresAt);
+  } else if (options.expiresInDays) {
+    expiresAt = new Date(Date.now() + parseFloat(options.expiresInDays) * 86400000);
+  }
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    throw new Error('Expiry must be a valid date in the future');
+  }
+
+  const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const key = {
+    id: `key_${crypto.randomBytes(4).toString('hex')}`,
+    name,
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(secret),
+    scopes,
+    dailyQuota,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    lastUsedAt: null,
+    requestCount: 0,
+    usage: null
+  };
+
+  await updateKeys(keys => keys.push(key));
+  console.log(`Issued API key ${key.id} (${name}) with scopes: ${scopes.join(', ')}`);
+  return { key: toPublic(key), secret };
+}
+
+// Revoke a key, it's kept in the list with its usage
+// Returns the revoked key, or null if there's no such key
+async function revokeKey(id) {
+  const revoked = await updateKeys(keys => {
+    const key = keys.find(entry => entry.id === id);
+    if (key && !key.revokedAt) {
+      key.revokedAt = new Date().toISOString();
+    }
+    return key || null;
+  });
+
+  if (revoked) {
+    pending.delete(id);
+    console.log(`Revoked API key ${id} (${revoked.name})`);
+  }
+  return revoked ? toPublic(revoked) : null;
+}
+
+// Write buffered request counts and last-used times
+async function flush() {
+  if (pending.size === 0) {
+    return;
+  }
+
+  const batch = new Map(pending);
+  pending.clear();
+
+  try {
+    await updateKeys(keys => {
+      for (const [id, used] of batch) {
+        const key = keys.find(entry => entry.id === id);
+        if (!key) {
+          continue;
+        }
+        key.requestCount = (key.requestCount || 0) + used.requests;
+        key.usage = key.usage && key.usage.day === used.day
+          ? { day: used.day, requests: key.usage.requests + used.requests }
+          : { day: used.day, requests: used.requests };
+        key.lastUsedAt = used.lastUsedAt;
+      }
+    });
+  } catch (error) {
+    // Keep the counts for the next flush
+    for (const [id, used] of batch) {
+      const current = pending.get(id);
+      pending.set(id, current && current.day === used.day
+        ? { ...current, requests: current.requests + used.requests }
+        : used);
+    }
+    throw error;
+  }
+}
+
+function recordUse(key) {
+  const today = dayKey();
+  const current = pending.get(key.id);
+  pending.set(key.id, {
+    day: today,
+    requests: (current && current.day === today ? current.requests : 0) + 1,
+    lastUsedAt: new Date().toISOString()
+  });
+
+  if (!flushTimer) {
+    flushTimer = setInterval(() => flush().catch(error => console.error('Error saving API key usage:', error.message)), FLUSH_INTERVAL);
+    flushTimer.unref();
+  }
+}
+
+// Check a presented key for a scope and count the request
+// Returns { key, quota } when allowed, otherwise { error } with a RejectedError saying why
+async function authenticate(secret, scope) {
+  const hash = hashKey(secret);
+  let key = (await loadKeys()).find(entry => entry.hash === hash);
+  // Not in the cache yet when another process issued it
+  if (!key) {
+    key = (await loadKeys(true)).find(entry => entry.hash === hash);
+  }
+
+  if (!key || key.revokedAt) {
+    return { error: new RejectedError(REJECTIONS.KEY_INVALID, 'Unauthorized: Invalid or missing API key') };
+  }
+  if (key.expiresAt && new Date(key.expiresAt) <= new Date()) {
+    return { error: new RejectedError(REJECTIONS.KEY_EXPIRED, 'Unauthorized: API key has expired', { details: `Expired at ${key.expiresAt}` }) };
+  }
+  if (scope && !key.scopes.includes(scope)) {
+    return {
+      error: new RejectedError(REJECTIONS.KEY_SCOPE, `Forbidden: API key lacks the ${scope} scope`, { details: `Key scopes: ${key.scopes.join(', ')}` })
+    };
+  }
+
+  const used = getRequestsToday(key);
+  if (key.dailyQuota && used >= key.dailyQuota) {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    return {
+      error: new RejectedError(REJECTIONS.KEY_QUOTA, 'Daily request quota exceeded for this API key', {
+        details: `${used} of ${key.dailyQuota} requests used today, the quota resets at ${midnight.toISOString()}`,
+        retryAfter: Math.ceil((midnight.getTime() - Date.now()) / 1000)
+      })
+    };
+  }
+
+  recordUse(key);
+  return {
+    key: toPublic(key),
+    quota: key.dailyQuota ? { limit: key.dailyQuota, remaining: key.dailyQuota - used - 1 } : null
+  };
+}
+
+module.exports = {
+  SCOPES,
+  hasKeys,
+  listKeys,
+  createKey,
+  revokeKey,
+  authenticate,
+  flush
+};
@@ -0,0 +1,91 @@
+// Audit log
+// Administrative and destructive actions (clearing data, refreshes, tracking wallets,
+// issuing keys, stopping the API or a bot) are appended to the storage backend's audit
+// log with who did them, through which channel, their parameters and the counts they
+// changed before and after. Entries are never updated or removed
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const CHANNELS = {
+  API: 'api',
+  TELEGRAM: 'telegram',
+  SYSTEM: 'system'
+};
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// The actor of a Telegram message
+function actorFromMessage(msg) {
+  const from = (msg && msg.from) || {};
+  return {
+    id: `telegram:${from.id}`,
+    name: from.username ? `@${from.username}` : (from.first_name || null)
+  };
+}
+
+// Append an entry
+// Details: actor ({ id, name }), channel, params, before and after (counts), result and error
+// Returns the entry, or null if it couldn't be stored; a failed write never fails the action itself
+async function record(action, details = {}) {
+  const entry = {
+    id: `audit_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+    timestamp: new Date().toISOString(),
+    action,
+    channel: details.channel || CHANNELS.SYSTEM,
+    actor: details.actor ? { id: String(details.actor.id), name: details.actor.name || null } : null,
+    params: details.params || null,
+    before: details.before || null,
+    after: details.after || null,
+    result: details.error ? 'failed' : (details.result || 'success'),
+    error: details.error ? (details.error.message || String(details.error)) : null
+  };
+
+  try {
+    const storage = await getStorage();
+    await storage.appendAuditEntry(entry);
+    console.log(`Audit: ${entry.action} by ${entry.actor ? entry.actor.id : 'unknown'} via ${entry.channel}`);
+    return entry;
+  } catch (error) {
+    console.error(`Error writing audit entry for ${action}:`, error.message);
+    return null;
+  }
+}
+
+// Entries, newest first
+// Options: action, channel, actor (actor id), from and to (dates), limit and offset
+async function list(options = {}) {
+  const filter = {
+    action: options.action,
+    channel: options.channel,
+    actorId: options.actor
+  };
+
+  for (const [field, value] of [['since', options.from], ['until', options.to]]) {
+    if (value) {
+      const date = new Date(/^\d+$/.test(String(value)) ? parseInt(value) * 1000 : value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+      }
+      filter[field] = date.toISOString();
+    }
+  }
+
+  const limit = Math.min(parseInt(options.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+  const skip = Math.max(parseInt(options.offset) || 0, 0);
+  const storage = await getStorage();
+  return storage.queryAuditLog(filter, { limit, skip });
+}
+
+// Stored transaction count, for before and after counts
+async function countTransactions(query = {}) {
+  const storage = await getStorage();
+  return storage.countTransactions(query);
+}
+
+module.exports = {
+  CHANNELS,
+  actorFromMessage,
+  record,
+  list,
+  countTransactions
+};
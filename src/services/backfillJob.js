@@ -0,0 +1,340 @@
+// Resumable historical backfill
+// Walks a wallet's history from the newest signature to the oldest, one page at a
+// time. After every page the `before` signature and progress are saved to storage
+// under the 'backfill' cursor, so a crash or redeploy resumes where the last run
+// stopped instead of starting again from the newest signature.
+// A backfill can be limited to a slot range and/or a block time range
+const Transaction = require('../models/Transaction');
+const { getStorage } = require('../storage');
+const { classifyTransaction } = require('./transactionClassifier');
+const rpcProvider = require('./rpcProvider');
+const { toBlockTime } = require('../models/TransactionQuery');
+
+const CURSOR_NAME = 'backfill';
+const PAGE_SIZE = 100; // Max per request for the enhanced transactions API
+const PAGE_DELAY = 500; // Pause between pages to avoid rate limiting
+
+// pending: waiting for the next run, paused: stopped on request and only resumed
+// by an explicit run, failed: the last page errored and is retried on the next run
+const STATUSES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// The run in progress in this process, if any
+let activeRun = null;
+let pauseRequested = false;
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+// Read { fromSlot, toSlot, from, to } from options, every bound is optional
+// from and to accept a Date, ISO string or unix time and are stored as unix seconds
+function parseRange(options = {}) {
+  const range = { fromSlot: null, toSlot: null, from: null, to: null };
+
+  for (const key of ['fromSlot', 'toSlot']) {
+    if (isSet(options[key])) {
+      const slot = Number(options[key]);
+      if (!Number.isInteger(slot) || slot < 0) {
+        throw new Error(`Invalid ${key}: ${options[key]}. Use a slot number`);
+      }
+      range[key] = slot;
+    }
+  }
+
+  if (isSet(options.from)) range.from = toBlockTime(options.from, 'from');
+  if (isSet(options.to)) range.to = toBlockTime(options.to, 'to');
+
+  if (range.fromSlot !== null && range.toSlot !== null && range.fromSlot > range.toSlot) {
+    throw new Error('Invalid range: fromSlot is after toSlot');
+  }
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    throw new Error('Invalid range: from is after to');
+  }
+
+  return range;
+}
+
+// Where a fetched transaction sits relative to the range: 'newer', 'older' or 'inside'
+function getPosition(tx, range) {
+  const slot = tx.slot || 0;
+  const blockTime = tx.timestamp || 0;
+
+  if ((range.toSlot !== null && slot > range.toSlot) || (range.to !== null && blockTime > range.to)) {
+    return 'newer';
+  }
+  if ((range.fromSlot !== null && slot < range.fromSlot) || (range.from !== null && blockTime < range.from)) {
+    return 'older';
+  }
+  return 'inside';
+}
+
+function createState(walletAddress, range) {
+  const now = new Date().toISOString();
+  return {
+    walletAddress,
+    status: STATUSES.PENDING,
+    range,
+    before: null,
+    pages: 0,
+    scanned: 0,
+    saved: 0,
+    firstSlot: null,
+    lastSlot: null,
+    lastBlockTime: null,
+    runs: 0,
+    error: null,
+    startedAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+}
+
+async function saveState(storage, state) {
+  state.updatedAt = new Date().toISOString();
+  await storage.putCursor(CURSOR_NAME, state);
+}
+
+// Fetch one page of transactions older than `before`
+// The provider uses the Helius enhanced API and falls back to plain RPC when it's unavailable
+async function fetchPage(walletAddress, before, options = {}) {
+  return rpcProvider.getTransactionsForAddress(walletAddress, { before, limit: PAGE_SIZE, background: options.background });
+}
+
+// Get the saved backfill state, or null if no backfill was ever started
+async function getState() {
+  const storage = await getStorage();
+  return storage.getCursor(CURSOR_NAME);
+}
+
+// Start a new backfill, replacing any earlier one
+// Options: fromSlot, toSlot, from, to
+async function startBackfill(walletAddress, options = {}) {
+  if (!walletAddress) {
+    throw new Error('A wallet address is required to start a backfill');
+  }
+  if (activeRun) {
+    throw new Error('A backfill is already running. Pause it before starting a new one');
+  }
+
+  const state = createState(walletAddress, parseRange(options));
+  const storage = await getStorage();
+  await saveState(storage, state);
+
+  console.log(`Started backfill for ${walletAddress} with range:`, state.range);
+  return state;
+}
+
+// Fetch pages until the backfill completes, is paused, or a limit is reached
+async function runPages(walletAddress, options) {
+  const storage = await getStorage();
+  let state = await storage.getCursor(CURSOR_NAME);
+
+  // Without a saved backfill, start one over the whole history
+  if (!state) {
+    state = createState(walletAddress, parseRange());
+  }
+
+  if (state.status === STATUSES.COMPLETED) {
+    console.log('Backfill already completed, nothing to do');
+    return { state, transactions: [] };
+  }
+
+  console.log(`Resuming backfill for ${state.walletAddress} (before: ${state.before || 'newest'}, pages so far: ${state.pages})`);
+
+  pauseRequested = false;
+  state.status = STATUSES.RUNNING;
+  state.error = null;
+  state.runs++;
+  await saveState(storage, state);
+
+  const startTime = Date.now();
+  const newTransactions = [];
+  let pages = 0;
+
+  try {
+    while (state.status === STATUSES.RUNNING) {
+      if (pauseRequested) {
+        state.status = STATUSES.PAUSED;
+        break;
+      }
+      if (options.timeLimit && Date.now() - startTime > options.timeLimit) {
+        console.log(`Backfill reached its time limit after ${pages} pages`);
+        break;
+      }
+      if (options.maxPages && pages >= options.maxPages) {
+        console.log(`Backfill reached its page limit (${options.maxPages})`);
+        break;
+      }
+
+      const page = await fetchPage(state.walletAddress, state.before, options);
+      pages++;
+
+      if (page.length === 0) {
+        state.status = STATUSES.COMPLETED;
+        break;
+      }
+
+      // Pages are newest first, so the first transaction older than the range ends the backfill
+      const records = [];
+      let reachedStart = false;
+      for (const tx of page) {
+        const position = getPosition(tx, state.range);
+        if (position === 'newer' || tx.transactionError) {
+          continue;
+        }
+        if (position === 'older') {
+          reachedStart = true;
+          break;
+        }
+
+        if (state.firstSlot === null) {
+          state.firstSlot = tx.slot || 0;
+        }
+
+        const record = classifyTransaction(tx, state.walletAddress);
+        if (record) {
+          records.push(new Transaction(record));
+        }
+      }
+
+      if (records.length > 0) {
+        state.saved += await Transaction.saveMany(records);
+        newTransactions.push(...records);
+
+        if (options.onPage) {
+          await options.onPage(records);
+        }
+      }
+
+      const lastTx = page[page.length - 1];
+      state.before = lastTx.signature;
+      state.lastSlot = lastTx.slot || 0;
+      state.lastBlockTime = lastTx.timestamp || null;
+      state.pages++;
+      state.scanned += page.length;
+
+      // A short page is the end of the history
+      if (reachedStart || page.length < PAGE_SIZE) {
+        state.status = STATUSES.COMPLETED;
+      }
+
+      await saveState(storage, state);
+      console.log(`Backfill page ${state.pages}: ${page.length} transactions, ${records.length} in range (before: ${state.before})`);
+
+      if (state.status === STATUSES.RUNNING) {
+        await new Promise(resolve => setTimeout(resolve, PAGE_DELAY));
+      }
+    }
+
+    if (state.status === STATUSES.RUNNING) {
+      state.status = STATUSES.PENDING;
+    }
+    if (state.status === STATUSES.COMPLETED) {
+      state.completedAt = new Date().toISOString();
+      console.log(`Backfill completed: ${state.scanned} transactions scanned, ${state.saved} new`);
+    }
+  } catch (error) {
+    console.error('Error running backfill:', error.message);
+    state.status = STATUSES.FAILED;
+    state.error = error.message;
+  }
+
+  await saveState(storage, state);
+  return { state, transactions: newTransactions };
+}
+
+// Run the saved backfill from its `before` signature
+// Options: timeLimit (ms), maxPages, onPage(transactions) called after each saved page,
+// background (the run pauses with the usage budget, see rpcProvider)
+// Returns { state, transactions } with the transactions saved by this run
+async function runBackfill(walletAddress, options = {}) {
+  if (activeRun) {
+    console.log('Backfill is already running, waiting for the current run');
+    return activeRun;
+  }
+
+  activeRun = runPages(walletAddress, options).finally(() => {
+    activeRun = null;
+  });
+  return activeRun;
+}
+
+// Run the saved backfill only if it is waiting to continue
+// Paused and completed backfills are left alone
+async function resumeBackfill(walletAddress, options = {}) {
+  const state = await getState();
+  if (state && (state.status === STATUSES.PAUSED || state.status === STATUSES.COMPLETED)) {
+    return { state, transactions: [] };
+  }
+  return runBackfill(walletAddress, options);
+}
+
+// Stop the backfill after the current page, it resumes on the next explicit run
+async function pauseBackfill() {
+  const storage = await getStorage();
+  const state = await storage.getCursor(CURSOR_NAME);
+  if (!state || state.status === STATUSES.COMPLETED) {
+    return state;
+  }
+
+  if (activeRun) {
+    pauseRequested = true;
+    return (await activeRun).state;
+  }
+
+  state.status = STATUSES.PAUSED;
+  await saveState(storage, state);
+  return state;
+}
+
+// Forget the saved backfill, the next run starts again from the newest signature
+async function resetBackfill() {
+  if (activeRun) {
+    throw new Error('A backfill is running. Pause it before resetting');
+  }
+
+  const storage = await getStorage();
+  await storage.deleteMetadata(`cursor:${CURSOR_NAME}`);
+  console.log('Backfill state reset');
+}
+
+// Backfill state with whether a run is active and, for slot ranges, how far along it is
+async function getBackfillStatus() {
+  const state = await getState();
+  if (!state) {
+    return { status: 'not_started', active: false };
+  }
+
+  let percentComplete = null;
+  if (state.status === STATUSES.COMPLETED) {
+    percentComplete = 100;
+  } else if (state.range.fromSlot !== null && state.firstSlot !== null && state.lastSlot !== null) {
+    const total = state.firstSlot - state.range.fromSlot;
+    const done = state.firstSlot - state.lastSlot;
+    percentComplete = total > 0 ? Math.min(100, Math.round((done / total) * 1000) / 10) : null;
+  }
+
+  return {
+    ...state,
+    active: !!activeRun,
+    percentComplete
+  };
+}
+
+module.exports = {
+  STATUSES,
+  parseRange,
+  getState,
+  getBackfillStatus,
+  startBackfill,
+  runBackfill,
+  resumeBackfill,
+  pauseBackfill,
+  resetBackfill
+};
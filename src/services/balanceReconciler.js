@@ -0,0 +1,222 @@
+// Balance reconciliation
+// Compares a wallet's on-chain SOL balance with the balance implied by its stored
+// transactions (received - sent - fees). Every check is kept as a snapshot, so when
+// an unexplained delta shows up the report can tell between which checks it appeared.
+// Admins in ADMIN_USER_IDS can be alerted in Telegram when the delta changes
+const { getStorage } = require('../storage');
+const rpcProvider = require('./rpcProvider');
+const { isIncoming, isOutgoing } = require('./transactionClassifier');
+
+const REPORT_KEY_PREFIX = 'balanceCheck:';
+const MAX_SNAPSHOTS = 100; // Checks kept per wallet to locate when a delta appeared
+const LAMPORTS_PER_SOL = 1e9;
+
+// Differences up to this many lamports count as balanced
+function getTolerance() {
+  return process.env.BALANCE_TOLERANCE_LAMPORTS ? parseInt(process.env.BALANCE_TOLERANCE_LAMPORTS) : 0;
+}
+
+// Lamports a stored transaction moved for the wallet
+// net is the balance change without the network fee, fee is what the wallet paid for it
+function getLamportFlow(tx, walletAddress) {
+  const changes = tx.meta && tx.meta.changes;
+  if (changes && Array.isArray(changes.solChanges)) {
+    const change = changes.solChanges.find(entry => entry.address === walletAddress);
+    const fee = changes.feePayer === walletAddress ? (changes.fee || 0) : 0;
+    return { net: (change ? change.lamports : 0) + fee, fee, exact: true };
+  }
+
+  // Older records without balance changes only have the classified amount
+  if (tx.token !== 'SOL') {
+    return { net: 0, fee: 0, exact: false };
+  }
+  const lamports = Math.round((tx.amount || 0) * LAMPORTS_PER_SOL);
+  const fee = tx.sender === walletAddress ? Math.round((tx.fee || 0) * LAMPORTS_PER_SOL) : 0;
+  if (isIncoming(tx) && tx.receiver === walletAddress) {
+    return { net: lamports, fee, exact: false };
+  }
+  if (isOutgoing(tx) && tx.sender === walletAddress) {
+    return { net: -lamports, fee, exact: false };
+  }
+  return { net: 0, fee, exact: false };
+}
+
+// Sum the stored transactions of a wallet up to a slot
+async function getExpectedBalance(walletAddress, maxSlot) {
+  const storage = await getStorage();
+  // A transfer between two tracked wallets is stored once for each, count it once
+  // and prefer the record classified for this wallet
+  const bySignature = new Map();
+  for (const tx of await storage.queryByAddress(walletAddress)) {
+    if (!bySignature.has(tx.signature) || tx.wallet === walletAddress) {
+      bySignature.set(tx.signature, tx);
+    }
+  }
+  const stored = Array.from(bySignature.values());
+  const totals = {
+    receivedLamports: 0,
+    sentLamports: 0,
+    feeLamports: 0,
+    transactionCount: 0,
+    estimatedTransactions: 0
+  };
+
+  for (const tx of stored) {
+    if (maxSlot && tx.slot > maxSlot) {
+      continue;
+    }
+
+    const flow = getLamportFlow(tx, walletAddress);
+    if (flow.net > 0) {
+      totals.receivedLamports += flow.net;
+    } else {
+      totals.sentLamports -= flow.net;
+    }
+    totals.feeLamports += flow.fee;
+    totals.transactionCount++;
+    if (!flow.exact) {
+      totals.estimatedTransactions++;
+    }
+  }
+
+  totals.expectedLamports = totals.receivedLamports - totals.sentLamports - totals.feeLamports;
+  return totals;
+}
+
+// Find the checks between which the current delta first appeared
+// Returns null when balanced, otherwise { after, before } where after is the last
+// check with a different delta (null if the delta was there from the first check)
+function findFirstSeen(snapshots, current, tolerance) {
+  if (Math.abs(current.deltaLamports) <= tolerance) {
+    return null;
+  }
+
+  let first = snapshots.length - 1;
+  while (first > 0 && Math.abs(snapshots[first - 1].deltaLamports - current.deltaLamports) <= tolerance) {
+    first--;
+  }
+
+  const describe = snapshot => ({ checkedAt: snapshot.checkedAt, slot: snapshot.slot, deltaLamports: snapshot.deltaLamports });
+  return {
+    after: first > 0 ? describe(snapshots[first - 1]) : null,
+    before: describe(snapshots[first])
+  };
+}
+
+// Send a message to every admin in ADMIN_USER_IDS
+async function alertAdmins(message) {
+  const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (!process.env.TELEGRAM_BOT_TOKEN || adminIds.length === 0) {
+    console.log('Skipping balance alert: TELEGRAM_BOT_TOKEN or ADMIN_USER_IDS not set');
+    return 0;
+  }
+
+  const TelegramBot = require('node-telegram-bot-api');
+  const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+  let sent = 0;
+
+  for (const adminId of adminIds) {
+    try {
+      await bot.sendMessage(adminId, message, { parse_mode: 'Markdown' });
+      sent++;
+    } catch (error) {
+      console.error(`Error sending balance alert to ${adminId}:`, error.message);
+    }
+  }
+  return sent;
+}
+
+function formatAlert(report) {
+  const sign = report.deltaLamports > 0 ? '+' : '';
+  let message = `⚠️ *Balance Mismatch*\n\n`;
+  message += `Wallet: \`${report.walletAddress}\`\n`;
+  message += `Actual: ${report.actualSol} SOL\n`;
+  message += `Expected: ${report.expectedSol} SOL\n`;
+  message += `Unexplained: ${sign}${report.deltaSol} SOL (${sign}${report.deltaLamports} lamports)\n`;
+
+  if (report.firstSeen) {
+    const after = report.firstSeen.after;
+    message += after
+      ? `\nFirst seen between slots ${after.slot} and ${report.firstSeen.before.slot} (${after.checkedAt} - ${report.firstSeen.before.checkedAt})`
+      : `\nPresent since the first check at slot ${report.firstSeen.before.slot} (${report.firstSeen.before.checkedAt})`;
+  }
+  return message;
+}
+
+// Check a wallet's stored history against its on-chain balance
+// With alert: true, admins are messaged when an unexplained delta appears or changes
+async function reconcileBalance(walletAddress, options = {}) {
+  if (!walletAddress) {
+    throw new Error('A wallet address is required for balance reconciliation');
+  }
+
+  const tolerance = getTolerance();
+  const balance = await rpcProvider.getBalance(walletAddress, { commitment: 'confirmed' });
+  const slot = balance.slot;
+  const actualLamports = balance.lamports;
+  const totals = await getExpectedBalance(walletAddress, slot);
+  const deltaLamports = actualLamports - totals.expectedLamports;
+
+  const storage = await getStorage();
+  const key = `${REPORT_KEY_PREFIX}${walletAddress}`;
+  const saved = (await storage.getMetadata(key)) || { snapshots: [] };
+  const previous = saved.snapshots[saved.snapshots.length - 1] || null;
+
+  const checkedAt = new Date().toISOString();
+  const snapshots = [...saved.snapshots, { checkedAt, slot, actualLamports, expectedLamports: totals.expectedLamports, deltaLamports }]
+    .slice(-MAX_SNAPSHOTS);
+
+  const report = {
+    walletAddress,
+    checkedAt,
+    slot,
+    actualLamports,
+    expectedLamports: totals.expectedLamports,
+    deltaLamports,
+    actualSol: (actualLamports / LAMPORTS_PER_SOL).toFixed(9),
+    expectedSol: (totals.expectedLamports / LAMPORTS_PER_SOL).toFixed(9),
+    deltaSol: (deltaLamports / LAMPORTS_PER_SOL).toFixed(9),
+    balanced: Math.abs(deltaLamports) <= tolerance,
+    toleranceLamports: tolerance,
+    receivedLamports: totals.receivedLamports,
+    sentLamports: totals.sentLamports,
+    feeLamports: totals.feeLamports,
+    transactionCount: totals.transactionCount,
+    // Records stored before balance changes were kept, their lamports are estimated from the amount
+    estimatedTransactions: totals.estimatedTransactions,
+    firstSeen: findFirstSeen(snapshots, { deltaLamports }, tolerance),
+    alerted: false
+  };
+
+  // Transactions stored in the slots where the delta appeared are the first place to look
+  if (report.firstSeen && report.firstSeen.after) {
+    report.firstSeen.transactionsInRange = await storage.countTransactions({
+      $address: walletAddress,
+      slot: { $gt: report.firstSeen.after.slot, $lte: report.firstSeen.before.slot }
+    });
+  }
+
+  const deltaChanged = !previous || Math.abs(previous.deltaLamports - deltaLamports) > tolerance;
+  if (options.alert && !report.balanced && deltaChanged) {
+    report.alerted = (await alertAdmins(formatAlert(report))) > 0;
+  }
+
+  await storage.putMetadata(key, { lastReport: report, snapshots });
+
+  console.log(`Balance check for ${walletAddress}: actual ${report.actualSol} SOL, expected ${report.expectedSol} SOL, delta ${deltaLamports} lamports`);
+  return report;
+}
+
+// The last reconciliation report of a wallet, or null if it was never checked
+async function getLastReport(walletAddress) {
+  const storage = await getStorage();
+  const saved = await storage.getMetadata(`${REPORT_KEY_PREFIX}${walletAddress}`);
+  return saved ? saved.lastReport : null;
+}
+
+module.exports = {
+  reconcileBalance,
+  getLastReport,
+  getLamportFlow,
+  findFirstSeen
+};
@@ -0,0 +1,143 @@
+// Classification rules loader
+// Rules live in config/classification_rules.json (or CLASSIFICATION_RULES_PATH)
+// and are reloaded automatically when the file changes
+const fs = require('fs');
+const path = require('path');
+
+const RULES_PATH = process.env.CLASSIFICATION_RULES_PATH ||
+  path.join(__dirname, '../../config/classification_rules.json');
+
+// How often the rules file is checked for changes
+const WATCH_INTERVAL = 5000;
+
+let currentRules = null;
+let loadedAt = null;
+let watching = false;
+
+// Replace "$ENV_VAR" placeholders with environment values, dropping unset ones
+function resolveValues(values) {
+  return (values || [])
+    .map(value => (typeof value === 'string' && value.startsWith('$') ? process.env[value.slice(1)] : value))
+    .filter(Boolean);
+}
+
+// Validate and prepare a raw rules object
+function compileRules(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Rules must be a JSON object');
+  }
+
+  if (raw.rules && !Array.isArray(raw.rules)) {
+    throw new Error('"rules" must be an array');
+  }
+
+  const rules = (raw.rules || []).map((rule, index) => {
+    if (!rule.category) {
+      throw new Error(`Rule ${rule.name || index} is missing a category`);
+    }
+
+    return {
+      name: rule.name || `rule-${index + 1}`,
+      category: rule.category,
+      types: rule.types || null,
+      wallets: rule.wallets ? resolveValues(rule.wallets) : null,
+      addresses: rule.addresses ? resolveValues(rule.addresses) : null,
+      programIds: rule.programIds ? resolveValues(rule.programIds) : null,
+      tokens: rule.tokens ? resolveValues(rule.tokens) : null,
+      minAmount: typeof rule.minAmount === 'number' ? rule.minAmount : null,
+      maxAmount: typeof rule.maxAmount === 'number' ? rule.maxAmount : null,
+      memoPattern: rule.memoPattern ? new RegExp(rule.memoPattern, rule.memoFlags || 'i') : null
+    };
+  });
+
+  return {
+    systemAddresses: resolveValues(raw.systemAddresses),
+    transferProgramIds: resolveValues(raw.transferProgramIds),
+    rules
+  };
+}
+
+// Read the rules file as plain JSON
+function readRawRules(filePath = RULES_PATH) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Read and compile the rules file without replacing the active rules
+function readRulesFile(filePath = RULES_PATH) {
+  return compileRules(readRawRules(filePath));
+}
+
+// Load the rules file and make it the active rule set
+function loadRules() {
+  try {
+    currentRules = readRulesFile();
+    loadedAt = new Date();
+    console.log(`Loaded ${currentRules.rules.length} classification rules from ${RULES_PATH}`);
+  } catch (error) {
+    console.error(`Error loading classification rules from ${RULES_PATH}:`, error.message);
+
+    // Keep the previous rules if a reload fails, otherwise run without rules
+    if (!currentRules) {
+      currentRules = compileRules({});
+      loadedAt = new Date();
+    }
+  }
+
+  return currentRules;
+}
+
+// Get the active rules, loading them on first use
+function getRules() {
+  return currentRules || loadRules();
+}
+
+// Watch the rules file and reload it when it changes
+function watchRules() {
+  if (watching) {
+    return;
+  }
+
+  watching = true;
+  fs.watchFile(RULES_PATH, { interval: WATCH_INTERVAL, persistent: false }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      console.log('Classification rules file changed, reloading...');
+      loadRules();
+    }
+  });
+  console.log(`Watching classification rules file: ${RULES_PATH}`);
+}
+
+// Stop watching the rules file
+function unwatchRules() {
+  if (watching) {
+    fs.unwatchFile(RULES_PATH);
+    watching = false;
+  }
+}
+
+// Get information about the active rules
+function getRulesInfo() {
+  const rules = getRules();
+  return {
+    path: RULES_PATH,
+    loadedAt: loadedAt ? loadedAt.toISOString() : null,
+    watching,
+    ruleCount: rules.rules.length,
+    rules: rules.rules.map(rule => ({
+      ...rule,
+      memoPattern: rule.memoPattern ? rule.memoPattern.source : null
+    }))
+  };
+}
+
+module.exports = {
+  RULES_PATH,
+  compileRules,
+  readRawRules,
+  readRulesFile,
+  loadRules,
+  getRules,
+  watchRules,
+  unwatchRules,
+  getRulesInfo
+};
@@ -0,0 +1,151 @@
+// Distribution round detection
+// Distributions go out as bursts of transfers, so outgoing transactions from the
+// same source and token are grouped into rounds split by time gaps
+const { isOutgoing } = require('./transactionClassifier');
+
+// A new round starts when the gap between two transfers exceeds this
+const DEFAULT_ROUND_GAP_SECONDS = parseInt(process.env.DISTRIBUTION_ROUND_GAP_SECONDS) || 600;
+
+// Build an ID for a new round from its first transaction
+function getRoundId(firstTx) {
+  return `round-${firstTx.blockTime}-${firstTx.signature.substring(0, 8)}`;
+}
+
+// Pick each round's ID, oldest round first
+// A round keeps the ID stored on its transactions (roundId), so adding an older transfer by a backfill
+// doesn't rename it. When rounds were joined, the ID most of its transactions carry wins.
+// A round without a stored ID, or whose ID an older round kept, gets a new one from its first transaction
+function resolveRoundIds(rounds) {
+  const used = new Set();
+
+  return rounds.map(roundTxs => {
+    const counts = new Map();
+    for (const tx of roundTxs) {
+      if (tx.roundId && !used.has(tx.roundId)) {
+        counts.set(tx.roundId, (counts.get(tx.roundId) || 0) + 1);
+      }
+    }
+
+    // Map keeps first-seen order, so ties go to the ID of the older transaction
+    let id = null;
+    for (const [candidate, count] of counts) {
+      if (!id || count > counts.get(id)) {
+        id = candidate;
+      }
+    }
+
+    if (!id) {
+      id = getRoundId(roundTxs[0]);
+      for (let suffix = 2; used.has(id); suffix++) {
+        id = `${getRoundId(roundTxs[0])}-${suffix}`;
+      }
+    }
+    used.add(id);
+    return id;
+  });
+}
+
+// Summarize the transactions of one round
+function summarizeRound(id, roundTxs) {
+  const first = roundTxs[0];
+  const last = roundTxs[roundTxs.length - 1];
+  const recipients = new Set();
+
+  for (const tx of roundTxs) {
+    if (tx.legs && tx.legs.length > 0) {
+      tx.legs.forEach(leg => recipients.add(leg.address));
+    } else if (tx.receiver) {
+      recipients.add(tx.receiver);
+    }
+  }
+
+  return {
+    id,
+    sender: first.sender,
+    token: first.token,
+    transferCount: roundTxs.length,
+    recipientCount: recipients.size,
+    totalPaid: roundTxs.reduce((sum, tx) => sum + (tx.amount || 0), 0),
+    feesSpent: roundTxs.reduce((sum, tx) => sum + (tx.fee || 0), 0),
+    startTime: new Date(first.blockTime * 1000).toISOString(),
+    endTime: new Date(last.blockTime * 1000).toISOString(),
+    durationSeconds: last.blockTime - first.blockTime,
+    firstSignature: first.signature,
+    lastSignature: last.signature
+  };
+}
+
+// Group outgoing transactions into rounds, newest round first
+function detectRounds(transactions, options = {}) {
+  const gapSeconds = options.gapSeconds || DEFAULT_ROUND_GAP_SECONDS;
+
+  // Group outgoing transfers by source and token, oldest first
+  const groups = new Map();
+  transactions
+    .filter(tx => isOutgoing(tx) && tx.blockTime && tx.signature)
+    .sort((a, b) => a.blockTime - b.blockTime || (a.slot || 0) - (b.slot || 0))
+    .forEach(tx => {
+      const key = `${tx.sender}:${tx.token}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(tx);
+    });
+
+  // Split each group wherever the gap between transfers is too large
+  const rounds = [];
+  for (const groupTxs of groups.values()) {
+    let current = [];
+    for (const tx of groupTxs) {
+      const previous = current[current.length - 1];
+      if (previous && tx.blockTime - previous.blockTime > gapSeconds) {
+        rounds.push(current);
+        current = [];
+      }
+      current.push(tx);
+    }
+    if (current.length > 0) {
+      rounds.push(current);
+    }
+  }
+
+  rounds.sort((a, b) => a[0].blockTime - b[0].blockTime || (a[0].slot || 0) - (b[0].slot || 0));
+  const ids = resolveRoundIds(rounds);
+
+  return rounds
+    .map((roundTxs, index) => ({ summary: summarizeRound(ids[index], roundTxs), transactions: roundTxs }))
+    .sort((a, b) => b.summary.startTime.localeCompare(a.summary.startTime));
+}
+
+// Detect rounds and set each round's ID on its transactions
+// Returns the round summaries and the transactions whose round ID changed, for the caller to store
+function assignRounds(transactions, options = {}) {
+  const rounds = detectRounds(transactions, options);
+  const changed = [];
+
+  for (const round of rounds) {
+    for (const tx of round.transactions) {
+      if (tx.roundId !== round.summary.id) {
+        tx.roundId = round.summary.id;
+        changed.push(tx);
+      }
+    }
+  }
+
+  return {
+    rounds: rounds.map(round => round.summary),
+    changed
+  };
+}
+
+// Get a single round with its transactions
+function getRound(transactions, roundId, options = {}) {
+  return detectRounds(transactions, options).find(round => round.summary.id === roundId) || null;
+}
+
+module.exports = {
+  DEFAULT_ROUND_GAP_SECONDS,
+  detectRounds,
+  assignRounds,
+  getRound
+};
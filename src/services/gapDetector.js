@@ -0,0 +1,216 @@
+// Gap detection and repair for the stored transaction history
+// Compares the wallet's full signature list from RPC with the signatures in
+// storage, groups the missing ones into ranges, optionally refetches them, and
+// saves the result of the last verification under the 'gapCheck' metadata key
+const Transaction = require('../models/Transaction');
+const { getStorage } = require('../storage');
+const { classifyTransaction } = require('./transactionClassifier');
+const rpcProvider = require('./rpcProvider');
+
+const RESULT_KEY = 'gapCheck';
+const SIGNATURE_PAGE_SIZE = 1000; // Max per getSignaturesForAddress request
+const LOOKUP_BATCH_SIZE = 500; // Signatures checked against storage per query
+const REPAIR_BATCH_SIZE = 20; // Repaired transactions saved per write
+const REPAIR_DELAY = 200; // Pause between getTransaction requests
+const LISTED_SIGNATURES = 10; // Signatures kept per range in the saved result
+
+// The check in progress in this process, if any
+let activeCheck = null;
+
+// Fetch the wallet's signatures newest first until the end of the history or the deadline
+async function fetchSignatures(walletAddress, deadline) {
+  const signatures = [];
+  let before = null;
+
+  while (true) {
+    if (Date.now() > deadline) {
+      return { signatures, complete: false };
+    }
+
+    const page = await rpcProvider.getSignatures(walletAddress, { limit: SIGNATURE_PAGE_SIZE, before });
+
+    if (!Array.isArray(page) || page.length === 0) {
+      return { signatures, complete: true };
+    }
+
+    signatures.push(...page);
+    console.log(`Gap check: fetched ${signatures.length} signatures so far`);
+
+    if (page.length < SIGNATURE_PAGE_SIZE) {
+      return { signatures, complete: true };
+    }
+    before = page[page.length - 1].signature;
+  }
+}
+
+// Signatures from the list that are already stored for the wallet
+async function findStoredSignatures(storage, signatures, walletAddress) {
+  const stored = new Set();
+
+  for (let i = 0; i < signatures.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = signatures.slice(i, i + LOOKUP_BATCH_SIZE);
+    const found = await storage.queryTransactions({ signature: { $in: batch }, wallet: walletAddress });
+    found.forEach(tx => stored.add(tx.signature));
+  }
+
+  return stored;
+}
+
+// Group missing signatures into ranges of consecutive missing entries
+// Signatures are newest first, so each range runs from its newest to its oldest transaction
+function findMissingRanges(signatures, stored) {
+  const ranges = [];
+  let current = null;
+
+  for (const sig of signatures) {
+    if (stored.has(sig.signature)) {
+      current = null;
+      continue;
+    }
+
+    if (!current) {
+      current = {
+        newestSignature: sig.signature,
+        newestSlot: sig.slot,
+        to: sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null,
+        signatures: []
+      };
+      ranges.push(current);
+    }
+
+    current.oldestSignature = sig.signature;
+    current.oldestSlot = sig.slot;
+    current.from = sig.blockTime ? new Date(sig.blockTime * 1000).toISOString() : null;
+    current.signatures.push(sig.signature);
+  }
+
+  return ranges.map(range => ({ ...range, count: range.signatures.length }));
+}
+
+// Refetch missing transactions until they are all stored or the deadline passes
+async function repairSignatures(walletAddress, signatures, deadline, onRepaired) {
+  const repair = { attempted: 0, repaired: 0, failed: 0, remaining: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Transaction.saveMany(batch);
+    if (onRepaired) {
+      await onRepaired(batch);
+    }
+    batch = [];
+  };
+
+  for (let i = 0; i < signatures.length; i++) {
+    if (Date.now() > deadline) {
+      repair.remaining = signatures.length - i;
+      console.log(`Gap check: time limit reached, ${repair.remaining} missing transactions left for the next repair`);
+      break;
+    }
+
+    const signature = signatures[i];
+    repair.attempted++;
+
+    try {
+      const txData = await rpcProvider.getTransaction(signature);
+      const record = txData ? classifyTransaction(txData, walletAddress, { signature }) : null;
+
+      if (record) {
+        batch.push(new Transaction(record));
+        repair.repaired++;
+      } else {
+        repair.failed++;
+      }
+    } catch (error) {
+      console.error(`Gap check: error refetching ${signature}:`, error.message);
+      repair.failed++;
+    }
+
+    if (batch.length >= REPAIR_BATCH_SIZE) {
+      await flush();
+    }
+    await new Promise(resolve => setTimeout(resolve, REPAIR_DELAY));
+  }
+
+  await flush();
+  return repair;
+}
+
+async function runCheck(walletAddress, options) {
+  const startTime = Date.now();
+  const deadline = startTime + (options.timeLimit || 10000);
+  const storage = await getStorage();
+
+  console.log(`Gap check: verifying stored history for ${walletAddress}${options.repair ? ' with repair' : ''}`);
+
+  const { signatures, complete } = await fetchSignatures(walletAddress, deadline);
+
+  // Failed transactions are never stored, so they are not gaps
+  const successful = signatures.filter(sig => !sig.err);
+  const stored = await findStoredSignatures(storage, successful.map(sig => sig.signature), walletAddress);
+  const ranges = findMissingRanges(successful, stored);
+  const missing = ranges.reduce((all, range) => all.concat(range.signatures), []);
+
+  console.log(`Gap check: ${successful.length} signatures checked, ${missing.length} missing in ${ranges.length} ranges`);
+
+  let repair = null;
+  if (options.repair && missing.length > 0) {
+    repair = await repairSignatures(walletAddress, missing, deadline, options.onRepaired);
+    console.log(`Gap check: repaired ${repair.repaired} of ${missing.length} missing transactions`);
+  }
+
+  const result = {
+    walletAddress,
+    checkedAt: new Date().toISOString(),
+    durationMs: Date.now() - startTime,
+    // false when the time limit cut the signature list short, older history was not checked
+    complete,
+    signaturesChecked: successful.length,
+    failedSkipped: signatures.length - successful.length,
+    storedCount: stored.size,
+    missingCount: missing.length,
+    ranges: ranges.map(range => ({
+      ...range,
+      signatures: range.signatures.slice(0, LISTED_SIGNATURES)
+    })),
+    repair
+  };
+
+  await storage.putMetadata(RESULT_KEY, result);
+  return result;
+}
+
+// Verify the stored history of a wallet against RPC
+// Options: repair (refetch missing transactions), timeLimit (ms),
+// onRepaired(transactions) called after each batch of repaired transactions is saved
+async function checkHistory(walletAddress, options = {}) {
+  if (!walletAddress) {
+    throw new Error('A wallet address is required to check for gaps');
+  }
+  if (activeCheck) {
+    console.log('Gap check already running, waiting for the current check');
+    return activeCheck;
+  }
+
+  activeCheck = runCheck(walletAddress, options).finally(() => {
+    activeCheck = null;
+  });
+  return activeCheck;
+}
+
+// Result of the last verification, or null if none has run
+async function getLastResult() {
+  const storage = await getStorage();
+  return storage.getMetadata(RESULT_KEY);
+}
+
+function isRunning() {
+  return !!activeCheck;
+}
+
+module.exports = {
+  checkHistory,
+  getLastResult,
+  isRunning,
+  findMissingRanges
+};
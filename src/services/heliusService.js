@@ -1,7 +1,7 @@
-const axios = require('axios');
 const Transaction = require('../models/Transaction');
 const { PublicKey } = require('@solana/web3.js');
-const fileStorage = require('./fileStorage');
+const rpcProvider = require('./rpcProvider');
+const { classifyTransaction, OUTGOING_TYPES, INCOMING_TYPES } = require('./transactionClassifier');
 
 // Constants
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
@@ -26,21 +26,20 @@ async function initialize() {
     console.log(`Tax token mint: ${TAX_TOKEN_MINT_ADDRESS || 'Not set'}`);
     
     // Check if we have the required environment variables
-    if (!HELIUS_API_KEY || !HELIUS_RPC_URL || !DISTRIBUTION_WALLET_ADDRESS) {
+    if (!DISTRIBUTION_WALLET_ADDRESS) {
       console.error('Missing required environment variables for Helius service');
       return false;
     }
     
     // Load last fetch timestamp from storage
-    const lastFetchData = await fileStorage.readData('lastFetch.json');
-    if (lastFetchData && lastFetchData.timestamp) {
-      Transaction.setLastFetchTimestamp(lastFetchData.timestamp);
-      console.log(`Loaded last fetch timestamp: ${lastFetchData.timestamp}`);
+    const lastFetchTimestamp = await Transaction.getLastFetchTimestamp();
+    if (lastFetchTimestamp) {
+      console.log(`Loaded last fetch timestamp: ${lastFetchTimestamp}`);
     } else {
       // Set default last fetch timestamp (24 hours ago)
       const oneDayAgo = new Date();
       oneDayAgo.setDate(oneDayAgo.getDate() - 1);
-      Transaction.setLastFetchTimestamp(oneDayAgo.toISOString());
+      await Transaction.setLastFetchTimestamp(oneDayAgo.toISOString());
       console.log(`Set default last fetch timestamp: ${oneDayAgo.toISOString()}`);
     }
     
@@ -52,58 +51,31 @@ async function initialize() {
 }
 
 // Fetch transactions from Helius API
+// Run on a schedule, so it's a background fetch and pauses while the usage budget is nearly used up
 async function fetchTransactions() {
   try {
     console.log('Fetching transactions from Helius API...');
     
     // Get last fetch timestamp
-    const lastFetchTimestamp = Transaction.getLastFetchTimestamp();
+    const lastFetchTimestamp = await Transaction.getLastFetchTimestamp();
     console.log(`Last fetch timestamp: ${lastFetchTimestamp}`);
     
-    // Prepare request data
-    const requestData = {
-      jsonrpc: '2.0',
-      id: 'my-id',
-      method: 'getSignaturesForAddress',
-      params: [
-        DISTRIBUTION_WALLET_ADDRESS,
-        {
-          limit: 100
-        }
-      ]
-    };
-    
-    // Make request to Helius API
-    const response = await axios.post(HELIUS_RPC_URL, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': HELIUS_API_KEY
-      },
-      timeout: 10000 // 10 second timeout
-    });
-    
-    // Check if response is valid
-    if (!response.data || !response.data.result) {
-      console.error('Invalid response from Helius API:', response.data);
-      return [];
-    }
-    
-    // Get signatures from response
-    const signatures = response.data.result;
+    // Request through the provider, which fails over between the configured RPC endpoints
+    const signatures = await rpcProvider.getSignatures(DISTRIBUTION_WALLET_ADDRESS, { limit: 100, background: true });
     console.log(`Fetched ${signatures.length} signatures`);
     
     // Process each signature
     const transactions = [];
     for (const sig of signatures) {
       // Skip if transaction is already processed
-      const existingTx = await Transaction.findOne({ signature: sig.signature });
+      const existingTx = await Transaction.findOne({ signature: sig.signature, wallet: DISTRIBUTION_WALLET_ADDRESS });
       if (existingTx) {
         console.log(`Transaction already exists: ${sig.signature}`);
         continue;
       }
       
       // Get transaction details
-      const txDetails = await getTransactionDetails(sig.signature);
+      const txDetails = await getTransactionDetails(sig.signature, { background: true });
       if (txDetails) {
         transactions.push(txDetails);
       }
@@ -111,8 +83,7 @@ async function fetchTransactions() {
     
     // Update last fetch timestamp
     const now = new Date().toISOString();
-    Transaction.setLastFetchTimestamp(now);
-    await fileStorage.writeData('lastFetch.json', { timestamp: now });
+    await Transaction.setLastFetchTimestamp(now);
     
     console.log(`Processed ${transactions.length} new transactions`);
     return transactions;
@@ -123,42 +94,17 @@ async function fetchTransactions() {
 }
 
 // Get transaction details from Helius API
-async function getTransactionDetails(signature) {
+// Options: background, passed to the provider
+async function getTransactionDetails(signature, options = {}) {
   try {
     console.log(`Getting details for transaction: ${signature}`);
     
-    // Prepare request data
-    const requestData = {
-      jsonrpc: '2.0',
-      id: 'my-id',
-      method: 'getTransaction',
-      params: [
-        signature,
-        {
-          encoding: 'jsonParsed',
-          maxSupportedTransactionVersion: 0
-        }
-      ]
-    };
-    
-    // Make request to Helius API
-    const response = await axios.post(HELIUS_RPC_URL, requestData, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': HELIUS_API_KEY
-      },
-      timeout: 10000 // 10 second timeout
-    });
-    
-    // Check if response is valid
-    if (!response.data || !response.data.result) {
-      console.error('Invalid response from Helius API:', response.data);
+    const txData = await rpcProvider.getTransaction(signature, { background: options.background });
+    if (!txData) {
+      console.error(`Transaction not found: ${signature}`);
       return null;
     }
     
-    // Get transaction data
-    const txData = response.data.result;
-    
     // Process transaction data
     const transaction = processTransaction(signature, txData);
     if (transaction) {
@@ -184,87 +130,21 @@ function processTransaction(signature, txData) {
       return null;
     }
     
-    // Basic transaction data
-    const transaction = {
-      signature,
-      blockTime: txData.blockTime,
-      slot: txData.slot,
-      timestamp: new Date(txData.blockTime * 1000).toISOString(),
-      meta: {}
-    };
-    
-    // Determine transaction type and details
-    // This is a simplified version - you'll need to implement the full logic
-    // based on your specific requirements
-    
-    // Example: Check if transaction is a SOL transfer
-    const preBalances = txData.meta.preBalances;
-    const postBalances = txData.meta.postBalances;
-    const accountKeys = txData.transaction.message.accountKeys;
-    
-    if (preBalances && postBalances && accountKeys) {
-      // Find index of distribution wallet
-      const walletIndex = accountKeys.findIndex(key => 
-        key.pubkey === DISTRIBUTION_WALLET_ADDRESS
-      );
-      
-      if (walletIndex >= 0) {
-        const preBal = preBalances[walletIndex];
-        const postBal = postBalances[walletIndex];
-        const diff = postBal - preBal;
-        
-        if (diff > 0) {
-          // Received SOL
-          transaction.type = 'received';
-          transaction.amount = diff / 1e9; // Convert lamports to SOL
-          transaction.token = 'SOL';
-          transaction.receiver = DISTRIBUTION_WALLET_ADDRESS;
-          
-          // Try to determine sender
-          const senderIndex = preBalances.findIndex((bal, i) => 
-            i !== walletIndex && preBalances[i] > postBalances[i]
-          );
-          if (senderIndex >= 0) {
-            transaction.sender = accountKeys[senderIndex].pubkey;
-          }
-        } else if (diff < 0) {
-          // Sent SOL
-          transaction.type = 'sent';
-          transaction.amount = Math.abs(diff) / 1e9; // Convert lamports to SOL
-          transaction.token = 'SOL';
-          transaction.sender = DISTRIBUTION_WALLET_ADDRESS;
-          
-          // Try to determine receiver
-          const receiverIndex = preBalances.findIndex((bal, i) => 
-            i !== walletIndex && preBalances[i] < postBalances[i]
-          );
-          if (receiverIndex >= 0) {
-            transaction.receiver = accountKeys[receiverIndex].pubkey;
-          }
-        }
-      }
-    }
-    
-    // If we couldn't determine the transaction type, mark as unknown
-    if (!transaction.type) {
-      transaction.type = 'unknown';
-      transaction.meta.raw = txData;
-    }
-    
-    return transaction;
+    // Use the shared classifier so the API, bot and collector agree on types and totals
+    return classifyTransaction(txData, DISTRIBUTION_WALLET_ADDRESS, { signature });
   } catch (error) {
     console.error(`Error processing transaction ${signature}:`, error);
     return null;
   }
 }
 
-// Get transaction statistics
-async function getStats() {
+// Get transaction statistics, for one tracked wallet when given
+async function getStats(walletAddress = null) {
   try {
-    console.log('Getting transaction statistics...');
+    console.log(`Getting transaction statistics${walletAddress ? ` for ${walletAddress}` : ''}...`);
     
-    // Get all transactions
-    const allTransactions = await Transaction.getAll();
+    // Get all transactions, or only those classified for the wallet
+    const allTransactions = walletAddress ? await Transaction.find({ wallet: walletAddress }) : await Transaction.getAll();
     
     // Calculate statistics
     const stats = {
@@ -300,25 +180,33 @@ async function getStats() {
   }
 }
 
+// Totals collected and distributed for the transactions matching a filter
+// Sums and counts run in the storage backend
+async function getFlowStats(filter = {}) {
+  const collected = Transaction.find({ ...filter, type: { $in: INCOMING_TYPES } });
+  const distributed = Transaction.find({ ...filter, type: { $in: OUTGOING_TYPES } });
+  
+  const [totalCollected, totalDistributed, collectionCount, distributionCount] = await Promise.all([
+    collected.sum('amount'),
+    distributed.sum('amount'),
+    collected.count(),
+    distributed.count()
+  ]);
+  
+  return {
+    totalCollected,
+    totalDistributed,
+    balance: totalCollected - totalDistributed,
+    collectionCount,
+    distributionCount,
+    lastUpdated: new Date().toISOString()
+  };
+}
+
 // Get tax statistics
 async function getTaxStats() {
   try {
-    const allTransactions = await Transaction.find().exec();
-    
-    const collected = allTransactions.filter(tx => tx.type === 'collection');
-    const distributed = allTransactions.filter(tx => tx.type === 'distribution');
-    
-    const totalCollected = collected.reduce((sum, tx) => sum + tx.amount, 0);
-    const totalDistributed = distributed.reduce((sum, tx) => sum + tx.amount, 0);
-    
-    return {
-      totalCollected,
-      totalDistributed,
-      balance: totalCollected - totalDistributed,
-      collectionCount: collected.length,
-      distributionCount: distributed.length,
-      lastUpdated: new Date().toISOString()
-    };
+    return await getFlowStats();
   } catch (error) {
     console.error('Error getting tax stats:', error.message);
     throw error;
@@ -332,22 +220,9 @@ async function getTaxTokenStats() {
       throw new Error('TAX_TOKEN_MINT_ADDRESS is not set in environment variables');
     }
     
-    const taxTokenTxs = await Transaction.find({ token: TAX_TOKEN_MINT_ADDRESS }).exec();
-    
-    const collected = taxTokenTxs.filter(tx => tx.type === 'collection');
-    const distributed = taxTokenTxs.filter(tx => tx.type === 'distribution');
-    
-    const totalCollected = collected.reduce((sum, tx) => sum + tx.amount, 0);
-    const totalDistributed = distributed.reduce((sum, tx) => sum + tx.amount, 0);
-    
     return {
       token: TAX_TOKEN_MINT_ADDRESS,
-      totalCollected,
-      totalDistributed,
-      balance: totalCollected - totalDistributed,
-      collectionCount: collected.length,
-      distributionCount: distributed.length,
-      lastUpdated: new Date().toISOString()
+      ...await getFlowStats({ token: TAX_TOKEN_MINT_ADDRESS })
     };
   } catch (error) {
     console.error('Error getting tax token stats:', error.message);
@@ -358,22 +233,9 @@ async function getTaxTokenStats() {
 // Get token mint statistics
 async function getTokenMintStats(tokenMint) {
   try {
-    const tokenTxs = await Transaction.find({ token: tokenMint }).exec();
-    
-    const collected = tokenTxs.filter(tx => tx.type === 'collection');
-    const distributed = tokenTxs.filter(tx => tx.type === 'distribution');
-    
-    const totalCollected = collected.reduce((sum, tx) => sum + tx.amount, 0);
-    const totalDistributed = distributed.reduce((sum, tx) => sum + tx.amount, 0);
-    
     return {
       tokenMint,
-      totalCollected,
-      totalDistributed,
-      balance: totalCollected - totalDistributed,
-      collectionCount: collected.length,
-      distributionCount: distributed.length,
-      lastUpdated: new Date().toISOString()
+      ...await getFlowStats({ token: tokenMint })
     };
   } catch (error) {
     console.error(`Error getting stats for token mint ${tokenMint}:`, error.message);
@@ -386,6 +248,47 @@ async function getSolStats() {
   return getTokenMintStats(NATIVE_SOL_MINT);
 }
 
+// Refetch every stored transaction over RPC and classify it again
+// Used by /fixwithrpc to correct amounts stored by older versions of the classifier
+async function fixTransactionAmountsWithRPC() {
+  try {
+    const stored = await Transaction.find({ wallet: DISTRIBUTION_WALLET_ADDRESS });
+    console.log(`Refetching ${stored.length} stored transactions over RPC...`);
+    
+    let fixed = 0;
+    let batch = [];
+    for (const tx of stored) {
+      try {
+        const txData = await rpcProvider.getTransaction(tx.signature);
+        const transaction = txData ? processTransaction(tx.signature, txData) : null;
+        if (transaction) {
+          batch.push(new Transaction(transaction));
+          fixed++;
+        }
+      } catch (error) {
+        console.error(`Error refetching ${tx.signature}:`, error.message);
+      }
+      
+      if (batch.length >= 20) {
+        await Transaction.saveMany(batch);
+        batch = [];
+      }
+      // Small delay to stay under rate limits
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    
+    if (batch.length > 0) {
+      await Transaction.saveMany(batch);
+    }
+    
+    console.log(`Reclassified ${fixed} of ${stored.length} transactions`);
+    return true;
+  } catch (error) {
+    console.error('Error fixing transaction amounts with RPC:', error);
+    return false;
+  }
+}
+
 // Export functions
 module.exports = {
   initialize,
@@ -395,5 +298,6 @@ module.exports = {
   getTaxStats,
   getTaxTokenStats,
   getTokenMintStats,
-  getSolStats
+  getSolStats,
+  fixTransactionAmountsWithRPC
 }; 
\ No newline at end of file
@@ -0,0 +1,113 @@
+// Admin job registry
+// Long admin operations (refreshes, historical fetches) run in the background and
+// are tracked by job ID, so the request that starts one returns right away. Jobs
+// run in the process that started them; their state is also kept in the storage
+// backend (the 'adminJobs' metadata, the last 50 jobs) so any process can report it.
+// Only one job of a type runs at a time per process
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const METADATA_KEY = 'adminJobs';
+const MAX_STORED_JOBS = 50;
+const STATUSES = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const jobs = new Map(); // job id -> job, for jobs started by this process
+let writing = Promise.resolve();
+
+// Write a job's current state into the stored list, one write at a time
+function persist(job) {
+  const snapshot = { ...job };
+  writing = writing.then(async () => {
+    const storage = await getStorage();
+    const stored = (await storage.getMetadata(METADATA_KEY)) || [];
+    const others = stored.filter(entry => entry.id !== snapshot.id);
+    await storage.putMetadata(METADATA_KEY, [snapshot, ...others].slice(0, MAX_STORED_JOBS));
+  }).catch(error => console.error(`Error saving job ${snapshot.id}:`, error.message));
+  return writing;
+}
+
+// Start a job running fn(job) in the background
+// Options: params and requestedBy, stored with the job
+// Returns { job, created }, created is false when a job of the type was already running
+function startJob(type, fn, options = {}) {
+  const running = Array.from(jobs.values()).find(job => job.type === type && job.status === STATUSES.RUNNING);
+  if (running) {
+    return { job: { ...running }, created: false };
+  }
+
+  const job = {
+    id: `job_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+    type,
+    status: STATUSES.RUNNING,
+    params: options.params || null,
+    requestedBy: options.requestedBy || null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null
+  };
+  jobs.set(job.id, job);
+  persist(job);
+  console.log(`Started ${type} job ${job.id}`);
+
+  Promise.resolve()
+    .then(() => fn({ ...job }))
+    .then(result => {
+      job.status = STATUSES.COMPLETED;
+      job.result = result === undefined ? null : result;
+    }, error => {
+      job.status = STATUSES.FAILED;
+      job.error = error.message;
+      console.error(`${type} job ${job.id} failed:`, error);
+    })
+    .then(() => {
+      job.finishedAt = new Date().toISOString();
+      console.log(`${type} job ${job.id} ${job.status}`);
+
+      // Finished jobs stay in storage, keep only the recent ones in memory
+      for (const [id, entry] of jobs) {
+        if (jobs.size <= MAX_STORED_JOBS) {
+          break;
+        }
+        if (entry.status !== STATUSES.RUNNING) {
+          jobs.delete(id);
+        }
+      }
+      return persist(job);
+    });
+
+  return { job: { ...job }, created: true };
+}
+
+// A job by ID, from this process or from storage
+async function getJob(id) {
+  if (jobs.has(id)) {
+    return { ...jobs.get(id) };
+  }
+  const storage = await getStorage();
+  const stored = (await storage.getMetadata(METADATA_KEY)) || [];
+  return stored.find(job => job.id === id) || null;
+}
+
+// Recent jobs, newest first, optionally only those of a type
+async function listJobs(options = {}) {
+  const storage = await getStorage();
+  const stored = (await storage.getMetadata(METADATA_KEY)) || [];
+  // Jobs of this process may be newer than their last write
+  const merged = stored.filter(job => !jobs.has(job.id))
+    .concat(Array.from(jobs.values()).map(job => ({ ...job })))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  const filtered = options.type ? merged.filter(job => job.type === options.type) : merged;
+  return filtered.slice(0, Math.min(parseInt(options.limit) || 20, MAX_STORED_JOBS));
+}
+
+module.exports = {
+  STATUSES,
+  startJob,
+  getJob,
+  listJobs
+};
@@ -0,0 +1,110 @@
+// Holder leaderboard
+// Ranks recipients by the total SOL they received from the distribution wallet
+const { isOutgoing } = require('./transactionClassifier');
+
+// Named periods accepted on top of "<n>h", "<n>d", "<n>w" and "<n>m"
+const PERIOD_ALIASES = {
+  day: '1d',
+  week: '7d',
+  month: '30d',
+  year: '365d'
+};
+
+const PERIOD_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  m: 30 * 24 * 60 * 60 * 1000
+};
+
+// Turn a period such as "7d", "24h" or "week" into a start date
+// Returns null for "all" or a missing period, throws when invalid
+function parsePeriod(period, now = new Date()) {
+  if (!period || period === 'all') {
+    return null;
+  }
+
+  const value = PERIOD_ALIASES[period] || period;
+  const match = /^(\d+)([hdwm])$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid period: ${period}. Use all, day, week, month, year or a value like 24h, 7d, 4w, 3m`);
+  }
+
+  return new Date(now.getTime() - parseInt(match[1], 10) * PERIOD_UNITS[match[2]]);
+}
+
+// Build the full ranked list of recipients
+// Options: from / to (Date), token (default SOL), distributionWallet
+function buildLeaderboard(transactions, options = {}) {
+  const token = options.token || 'SOL';
+  const fromTime = options.from ? options.from.getTime() / 1000 : null;
+  const toTime = options.to ? options.to.getTime() / 1000 : null;
+  const holders = new Map();
+
+  for (const tx of transactions) {
+    if (!isOutgoing(tx) || tx.token !== token || tx.sender !== options.distributionWallet) {
+      continue;
+    }
+
+    if ((fromTime && tx.blockTime < fromTime) || (toTime && tx.blockTime > toTime)) {
+      continue;
+    }
+
+    // Older records without legs count their single receiver
+    const legs = tx.legs && tx.legs.length > 0
+      ? tx.legs
+      : (tx.receiver ? [{ address: tx.receiver, amount: tx.amount || 0 }] : []);
+
+    for (const leg of legs) {
+      const holder = holders.get(leg.address) || {
+        address: leg.address,
+        totalReceived: 0,
+        rewardCount: 0,
+        lastRewardAt: null
+      };
+
+      holder.totalReceived += leg.amount || 0;
+      holder.rewardCount++;
+      if (tx.blockTime && (!holder.lastRewardAt || tx.blockTime > holder.lastRewardAt)) {
+        holder.lastRewardAt = tx.blockTime;
+      }
+
+      holders.set(leg.address, holder);
+    }
+  }
+
+  return Array.from(holders.values())
+    .sort((a, b) => b.totalReceived - a.totalReceived || a.address.localeCompare(b.address))
+    .map((holder, index) => ({
+      rank: index + 1,
+      ...holder,
+      lastRewardAt: holder.lastRewardAt ? new Date(holder.lastRewardAt * 1000).toISOString() : null
+    }));
+}
+
+// Get one page of the leaderboard, plus the entry for a specific address if asked
+function getLeaderboardPage(transactions, options = {}) {
+  const limit = options.limit || 10;
+  const offset = options.offset || 0;
+  const ranking = buildLeaderboard(transactions, options);
+
+  return {
+    token: options.token || 'SOL',
+    from: options.from ? options.from.toISOString() : null,
+    to: options.to ? options.to.toISOString() : null,
+    totalHolders: ranking.length,
+    totalDistributed: ranking.reduce((sum, holder) => sum + holder.totalReceived, 0),
+    offset,
+    limit,
+    entries: ranking.slice(offset, offset + limit),
+    address: options.address
+      ? ranking.find(holder => holder.address === options.address) || null
+      : undefined
+  };
+}
+
+module.exports = {
+  parsePeriod,
+  buildLeaderboard,
+  getLeaderboardPage
+};
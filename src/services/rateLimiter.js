@@ -0,0 +1,272 @@
+// Shared rate limiter and circuit breaker
+// One token bucket per provider (an RPC endpoint name such as 'helius' or 'public',
+// or 'helius-api' for the enhanced transactions API), each with its own budget.
+// Bucket and circuit state are kept in the storage backend under 'rateLimit:<provider>',
+// so the API, the bot and the collector draw from one budget and all back off as soon
+// as one of them is rate-limited. Every change is an atomic updateMetadata, so two processes
+// can't take the same token, whichever backend is configured
+const { getStorage } = require('../storage');
+
+const KEY_PREFIX = 'rateLimit:';
+const DEFAULT_BUDGETS = {
+  helius: { rate: 10, burst: 10 }, // Helius free plan allows 10 RPC requests per second
+  'helius-api': { rate: 2, burst: 2 }, // Enhanced transactions API
+  public: { rate: 4, burst: 8 }, // api.mainnet-beta allows 40 requests per 10 seconds per IP
+  default: { rate: 5, burst: 5 }
+};
+const MIN_OPEN_TIME = 5000; // Doubles with each failure in a row
+const MAX_OPEN_TIME = 300000;
+const RATE_LIMIT_OPEN_TIME = 30000; // Used when a 429 has no Retry-After
+const MAX_WAIT = process.env.RATE_LIMIT_MAX_WAIT ? parseInt(process.env.RATE_LIMIT_MAX_WAIT) : 30000; // Calls that would wait longer are rejected
+
+const providers = new Map();
+let budgets = null;
+let sharedStorage = null;
+
+// Budgets from RATE_LIMIT_BUDGETS, e.g. "helius=10:20,public=2" (requests per second[:burst])
+function getBudget(name) {
+  if (!budgets) {
+    budgets = { ...DEFAULT_BUDGETS };
+    for (const entry of (process.env.RATE_LIMIT_BUDGETS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+      const [provider, value] = entry.split('=');
+      const [rate, burst] = (value || '').split(':').map(parseFloat);
+      if (provider && rate > 0) {
+        budgets[provider.trim()] = { rate, burst: burst > 0 ? burst : Math.max(1, rate) };
+      } else {
+        console.warn(`Ignoring invalid RATE_LIMIT_BUDGETS entry: ${entry}`);
+      }
+    }
+  }
+  return budgets[name] || budgets.default;
+}
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const budget = getBudget(name);
+    providers.set(name, {
+      name,
+      budget,
+      state: {
+        tokens: budget.burst,
+        updatedAt: Date.now(),
+        openUntil: 0,
+        consecutiveFailures: 0,
+        lastFailure: null
+      },
+      chain: Promise.resolve(), // Calls take tokens one at a time, in arrival order
+      waiting: 0,
+      metrics: {
+        allowed: 0,
+        throttled: 0,
+        rejected: 0,
+        succeeded: 0,
+        failed: 0,
+        rateLimited: 0,
+        maxQueued: 0,
+        totalWaitMs: 0
+      }
+    });
+  }
+  return providers.get(name);
+}
+
+// The storage backend the state is shared through
+// Fails when storage is unavailable instead of giving this process a budget of its own
+async function getSharedStorage() {
+  if (!sharedStorage) {
+    try {
+      sharedStorage = await getStorage();
+    } catch (error) {
+      throw new Error(`Rate limiter: storage unavailable, can't share the rate limit state: ${error.message}`);
+    }
+  }
+  return sharedStorage;
+}
+
+async function loadState(provider) {
+  const storage = await getSharedStorage();
+  const saved = await storage.getMetadata(`${KEY_PREFIX}${provider.name}`);
+  if (saved) {
+    provider.state = saved;
+  }
+}
+
+// Change a provider's state in one atomic read-modify-write of the shared state
+// change edits the state it gets and must not await, it can run again if another process got in between
+async function updateState(provider, change) {
+  const storage = await getSharedStorage();
+  provider.state = await storage.updateMetadata(`${KEY_PREFIX}${provider.name}`, saved => {
+    const state = saved || { ...provider.state };
+    change(state);
+    return state;
+  });
+}
+
+function refill(state, budget) {
+  const now = Date.now();
+  const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+  state.tokens = Math.min(budget.burst, state.tokens + elapsed * budget.rate);
+  state.updatedAt = now;
+}
+
+function isOpen(state) {
+  return state.openUntil > Date.now();
+}
+
+function rejection(provider, message, retryAfter) {
+  provider.metrics.rejected++;
+  const error = new Error(message);
+  error.rateLimited = true;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Wait until a token is free, taking it from the shared bucket so other processes' calls count
+async function takeToken(provider) {
+  while (true) {
+    let taken = false;
+    await updateState(provider, state => {
+      taken = false;
+      if (isOpen(state)) {
+        return;
+      }
+      refill(state, provider.budget);
+      if (state.tokens >= 1) {
+        state.tokens -= 1;
+        taken = true;
+      }
+    });
+
+    if (taken) {
+      return;
+    }
+    if (isOpen(provider.state)) {
+      throw rejection(provider, `${provider.name} circuit is open`, provider.state.openUntil - Date.now());
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.ceil((1 - provider.state.tokens) / provider.budget.rate * 1000)));
+  }
+}
+
+// Take a token for a provider, waiting for one if the budget is used up
+// Throws an error with rateLimited: true when the circuit is open or the wait
+// would be longer than options.maxWait (RATE_LIMIT_MAX_WAIT, default 30s)
+async function acquire(name, options = {}) {
+  const provider = getProvider(name);
+  const maxWait = options.maxWait !== undefined ? options.maxWait : MAX_WAIT;
+
+  await loadState(provider);
+  if (isOpen(provider.state)) {
+    const retryAfter = provider.state.openUntil - Date.now();
+    throw rejection(provider, `${name} circuit is open for another ${Math.ceil(retryAfter / 1000)}s`, retryAfter);
+  }
+
+  refill(provider.state, provider.budget);
+  const expectedWait = Math.max(0, (provider.waiting + 1 - provider.state.tokens) / provider.budget.rate * 1000);
+  if (expectedWait > maxWait) {
+    throw rejection(provider, `${name} rate limit budget is used up, next slot in ${Math.ceil(expectedWait / 1000)}s`, expectedWait);
+  }
+
+  const startTime = Date.now();
+  provider.waiting++;
+  provider.metrics.maxQueued = Math.max(provider.metrics.maxQueued, provider.waiting);
+  const turn = provider.chain.then(() => takeToken(provider));
+  provider.chain = turn.catch(() => {});
+
+  try {
+    await turn;
+  } finally {
+    provider.waiting--;
+  }
+
+  const waited = Date.now() - startTime;
+  provider.metrics.totalWaitMs += waited;
+  if (expectedWait > 0) {
+    provider.metrics.throttled++;
+  } else {
+    provider.metrics.allowed++;
+  }
+}
+
+// Close the circuit again after a successful call
+async function reportSuccess(name) {
+  const provider = getProvider(name);
+  provider.metrics.succeeded++;
+
+  if (provider.state.consecutiveFailures > 0) {
+    await updateState(provider, state => {
+      state.consecutiveFailures = 0;
+      state.openUntil = 0;
+    });
+  }
+}
+
+// Open the circuit after a failed call, for longer with each failure in a row
+// Options: rateLimited (the provider answered 429), retryAfter (ms, from the provider)
+async function reportFailure(name, error, options = {}) {
+  const provider = getProvider(name);
+  provider.metrics.failed++;
+  if (options.rateLimited) {
+    provider.metrics.rateLimited++;
+  }
+
+  let openTime;
+  await updateState(provider, state => {
+    state.consecutiveFailures++;
+    openTime = Math.min(MIN_OPEN_TIME * Math.pow(2, state.consecutiveFailures - 1), MAX_OPEN_TIME);
+    if (options.rateLimited) {
+      openTime = Math.max(openTime, options.retryAfter || RATE_LIMIT_OPEN_TIME);
+    }
+    state.openUntil = Date.now() + openTime;
+    state.lastFailure = {
+      reason: options.rateLimited ? 'rate-limited' : 'error',
+      message: error.message,
+      at: new Date().toISOString()
+    };
+  });
+
+  console.log(`Rate limiter: ${name} circuit open for ${openTime}ms (${provider.state.lastFailure.reason}: ${error.message})`);
+  return openTime;
+}
+
+// Whether a provider's circuit is open, by the shared state
+async function isCircuitOpen(name) {
+  const provider = getProvider(name);
+  await loadState(provider);
+  return isOpen(provider.state);
+}
+
+// Budget, tokens, circuit and call metrics of the given providers, or of every provider used so far
+// Metrics count this process's calls, the bucket and circuit are shared
+async function getStatus(names = null) {
+  const status = {};
+  const list = names ? names.map(getProvider) : Array.from(providers.values());
+  for (const provider of list) {
+    await loadState(provider);
+    refill(provider.state, provider.budget);
+
+    const open = isOpen(provider.state);
+    status[provider.name] = {
+      budget: provider.budget,
+      tokens: Math.floor(provider.state.tokens * 100) / 100,
+      circuit: open ? 'open' : provider.state.consecutiveFailures > 0 ? 'half-open' : 'closed',
+      openUntil: open ? new Date(provider.state.openUntil).toISOString() : null,
+      consecutiveFailures: provider.state.consecutiveFailures,
+      lastFailure: provider.state.lastFailure,
+      queued: provider.waiting,
+      ...provider.metrics
+    };
+  }
+
+  return {
+    storage: (await getSharedStorage()).name,
+    providers: status
+  };
+}
+
+module.exports = {
+  acquire,
+  reportSuccess,
+  reportFailure,
+  isCircuitOpen,
+  getStatus
+};
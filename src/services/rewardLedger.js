@@ -0,0 +1,168 @@
+// Reward ledger
+// Builds a holder's reward history out of stored distribution transactions
+const { isOutgoing } = require('./transactionClassifier');
+const { getAmountReceivedBy, isRecipient } = require('../utils/balanceChanges');
+
+// Supported bucket sizes
+const INTERVALS = ['day', 'week', 'month'];
+
+// Safety limit on the number of buckets returned in one response
+const MAX_BUCKETS = 1000;
+
+// Get the start of the bucket a date falls in (UTC, weeks start on Monday)
+function getBucketStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (interval === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+
+  return start;
+}
+
+// Get the start of the bucket following the given one
+function getNextBucketStart(start, interval) {
+  const next = new Date(start);
+
+  if (interval === 'day') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (interval === 'week') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+
+  return next;
+}
+
+// Get the time of a stored transaction
+function getTransactionDate(tx) {
+  if (tx.blockTime) {
+    return new Date(tx.blockTime * 1000);
+  }
+
+  return new Date(tx.timestamp);
+}
+
+// Parse a from/to query parameter: ISO date, unix seconds or unix milliseconds
+// Returns null when missing, throws when invalid
+function parseDateParam(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let date;
+  if (/^\d+$/.test(String(value))) {
+    const number = parseInt(value, 10);
+    date = new Date(number > 1e12 ? number : number * 1000);
+  } else {
+    date = new Date(value);
+  }
+
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+
+  return date;
+}
+
+// Get every reward a holder received from the distribution wallet, oldest first
+function getRewardEntries(transactions, walletAddress, distributionWallet, token = 'SOL') {
+  return transactions
+    .filter(tx =>
+      tx.token === token &&
+      isOutgoing(tx) &&
+      tx.sender === distributionWallet &&
+      isRecipient(tx, walletAddress)
+    )
+    .map(tx => ({
+      signature: tx.signature,
+      date: getTransactionDate(tx),
+      amount: getAmountReceivedBy(tx, walletAddress)
+    }))
+    .filter(entry => !isNaN(entry.date.getTime()) && entry.amount > 0)
+    .sort((a, b) => a.date - b.date);
+}
+
+// Build a holder's reward ledger
+// Options: from / to (Date), interval ('day' | 'week' | 'month'), token, distributionWallet
+// Cumulative sums include rewards received before `from` so they show lifetime earnings
+function buildRewardLedger(transactions, walletAddress, options = {}) {
+  const interval = options.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval: ${interval}. Valid intervals are: ${INTERVALS.join(', ')}`);
+  }
+
+  const token = options.token || 'SOL';
+  const entries = getRewardEntries(transactions, walletAddress, options.distributionWallet, token);
+
+  const previousEntries = options.from ? entries.filter(entry => entry.date < options.from) : [];
+  const windowEntries = entries.filter(entry =>
+    (!options.from || entry.date >= options.from) &&
+    (!options.to || entry.date <= options.to)
+  );
+
+  const previousTotal = previousEntries.reduce((sum, entry) => sum + entry.amount, 0);
+  const totalReceived = windowEntries.reduce((sum, entry) => sum + entry.amount, 0);
+
+  // Group rewards into buckets
+  const totalsByBucket = new Map();
+  for (const entry of windowEntries) {
+    const key = getBucketStart(entry.date, interval).getTime();
+    const bucket = totalsByBucket.get(key) || { count: 0, total: 0 };
+    bucket.count++;
+    bucket.total += entry.amount;
+    totalsByBucket.set(key, bucket);
+  }
+
+  // Walk every bucket in the range so gaps show up as zero
+  const buckets = [];
+  const rangeStart = options.from || (windowEntries.length > 0 ? windowEntries[0].date : null);
+  const rangeEnd = options.to || (windowEntries.length > 0 ? windowEntries[windowEntries.length - 1].date : null);
+  let cumulative = previousTotal;
+
+  if (rangeStart && rangeEnd) {
+    let start = getBucketStart(rangeStart, interval);
+    while (start <= rangeEnd && buckets.length < MAX_BUCKETS) {
+      const end = getNextBucketStart(start, interval);
+      const bucket = totalsByBucket.get(start.getTime()) || { count: 0, total: 0 };
+      cumulative += bucket.total;
+
+      buckets.push({
+        start: start.toISOString(),
+        end: end.toISOString(),
+        count: bucket.count,
+        total: bucket.total,
+        cumulative
+      });
+
+      start = end;
+    }
+  }
+
+  return {
+    walletAddress,
+    token,
+    interval,
+    from: options.from ? options.from.toISOString() : null,
+    to: options.to ? options.to.toISOString() : null,
+    rewardCount: windowEntries.length,
+    totalReceived,
+    averageReward: windowEntries.length > 0 ? totalReceived / windowEntries.length : 0,
+    previousTotal,
+    firstRewardAt: windowEntries.length > 0 ? windowEntries[0].date.toISOString() : null,
+    lastRewardAt: windowEntries.length > 0 ? windowEntries[windowEntries.length - 1].date.toISOString() : null,
+    truncated: buckets.length >= MAX_BUCKETS,
+    buckets
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  parseDateParam,
+  getRewardEntries,
+  buildRewardLedger
+};
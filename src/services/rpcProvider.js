@@ -0,0 +1,384 @@
+// RPC provider layer
+// Every Solana RPC call goes through here instead of building Helius URLs by hand.
+// Endpoints come from HELIUS_RPC_URL (sent with the Helius API key), SOLANA_RPC_URL
+// and the comma-separated RPC_ENDPOINTS, tried in that order, with the public
+// mainnet endpoint last unless RPC_PUBLIC_FALLBACK=false. Each endpoint keeps its
+// own health and latency, and has a budget and circuit breaker in the shared rate
+// limiter. One that is rate-limited or down has its circuit opened and requests fail
+// over to the next endpoint until it recovers. Background fetches (options.background)
+// are refused while provider usage is close to the credit budget, see usageTracker
+const axios = require('axios');
+const rateLimiter = require('./rateLimiter');
+const usageTracker = require('./usageTracker');
+
+const PUBLIC_RPC_URL = 'https://api.mainnet-beta.solana.com';
+const HELIUS_API_URL = 'https://api.helius.xyz';
+const REQUEST_TIMEOUT = 15000;
+const LATENCY_WEIGHT = 0.2; // Weight of the newest request in the average latency
+const RATE_LIMIT_CODES = [429, -32429]; // JSON-RPC error codes providers use for rate limits
+const SERVER_ERROR_CODES = [-32603, -32005]; // Internal error and node behind, another endpoint may answer
+const BUDGET_CHECK_INTERVAL = 10000; // How long a usage budget check is reused
+
+let endpoints = null;
+let budgetCheck = null; // { paused, reason, checkedAt }
+
+function createEndpoint(name, url, headers = {}) {
+  return {
+    name,
+    url,
+    headers,
+    stats: {
+      requests: 0,
+      failures: 0,
+      rateLimited: 0,
+      skipped: 0, // Passed over because the circuit was open or the budget used up
+      avgLatencyMs: null,
+      lastLatencyMs: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    }
+  };
+}
+
+// Configured endpoints in failover order, built on first use so .env is loaded by then
+function getEndpoints() {
+  if (endpoints) {
+    return endpoints;
+  }
+
+  const list = [];
+  const seen = new Set();
+  const add = (name, url, headers) => {
+    if (url && !seen.has(url)) {
+      seen.add(url);
+      list.push(createEndpoint(name, url, headers));
+    }
+  };
+
+  if (process.env.HELIUS_RPC_URL) {
+    add('helius', process.env.HELIUS_RPC_URL, process.env.HELIUS_API_KEY ? { 'x-api-key': process.env.HELIUS_API_KEY } : {});
+  }
+  add('solana', process.env.SOLANA_RPC_URL);
+  (process.env.RPC_ENDPOINTS || '').split(',').map(url => url.trim()).filter(Boolean)
+    .forEach((url, index) => add(`rpc-${index + 1}`, url));
+  if (process.env.RPC_PUBLIC_FALLBACK !== 'false') {
+    add('public', PUBLIC_RPC_URL);
+  }
+
+  endpoints = list;
+  console.log(`RPC provider: ${list.length} endpoints configured (${list.map(endpoint => endpoint.name).join(', ')})`);
+  return endpoints;
+}
+
+// Hide API keys when URLs are shown in the status
+function redactUrl(url) {
+  return url ? url.replace(/(api[-_]key=)[^&]+/i, '$1***') : null;
+}
+
+// Whether an error means another endpoint should be tried
+// Returns 'rate-limited', 'down' or null for errors another endpoint would repeat
+function classifyError(error) {
+  if (error.rpcCode !== undefined) {
+    if (RATE_LIMIT_CODES.includes(error.rpcCode) || /rate limit|too many requests/i.test(error.message)) {
+      return 'rate-limited';
+    }
+    return SERVER_ERROR_CODES.includes(error.rpcCode) ? 'down' : null;
+  }
+  if (error.response) {
+    if (error.response.status === 429) {
+      return 'rate-limited';
+    }
+    // Server errors and rejected credentials are problems of this endpoint only
+    return error.response.status >= 500 || error.response.status === 401 || error.response.status === 403 ? 'down' : null;
+  }
+  // No response at all: timeout, refused connection, DNS
+  return 'down';
+}
+
+async function recordSuccess(endpoint, latency) {
+  const stats = endpoint.stats;
+  stats.requests++;
+  stats.lastLatencyMs = latency;
+  stats.avgLatencyMs = stats.avgLatencyMs === null
+    ? latency
+    : Math.round(stats.avgLatencyMs * (1 - LATENCY_WEIGHT) + latency * LATENCY_WEIGHT);
+  stats.lastSuccessAt = new Date().toISOString();
+  await rateLimiter.reportSuccess(endpoint.name);
+}
+
+async function recordFailure(endpoint, error, reason) {
+  const stats = endpoint.stats;
+  stats.requests++;
+  stats.failures++;
+  stats.lastFailureAt = new Date().toISOString();
+  stats.lastError = error.message;
+
+  const rateLimited = reason === 'rate-limited';
+  if (rateLimited) {
+    stats.rateLimited++;
+  }
+  const retryAfter = error.response && parseInt(error.response.headers && error.response.headers['retry-after']);
+  await rateLimiter.reportFailure(endpoint.name, error, { rateLimited, retryAfter: retryAfter ? retryAfter * 1000 : null });
+  console.log(`RPC provider: ${endpoint.name} ${reason} (${error.message}), failing over`);
+}
+
+// Take a token from the endpoint's budget, false if its circuit is open or the budget is used up
+async function tryAcquire(endpoint) {
+  try {
+    await rateLimiter.acquire(endpoint.name);
+    return true;
+  } catch (error) {
+    if (!error.rateLimited) {
+      throw error;
+    }
+    endpoint.stats.skipped++;
+    endpoint.stats.lastSkipReason = error.message;
+    return false;
+  }
+}
+
+async function postToEndpoint(endpoint, method, params, options) {
+  const response = await axios.post(endpoint.url, {
+    jsonrpc: '2.0',
+    id: options.id || method,
+    method,
+    params
+  }, {
+    headers: {
+      'Content-Type': 'application/json',
+      ...endpoint.headers
+    },
+    timeout: options.timeout || REQUEST_TIMEOUT
+  });
+
+  if (!response.data || response.data.error) {
+    const rpcError = response.data && response.data.error;
+    const error = new Error(`${method} failed: ${rpcError ? rpcError.message : 'empty response'}`);
+    error.rpcCode = rpcError ? rpcError.code : -32603;
+    throw error;
+  }
+  return response.data.result;
+}
+
+// Refuse a background fetch while usage is close to the credit budget
+// The error is rateLimited like an open circuit, so fetch loops end the run instead of retrying
+async function checkBackgroundBudget() {
+  if (!budgetCheck || Date.now() - budgetCheck.checkedAt > BUDGET_CHECK_INTERVAL) {
+    const budget = await usageTracker.checkBudget();
+    budgetCheck = { paused: budget.paused, reason: budget.reason, checkedAt: Date.now() };
+  }
+
+  if (budgetCheck.paused) {
+    const error = new Error(`Background fetching is paused, the usage budget is nearly used up (${budgetCheck.reason})`);
+    error.rateLimited = true;
+    error.budgetPaused = true;
+    throw error;
+  }
+}
+
+// Send one JSON-RPC request and return its result, failing over between endpoints
+// Errors that every endpoint would repeat (bad params, unknown method) are thrown right away
+// Options: timeout, background (refused while the usage budget is paused)
+async function request(method, params = [], options = {}) {
+  if (options.background) {
+    await checkBackgroundBudget();
+  }
+
+  const list = getEndpoints();
+  if (list.length === 0) {
+    throw new Error('No RPC endpoints configured. Set HELIUS_RPC_URL, SOLANA_RPC_URL or RPC_ENDPOINTS');
+  }
+
+  let lastError = null;
+  let attempted = 0;
+  for (const endpoint of list) {
+    if (!(await tryAcquire(endpoint))) {
+      continue;
+    }
+    attempted++;
+
+    const startTime = Date.now();
+    try {
+      const result = await postToEndpoint(endpoint, method, params, options);
+      usageTracker.record(endpoint.name, method);
+      await recordSuccess(endpoint, Date.now() - startTime);
+      return result;
+    } catch (error) {
+      usageTracker.record(endpoint.name, method, { error: true });
+      const reason = classifyError(error);
+      if (!reason) {
+        // The endpoint answered, the request itself was rejected
+        await recordSuccess(endpoint, Date.now() - startTime);
+        throw error;
+      }
+      await recordFailure(endpoint, error, reason);
+      lastError = error;
+    }
+  }
+
+  if (attempted === 0) {
+    // Every circuit is open: fail fast instead of adding to the load
+    const error = new Error(`${method} not sent: all ${list.length} RPC endpoints are cooling down or out of budget`);
+    error.rateLimited = true;
+    throw error;
+  }
+
+  const error = new Error(`${method} failed on all ${attempted} available RPC endpoints: ${lastError.message}`);
+  error.response = lastError.response;
+  error.providerUnavailable = true;
+  throw error;
+}
+
+// Signatures for an address, newest first
+// Options: before, until, limit (max 1000), commitment, timeout, background
+async function getSignatures(address, options = {}) {
+  const config = { limit: options.limit || 1000 };
+  if (options.before) config.before = options.before;
+  if (options.until) config.until = options.until;
+  if (options.commitment) config.commitment = options.commitment;
+
+  return (await request('getSignaturesForAddress', [address, config], { timeout: options.timeout, background: options.background })) || [];
+}
+
+// A jsonParsed transaction, or null if no endpoint has it yet
+async function getTransaction(signature, options = {}) {
+  const config = { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0 };
+  if (options.commitment) config.commitment = options.commitment;
+
+  return request('getTransaction', [signature, config], { timeout: options.timeout, background: options.background });
+}
+
+// SOL balance of an address with the slot it was read at
+async function getBalance(address, options = {}) {
+  const result = await request('getBalance', [address, { commitment: options.commitment || 'confirmed' }], { timeout: options.timeout });
+  return { slot: result.context ? result.context.slot : null, lamports: result.value };
+}
+
+// Helius enhanced transactions API, tracked like the RPC endpoints
+let heliusApi = null;
+function getHeliusApi() {
+  if (!heliusApi && process.env.HELIUS_API_KEY) {
+    heliusApi = createEndpoint('helius-api', HELIUS_API_URL);
+  }
+  return heliusApi;
+}
+
+// Fetch a page over RPC in the shape of the enhanced API, for when it is unavailable
+// jsonParsed transactions classify the same way, signature/timestamp/transactionError are added for the pagers
+async function getRpcTransactionPage(address, options) {
+  const signatures = await getSignatures(address, { before: options.before, limit: options.limit, background: options.background });
+  const page = [];
+
+  for (const sig of signatures) {
+    const txData = await getTransaction(sig.signature, { background: options.background });
+    if (txData) {
+      page.push({
+        ...txData,
+        signature: sig.signature,
+        slot: txData.slot || sig.slot,
+        timestamp: txData.blockTime || sig.blockTime,
+        transactionError: txData.meta ? txData.meta.err : sig.err
+      });
+    }
+  }
+  return page;
+}
+
+// A page of transactions for an address older than `before`, newest first
+// Uses the Helius enhanced API when HELIUS_API_KEY is set and it's healthy, otherwise RPC
+async function getTransactionsForAddress(address, options = {}) {
+  if (options.background) {
+    await checkBackgroundBudget();
+  }
+
+  const limit = options.limit || 100;
+  const endpoint = getHeliusApi();
+
+  if (endpoint && await tryAcquire(endpoint)) {
+    let url = `${endpoint.url}/v0/addresses/${address}/transactions?api-key=${process.env.HELIUS_API_KEY}&limit=${limit}`;
+    if (options.before) {
+      url += `&before=${options.before}`;
+    }
+
+    const startTime = Date.now();
+    try {
+      const response = await axios.get(url, { timeout: options.timeout || REQUEST_TIMEOUT });
+      if (!Array.isArray(response.data)) {
+        throw new Error('Invalid transactions response from Helius');
+      }
+      usageTracker.record(endpoint.name, 'enhanced-transactions');
+      await recordSuccess(endpoint, Date.now() - startTime);
+      return response.data;
+    } catch (error) {
+      usageTracker.record(endpoint.name, 'enhanced-transactions', { error: true });
+      const reason = classifyError(error);
+      if (!reason) {
+        await recordSuccess(endpoint, Date.now() - startTime);
+        throw error;
+      }
+      await recordFailure(endpoint, error, reason);
+      console.log('RPC provider: Helius enhanced API unavailable, fetching the page over RPC');
+    }
+  }
+
+  return getRpcTransactionPage(address, { before: options.before, limit, background: options.background });
+}
+
+// Websocket URL from RPC_WS_URL, or the first HTTP endpoint with a ws scheme
+function getWebsocketUrl() {
+  if (process.env.RPC_WS_URL) {
+    return process.env.RPC_WS_URL;
+  }
+  const endpoint = getEndpoints()[0];
+  return endpoint ? endpoint.url.replace(/^http/, 'ws') : null;
+}
+
+// Whether any endpoint's circuit is closed, so a request has somewhere to go
+async function isAvailable() {
+  for (const endpoint of getEndpoints()) {
+    if (!(await rateLimiter.isCircuitOpen(endpoint.name))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Health, latency and rate limit state of every endpoint
+async function getStatus() {
+  const list = getEndpoints();
+  const heliusApiEndpoint = getHeliusApi();
+  const all = heliusApiEndpoint ? list.concat(heliusApiEndpoint) : list;
+  const rateLimits = await rateLimiter.getStatus(all.map(endpoint => endpoint.name));
+  const limits = rateLimits.providers;
+
+  const describe = endpoint => ({
+    name: endpoint.name,
+    url: redactUrl(endpoint.url),
+    healthy: limits[endpoint.name].circuit !== 'open',
+    ...endpoint.stats,
+    rateLimit: limits[endpoint.name]
+  });
+
+  const endpoints = list.map(describe);
+  const active = endpoints.find(endpoint => endpoint.healthy);
+  return {
+    active: active ? active.name : null,
+    // Storage backend budgets and circuits are shared with other processes through
+    rateLimitStorage: rateLimits.storage,
+    endpoints,
+    enhancedApi: heliusApiEndpoint ? describe(heliusApiEndpoint) : null
+  };
+}
+
+module.exports = {
+  request,
+  getSignatures,
+  getTransaction,
+  getBalance,
+  getTransactionsForAddress,
+  getWebsocketUrl,
+  isAvailable,
+  getStatus,
+  redactUrl
+};
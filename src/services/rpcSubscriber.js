@@ -0,0 +1,327 @@
+// Real-time ingestion over the Solana RPC websocket
+// For deployments without Helius webhooks. Subscribes to logsSubscribe (one per
+// address) and accountSubscribe for every tracked wallet, fetches each new
+// signature as it lands, classifies it for the wallet it was seen on and stores it
+// by signature and wallet. The socket reconnects with exponential backoff and
+// resubscribes after every reconnect
+const WebSocket = require('ws');
+const Transaction = require('../models/Transaction');
+const { getStorage } = require('../storage');
+const { classifyTransaction } = require('./transactionClassifier');
+const rpcProvider = require('./rpcProvider');
+
+const PING_INTERVAL = 30000; // The socket is dropped if a ping gets no pong before the next one
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+const FETCH_RETRIES = 5; // Confirmed transactions can take a moment to be served by getTransaction
+const FETCH_RETRY_DELAY = 2000;
+const RECENT_SIGNATURES = 10; // Signatures checked when an account changes
+
+const state = {
+  socket: null,
+  url: null,
+  addresses: [],
+  onTransactions: null,
+  running: false,
+  connected: false,
+  requestId: 0,
+  pending: new Map(), // request id -> { address, kind }
+  subscriptions: new Map(), // subscription id -> { address, kind }
+  inFlight: new Set(), // signature:wallet pairs being fetched
+  pingTimer: null,
+  awaitingPong: false,
+  reconnectTimer: null,
+  reconnectDelay: MIN_RECONNECT_DELAY,
+  stats: {
+    connectedAt: null,
+    disconnectedAt: null,
+    reconnects: 0,
+    lastMessageAt: null,
+    lastSignatureAt: null,
+    signaturesSeen: 0,
+    stored: 0,
+    errors: 0,
+    lastError: null,
+    nextReconnectAt: null
+  }
+};
+
+function recordError(message) {
+  state.stats.errors++;
+  state.stats.lastError = { message, at: new Date().toISOString() };
+  console.error(`RPC subscriber: ${message}`);
+}
+
+function send(method, params, meta) {
+  if (!state.socket || state.socket.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  const id = ++state.requestId;
+  if (meta) {
+    state.pending.set(id, meta);
+  }
+  state.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+}
+
+function subscribe(address) {
+  send('logsSubscribe', [{ mentions: [address] }, { commitment: 'confirmed' }], { address, kind: 'logs' });
+  send('accountSubscribe', [address, { commitment: 'confirmed', encoding: 'base64' }], { address, kind: 'account' });
+}
+
+function unsubscribe(address) {
+  for (const [subscriptionId, subscription] of state.subscriptions) {
+    if (subscription.address === address) {
+      send(subscription.kind === 'logs' ? 'logsUnsubscribe' : 'accountUnsubscribe', [subscriptionId]);
+      state.subscriptions.delete(subscriptionId);
+    }
+  }
+}
+
+// Fetch, classify and store one signature for the tracked wallet it was seen on, unless it's already stored
+// A transfer between two tracked wallets arrives on both subscriptions and is stored once for each
+async function ingestSignature(signature, address) {
+  const key = `${signature}:${address}`;
+  if (state.inFlight.has(key)) {
+    return;
+  }
+  state.inFlight.add(key);
+
+  try {
+    const storage = await getStorage();
+    if (await storage.getTransaction(signature, address)) {
+      return;
+    }
+
+    let txData = null;
+    for (let attempt = 1; attempt <= FETCH_RETRIES && !txData; attempt++) {
+      txData = await rpcProvider.getTransaction(signature, { commitment: 'confirmed', background: true });
+      if (!txData) {
+        await new Promise(resolve => setTimeout(resolve, FETCH_RETRY_DELAY));
+      }
+    }
+
+    if (!txData || (txData.meta && txData.meta.err)) {
+      return;
+    }
+
+    const record = classifyTransaction(txData, address, { signature });
+    if (!record) {
+      return;
+    }
+
+    const transaction = new Transaction(record);
+    state.stats.stored += await Transaction.saveMany([transaction]);
+    console.log(`RPC subscriber: stored ${signature} (${record.type}) for ${address}`);
+
+    if (state.onTransactions) {
+      await state.onTransactions([transaction]);
+    }
+  } catch (error) {
+    recordError(`error ingesting ${signature}: ${error.message}`);
+  } finally {
+    state.inFlight.delete(key);
+  }
+}
+
+// Account changes carry no signature, so look up the latest ones for the address
+async function checkRecentSignatures(address) {
+  try {
+    const signatures = await rpcProvider.getSignatures(address, { limit: RECENT_SIGNATURES, commitment: 'confirmed', background: true });
+    for (const sig of signatures) {
+      if (!sig.err) {
+        await ingestSignature(sig.signature, address);
+      }
+    }
+  } catch (error) {
+    recordError(`error checking recent signatures for ${address}: ${error.message}`);
+  }
+}
+
+function handleMessage(data) {
+  state.stats.lastMessageAt = new Date().toISOString();
+
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    recordError('received a message that is not JSON');
+    return;
+  }
+
+  // Subscription confirmations
+  if (message.id !== undefined && state.pending.has(message.id)) {
+    const meta = state.pending.get(message.id);
+    state.pending.delete(message.id);
+
+    if (message.error) {
+      recordError(`${meta.kind} subscription for ${meta.address} failed: ${message.error.message}`);
+    } else {
+      state.subscriptions.set(message.result, meta);
+    }
+    return;
+  }
+
+  const subscription = message.params && state.subscriptions.get(message.params.subscription);
+  if (!subscription) {
+    return;
+  }
+
+  if (message.method === 'logsNotification') {
+    const value = message.params.result.value;
+    if (value && value.signature && !value.err) {
+      state.stats.signaturesSeen++;
+      state.stats.lastSignatureAt = new Date().toISOString();
+      ingestSignature(value.signature, subscription.address);
+    }
+  } else if (message.method === 'accountNotification') {
+    checkRecentSignatures(subscription.address);
+  }
+}
+
+function clearTimers() {
+  clearInterval(state.pingTimer);
+  clearTimeout(state.reconnectTimer);
+  state.pingTimer = null;
+  state.reconnectTimer = null;
+}
+
+function scheduleReconnect() {
+  if (!state.running || state.reconnectTimer) {
+    return;
+  }
+
+  const delay = state.reconnectDelay;
+  state.reconnectDelay = Math.min(state.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  state.stats.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+  console.log(`RPC subscriber: reconnecting in ${delay}ms`);
+
+  state.reconnectTimer = setTimeout(() => {
+    state.reconnectTimer = null;
+    state.stats.reconnects++;
+    connect();
+  }, delay);
+}
+
+function connect() {
+  console.log(`RPC subscriber: connecting to ${rpcProvider.redactUrl(state.url)}`);
+  const socket = new WebSocket(state.url);
+  state.socket = socket;
+
+  socket.on('open', () => {
+    console.log(`RPC subscriber: connected, subscribing to ${state.addresses.length} addresses`);
+    state.connected = true;
+    state.reconnectDelay = MIN_RECONNECT_DELAY;
+    state.stats.connectedAt = new Date().toISOString();
+    state.stats.nextReconnectAt = null;
+    state.pending.clear();
+    state.subscriptions.clear();
+    state.addresses.forEach(subscribe);
+
+    // Transactions that landed while disconnected
+    state.addresses.forEach(checkRecentSignatures);
+
+    state.awaitingPong = false;
+    state.pingTimer = setInterval(() => {
+      if (state.awaitingPong) {
+        recordError('no pong from the RPC websocket, dropping the connection');
+        socket.terminate();
+        return;
+      }
+      state.awaitingPong = true;
+      socket.ping();
+    }, PING_INTERVAL);
+  });
+
+  socket.on('pong', () => {
+    state.awaitingPong = false;
+  });
+
+  socket.on('message', handleMessage);
+
+  socket.on('error', error => {
+    recordError(`websocket error: ${error.message}`);
+  });
+
+  socket.on('close', () => {
+    if (state.socket !== socket) {
+      return;
+    }
+    state.connected = false;
+    state.socket = null;
+    state.stats.disconnectedAt = new Date().toISOString();
+    clearInterval(state.pingTimer);
+    state.pingTimer = null;
+    scheduleReconnect();
+  });
+}
+
+// Start the subscriber for a list of addresses
+// Options: onTransactions(transactions) after each stored transaction
+function start(addresses, options = {}) {
+  if (state.running) {
+    setAddresses(addresses);
+    return getStatus();
+  }
+
+  state.url = options.url || rpcProvider.getWebsocketUrl();
+  if (!state.url) {
+    throw new Error('Set RPC_WS_URL or an RPC endpoint to use the RPC subscriber');
+  }
+
+  state.addresses = Array.from(new Set(addresses));
+  state.onTransactions = options.onTransactions || null;
+  state.running = true;
+  state.reconnectDelay = MIN_RECONNECT_DELAY;
+  connect();
+  return getStatus();
+}
+
+// Close the socket and stop reconnecting
+function stop() {
+  state.running = false;
+  clearTimers();
+
+  if (state.socket) {
+    const socket = state.socket;
+    state.socket = null;
+    socket.close();
+  }
+  state.connected = false;
+  state.stats.nextReconnectAt = null;
+  console.log('RPC subscriber stopped');
+}
+
+// Replace the subscribed addresses, subscribing and unsubscribing only the difference
+function setAddresses(addresses) {
+  const next = Array.from(new Set(addresses));
+  const added = next.filter(address => !state.addresses.includes(address));
+  const removed = state.addresses.filter(address => !next.includes(address));
+  state.addresses = next;
+
+  if (state.connected) {
+    removed.forEach(unsubscribe);
+    added.forEach(subscribe);
+  }
+  if (added.length > 0 || removed.length > 0) {
+    console.log(`RPC subscriber: now watching ${next.length} addresses (+${added.length}, -${removed.length})`);
+  }
+}
+
+function getStatus() {
+  return {
+    running: state.running,
+    connected: state.connected,
+    url: rpcProvider.redactUrl(state.url),
+    addresses: state.addresses,
+    subscriptions: state.subscriptions.size,
+    ...state.stats
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  setAddresses,
+  getStatus
+};
@@ -0,0 +1,504 @@
+// Shared transaction classifier
+// Every entry point (API, Helius service, collector script, bot) classifies
+// transactions through this module so totals never disagree
+const {
+  rawToAmount,
+  getTokenBalanceChanges,
+  getSolBalanceChanges,
+  getFeePayer
+} = require('../utils/balanceChanges');
+const classificationRules = require('./classificationRules');
+
+// Transaction types
+const TRANSACTION_TYPES = {
+  RECEIVED: 'received',
+  SENT: 'sent',
+  TAX_COLLECTION: 'tax_collection',
+  DISTRIBUTION: 'distribution',
+  SWAP: 'swap',
+  FEE_ONLY: 'fee_only',
+  UNKNOWN: 'unknown'
+};
+
+// Types that move value out of / into the tracked wallet
+const OUTGOING_TYPES = [TRANSACTION_TYPES.SENT, TRANSACTION_TYPES.DISTRIBUTION];
+const INCOMING_TYPES = [TRANSACTION_TYPES.RECEIVED, TRANSACTION_TYPES.TAX_COLLECTION];
+
+// Default options, read from the environment and the rules file
+function getDefaultOptions() {
+  return {
+    rules: classificationRules.getRules(),
+    preferredMint: process.env.TAX_TOKEN_MINT_ADDRESS || null
+  };
+}
+
+// Check if a transaction type moves value out of the wallet
+function isOutgoing(tx) {
+  return !!tx && OUTGOING_TYPES.includes(tx.type);
+}
+
+// Check if a transaction type moves value into the wallet
+function isIncoming(tx) {
+  return !!tx && INCOMING_TYPES.includes(tx.type);
+}
+
+// Collect program IDs from jsonParsed instructions, including inner instructions
+function getRpcProgramIds(txData) {
+  const programIds = new Set();
+  const instructions = txData.transaction.message.instructions || [];
+  const innerInstructions = (txData.meta.innerInstructions || [])
+    .reduce((all, inner) => all.concat(inner.instructions || []), []);
+
+  for (const instruction of [...instructions, ...innerInstructions]) {
+    if (instruction && instruction.programId) {
+      programIds.add(instruction.programId.toString());
+    }
+  }
+
+  return Array.from(programIds);
+}
+
+// Get the memo text of a jsonParsed transaction, if any
+function getRpcMemo(txData) {
+  const instructions = txData.transaction.message.instructions || [];
+  const memo = instructions.find(instruction => instruction && instruction.program === 'spl-memo');
+
+  return memo && typeof memo.parsed === 'string' ? memo.parsed : null;
+}
+
+// Normalize a jsonParsed RPC transaction
+function normalizeRpcTransaction(txData) {
+  return {
+    signature: txData.transaction.signatures ? txData.transaction.signatures[0] : null,
+    blockTime: txData.blockTime || null,
+    slot: txData.slot || 0,
+    failed: !!txData.meta.err,
+    fee: txData.meta.fee || 0,
+    feePayer: getFeePayer(txData),
+    solChanges: getSolBalanceChanges(txData),
+    tokenChanges: getTokenBalanceChanges(txData),
+    programIds: getRpcProgramIds(txData),
+    memo: getRpcMemo(txData),
+    description: null
+  };
+}
+
+// Normalize a Helius enhanced transaction
+function normalizeEnhancedTransaction(tx) {
+  const solChanges = [];
+  const tokenTotals = new Map();
+
+  for (const account of tx.accountData || []) {
+    if (account.nativeBalanceChange) {
+      solChanges.push({ address: account.account, lamports: account.nativeBalanceChange });
+    }
+
+    for (const change of account.tokenBalanceChanges || []) {
+      if (!change.rawTokenAmount) {
+        continue;
+      }
+
+      const owner = change.userAccount || change.tokenAccount;
+      const key = `${change.mint}:${owner}`;
+      const entry = tokenTotals.get(key) || {
+        mint: change.mint,
+        owner,
+        decimals: change.rawTokenAmount.decimals || 0,
+        raw: 0n
+      };
+      entry.raw += BigInt(change.rawTokenAmount.tokenAmount || '0');
+      tokenTotals.set(key, entry);
+    }
+  }
+
+  const tokenChanges = Array.from(tokenTotals.values())
+    .filter(entry => entry.raw !== 0n)
+    .map(entry => ({
+      mint: entry.mint,
+      owner: entry.owner,
+      decimals: entry.decimals,
+      rawAmount: entry.raw.toString(),
+      amount: rawToAmount(entry.raw, entry.decimals)
+    }));
+
+  const programIds = new Set();
+  for (const instruction of tx.instructions || []) {
+    programIds.add(instruction.programId);
+    for (const inner of instruction.innerInstructions || []) {
+      programIds.add(inner.programId);
+    }
+  }
+
+  return {
+    signature: tx.signature,
+    blockTime: tx.timestamp || null,
+    slot: tx.slot || 0,
+    failed: !!tx.transactionError,
+    fee: tx.fee || 0,
+    feePayer: tx.feePayer || null,
+    solChanges,
+    tokenChanges,
+    programIds: Array.from(programIds).filter(Boolean),
+    memo: null,
+    description: tx.description || null
+  };
+}
+
+// Normalize any supported transaction format into one shape:
+// { signature, blockTime, slot, failed, fee, feePayer, solChanges, tokenChanges, programIds, memo, description }
+function normalizeTransaction(txData) {
+  if (!txData) {
+    return null;
+  }
+
+  // Already normalized (stored on a record by an earlier classification)
+  if (Array.isArray(txData.solChanges) && Array.isArray(txData.tokenChanges)) {
+    return txData;
+  }
+
+  // jsonParsed RPC response
+  if (txData.meta && txData.transaction && txData.transaction.message) {
+    return normalizeRpcTransaction(txData);
+  }
+
+  // Helius enhanced transaction
+  if (Array.isArray(txData.accountData)) {
+    return normalizeEnhancedTransaction(txData);
+  }
+
+  return null;
+}
+
+// Check if a normalized transaction went through a non-transfer program
+function usesOtherPrograms(changes, rules) {
+  return changes.programIds.some(programId => !rules.transferProgramIds.includes(programId));
+}
+
+// Check if a classified transaction matches every condition of a rule
+function matchesRule(rule, transaction, changes, walletAddress) {
+  if (rule.types && !rule.types.includes(transaction.type)) {
+    return false;
+  }
+
+  if (rule.wallets && !rule.wallets.includes(walletAddress)) {
+    return false;
+  }
+
+  if (rule.addresses) {
+    const counterparties = [transaction.sender, transaction.receiver, ...transaction.legs.map(leg => leg.address)]
+      .filter(address => address && address !== walletAddress);
+    if (!counterparties.some(address => rule.addresses.includes(address))) {
+      return false;
+    }
+  }
+
+  if (rule.programIds && !changes.programIds.some(programId => rule.programIds.includes(programId))) {
+    return false;
+  }
+
+  if (rule.tokens && !rule.tokens.includes(transaction.token)) {
+    return false;
+  }
+
+  if (rule.minAmount !== null && transaction.amount < rule.minAmount) {
+    return false;
+  }
+
+  if (rule.maxAmount !== null && transaction.amount > rule.maxAmount) {
+    return false;
+  }
+
+  if (rule.memoPattern && !rule.memoPattern.test(changes.memo || changes.description || '')) {
+    return false;
+  }
+
+  return true;
+}
+
+// Get the first rule a classified transaction matches
+function findMatchingRule(rules, transaction, changes, walletAddress) {
+  return rules.rules.find(rule => matchesRule(rule, transaction, changes, walletAddress)) || null;
+}
+
+// Build the classification of the wallet's token movement
+function classifyTokenTransfer(changes, walletAddress, options) {
+  const walletChanges = changes.tokenChanges.filter(change => change.owner === walletAddress);
+  if (walletChanges.length === 0) {
+    return null;
+  }
+
+  // Prefer the tax token if the wallet moved more than one mint
+  const walletChange = walletChanges.find(change => change.mint === options.preferredMint) || walletChanges[0];
+  const direction = Math.sign(walletChange.amount);
+
+  // Every opposite-side holder of the same mint, largest first
+  const counterparties = changes.tokenChanges
+    .filter(change =>
+      change.mint === walletChange.mint &&
+      change.owner !== walletAddress &&
+      Math.sign(change.amount) === -direction
+    )
+    .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+  const counterparty = counterparties.length > 0 ? counterparties[0].owner : null;
+
+  // Received transfers have a single leg to the wallet, sent ones one leg per recipient
+  const legs = direction > 0
+    ? [{ address: walletAddress, rawAmount: walletChange.rawAmount, amount: walletChange.amount }]
+    : counterparties.map(change => ({
+      address: change.owner,
+      rawAmount: change.rawAmount,
+      amount: Math.abs(change.amount)
+    }));
+
+  return {
+    direction,
+    walletChanges,
+    amount: Math.abs(walletChange.amount),
+    token: walletChange.mint,
+    tokenMint: walletChange.mint,
+    sender: direction > 0 ? counterparty : walletAddress,
+    receiver: direction > 0 ? walletAddress : counterparty,
+    legs
+  };
+}
+
+// Build the classification of the wallet's SOL movement
+// Outgoing transfers are split into one leg per credited account, excluding the
+// wallet itself, the fee payer and system accounts
+function classifySolTransfer(changes, walletAddress, rules) {
+  const walletChange = changes.solChanges.find(change => change.address === walletAddress);
+  if (!walletChange) {
+    return null;
+  }
+
+  if (walletChange.lamports > 0) {
+    // The sender is whoever paid the most into the transaction
+    const debits = changes.solChanges
+      .filter(change => change.lamports < 0 && change.address !== walletAddress)
+      .sort((a, b) => a.lamports - b.lamports);
+
+    return {
+      direction: 1,
+      lamports: walletChange.lamports,
+      amount: walletChange.lamports / 1e9,
+      sender: debits.length > 0 ? debits[0].address : null,
+      receiver: walletAddress,
+      legs: [{
+        address: walletAddress,
+        lamports: walletChange.lamports,
+        amount: walletChange.lamports / 1e9
+      }]
+    };
+  }
+
+  const legs = changes.solChanges
+    .filter(change =>
+      change.lamports > 0 &&
+      change.address !== walletAddress &&
+      change.address !== changes.feePayer &&
+      !rules.systemAddresses.includes(change.address)
+    )
+    .sort((a, b) => b.lamports - a.lamports)
+    .map(change => ({
+      address: change.address,
+      lamports: change.lamports,
+      amount: change.lamports / 1e9
+    }));
+
+  // The amount is what recipients got, the network fee is reported separately
+  const sentLamports = legs.reduce((sum, leg) => sum + leg.lamports, 0);
+
+  return {
+    direction: -1,
+    lamports: walletChange.lamports,
+    amount: sentLamports / 1e9,
+    spent: Math.abs(walletChange.lamports) / 1e9,
+    sender: walletAddress,
+    receiver: legs.length > 0 ? legs[0].address : null,
+    legs
+  };
+}
+
+// Classify a transaction from the point of view of a wallet
+// Accepts jsonParsed RPC responses, Helius enhanced transactions or the
+// normalized changes stored on a record (record.meta.changes)
+function classifyTransaction(txData, walletAddress, options = {}) {
+  const settings = { ...getDefaultOptions(), ...options };
+  const changes = normalizeTransaction(txData);
+  if (!changes) {
+    return null;
+  }
+
+  const signature = settings.signature || changes.signature;
+  const transaction = {
+    signature,
+    // Tracked wallet the record is classified for, part of its storage key
+    wallet: walletAddress,
+    blockTime: changes.blockTime,
+    slot: changes.slot,
+    timestamp: changes.blockTime ? new Date(changes.blockTime * 1000).toISOString() : new Date().toISOString(),
+    type: TRANSACTION_TYPES.UNKNOWN,
+    amount: 0,
+    token: 'SOL',
+    tokenMint: null,
+    sender: null,
+    receiver: null,
+    legs: [],
+    fee: changes.fee / 1e9,
+    status: changes.failed ? 'failed' : 'success',
+    meta: { changes }
+  };
+
+  if (changes.failed) {
+    return transaction;
+  }
+
+  const tokenTransfer = classifyTokenTransfer(changes, walletAddress, settings);
+  const solTransfer = classifySolTransfer(changes, walletAddress, settings.rules);
+
+  // Anything above the network fee counts as a real SOL movement
+  const feePaid = changes.feePayer === walletAddress ? changes.fee : 0;
+  const solMoved = solTransfer && Math.abs(solTransfer.lamports + feePaid) > 0;
+
+  // Swaps move value both ways: two mints in opposite directions, or a token
+  // against SOL through a program other than the plain transfer programs
+  const mixedTokens = tokenTransfer &&
+    tokenTransfer.walletChanges.some(change => Math.sign(change.amount) !== tokenTransfer.direction);
+  const tokenAgainstSol = tokenTransfer && solMoved &&
+    Math.sign(solTransfer.lamports + feePaid) === -tokenTransfer.direction &&
+    usesOtherPrograms(changes, settings.rules);
+
+  if (mixedTokens || tokenAgainstSol) {
+    Object.assign(transaction, {
+      type: TRANSACTION_TYPES.SWAP,
+      amount: tokenTransfer.amount,
+      token: tokenTransfer.token,
+      tokenMint: tokenTransfer.tokenMint,
+      sender: walletAddress,
+      receiver: walletAddress
+    });
+  } else if (tokenTransfer) {
+    Object.assign(transaction, {
+      type: tokenTransfer.direction > 0 ? TRANSACTION_TYPES.RECEIVED : TRANSACTION_TYPES.SENT,
+      amount: tokenTransfer.amount,
+      token: tokenTransfer.token,
+      tokenMint: tokenTransfer.tokenMint,
+      sender: tokenTransfer.sender,
+      receiver: tokenTransfer.receiver,
+      legs: tokenTransfer.legs
+    });
+  } else if (solTransfer && solTransfer.direction > 0) {
+    Object.assign(transaction, {
+      type: TRANSACTION_TYPES.RECEIVED,
+      amount: solTransfer.amount,
+      sender: solTransfer.sender,
+      receiver: solTransfer.receiver,
+      legs: solTransfer.legs
+    });
+  } else if (solTransfer && solTransfer.legs.length > 0) {
+    Object.assign(transaction, {
+      type: TRANSACTION_TYPES.SENT,
+      amount: solTransfer.amount,
+      sender: solTransfer.sender,
+      receiver: solTransfer.receiver,
+      legs: solTransfer.legs
+    });
+  } else if (solTransfer) {
+    // Only fees, rent or system accounts were paid
+    Object.assign(transaction, {
+      type: TRANSACTION_TYPES.FEE_ONLY,
+      amount: solTransfer.spent,
+      sender: walletAddress
+    });
+  } else {
+    return transaction;
+  }
+
+  // Apply the configured rules, the first match sets the category
+  const rule = findMatchingRule(settings.rules, transaction, changes, walletAddress);
+  if (rule) {
+    transaction.type = rule.category;
+    transaction.meta.rule = rule.name;
+  }
+
+  return transaction;
+}
+
+// Reclassify a stored record in place, keeping its signature, wallet and timestamps
+// walletAddress is only used for records stored without a wallet
+// Records without stored changes or a raw payload are returned unchanged
+function reclassifyTransaction(tx, walletAddress, options = {}) {
+  const source = (tx.meta && (tx.meta.changes || tx.meta.raw)) || (tx.accountData ? tx : null);
+  const classified = source ? classifyTransaction(source, tx.wallet || walletAddress, { ...options, signature: tx.signature }) : null;
+  if (!classified) {
+    return tx;
+  }
+
+  // The raw payload is no longer needed once the changes are stored,
+  // and the matched rule is replaced by the new classification's
+  const { raw, rule, ...meta } = tx.meta || {};
+
+  return {
+    ...tx,
+    ...classified,
+    timestamp: tx.timestamp || classified.timestamp,
+    meta: { ...meta, ...classified.meta }
+  };
+}
+
+// Compare stored classifications against a rule set without changing anything
+// Returns how many records would change and a sample of the changes
+function dryRunRules(transactions, walletAddress, rules, sampleSize = 50) {
+  const report = {
+    total: transactions.length,
+    evaluated: 0,
+    skipped: 0,
+    changed: 0,
+    transitions: {},
+    changes: []
+  };
+
+  for (const tx of transactions) {
+    const reclassified = reclassifyTransaction(tx, walletAddress, { rules });
+
+    // Records without stored changes or a raw payload can't be reclassified
+    if (reclassified === tx) {
+      report.skipped++;
+      continue;
+    }
+
+    report.evaluated++;
+    if (reclassified.type === tx.type) {
+      continue;
+    }
+
+    const transition = `${tx.type} -> ${reclassified.type}`;
+    report.changed++;
+    report.transitions[transition] = (report.transitions[transition] || 0) + 1;
+
+    if (report.changes.length < sampleSize) {
+      report.changes.push({
+        signature: tx.signature,
+        from: tx.type,
+        to: reclassified.type,
+        rule: reclassified.meta.rule || null,
+        amount: reclassified.amount,
+        token: reclassified.token
+      });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  OUTGOING_TYPES,
+  INCOMING_TYPES,
+  normalizeTransaction,
+  classifyTransaction,
+  reclassifyTransaction,
+  dryRunRules,
+  isOutgoing,
+  isIncoming
+};
@@ -1,11 +1,82 @@
-const axios = require('axios');
+const rpcProvider = require('./rpcProvider');
 const heliusService = require('./heliusService');
+const { classifyTransaction, isOutgoing, isIncoming, TRANSACTION_TYPES } = require('./transactionClassifier');
+const backfillJob = require('./backfillJob');
+const Transaction = require('../models/Transaction');
+
+const PAGE_SIZE = 100; // Max per request
+const MAX_CATCH_UP_PAGES = 10; // Newer pages checked per call before leaving the rest for the next call
+const BACKFILL_TIME_LIMIT = 10000; // Time spent on older history per call
 
 // In-memory cache for serverless environment
 let transactionCache = {
   lastUpdated: 0,
   transactions: [],
-  stats: null
+  stats: null,
+  outgoingTransactions: [],
+  taxIncomingTransactions: []
+};
+
+// Fetch and store transactions newer than the newest one in storage
+// With nothing stored yet this is left to the backfill job, which starts from the newest signature
+const fetchNewTransactions = async (walletAddress) => {
+  const storedCount = await Transaction.count({ $address: walletAddress });
+  if (storedCount === 0) {
+    console.log('No stored transactions yet, leaving the history to the backfill job');
+    return [];
+  }
+  
+  const newTransactions = [];
+  let before = '';
+  let caughtUp = false;
+  
+  for (let page = 1; page <= MAX_CATCH_UP_PAGES; page++) {
+    console.log(`Fetching new transactions: limit=${PAGE_SIZE}${before ? ', before=' + before : ''}`);
+    
+    const page = await rpcProvider.getTransactionsForAddress(walletAddress, { before, limit: PAGE_SIZE });
+    if (page.length === 0) {
+      console.log('No more transactions received');
+      caughtUp = true;
+      break;
+    }
+    
+    for (const tx of page) {
+      // Everything from the first signature stored for this wallet on is already known
+      if (await Transaction.findOne({ signature: tx.signature, wallet: walletAddress })) {
+        caughtUp = true;
+        break;
+      }
+      
+      if (tx.transactionError) {
+        continue;
+      }
+      
+      // Classify with the shared classifier so these totals match the API and bot
+      const classified = classifyTransaction(tx, walletAddress);
+      if (classified) {
+        newTransactions.push(new Transaction(classified));
+      }
+    }
+    
+    // If we got fewer results than the limit, we've reached the end
+    if (caughtUp || page.length < PAGE_SIZE) {
+      caughtUp = true;
+      break;
+    }
+    before = page[page.length - 1].signature;
+    
+    // Add a small delay to avoid rate limiting
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  
+  if (!caughtUp) {
+    console.log(`Checked ${MAX_CATCH_UP_PAGES} pages without reaching stored transactions, older new transactions are missing until a full backfill`);
+  }
+  if (newTransactions.length > 0) {
+    await Transaction.saveMany(newTransactions);
+  }
+  console.log(`Caught up on ${newTransactions.length} new transactions`);
+  return newTransactions;
 };
 
 // Function to fetch complete transaction history from Helius API and save it
@@ -13,11 +84,6 @@ const fetchHeliusTransactions = async (walletAddress, forceRefresh = false) => {
   try {
     console.log(`Fetching complete transaction history for ${walletAddress} from Helius API...`);
     
-    const heliusApiKey = process.env.HELIUS_API_KEY;
-    if (!heliusApiKey) {
-      throw new Error('HELIUS_API_KEY is not set in environment variables');
-    }
-    
     // Check if we have cached data
     if (!forceRefresh && transactionCache.lastUpdated > 0) {
       // If data is less than 1 hour old, use it
@@ -29,62 +95,21 @@ const fetchHeliusTransactions = async (walletAddress, forceRefresh = false) => {
     }
     
     // Get current SOL balance
-    const balanceUrl = `https://api.helius.xyz/v0/addresses/${walletAddress}/balances?api-key=${heliusApiKey}`;
-    const balanceResponse = await axios.get(balanceUrl, { timeout: 10000 });
+    const balance = await rpcProvider.getBalance(walletAddress);
+    const currentBalance = balance.lamports / 10**9; // Convert lamports to SOL
+    console.log(`Current SOL balance: ${currentBalance} SOL`);
     
-    if (!balanceResponse.data || !balanceResponse.data.nativeBalance) {
-      console.error('Invalid balance response from Helius:', balanceResponse.data);
-      throw new Error('Failed to get wallet balance from Helius');
-    }
-    
-    const currentBalance = balanceResponse.data.nativeBalance / 10**9; // Convert lamports to SOL
-    console.log(`Current SOL balance from Helius: ${currentBalance} SOL`);
-    
-    // Fetch all transactions (paginated)
-    let allTransactions = [];
-    let hasMore = true;
-    let before = '';
-    const limit = 100; // Max per request
+    // Catch up on transactions newer than the ones in storage
+    const newTransactions = await fetchNewTransactions(walletAddress);
     
-    while (hasMore) {
-      console.log(`Fetching transactions from Helius: limit=${limit}${before ? ', before=' + before : ''}`);
-      
-      // Construct the URL with pagination parameters
-      let url = `https://api.helius.xyz/v0/addresses/${walletAddress}/transactions?api-key=${heliusApiKey}&limit=${limit}`;
-      if (before) {
-        url += `&before=${before}`;
-      }
-      
-      const response = await axios.get(url, { timeout: 15000 });
-      
-      if (response.data && Array.isArray(response.data) && response.data.length > 0) {
-        console.log(`Received ${response.data.length} transactions from Helius`);
-        allTransactions = [...allTransactions, ...response.data];
-        
-        // If we got fewer results than the limit, we've reached the end
-        if (response.data.length < limit) {
-          hasMore = false;
-        } else {
-          // Get the signature of the last transaction for pagination
-          const lastTx = response.data[response.data.length - 1];
-          before = lastTx.signature;
-        }
-        
-        // Add a small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
-      } else {
-        console.log('No more transactions received from Helius or invalid response');
-        hasMore = false;
-      }
-      
-      // Safety check - if we've fetched a lot of transactions, stop to avoid excessive API calls
-      if (allTransactions.length >= 1000) {
-        console.log('Reached maximum transaction fetch limit (1000)');
-        hasMore = false;
-      }
-    }
+    // Older history comes from the backfill job, which resumes from its saved
+    // `before` signature on every call until the whole history is stored
+    const backfill = await backfillJob.resumeBackfill(walletAddress, { timeLimit: BACKFILL_TIME_LIMIT });
+    console.log(`Backfill status: ${backfill.state.status} (${backfill.state.scanned} transactions scanned so far)`);
     
-    console.log(`Total transactions fetched from Helius: ${allTransactions.length}`);
+    // Totals cover every stored transaction of the wallet, not just this call's pages
+    const allTransactions = await Transaction.find({ $address: walletAddress }).sort('-blockTime');
+    console.log(`Total stored transactions for ${walletAddress}: ${allTransactions.length} (${newTransactions.length} new)`);
     
     // Process transactions to calculate SOL transfers
     let totalSolSent = 0;
@@ -93,104 +118,48 @@ const fetchHeliusTransactions = async (walletAddress, forceRefresh = false) => {
     let outgoingTransactions = [];
     let taxIncomingTransactions = [];
     
-    // Known system program addresses to exclude
-    const systemAddresses = [
-      '11111111111111111111111111111111', // System Program
-      'SysvarRent111111111111111111111111111111111', // Rent Sysvar
-      'SysvarC1ock11111111111111111111111111111111', // Clock Sysvar
-      'Vote111111111111111111111111111111111111111', // Vote Program
-      'Stake11111111111111111111111111111111111111', // Stake Program
-      'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // Token Program
-      'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL', // Associated Token Account Program
-      'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s', // Metaplex Token Metadata Program
-    ];
-    
-    // Get the tax contract address from environment variables
-    const taxContractAddress = process.env.TAX_CONTRACT_ADDRESS || '';
-    console.log(`Tax contract address: ${taxContractAddress || 'Not set'}`);
-    
-    for (const tx of allTransactions) {
+    for (const classified of allTransactions) {
       try {
-        // Check if this transaction has account data
-        if (tx.accountData && Array.isArray(tx.accountData)) {
-          // Find the distribution wallet in the account data
-          const walletAccountData = tx.accountData.find(acc => 
-            acc.account === walletAddress && acc.nativeBalanceChange !== undefined
-          );
+        // Stored records are already classified by the shared classifier
+        if (classified.token !== 'SOL') {
+          continue;
+        }
+        
+        const timestamp = classified.blockTime ? new Date(classified.blockTime * 1000) : new Date(classified.timestamp);
+        
+        if (isOutgoing(classified)) {
+          // SOL sent to actual users (not system programs or fees)
+          totalSolSent += classified.amount;
+          
+          // Add to outgoing transactions list
+          outgoingTransactions.push({
+            signature: classified.signature,
+            slot: classified.slot || 0,
+            solAmount: classified.amount,
+            timestamp,
+            type: classified.type,
+            recipients: (classified.legs || []).map(leg => leg.address)
+          });
+        } else if (isIncoming(classified)) {
+          // Positive change means SOL was received
+          totalSolReceived += classified.amount;
           
-          if (walletAccountData) {
-            const changeInSol = walletAccountData.nativeBalanceChange / 10**9; // Convert lamports to SOL
+          if (classified.type === TRANSACTION_TYPES.TAX_COLLECTION) {
+            totalTaxReceived += classified.amount;
             
-            if (changeInSol < 0) {
-              // Negative change means SOL was sent out
-              // Find the recipient(s) of the SOL
-              const recipients = tx.accountData.filter(acc => 
-                acc.account !== walletAddress && 
-                acc.nativeBalanceChange > 0 &&
-                !systemAddresses.includes(acc.account)
-              );
-              
-              // Calculate the total SOL sent to actual users (not system programs)
-              let solSentToUsers = 0;
-              let recipientAddresses = [];
-              
-              for (const recipient of recipients) {
-                const solReceived = recipient.nativeBalanceChange / 10**9;
-                solSentToUsers += solReceived;
-                recipientAddresses.push(recipient.account);
-              }
-              
-              // Only count if we actually sent SOL to users
-              if (solSentToUsers > 0) {
-                totalSolSent += solSentToUsers;
-                
-                // Add to outgoing transactions list
-                outgoingTransactions.push({
-                  signature: tx.signature,
-                  solAmount: solSentToUsers,
-                  timestamp: tx.timestamp ? new Date(tx.timestamp * 1000) : new Date(),
-                  type: 'distribution',
-                  recipients: recipientAddresses
-                });
-                
-                console.log(`Found user distribution: ${solSentToUsers} SOL to ${recipientAddresses.join(', ')}`);
-              } else {
-                console.log(`Skipping transaction ${tx.signature} - no SOL sent to users (likely fees or system transaction)`);
-              }
-            } else if (changeInSol > 0) {
-              // Positive change means SOL was received
-              totalSolReceived += changeInSol;
-              
-              // Check if this is from the tax contract
-              const sender = tx.accountData.find(acc => 
-                acc.account !== walletAddress && 
-                acc.nativeBalanceChange < 0
-              );
-              
-              const isTaxTransaction = sender && taxContractAddress && 
-                (sender.account === taxContractAddress || 
-                 tx.description?.includes('tax') || 
-                 tx.instructions?.some(inst => inst.programId === taxContractAddress));
-              
-              if (isTaxTransaction) {
-                totalTaxReceived += changeInSol;
-                
-                // Add to tax incoming transactions list
-                taxIncomingTransactions.push({
-                  signature: tx.signature,
-                  solAmount: changeInSol,
-                  timestamp: tx.timestamp ? new Date(tx.timestamp * 1000) : new Date(),
-                  type: 'tax_collection',
-                  sender: sender.account
-                });
-                
-                console.log(`Found tax income: ${changeInSol} SOL from ${sender.account}`);
-              }
-            }
+            // Add to tax incoming transactions list
+            taxIncomingTransactions.push({
+              signature: classified.signature,
+              slot: classified.slot || 0,
+              solAmount: classified.amount,
+              timestamp,
+              type: classified.type,
+              sender: classified.sender
+            });
           }
         }
       } catch (error) {
-        console.error(`Error processing transaction ${tx.signature}:`, error.message);
+        console.error(`Error processing transaction ${classified.signature}:`, error.message);
         // Continue with next transaction
       }
     }
@@ -208,15 +177,19 @@ const fetchHeliusTransactions = async (walletAddress, forceRefresh = false) => {
       totalTaxReceived,
       currentBalance,
       transactionCount: allTransactions.length,
-      outgoingTransactions: outgoingTransactions.slice(0, 10), // Get 10 most recent outgoing transactions
-      taxIncomingTransactions: taxIncomingTransactions.slice(0, 10) // Get 10 most recent tax transactions
+      outgoingCount: outgoingTransactions.length,
+      taxIncomingCount: taxIncomingTransactions.length,
+      // Totals only cover the whole history once the backfill has completed
+      historyComplete: backfill.state.status === backfillJob.STATUSES.COMPLETED
     };
     
-    // Save to in-memory cache
+    // Save to in-memory cache, the transaction lists are served page by page
     transactionCache = {
       lastUpdated: Date.now(),
       transactions: allTransactions,
-      stats: stats
+      stats: stats,
+      outgoingTransactions,
+      taxIncomingTransactions
     };
     
     console.log(`Cached transaction data in memory`);
@@ -249,7 +222,7 @@ const getDistributionTransactions = async (walletAddress = process.env.DISTRIBUT
     return {
       totalSolSent: stats.totalSolSent,
       transactionCount: stats.transactionCount,
-      transactions: stats.outgoingTransactions
+      transactions: transactionCache.outgoingTransactions
     };
   } catch (error) {
     console.error('Error getting distribution transactions:', error.message);
@@ -264,7 +237,7 @@ const getTaxTransactions = async (walletAddress = process.env.DISTRIBUTION_WALLE
     return {
       totalTaxReceived: stats.totalTaxReceived,
       transactionCount: stats.transactionCount,
-      transactions: stats.taxIncomingTransactions
+      transactions: transactionCache.taxIncomingTransactions
     };
   } catch (error) {
     console.error('Error getting tax transactions:', error.message);
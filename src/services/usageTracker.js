@@ -0,0 +1,201 @@
+// Provider usage accounting
+// Every outbound provider call is counted by endpoint and method, with the Helius
+// credits it costs. Counts are buffered in memory and added to the daily and monthly
+// totals in storage ('usage:day:YYYY-MM-DD' and 'usage:month:YYYY-MM', UTC) every few
+// seconds with the adapter's atomic incrementMetadata, so processes sharing a backend add up. With HELIUS_DAILY_CREDITS or
+// HELIUS_MONTHLY_CREDITS set, background fetching pauses once usage reaches
+// USAGE_PAUSE_THRESHOLD (default 0.9) of either budget
+const { getStorage } = require('../storage');
+
+const KEY_PREFIX = 'usage:';
+const FLUSH_INTERVAL = 10000;
+const HISTORY_DAYS = 7;
+// Helius credits per call, overridable with HELIUS_CREDIT_COSTS ("getTransaction=10,enhanced-transactions=100")
+const DEFAULT_CREDIT_COSTS = {
+  default: 1,
+  getProgramAccounts: 10,
+  'enhanced-transactions': 100
+};
+
+const pending = new Map(); // day -> counts not yet written to storage
+let flushTimer = null;
+let flushing = null;
+let creditCosts = null;
+
+function getCreditCost(endpoint, method) {
+  // Only Helius endpoints are billed in credits
+  if (!endpoint.startsWith('helius')) {
+    return 0;
+  }
+
+  if (!creditCosts) {
+    creditCosts = { ...DEFAULT_CREDIT_COSTS };
+    for (const entry of (process.env.HELIUS_CREDIT_COSTS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+      const [name, value] = entry.split('=');
+      const cost = parseFloat(value);
+      if (name && cost >= 0) {
+        creditCosts[name.trim()] = cost;
+      } else {
+        console.warn(`Ignoring invalid HELIUS_CREDIT_COSTS entry: ${entry}`);
+      }
+    }
+  }
+  return creditCosts[method] !== undefined ? creditCosts[method] : creditCosts.default;
+}
+
+function getBudgets() {
+  return {
+    daily: process.env.HELIUS_DAILY_CREDITS ? parseInt(process.env.HELIUS_DAILY_CREDITS) : null,
+    monthly: process.env.HELIUS_MONTHLY_CREDITS ? parseInt(process.env.HELIUS_MONTHLY_CREDITS) : null,
+    threshold: process.env.USAGE_PAUSE_THRESHOLD ? parseFloat(process.env.USAGE_PAUSE_THRESHOLD) : 0.9
+  };
+}
+
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function emptyCounts() {
+  return { requests: 0, credits: 0, errors: 0, endpoints: {} };
+}
+
+// Add one set of counts into another
+function addCounts(target, counts) {
+  target.requests += counts.requests;
+  target.credits += counts.credits;
+  target.errors += counts.errors;
+
+  for (const [name, endpoint] of Object.entries(counts.endpoints)) {
+    const into = target.endpoints[name] || (target.endpoints[name] = { requests: 0, credits: 0, errors: 0, methods: {} });
+    into.requests += endpoint.requests;
+    into.credits += endpoint.credits;
+    into.errors += endpoint.errors;
+    for (const [method, count] of Object.entries(endpoint.methods)) {
+      into.methods[method] = (into.methods[method] || 0) + count;
+    }
+  }
+  return target;
+}
+
+// Count one outbound call
+// Options: error (the call failed, it's still billed)
+function record(endpoint, method, options = {}) {
+  const day = dayKey();
+  const counts = pending.get(day) || emptyCounts();
+  const credits = getCreditCost(endpoint, method);
+
+  addCounts(counts, {
+    requests: 1,
+    credits,
+    errors: options.error ? 1 : 0,
+    endpoints: {
+      [endpoint]: { requests: 1, credits, errors: options.error ? 1 : 0, methods: { [method]: 1 } }
+    }
+  });
+  pending.set(day, counts);
+
+  if (!flushTimer) {
+    flushTimer = setInterval(() => flush().catch(error => console.error('Error saving usage:', error.message)), FLUSH_INTERVAL);
+    // Don't keep scripts such as the collector alive just to flush
+    flushTimer.unref();
+  }
+}
+
+async function addToStored(storage, key, period, counts) {
+  await storage.incrementMetadata(key, counts, { period, updatedAt: new Date().toISOString() });
+}
+
+// Write buffered counts to the daily and monthly totals
+async function flush() {
+  // One flush at a time, so checkBudget reads totals that include the flush in progress
+  while (flushing) {
+    await flushing.catch(() => {});
+  }
+  if (pending.size === 0) {
+    return;
+  }
+
+  const batch = new Map(pending);
+  pending.clear();
+
+  flushing = (async () => {
+    try {
+      const storage = await getStorage();
+      for (const [day, counts] of batch) {
+        await addToStored(storage, `${KEY_PREFIX}day:${day}`, day, counts);
+        await addToStored(storage, `${KEY_PREFIX}month:${day.slice(0, 7)}`, day.slice(0, 7), counts);
+      }
+    } catch (error) {
+      // Keep the counts for the next flush
+      for (const [day, counts] of batch) {
+        pending.set(day, addCounts(pending.get(day) || emptyCounts(), counts));
+      }
+      throw error;
+    } finally {
+      flushing = null;
+    }
+  })();
+  return flushing;
+}
+
+async function getTotals(storage, key, period) {
+  return (await storage.getMetadata(`${KEY_PREFIX}${key}`)) || { period, ...emptyCounts() };
+}
+
+function describeLimit(used, limit, threshold) {
+  if (!limit) {
+    return { used, limit: null, ratio: null, reached: false };
+  }
+  const ratio = used / limit;
+  return { used, limit, ratio: Math.round(ratio * 1000) / 1000, reached: ratio >= threshold };
+}
+
+// Whether background fetching should pause, with usage against each budget
+async function checkBudget() {
+  await flush();
+  const storage = await getStorage();
+  const now = new Date();
+  const budgets = getBudgets();
+  const today = await getTotals(storage, `day:${dayKey(now)}`, dayKey(now));
+  const month = await getTotals(storage, `month:${dayKey(now).slice(0, 7)}`, dayKey(now).slice(0, 7));
+
+  const daily = describeLimit(today.credits, budgets.daily, budgets.threshold);
+  const monthly = describeLimit(month.credits, budgets.monthly, budgets.threshold);
+  let reason = null;
+  if (daily.reached) {
+    reason = `${daily.used} of ${daily.limit} daily credits used`;
+  } else if (monthly.reached) {
+    reason = `${monthly.used} of ${monthly.limit} monthly credits used`;
+  }
+
+  return { paused: !!reason, reason, threshold: budgets.threshold, daily, monthly };
+}
+
+// Today's and this month's totals, the last few days and the budget state
+async function getUsage(options = {}) {
+  const days = Math.min(Math.max(parseInt(options.days) || HISTORY_DAYS, 1), 90);
+  const budget = await checkBudget();
+  const storage = await getStorage();
+  const now = new Date();
+
+  const history = [];
+  for (let i = 0; i < days; i++) {
+    const day = dayKey(new Date(now.getTime() - i * 86400000));
+    const totals = await storage.getMetadata(`${KEY_PREFIX}day:${day}`);
+    history.push({ day, requests: totals ? totals.requests : 0, credits: totals ? totals.credits : 0, errors: totals ? totals.errors : 0 });
+  }
+
+  return {
+    today: await getTotals(storage, `day:${dayKey(now)}`, dayKey(now)),
+    month: await getTotals(storage, `month:${dayKey(now).slice(0, 7)}`, dayKey(now).slice(0, 7)),
+    history,
+    budget
+  };
+}
+
+module.exports = {
+  record,
+  flush,
+  checkBudget,
+  getUsage
+};
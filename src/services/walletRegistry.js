@@ -0,0 +1,158 @@
+// Tracked wallet registry
+// The wallets the tracker fetches are kept in the storage backend under the 'wallets'
+// metadata key, each with a label and a role, so the API, the bot and the collector
+// work from the same list. Every wallet is fetched and classified from its own point
+// of view and its records carry its address in `wallet`, so a transfer between two
+// tracked wallets is stored once for each of them.
+// DISTRIBUTION_WALLET_ADDRESS is always tracked and is the main distribution wallet
+const { getStorage } = require('../storage');
+const { REJECTIONS, RejectedError } = require('../utils/errors');
+
+const METADATA_KEY = 'wallets';
+const ROLES = {
+  DISTRIBUTION: 'distribution',
+  TREASURY: 'treasury',
+  TAX_COLLECTOR: 'tax-collector'
+};
+const ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Seeding the list and stamping older records runs once per process
+let initPromise = null;
+
+function isValidAddress(address) {
+  return typeof address === 'string' && ADDRESS_PATTERN.test(address);
+}
+
+function checkRole(role) {
+  if (!Object.values(ROLES).includes(role)) {
+    throw new RejectedError(REJECTIONS.INVALID_ROLE, `Invalid role: ${role}. Use one of: ${Object.values(ROLES).join(', ')}`);
+  }
+}
+
+// Records stored before wallets were tracked separately have no wallet,
+// they were all classified for the distribution wallet
+async function stampLegacyTransactions(storage, walletAddress) {
+  const legacy = await storage.queryTransactions({ wallet: { $exists: false } });
+  if (legacy.length === 0) {
+    return;
+  }
+
+  // Write the stamped records before removing the old ones so a crash can't lose any
+  await storage.putTransactions(legacy.map(tx => ({ ...tx, wallet: walletAddress })));
+  await storage.deleteTransactions({ wallet: { $exists: false } });
+  console.log(`Assigned ${legacy.length} stored transactions to ${walletAddress}`);
+}
+
+async function init() {
+  if (!initPromise) {
+    initPromise = (async () => {
+      const storage = await getStorage();
+      const wallets = (await storage.getMetadata(METADATA_KEY)) || [];
+      const mainAddress = process.env.DISTRIBUTION_WALLET_ADDRESS;
+
+      if (mainAddress && !wallets.some(wallet => wallet.address === mainAddress)) {
+        wallets.unshift({
+          address: mainAddress,
+          label: 'Distribution wallet',
+          role: ROLES.DISTRIBUTION,
+          addedAt: new Date().toISOString()
+        });
+        await storage.putMetadata(METADATA_KEY, wallets);
+        console.log(`Tracking ${mainAddress} as the distribution wallet`);
+      }
+
+      const primary = mainAddress || (wallets.find(wallet => wallet.role === ROLES.DISTRIBUTION) || {}).address;
+      if (primary) {
+        await stampLegacyTransactions(storage, primary);
+      }
+    })().catch(error => {
+      initPromise = null;
+      throw error;
+    });
+  }
+  await initPromise;
+  return getStorage();
+}
+
+// Tracked wallets in the order they were added, optionally only those with a role
+async function listWallets(options = {}) {
+  const storage = await init();
+  const wallets = (await storage.getMetadata(METADATA_KEY)) || [];
+  return options.role ? wallets.filter(wallet => wallet.role === options.role) : wallets;
+}
+
+// One tracked wallet, or null
+async function getWallet(address) {
+  const wallets = await listWallets();
+  return wallets.find(wallet => wallet.address === address) || null;
+}
+
+// The main distribution wallet: DISTRIBUTION_WALLET_ADDRESS, or the first wallet with the distribution role
+async function getPrimaryAddress() {
+  if (process.env.DISTRIBUTION_WALLET_ADDRESS) {
+    return process.env.DISTRIBUTION_WALLET_ADDRESS;
+  }
+
+  const [wallet] = await listWallets({ role: ROLES.DISTRIBUTION });
+  return wallet ? wallet.address : null;
+}
+
+// Track a wallet, or change the label and role of one that is already tracked
+// Returns { wallet, created }
+async function addWallet(address, options = {}) {
+  if (!isValidAddress(address)) {
+    throw new RejectedError(REJECTIONS.INVALID_ADDRESS, 'Invalid Solana wallet address format');
+  }
+  const role = options.role || ROLES.DISTRIBUTION;
+  checkRole(role);
+
+  const storage = await init();
+  const wallets = (await storage.getMetadata(METADATA_KEY)) || [];
+  const existing = wallets.find(wallet => wallet.address === address);
+
+  if (existing) {
+    existing.role = options.role ? role : existing.role;
+    existing.label = options.label !== undefined ? String(options.label) : existing.label;
+    existing.updatedAt = new Date().toISOString();
+  } else {
+    wallets.push({
+      address,
+      label: options.label ? String(options.label) : null,
+      role,
+      addedAt: new Date().toISOString()
+    });
+  }
+
+  await storage.putMetadata(METADATA_KEY, wallets);
+  console.log(`${existing ? 'Updated' : 'Tracking'} wallet ${address} (${role})`);
+  return { wallet: existing || wallets[wallets.length - 1], created: !existing };
+}
+
+// Stop tracking a wallet, its stored transactions are kept
+// Returns the removed wallet, or null if it wasn't tracked
+async function removeWallet(address) {
+  if (address === process.env.DISTRIBUTION_WALLET_ADDRESS) {
+    throw new RejectedError(REJECTIONS.PROTECTED_WALLET, 'The wallet set in DISTRIBUTION_WALLET_ADDRESS is always tracked');
+  }
+
+  const storage = await init();
+  const wallets = (await storage.getMetadata(METADATA_KEY)) || [];
+  const removed = wallets.find(wallet => wallet.address === address);
+  if (!removed) {
+    return null;
+  }
+
+  await storage.putMetadata(METADATA_KEY, wallets.filter(wallet => wallet !== removed));
+  console.log(`Stopped tracking wallet ${address}`);
+  return removed;
+}
+
+module.exports = {
+  ROLES,
+  isValidAddress,
+  listWallets,
+  getWallet,
+  getPrimaryAddress,
+  addWallet,
+  removeWallet
+};
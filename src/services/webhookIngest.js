@@ -0,0 +1,123 @@
+// Helius webhook ingestion
+// Helius posts enhanced transactions for the watched addresses as they confirm.
+// Each request carries the auth header configured on the webhook, which must match
+// HELIUS_WEBHOOK_SECRET. Transactions are classified with the shared classifier for
+// every tracked wallet they involve and stored by signature and wallet, so redelivered
+// payloads don't create duplicates
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+const { getStorage } = require('../storage');
+const { classifyTransaction } = require('./transactionClassifier');
+
+const STATUS_KEY = 'webhook';
+
+function isConfigured() {
+  return !!process.env.HELIUS_WEBHOOK_SECRET;
+}
+
+// Check the Authorization header against the shared secret in constant time
+// A "Bearer " prefix is accepted so the header can be set either way in Helius
+function verifySecret(authorization) {
+  const secret = process.env.HELIUS_WEBHOOK_SECRET;
+  if (!secret || !authorization) {
+    return false;
+  }
+
+  const provided = Buffer.from(String(authorization).replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(secret);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Whether the wallet's SOL or token balance appears in an enhanced transaction
+function involvesWallet(tx, walletAddress) {
+  if (tx.feePayer === walletAddress) {
+    return true;
+  }
+
+  return (tx.accountData || []).some(account =>
+    account.account === walletAddress ||
+    (account.tokenBalanceChanges || []).some(change => change.userAccount === walletAddress)
+  );
+}
+
+// Classify and store a webhook payload for one or more tracked wallets
+// Returns counts and the transactions that were new to storage
+async function ingestEnhancedTransactions(payload, walletAddresses) {
+  const items = Array.isArray(payload) ? payload : [payload];
+  const wallets = Array.isArray(walletAddresses) ? walletAddresses : [walletAddresses];
+  const summary = { received: items.length, stored: 0, duplicates: 0, skipped: 0, transactions: [] };
+  const storage = await getStorage();
+  const records = [];
+  const seen = new Set();
+
+  for (const tx of items) {
+    if (!tx || !tx.signature) {
+      summary.skipped++;
+      continue;
+    }
+    if (seen.has(tx.signature)) {
+      summary.duplicates++;
+      continue;
+    }
+    seen.add(tx.signature);
+
+    // Failed transactions and ones that don't touch a tracked wallet are not stored by the pollers either
+    const involved = tx.transactionError ? [] : wallets.filter(walletAddress => walletAddress && involvesWallet(tx, walletAddress));
+    if (involved.length === 0) {
+      summary.skipped++;
+      continue;
+    }
+
+    let added = 0;
+    let duplicate = false;
+    for (const walletAddress of involved) {
+      if (await storage.getTransaction(tx.signature, walletAddress)) {
+        duplicate = true;
+        continue;
+      }
+
+      const record = classifyTransaction(tx, walletAddress);
+      if (record) {
+        records.push(new Transaction(record));
+        added++;
+      }
+    }
+
+    if (added === 0) {
+      summary[duplicate ? 'duplicates' : 'skipped']++;
+    }
+  }
+
+  if (records.length > 0) {
+    summary.stored = await Transaction.saveMany(records);
+    summary.transactions = records;
+  }
+
+  const status = (await storage.getMetadata(STATUS_KEY)) || { deliveries: 0, stored: 0 };
+  await storage.putMetadata(STATUS_KEY, {
+    deliveries: status.deliveries + 1,
+    stored: status.stored + summary.stored,
+    lastReceivedAt: new Date().toISOString(),
+    lastStoredAt: summary.stored > 0 ? new Date().toISOString() : status.lastStoredAt || null
+  });
+
+  console.log(`Webhook: ${summary.received} transactions received, ${summary.stored} stored, ${summary.duplicates} duplicates, ${summary.skipped} skipped`);
+  return summary;
+}
+
+// Whether the webhook is configured, with delivery counts and times
+async function getStatus() {
+  const storage = await getStorage();
+  const status = await storage.getMetadata(STATUS_KEY);
+  return {
+    configured: isConfigured(),
+    ...(status || { deliveries: 0, stored: 0, lastReceivedAt: null, lastStoredAt: null })
+  };
+}
+
+module.exports = {
+  isConfigured,
+  verifySecret,
+  ingestEnhancedTransactions,
+  getStatus
+};
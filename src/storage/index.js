@@ -0,0 +1,60 @@
+// Storage backend selection
+// STORAGE_BACKEND picks the adapter: json (default), sqlite or mongodb
+const path = require('path');
+const JsonFileAdapter = require('./jsonFileAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+const MongoAdapter = require('./mongoAdapter');
+
+const BACKENDS = ['json', 'sqlite', 'mongodb'];
+
+// Vercel only allows writes to /tmp
+const DATA_DIR = process.env.VERCEL ? '/tmp' : path.join(__dirname, '../../data');
+
+// Create a storage adapter from options or environment
+function createStorage(options = {}) {
+  const backend = (options.backend || process.env.STORAGE_BACKEND || 'json').toLowerCase();
+
+  switch (backend) {
+    case 'json':
+      return new JsonFileAdapter({
+        filePath: options.path || process.env.STORAGE_PATH || path.join(DATA_DIR, 'storage.json')
+      });
+    case 'sqlite':
+      return new SqliteAdapter({
+        filePath: options.path || process.env.STORAGE_PATH || path.join(DATA_DIR, 'storage.db')
+      });
+    case 'mongodb':
+      return new MongoAdapter(options);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}. Use one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+// Shared storage instance, initialized on first use
+let storage = null;
+let initPromise = null;
+
+async function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+    console.log(`Using ${storage.name} storage backend`);
+  }
+
+  if (!initPromise) {
+    initPromise = storage.init().catch(error => {
+      initPromise = null;
+      // Reported to API clients as STORAGE_UNAVAILABLE
+      error.storageUnavailable = true;
+      throw error;
+    });
+  }
+
+  await initPromise;
+  return storage;
+}
+
+module.exports = {
+  BACKENDS,
+  createStorage,
+  getStorage
+};
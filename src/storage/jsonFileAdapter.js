@@ -0,0 +1,314 @@
+// JSON file storage adapter
+// Keeps everything in memory and writes one JSON file after each change
+// Several processes can share the file: each write takes a lock file, re-reads the file and
+// replays this process's changes onto it, so one process doesn't overwrite another's data
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+const { applyQuery, matchesQuery, getTransactionKey, toAuditQuery, addIncrements } = require('./query');
+
+// How long to wait for another process's lock, and when a lock is considered left behind by a crash
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE_AFTER = 30000;
+const LOCK_RETRY_DELAY = 25;
+
+function emptyState() {
+  return { transactions: new Map(), metadata: {}, auditLog: [] };
+}
+
+// Apply changes recorded by the adapter methods to a store state
+function applyChanges(state, changes) {
+  for (const change of changes) {
+    switch (change.type) {
+      case 'put':
+        state.transactions.set(change.key, change.tx);
+        break;
+      case 'delete':
+        for (const [key, tx] of state.transactions) {
+          if (matchesQuery(tx, change.query)) {
+            state.transactions.delete(key);
+          }
+        }
+        break;
+      case 'metadata':
+        state.metadata[change.key] = change.value;
+        break;
+      case 'update': {
+        // Run again on every replay, so the value is computed from the file as it is under the lock
+        const current = state.metadata[change.key];
+        change.value = change.update(current === undefined ? null : JSON.parse(JSON.stringify(current)));
+        state.metadata[change.key] = change.value;
+        break;
+      }
+      case 'increment': {
+        const value = state.metadata[change.key];
+        const target = value && typeof value === 'object' ? value : {};
+        state.metadata[change.key] = Object.assign(addIncrements(target, change.increments), change.fields);
+        break;
+      }
+      case 'deleteMetadata':
+        delete state.metadata[change.key];
+        break;
+      case 'audit':
+        state.auditLog.push(change.entry);
+        break;
+    }
+  }
+  return state;
+}
+
+class JsonFileAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('json');
+    this.filePath = options.filePath;
+    this.transactions = new Map();
+    this.metadata = {};
+    this.auditLog = [];
+    this.initialized = false;
+    this.writeQueue = Promise.resolve();
+    this.pendingWrite = null;
+    // Changes not written yet, replayed onto the file as it is when the write starts
+    this.changes = [];
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  async init() {
+    if (this.initialized) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const state = await this.readFile();
+    if (state) {
+      this.setState(state);
+      console.log(`Loaded ${this.transactions.size} transactions from ${this.filePath}`);
+    } else {
+      console.log(`Storage file not found, starting empty: ${this.filePath}`);
+    }
+
+    this.initialized = true;
+  }
+
+  // The store as saved in the file, or null when there is no file yet
+  async readFile() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const state = emptyState();
+    for (const tx of data.transactions || []) {
+      state.transactions.set(getTransactionKey(tx), tx);
+    }
+    state.metadata = data.metadata || {};
+    state.auditLog = data.auditLog || [];
+    return state;
+  }
+
+  setState(state) {
+    this.transactions = state.transactions;
+    this.metadata = state.metadata;
+    this.auditLog = state.auditLog;
+  }
+
+  // Take the lock file, waiting for another process to release it
+  // A lock older than LOCK_STALE_AFTER was left by a process that crashed mid-write and is removed
+  async acquireLock() {
+    const startTime = Date.now();
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const lock = await fs.stat(this.lockPath).catch(() => null);
+      if (lock && Date.now() - lock.mtimeMs > LOCK_STALE_AFTER) {
+        console.warn(`Removing stale storage lock ${this.lockPath}`);
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() - startTime > LOCK_TIMEOUT) {
+        throw new Error(`Timed out waiting for the storage lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+    }
+  }
+
+  async releaseLock() {
+    await fs.unlink(this.lockPath).catch(() => {});
+  }
+
+  // Write the store, one write at a time, through a temp file so a crash can't truncate it
+  // Under the lock file, the file is re-read and this process's changes are replayed onto it,
+  // so changes other processes wrote in the meantime are kept and then show up in memory too
+  // Changes made while a write is waiting to start are picked up by that write
+  // A failed write rejects for every caller waiting on it, its changes are kept for the next write
+  async persist() {
+    if (this.pendingWrite) {
+      return this.pendingWrite;
+    }
+
+    const write = this.writeQueue.then(async () => {
+      this.pendingWrite = null;
+      const changes = this.changes;
+      this.changes = [];
+
+      try {
+        await this.acquireLock();
+      } catch (error) {
+        this.changes = changes.concat(this.changes);
+        throw error;
+      }
+
+      try {
+        const state = applyChanges((await this.readFile()) || emptyState(), changes);
+        const data = {
+          transactions: Array.from(state.transactions.values()),
+          metadata: state.metadata,
+          auditLog: state.auditLog,
+          savedAt: new Date().toISOString()
+        };
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+        await fs.rename(tempPath, this.filePath);
+
+        // Changes made during the write are already in memory, keep them on top of the merged state
+        this.setState(applyChanges(state, this.changes));
+      } catch (error) {
+        this.changes = changes.concat(this.changes);
+        throw error;
+      } finally {
+        await this.releaseLock();
+      }
+    }).catch(error => {
+      console.error(`Error writing storage file ${this.filePath}:`, error);
+      // Reported to API clients as STORAGE_UNAVAILABLE
+      error.storageUnavailable = true;
+      throw error;
+    });
+
+    this.pendingWrite = write;
+    // The next write waits for this one whether or not it failed
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  async getTransaction(signature, wallet = null) {
+    if (wallet) {
+      return this.transactions.get(getTransactionKey({ signature, wallet })) || null;
+    }
+    return Array.from(this.transactions.values()).find(tx => tx.signature === signature) || null;
+  }
+
+  async putTransactions(transactions) {
+    let inserted = 0;
+    for (const tx of transactions) {
+      const key = getTransactionKey(tx);
+      if (!this.transactions.has(key)) {
+        inserted++;
+      }
+      const stored = JSON.parse(JSON.stringify(tx));
+      this.transactions.set(key, stored);
+      this.changes.push({ type: 'put', key, tx: stored });
+    }
+
+    await this.persist();
+    return inserted;
+  }
+
+  async queryTransactions(query = {}, options = {}) {
+    return applyQuery(Array.from(this.transactions.values()), query, options);
+  }
+
+  async countTransactions(query = {}) {
+    if (Object.keys(query).length === 0) {
+      return this.transactions.size;
+    }
+    return this.queryTransactions(query).then(matches => matches.length);
+  }
+
+  async deleteTransactions(query = {}) {
+    let deleted = 0;
+    for (const [key, tx] of this.transactions) {
+      if (matchesQuery(tx, query)) {
+        this.transactions.delete(key);
+        deleted++;
+      }
+    }
+    this.changes.push({ type: 'delete', query });
+
+    await this.persist();
+    return deleted;
+  }
+
+  async getMetadata(key) {
+    return this.metadata[key] === undefined ? null : this.metadata[key];
+  }
+
+  async putMetadata(key, value) {
+    this.metadata[key] = value;
+    this.changes.push({ type: 'metadata', key, value });
+    await this.persist();
+  }
+
+  // Replayed onto the file under the lock, so the value returned is the one written and another
+  // process's write in between is kept
+  async updateMetadata(key, update) {
+    const change = { type: 'update', key, update };
+    applyChanges(this, [change]);
+    this.changes.push(change);
+    await this.persist();
+    return change.value;
+  }
+
+  // Replayed onto the file as an increment, so counts added by other processes are kept
+  async incrementMetadata(key, increments, fields = {}) {
+    const change = { type: 'increment', key, increments: JSON.parse(JSON.stringify(increments)), fields: { ...fields } };
+    applyChanges(this, [change]);
+    this.changes.push(change);
+    await this.persist();
+  }
+
+  async deleteMetadata(key) {
+    delete this.metadata[key];
+    this.changes.push({ type: 'deleteMetadata', key });
+    await this.persist();
+  }
+
+  async listMetadata() {
+    return Object.keys(this.metadata);
+  }
+
+  async appendAuditEntry(entry) {
+    const stored = JSON.parse(JSON.stringify(entry));
+    this.auditLog.push(stored);
+    this.changes.push({ type: 'audit', entry: stored });
+    await this.persist();
+  }
+
+  async queryAuditLog(filter = {}, options = {}) {
+    // Entries are appended in time order
+    const matches = applyQuery(this.auditLog, toAuditQuery(filter)).reverse();
+    const skip = options.skip || 0;
+    return options.limit ? matches.slice(skip, skip + options.limit) : matches.slice(skip);
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = JsonFileAdapter;
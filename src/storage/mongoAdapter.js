@@ -0,0 +1,207 @@
+// MongoDB storage adapter
+// Uses the shared connection from utils/mongodb
+const StorageAdapter = require('./storageAdapter');
+const { toAuditQuery, getIncrementPaths } = require('./query');
+
+// Fields that can hold an address, for the $address operator
+const ADDRESS_FIELDS = ['sender', 'receiver', 'legs.address', 'from', 'to', 'otherAddresses'];
+// Tries of updateMetadata while other processes keep changing the same value
+const METADATA_UPDATE_ATTEMPTS = 20;
+
+// Rewrite $address (not a MongoDB operator) into an $or over the address fields
+function toMongoQuery(query = {}) {
+  const result = {};
+  const and = [];
+
+  for (const [key, condition] of Object.entries(query)) {
+    if (key === '$address') {
+      and.push({ $or: ADDRESS_FIELDS.map(field => ({ [field]: condition })) });
+    } else if ((key === '$and' || key === '$or') && Array.isArray(condition)) {
+      result[key] = condition.map(toMongoQuery);
+    } else {
+      result[key] = condition;
+    }
+  }
+
+  if (and.length > 0) {
+    result.$and = [...(result.$and || []), ...and];
+  }
+  return result;
+}
+
+class MongoAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('mongodb');
+    this.transactionsCollection = options.transactionsCollection || 'transactions';
+    this.metadataCollection = options.metadataCollection || 'metadata';
+    this.auditCollection = options.auditCollection || 'auditLog';
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    const { connectToDatabase } = require('../utils/mongodb');
+    const { db } = await connectToDatabase();
+    this.db = db;
+
+    // Records were unique by signature before each tracked wallet got its own
+    const indexes = await this.transactions().indexes();
+    if (indexes.some(index => index.name === 'signature_1' && index.unique)) {
+      await this.transactions().dropIndex('signature_1');
+    }
+    await this.transactions().createIndex({ signature: 1, wallet: 1 }, { unique: true });
+    await this.transactions().createIndex({ wallet: 1, blockTime: -1 });
+    await this.transactions().createIndex({ blockTime: -1 });
+    await this.transactions().createIndex({ sender: 1, blockTime: -1 });
+    await this.transactions().createIndex({ receiver: 1, blockTime: -1 });
+    await this.transactions().createIndex({ type: 1, blockTime: -1 });
+    await this.transactions().createIndex({ 'legs.address': 1 });
+    await this.metadata().createIndex({ key: 1 }, { unique: true });
+    await this.audit().createIndex({ timestamp: -1 });
+    await this.audit().createIndex({ action: 1, timestamp: -1 });
+  }
+
+  transactions() {
+    return this.db.collection(this.transactionsCollection);
+  }
+
+  metadata() {
+    return this.db.collection(this.metadataCollection);
+  }
+
+  audit() {
+    return this.db.collection(this.auditCollection);
+  }
+
+  async getTransaction(signature, wallet = null) {
+    const filter = wallet ? { signature, wallet } : { signature };
+    return this.transactions().findOne(filter, { projection: { _id: 0 } });
+  }
+
+  async putTransactions(transactions) {
+    if (transactions.length === 0) {
+      return 0;
+    }
+
+    const operations = transactions.map(tx => {
+      const { _id, ...doc } = JSON.parse(JSON.stringify(tx));
+      return {
+        replaceOne: {
+          // A null wallet also matches records stored without one
+          filter: { signature: tx.signature, wallet: tx.wallet || null },
+          replacement: doc,
+          upsert: true
+        }
+      };
+    });
+
+    const result = await this.transactions().bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+  }
+
+  async queryTransactions(query = {}, options = {}) {
+    let cursor = this.transactions().find(toMongoQuery(query), { projection: { _id: 0 } });
+    if (options.sort) cursor = cursor.sort(options.sort);
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(options.limit);
+    return cursor.toArray();
+  }
+
+  async countTransactions(query = {}) {
+    return this.transactions().countDocuments(toMongoQuery(query));
+  }
+
+  async sumTransactions(query = {}, field = 'amount') {
+    const [result] = await this.transactions().aggregate([
+      { $match: toMongoQuery(query) },
+      { $group: { _id: null, total: { $sum: `$${field}` } } }
+    ]).toArray();
+    return result ? result.total : 0;
+  }
+
+  async deleteTransactions(query = {}) {
+    const result = await this.transactions().deleteMany(toMongoQuery(query));
+    return result.deletedCount;
+  }
+
+  async getMetadata(key) {
+    const doc = await this.metadata().findOne({ key });
+    return doc ? doc.value : null;
+  }
+
+  async putMetadata(key, value) {
+    await this.metadata().updateOne(
+      { key },
+      { $set: { key, value, updatedAt: new Date() }, $inc: { version: 1 } },
+      { upsert: true }
+    );
+  }
+
+  // Compare-and-swap on the document's version, retried when another process changed it in between
+  async updateMetadata(key, update) {
+    for (let attempt = 0; attempt < METADATA_UPDATE_ATTEMPTS; attempt++) {
+      const doc = await this.metadata().findOne({ key });
+      const value = update(doc ? doc.value : null);
+
+      if (!doc) {
+        try {
+          await this.metadata().insertOne({ key, value, version: 1, updatedAt: new Date() });
+          return value;
+        } catch (error) {
+          if (error.code !== 11000) {
+            throw error;
+          }
+          continue; // Another process created it first
+        }
+      }
+
+      const updated = await this.metadata().findOneAndUpdate(
+        { key, version: doc.version === undefined ? { $exists: false } : doc.version },
+        { $set: { value, updatedAt: new Date() }, $inc: { version: 1 } }
+      );
+      if (updated) {
+        return value;
+      }
+    }
+    throw new Error(`Metadata ${key} kept changing, gave up after ${METADATA_UPDATE_ATTEMPTS} attempts`);
+  }
+
+  async incrementMetadata(key, increments, fields = {}) {
+    const $inc = { version: 1 };
+    for (const [path, amount] of getIncrementPaths(increments)) {
+      $inc[`value.${path.join('.')}`] = amount;
+    }
+    const $set = { updatedAt: new Date() };
+    for (const [field, value] of Object.entries(fields)) {
+      $set[`value.${field}`] = value;
+    }
+
+    await this.metadata().updateOne({ key }, { $inc, $set }, { upsert: true });
+  }
+
+  async deleteMetadata(key) {
+    await this.metadata().deleteOne({ key });
+  }
+
+  async listMetadata() {
+    const docs = await this.metadata().find({}, { projection: { key: 1 } }).toArray();
+    return docs.map(doc => doc.key);
+  }
+
+  async appendAuditEntry(entry) {
+    const { _id, ...doc } = JSON.parse(JSON.stringify(entry));
+    await this.audit().insertOne(doc);
+  }
+
+  async queryAuditLog(filter = {}, options = {}) {
+    let cursor = this.audit().find(toAuditQuery(filter), { projection: { _id: 0 } }).sort({ timestamp: -1, id: -1 });
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(options.limit);
+    return cursor.toArray();
+  }
+}
+
+module.exports = MongoAdapter;
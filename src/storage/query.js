@@ -0,0 +1,208 @@
+// Shared query matching for storage adapters that filter in JavaScript
+// Supports a MongoDB-style subset: equality, $eq, $in, $nin, $ne, $gt, $gte,
+// $lt, $lte, $exists and top-level $or / $and, plus $address, which matches
+// transactions that involve an address in any role
+
+// Get a (possibly dotted) field from a document
+// Paths through arrays collect the field from every element, so
+// "legs.address" gives the addresses of all legs
+function getField(doc, field) {
+  return field.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    if (Array.isArray(value) && !/^\d+$/.test(key)) {
+      return value.flatMap(item => (item === null || item === undefined ? [] : [item[key]]))
+        .filter(item => item !== undefined);
+    }
+    return value[key];
+  }, doc);
+}
+
+// Check a single (non-array) value against one operator
+function matchesOperator(value, operator, operand) {
+  switch (operator) {
+    case '$eq':
+      return value === operand;
+    case '$in':
+      return operand.includes(value);
+    case '$nin':
+      return !operand.includes(value);
+    case '$ne':
+      return value !== operand;
+    case '$gt':
+      return value > operand;
+    case '$gte':
+      return value >= operand;
+    case '$lt':
+      return value < operand;
+    case '$lte':
+      return value <= operand;
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+}
+
+// Check a single field value against a condition
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition !== null &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    // Arrays match when any element equals the condition, like MongoDB
+    return Array.isArray(value) ? value.includes(condition) : value === condition;
+  }
+
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (operator === '$exists') {
+      const exists = Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null;
+      if (exists !== !!operand) return false;
+    } else if (Array.isArray(value)) {
+      // Negations must hold for every element, everything else for at least one
+      const negated = operator === '$ne' || operator === '$nin';
+      const matched = negated
+        ? value.every(item => matchesOperator(item, operator, operand))
+        : value.some(item => matchesOperator(item, operator, operand));
+      if (!matched) return false;
+    } else if (!matchesOperator(value, operator, operand)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Check if a document matches a query
+function matchesQuery(doc, query = {}) {
+  for (const [key, condition] of Object.entries(query)) {
+    if (key === '$address') {
+      if (!getTransactionAddresses(doc).some(entry => entry.address === condition)) return false;
+    } else if (key === '$or') {
+      if (!condition.some(subQuery => matchesQuery(doc, subQuery))) return false;
+    } else if (key === '$and') {
+      if (!condition.every(subQuery => matchesQuery(doc, subQuery))) return false;
+    } else if (!matchesCondition(getField(doc, key), condition)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Sort documents by a sort spec such as { blockTime: -1, signature: 1 }
+function sortDocuments(docs, sort) {
+  if (!sort || Object.keys(sort).length === 0) {
+    return docs;
+  }
+
+  const fields = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const left = getField(a, field);
+      const right = getField(b, field);
+      if (left === right) continue;
+      if (left === undefined || left === null) return 1;
+      if (right === undefined || right === null) return -1;
+      return (left < right ? -1 : 1) * (direction < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+// Every address a transaction touches, with its role
+// Covers classified records (sender, receiver, legs) and the bot's older
+// records (from, to, otherAddresses). Batched payouts list each leg as a
+// receiver, other records their single receiver
+function getTransactionAddresses(tx) {
+  const entries = new Map();
+  const add = (address, role) => {
+    if (address && typeof address === 'string') {
+      entries.set(`${role}:${address}`, { address, role });
+    }
+  };
+
+  add(tx.sender || tx.from, 'sender');
+  if (tx.legs && tx.legs.length > 0) {
+    tx.legs.forEach(leg => add(leg.address, 'receiver'));
+  } else {
+    add(tx.receiver || tx.to, 'receiver');
+  }
+  (tx.otherAddresses || []).forEach(address => add(address, 'other'));
+
+  return Array.from(entries.values());
+}
+
+// Storage key of a transaction record
+// Records are classified for a tracked wallet, so the same signature can be stored
+// once per wallet. Records without a wallet are keyed by their signature alone
+function getTransactionKey(tx) {
+  return tx.wallet ? `${tx.signature}:${tx.wallet}` : tx.signature;
+}
+
+// Filter, sort and page a list of documents
+function applyQuery(docs, query = {}, options = {}) {
+  let result = docs.filter(doc => matchesQuery(doc, query));
+  result = sortDocuments(result, options.sort);
+
+  const skip = options.skip || 0;
+  const limit = options.limit || 0;
+  return limit > 0 ? result.slice(skip, skip + limit) : result.slice(skip);
+}
+
+// Translate an audit log filter ({ action, channel, actorId, since, until }) to a query
+function toAuditQuery(filter = {}) {
+  const query = {};
+  if (filter.action) query.action = filter.action;
+  if (filter.channel) query.channel = filter.channel;
+  if (filter.actorId) query['actor.id'] = String(filter.actorId);
+  if (filter.since || filter.until) {
+    query.timestamp = {};
+    if (filter.since) query.timestamp.$gte = filter.since;
+    if (filter.until) query.timestamp.$lte = filter.until;
+  }
+  return query;
+}
+
+// Paths and amounts of the numbers in a nested object of increments,
+// e.g. { requests: 1, endpoints: { helius: { requests: 1 } } } gives [['requests'], 1] and [['endpoints', 'helius', 'requests'], 1]
+function getIncrementPaths(increments, prefix = []) {
+  const paths = [];
+  for (const [name, value] of Object.entries(increments)) {
+    if (typeof value === 'number') {
+      paths.push([[...prefix, name], value]);
+    } else if (value && typeof value === 'object') {
+      paths.push(...getIncrementPaths(value, [...prefix, name]));
+    }
+  }
+  return paths;
+}
+
+// Add nested increments into an object, creating missing fields
+function addIncrements(target, increments) {
+  for (const [path, amount] of getIncrementPaths(increments)) {
+    let node = target;
+    for (const name of path.slice(0, -1)) {
+      if (!node[name] || typeof node[name] !== 'object') {
+        node[name] = {};
+      }
+      node = node[name];
+    }
+    const field = path[path.length - 1];
+    node[field] = (typeof node[field] === 'number' ? node[field] : 0) + amount;
+  }
+  return target;
+}
+
+module.exports = {
+  getField,
+  matchesQuery,
+  sortDocuments,
+  applyQuery,
+  getTransactionAddresses,
+  getTransactionKey,
+  toAuditQuery,
+  getIncrementPaths,
+  addIncrements
+};
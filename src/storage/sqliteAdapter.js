@@ -0,0 +1,552 @@
+// SQLite storage adapter (better-sqlite3)
+// Transactions are stored as JSON documents keyed by signature and tracked wallet,
+// with the fields used for lookups copied into indexed columns and every address a
+// transaction touches kept in transaction_addresses for per-wallet queries
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+const { applyQuery, matchesQuery, sortDocuments, getTransactionAddresses, getTransactionKey, getIncrementPaths } = require('./query');
+
+// Bump when the schema changes, migrate() brings older files up to date
+const SCHEMA_VERSION = 5;
+
+// Document fields copied into columns, queries on these run in SQL
+const COLUMNS = {
+  blockTime: 'INTEGER',
+  slot: 'INTEGER',
+  sender: 'TEXT',
+  receiver: 'TEXT',
+  type: 'TEXT',
+  token: 'TEXT',
+  tokenMint: 'TEXT',
+  amount: 'REAL',
+  wallet: 'TEXT'
+};
+
+// Operators that translate to SQL on a column
+const SQL_OPERATORS = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+// Get the column values of a transaction, in COLUMNS order
+function getColumnValues(tx) {
+  return Object.keys(COLUMNS).map(column => {
+    const value = tx[column];
+    return value === undefined ? null : value;
+  });
+}
+
+// JSON path of a field for json_set and json_extract, e.g. ['endpoints', 'helius'] gives $."endpoints"."helius"
+function toJsonPath(fields) {
+  return `$${fields.map(field => `."${String(field).replace(/"/g, '')}"`).join('')}`;
+}
+
+// Translate one column condition to SQL, or return null if it can't be
+// Parameters are only added to params when the whole condition translates
+function conditionToSql(column, condition, params) {
+  const values = [];
+  const sql = translateCondition(column, condition, values);
+  if (sql !== null) {
+    params.push(...values);
+  }
+  return sql;
+}
+
+function translateCondition(column, condition, params) {
+  const isOperatorObject = condition !== null &&
+    typeof condition === 'object' &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+
+  if (!isOperatorObject) {
+    if (condition === null) {
+      return `${column} IS NULL`;
+    }
+    if (typeof condition === 'object' || typeof condition === 'boolean') {
+      return null;
+    }
+    params.push(condition);
+    return `${column} = ?`;
+  }
+
+  const clauses = [];
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (SQL_OPERATORS[operator] && (typeof operand === 'number' || typeof operand === 'string')) {
+      params.push(operand);
+      clauses.push(`${column} ${SQL_OPERATORS[operator]} ?`);
+    } else if (operator === '$eq' && (typeof operand === 'number' || typeof operand === 'string')) {
+      params.push(operand);
+      clauses.push(`${column} = ?`);
+    } else if (operator === '$ne' && (typeof operand === 'number' || typeof operand === 'string')) {
+      // Missing values match $ne, like MongoDB
+      params.push(operand);
+      clauses.push(`(${column} IS NULL OR ${column} != ?)`);
+    } else if ((operator === '$in' || operator === '$nin') && Array.isArray(operand) &&
+      operand.every(value => typeof value === 'number' || typeof value === 'string')) {
+      if (operand.length === 0) {
+        clauses.push(operator === '$in' ? '0' : '1');
+        continue;
+      }
+      params.push(...operand);
+      const placeholders = operand.map(() => '?').join(', ');
+      clauses.push(operator === '$in'
+        ? `${column} IN (${placeholders})`
+        : `(${column} IS NULL OR ${column} NOT IN (${placeholders}))`);
+    } else if (operator === '$exists') {
+      clauses.push(operand ? `${column} IS NOT NULL` : `${column} IS NULL`);
+    } else {
+      return null;
+    }
+  }
+
+  return clauses.join(' AND ');
+}
+
+// Split a query into a SQL WHERE clause and the part that has to be checked in JavaScript
+function buildWhere(query = {}) {
+  const clauses = [];
+  const params = [];
+  const residual = {};
+
+  for (const [key, condition] of Object.entries(query)) {
+    if (key === '$and' && Array.isArray(condition)) {
+      const residualParts = [];
+      for (const subQuery of condition) {
+        const sub = buildWhere(subQuery);
+        if (sub.sql) {
+          clauses.push(sub.sql);
+          params.push(...sub.params);
+        }
+        if (Object.keys(sub.residual).length > 0) {
+          residualParts.push(sub.residual);
+        }
+      }
+      if (residualParts.length > 0) {
+        residual.$and = residualParts;
+      }
+      continue;
+    }
+
+    // $or translates when every branch does, e.g. the pagination cursor condition
+    if (key === '$or' && Array.isArray(condition) && condition.length > 0) {
+      const branches = condition.map(subQuery => buildWhere(subQuery));
+      if (branches.every(branch => branch.sql && Object.keys(branch.residual).length === 0)) {
+        clauses.push(`(${branches.map(branch => `(${branch.sql})`).join(' OR ')})`);
+        branches.forEach(branch => params.push(...branch.params));
+        continue;
+      }
+    }
+
+    // Address lookups go through the transaction_addresses index
+    if (key === '$address' && typeof condition === 'string') {
+      clauses.push('id IN (SELECT id FROM transaction_addresses WHERE address = ?)');
+      params.push(condition);
+      continue;
+    }
+
+    const sql = (key === 'signature' || COLUMNS[key])
+      ? conditionToSql(key, condition, params)
+      : null;
+
+    if (sql) {
+      clauses.push(sql);
+    } else {
+      residual[key] = condition;
+    }
+  }
+
+  return {
+    sql: clauses.join(' AND '),
+    params,
+    residual
+  };
+}
+
+// Translate a sort spec to ORDER BY, or return null if a field has no column
+function buildOrderBy(sort) {
+  if (!sort || Object.keys(sort).length === 0) {
+    return '';
+  }
+
+  const parts = [];
+  for (const [field, direction] of Object.entries(sort)) {
+    if (field !== 'signature' && !COLUMNS[field]) {
+      return null;
+    }
+    // Missing values sort last either way, like the JavaScript sort
+    parts.push(`${field} IS NULL, ${field} ${direction < 0 ? 'DESC' : 'ASC'}`);
+  }
+
+  return `ORDER BY ${parts.join(', ')}`;
+}
+
+class SqliteAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('sqlite');
+    this.filePath = options.filePath;
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    // Optional dependency, only needed when this backend is selected
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.migrate();
+
+    const columns = Object.keys(COLUMNS);
+    this.statements = {
+      getTransaction: this.db.prepare('SELECT data FROM transactions WHERE id = ?'),
+      getTransactionBySignature: this.db.prepare('SELECT data FROM transactions WHERE signature = ? LIMIT 1'),
+      hasTransaction: this.db.prepare('SELECT 1 FROM transactions WHERE id = ?'),
+      putTransaction: this.db.prepare(
+        `INSERT OR REPLACE INTO transactions (id, signature, data, ${columns.join(', ')}) VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')})`
+      ),
+      countTransactions: this.db.prepare('SELECT COUNT(*) AS count FROM transactions'),
+      deleteTransaction: this.db.prepare('DELETE FROM transactions WHERE id = ?'),
+      deleteAddresses: this.db.prepare('DELETE FROM transaction_addresses WHERE id = ?'),
+      putAddress: this.db.prepare('INSERT OR IGNORE INTO transaction_addresses (address, role, id) VALUES (?, ?, ?)'),
+      getMetadata: this.db.prepare('SELECT value FROM metadata WHERE key = ?'),
+      putMetadata: this.db.prepare('INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)'),
+      deleteMetadata: this.db.prepare('DELETE FROM metadata WHERE key = ?'),
+      createMetadata: this.db.prepare("INSERT OR IGNORE INTO metadata (key, value) VALUES (?, '{}')"),
+      incrementMetadata: this.db.prepare(
+        'UPDATE metadata SET value = json_set(value, ?, COALESCE(json_extract(value, ?), 0) + ?) WHERE key = ?'
+      ),
+      setMetadataField: this.db.prepare('UPDATE metadata SET value = json_set(value, ?, json(?)) WHERE key = ?'),
+      listMetadata: this.db.prepare('SELECT key FROM metadata ORDER BY key'),
+      appendAuditEntry: this.db.prepare(
+        'INSERT INTO audit_log (id, timestamp, action, channel, actor_id, data) VALUES (?, ?, ?, ?, ?, ?)'
+      )
+    };
+
+    const { count } = this.statements.countTransactions.get();
+    console.log(`Opened SQLite storage at ${this.filePath} (${count} transactions)`);
+  }
+
+  // Create tables and indexes, and upgrade files written by older versions
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version >= SCHEMA_VERSION) {
+      return;
+    }
+
+    console.log(`Migrating SQLite storage from schema ${version} to ${SCHEMA_VERSION}...`);
+
+    // Schema 2 and older keyed transactions by signature alone. The rows are copied
+    // into a table keyed by record id, and the columns and addresses refilled below
+    const legacy = this.db.pragma('table_info(transactions)').map(column => column.name);
+    const rebuild = legacy.length > 0 && !legacy.includes('id');
+    if (rebuild) {
+      this.db.exec(`
+        ALTER TABLE transactions RENAME TO transactions_legacy;
+        DROP TABLE IF EXISTS transaction_addresses;
+      `);
+    }
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        id TEXT PRIMARY KEY,
+        signature TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS metadata (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+      CREATE TABLE IF NOT EXISTS transaction_addresses (
+        address TEXT NOT NULL,
+        role TEXT NOT NULL,
+        id TEXT NOT NULL,
+        PRIMARY KEY (address, role, id)
+      );
+      CREATE TABLE IF NOT EXISTS audit_log (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        action TEXT NOT NULL,
+        channel TEXT,
+        actor_id TEXT,
+        data TEXT NOT NULL
+      );
+    `);
+
+    if (rebuild) {
+      this.db.exec(`
+        INSERT INTO transactions (id, signature, data) SELECT signature, signature, data FROM transactions_legacy;
+        DROP TABLE transactions_legacy;
+      `);
+    }
+
+    // New and rebuilt tables only have the id, signature and data columns
+    const existing = new Set(this.db.pragma('table_info(transactions)').map(column => column.name));
+    const added = [];
+    for (const [column, type] of Object.entries(COLUMNS)) {
+      if (!existing.has(column)) {
+        this.db.exec(`ALTER TABLE transactions ADD COLUMN ${column} ${type}`);
+        added.push(column);
+      }
+    }
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_transactions_block_time ON transactions (blockTime);
+      CREATE INDEX IF NOT EXISTS idx_transactions_sender ON transactions (sender, blockTime);
+      CREATE INDEX IF NOT EXISTS idx_transactions_receiver ON transactions (receiver, blockTime);
+      CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions (type, blockTime);
+      CREATE INDEX IF NOT EXISTS idx_transactions_slot ON transactions (slot, signature);
+      CREATE INDEX IF NOT EXISTS idx_transactions_signature ON transactions (signature, wallet);
+      CREATE INDEX IF NOT EXISTS idx_transactions_wallet ON transactions (wallet, blockTime);
+      CREATE INDEX IF NOT EXISTS idx_transactions_token_mint ON transactions (tokenMint, blockTime);
+      CREATE INDEX IF NOT EXISTS idx_transaction_addresses_id ON transaction_addresses (id);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action, timestamp);
+    `);
+
+    // Fill the new columns and the address table from the stored documents
+    if (added.length > 0) {
+      const rows = this.db.prepare('SELECT id, data FROM transactions').all();
+      const update = this.db.prepare(
+        `UPDATE transactions SET ${added.map(column => `${column} = ?`).join(', ')} WHERE id = ?`
+      );
+      const putAddress = this.db.prepare('INSERT OR IGNORE INTO transaction_addresses (address, role, id) VALUES (?, ?, ?)');
+
+      this.db.transaction(() => {
+        for (const row of rows) {
+          const tx = JSON.parse(row.data);
+          update.run(...added.map(column => (tx[column] === undefined ? null : tx[column])), row.id);
+          for (const { address, role } of getTransactionAddresses(tx)) {
+            putAddress.run(address, role, row.id);
+          }
+        }
+      })();
+
+      console.log(`Indexed ${rows.length} existing transactions`);
+    }
+
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }
+
+  async getTransaction(signature, wallet = null) {
+    const row = wallet
+      ? this.statements.getTransaction.get(getTransactionKey({ signature, wallet }))
+      : this.statements.getTransactionBySignature.get(signature);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async putTransactions(transactions) {
+    let inserted = 0;
+    const putMany = this.db.transaction(txs => {
+      for (const tx of txs) {
+        const id = getTransactionKey(tx);
+        if (!this.statements.hasTransaction.get(id)) {
+          inserted++;
+        }
+        const doc = JSON.parse(JSON.stringify(tx));
+        this.statements.putTransaction.run(id, tx.signature, JSON.stringify(doc), ...getColumnValues(doc));
+
+        this.statements.deleteAddresses.run(id);
+        for (const { address, role } of getTransactionAddresses(doc)) {
+          this.statements.putAddress.run(address, role, id);
+        }
+      }
+    });
+
+    putMany(transactions);
+    return inserted;
+  }
+
+  // Run a query, filtering and paging in SQL as far as the query allows
+  selectTransactions(query = {}, options = {}) {
+    const where = buildWhere(query);
+    const params = [...where.params];
+    const hasResidual = Object.keys(where.residual).length > 0;
+    const orderBy = buildOrderBy(options.sort);
+
+    let sql = 'SELECT data FROM transactions';
+    if (where.sql) {
+      sql += ` WHERE ${where.sql}`;
+    }
+    if (orderBy) {
+      sql += ` ${orderBy}`;
+    }
+
+    // Paging can only happen in SQL when SQL does all the filtering and sorting
+    if (!hasResidual && orderBy !== null && (options.limit || options.skip)) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(options.limit || -1, options.skip || 0);
+      return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+    }
+
+    let docs = this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+    if (hasResidual) {
+      docs = docs.filter(doc => matchesQuery(doc, where.residual));
+    }
+    if (orderBy === null) {
+      docs = sortDocuments(docs, options.sort);
+    }
+    return applyQuery(docs, {}, { skip: options.skip, limit: options.limit });
+  }
+
+  async queryTransactions(query = {}, options = {}) {
+    return this.selectTransactions(query, options);
+  }
+
+  async countTransactions(query = {}) {
+    const where = buildWhere(query);
+    if (Object.keys(where.residual).length > 0) {
+      return this.selectTransactions(query).length;
+    }
+
+    const sql = `SELECT COUNT(*) AS count FROM transactions${where.sql ? ` WHERE ${where.sql}` : ''}`;
+    return this.db.prepare(sql).get(...where.params).count;
+  }
+
+  async sumTransactions(query = {}, field = 'amount') {
+    const where = buildWhere(query);
+    if (!COLUMNS[field] || Object.keys(where.residual).length > 0) {
+      return super.sumTransactions(query, field);
+    }
+
+    const sql = `SELECT SUM(${field}) AS total FROM transactions${where.sql ? ` WHERE ${where.sql}` : ''}`;
+    return this.db.prepare(sql).get(...where.params).total || 0;
+  }
+
+  // Aggregate in SQL instead of loading every document
+  async getTransactionStats(query = {}) {
+    const where = buildWhere(query);
+    if (Object.keys(where.residual).length > 0) {
+      return super.getTransactionStats(query);
+    }
+
+    const filter = where.sql ? ` WHERE ${where.sql}` : '';
+    const stats = {
+      totalTransactions: this.db.prepare(`SELECT COUNT(*) AS count FROM transactions${filter}`).get(...where.params).count,
+      transactionsByType: {},
+      transactionsByToken: {},
+      totalAmountByToken: {},
+      transactionsByWallet: {}
+    };
+
+    for (const row of this.db.prepare(`SELECT type, COUNT(*) AS count FROM transactions${filter} GROUP BY type`).all(...where.params)) {
+      stats.transactionsByType[row.type] = row.count;
+    }
+
+    for (const row of this.db.prepare(`SELECT token, COUNT(*) AS count, SUM(amount) AS amount FROM transactions${filter} GROUP BY token`).all(...where.params)) {
+      stats.transactionsByToken[row.token] = row.count;
+      if (row.amount) {
+        stats.totalAmountByToken[row.token] = row.amount;
+      }
+    }
+
+    const walletRows = this.db.prepare(`
+      SELECT address, role, COUNT(*) AS count
+      FROM transaction_addresses
+      WHERE role IN ('sender', 'receiver')${where.sql ? ` AND id IN (SELECT id FROM transactions WHERE ${where.sql})` : ''}
+      GROUP BY address, role
+    `).all(...where.params);
+
+    for (const row of walletRows) {
+      const wallet = stats.transactionsByWallet[row.address] || { sent: 0, received: 0, total: 0 };
+      wallet[row.role === 'sender' ? 'sent' : 'received'] += row.count;
+      wallet.total += row.count;
+      stats.transactionsByWallet[row.address] = wallet;
+    }
+
+    return stats;
+  }
+
+  async deleteTransactions(query = {}) {
+    const matches = this.selectTransactions(query);
+    const deleteMany = this.db.transaction(txs => {
+      for (const tx of txs) {
+        this.statements.deleteTransaction.run(getTransactionKey(tx));
+        this.statements.deleteAddresses.run(getTransactionKey(tx));
+      }
+    });
+
+    deleteMany(matches);
+    return matches.length;
+  }
+
+  async getMetadata(key) {
+    const row = this.statements.getMetadata.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async putMetadata(key, value) {
+    this.statements.putMetadata.run(key, JSON.stringify(value));
+  }
+
+  // BEGIN IMMEDIATE takes the write lock before reading, so other processes wait for this update
+  async updateMetadata(key, update) {
+    return this.db.transaction(() => {
+      const row = this.statements.getMetadata.get(key);
+      const value = update(row ? JSON.parse(row.value) : null);
+      this.statements.putMetadata.run(key, JSON.stringify(value));
+      return value;
+    }).immediate();
+  }
+
+  // Each amount is added by an UPDATE on the stored JSON, in one transaction
+  async incrementMetadata(key, increments, fields = {}) {
+    this.db.transaction(() => {
+      this.statements.createMetadata.run(key);
+      for (const [path, amount] of getIncrementPaths(increments)) {
+        const jsonPath = toJsonPath(path);
+        this.statements.incrementMetadata.run(jsonPath, jsonPath, amount, key);
+      }
+      for (const [field, value] of Object.entries(fields)) {
+        this.statements.setMetadataField.run(toJsonPath([field]), JSON.stringify(value), key);
+      }
+    }).immediate();
+  }
+
+  async deleteMetadata(key) {
+    this.statements.deleteMetadata.run(key);
+  }
+
+  async listMetadata() {
+    return this.statements.listMetadata.all().map(row => row.key);
+  }
+
+  async appendAuditEntry(entry) {
+    const doc = JSON.parse(JSON.stringify(entry));
+    this.statements.appendAuditEntry.run(
+      doc.id, doc.timestamp, doc.action, doc.channel || null, doc.actor ? String(doc.actor.id) : null, JSON.stringify(doc)
+    );
+  }
+
+  async queryAuditLog(filter = {}, options = {}) {
+    const clauses = [];
+    const params = [];
+    if (filter.action) { clauses.push('action = ?'); params.push(filter.action); }
+    if (filter.channel) { clauses.push('channel = ?'); params.push(filter.channel); }
+    if (filter.actorId) { clauses.push('actor_id = ?'); params.push(String(filter.actorId)); }
+    if (filter.since) { clauses.push('timestamp >= ?'); params.push(filter.since); }
+    if (filter.until) { clauses.push('timestamp <= ?'); params.push(filter.until); }
+
+    const where = clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+    const sql = `SELECT data FROM audit_log${where} ORDER BY timestamp DESC, seq DESC LIMIT ? OFFSET ?`;
+    params.push(options.limit || -1, options.skip || 0);
+    return this.db.prepare(sql).all(...params).map(row => JSON.parse(row.data));
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
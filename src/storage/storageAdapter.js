@@ -0,0 +1,149 @@
+// Base class for storage adapters
+// Every backend stores transactions (keyed by signature and wallet), metadata values,
+// named cursors and the audit log, so the API, services, collector and bot share the same data
+const { getField, getTransactionAddresses } = require('./query');
+
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Prepare the backend (open files, connect, create tables)
+  async init() {
+    throw new Error(`${this.name} storage does not implement init()`);
+  }
+
+  // Get one transaction by signature, or null
+  // With a wallet, the record classified for that wallet, otherwise any record of the signature
+  async getTransaction(signature, wallet = null) {
+    throw new Error(`${this.name} storage does not implement getTransaction()`);
+  }
+
+  // Insert or replace transactions by signature and wallet, returns how many were new
+  async putTransactions(transactions) {
+    throw new Error(`${this.name} storage does not implement putTransactions()`);
+  }
+
+  // Query transactions with a MongoDB-style filter and { sort, skip, limit }
+  async queryTransactions(query = {}, options = {}) {
+    throw new Error(`${this.name} storage does not implement queryTransactions()`);
+  }
+
+  // Count transactions matching a filter
+  async countTransactions(query = {}) {
+    const matches = await this.queryTransactions(query);
+    return matches.length;
+  }
+
+  // Query transactions that involve an address (sender, receiver or payout leg)
+  async queryByAddress(address, query = {}, options = {}) {
+    return this.queryTransactions({ ...query, $address: address }, options);
+  }
+
+  // Sum a numeric field over the transactions matching a filter
+  async sumTransactions(query = {}, field = 'amount') {
+    const matches = await this.queryTransactions(query);
+    return matches.reduce((sum, tx) => {
+      const value = getField(tx, field);
+      return typeof value === 'number' ? sum + value : sum;
+    }, 0);
+  }
+
+  // Totals by type, token and wallet across the transactions matching a filter
+  async getTransactionStats(query = {}) {
+    const stats = {
+      totalTransactions: 0,
+      transactionsByType: {},
+      transactionsByToken: {},
+      totalAmountByToken: {},
+      transactionsByWallet: {}
+    };
+
+    const countWallet = (address, direction) => {
+      const wallet = stats.transactionsByWallet[address] || { sent: 0, received: 0, total: 0 };
+      wallet[direction]++;
+      wallet.total++;
+      stats.transactionsByWallet[address] = wallet;
+    };
+
+    for (const tx of await this.queryTransactions(query)) {
+      stats.totalTransactions++;
+      stats.transactionsByType[tx.type] = (stats.transactionsByType[tx.type] || 0) + 1;
+      stats.transactionsByToken[tx.token] = (stats.transactionsByToken[tx.token] || 0) + 1;
+      if (tx.amount) {
+        stats.totalAmountByToken[tx.token] = (stats.totalAmountByToken[tx.token] || 0) + tx.amount;
+      }
+
+      for (const { address, role } of getTransactionAddresses(tx)) {
+        if (role === 'sender') countWallet(address, 'sent');
+        if (role === 'receiver') countWallet(address, 'received');
+      }
+    }
+
+    return stats;
+  }
+
+  // Delete transactions matching a filter, returns how many were deleted
+  async deleteTransactions(query = {}) {
+    throw new Error(`${this.name} storage does not implement deleteTransactions()`);
+  }
+
+  // Get a metadata value, or null
+  async getMetadata(key) {
+    throw new Error(`${this.name} storage does not implement getMetadata()`);
+  }
+
+  // Set a metadata value
+  async putMetadata(key, value) {
+    throw new Error(`${this.name} storage does not implement putMetadata()`);
+  }
+
+  // Replace a metadata value with update(current value or null) and return the new value
+  // Every backend does this atomically across processes, so update must be synchronous
+  // and may be called again with a fresher value
+  async updateMetadata(key, update) {
+    throw new Error(`${this.name} storage does not implement updateMetadata()`);
+  }
+
+  // Add numbers into a metadata value as one atomic update, creating the value and missing fields
+  // increments is a nested object of amounts, fields are top-level fields to set alongside
+  async incrementMetadata(key, increments, fields = {}) {
+    throw new Error(`${this.name} storage does not implement incrementMetadata()`);
+  }
+
+  // Delete a metadata value
+  async deleteMetadata(key) {
+    throw new Error(`${this.name} storage does not implement deleteMetadata()`);
+  }
+
+  // List metadata keys
+  async listMetadata() {
+    throw new Error(`${this.name} storage does not implement listMetadata()`);
+  }
+
+  // Get a named cursor (e.g. the last processed signature of a job), or null
+  async getCursor(name) {
+    return this.getMetadata(`cursor:${name}`);
+  }
+
+  // Save a named cursor
+  async putCursor(name, value) {
+    return this.putMetadata(`cursor:${name}`, value);
+  }
+
+  // Append an entry to the audit log, entries are never changed or removed
+  async appendAuditEntry(entry) {
+    throw new Error(`${this.name} storage does not implement appendAuditEntry()`);
+  }
+
+  // Audit entries, newest first
+  // Filter: action, channel, actorId, since and until (ISO timestamps); options: skip, limit
+  async queryAuditLog(filter = {}, options = {}) {
+    throw new Error(`${this.name} storage does not implement queryAuditLog()`);
+  }
+
+  // Close connections and flush pending writes
+  async close() {}
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,149 @@
+// Helpers for decoding balance changes out of jsonParsed transaction metadata
+
+// Convert a raw integer token amount (as BigInt) to a decimal number
+function rawToAmount(raw, decimals) {
+  const negative = raw < 0n;
+  const abs = negative ? -raw : raw;
+  const divisor = 10n ** BigInt(decimals);
+  const whole = abs / divisor;
+  const fraction = abs % divisor;
+
+  const fractionText = decimals > 0 ? '.' + fraction.toString().padStart(decimals, '0') : '';
+  const amount = parseFloat(`${whole}${fractionText}`);
+
+  return negative ? -amount : amount;
+}
+
+// Sum token balances by mint and owner
+function sumTokenBalances(tokenBalances, accountKeys) {
+  const totals = new Map();
+
+  for (const balance of tokenBalances || []) {
+    if (!balance || !balance.mint || !balance.uiTokenAmount) {
+      continue;
+    }
+
+    // Older RPC responses omit the owner, fall back to the token account itself
+    const accountKey = accountKeys && accountKeys[balance.accountIndex];
+    const owner = balance.owner || (accountKey && (accountKey.pubkey || accountKey)) || null;
+    const key = `${balance.mint}:${owner}`;
+
+    const entry = totals.get(key) || {
+      mint: balance.mint,
+      owner,
+      decimals: balance.uiTokenAmount.decimals || 0,
+      raw: 0n
+    };
+    entry.raw += BigInt(balance.uiTokenAmount.amount || '0');
+    totals.set(key, entry);
+  }
+
+  return totals;
+}
+
+// Get per-mint, per-owner token balance changes for a transaction
+// Returns entries like { mint, owner, decimals, rawAmount, amount } where
+// rawAmount is the signed integer change as a string and amount has decimals applied
+function getTokenBalanceChanges(txData) {
+  if (!txData || !txData.meta) {
+    return [];
+  }
+
+  const accountKeys = txData.transaction && txData.transaction.message
+    ? txData.transaction.message.accountKeys
+    : [];
+
+  const pre = sumTokenBalances(txData.meta.preTokenBalances, accountKeys);
+  const post = sumTokenBalances(txData.meta.postTokenBalances, accountKeys);
+  const keys = new Set([...pre.keys(), ...post.keys()]);
+
+  const changes = [];
+  for (const key of keys) {
+    const before = pre.get(key);
+    const after = post.get(key);
+    const diff = (after ? after.raw : 0n) - (before ? before.raw : 0n);
+
+    if (diff === 0n) {
+      continue;
+    }
+
+    const reference = after || before;
+    changes.push({
+      mint: reference.mint,
+      owner: reference.owner,
+      decimals: reference.decimals,
+      rawAmount: diff.toString(),
+      amount: rawToAmount(diff, reference.decimals)
+    });
+  }
+
+  return changes;
+}
+
+// Get the address behind an entry of message.accountKeys
+function getAccountAddress(accountKey) {
+  return accountKey && (accountKey.pubkey || accountKey);
+}
+
+// Get the fee payer of a transaction (always the first account key)
+function getFeePayer(txData) {
+  const accountKeys = txData && txData.transaction && txData.transaction.message
+    ? txData.transaction.message.accountKeys
+    : [];
+
+  return accountKeys && accountKeys.length > 0 ? getAccountAddress(accountKeys[0]) : null;
+}
+
+// Get per-account lamport changes for a transaction
+// Returns entries like { address, lamports } for every account whose balance moved
+function getSolBalanceChanges(txData) {
+  if (!txData || !txData.meta || !txData.transaction || !txData.transaction.message) {
+    return [];
+  }
+
+  const { preBalances, postBalances } = txData.meta;
+  const accountKeys = txData.transaction.message.accountKeys;
+  if (!preBalances || !postBalances || !accountKeys) {
+    return [];
+  }
+
+  const changes = [];
+  accountKeys.forEach((accountKey, i) => {
+    const lamports = (postBalances[i] || 0) - (preBalances[i] || 0);
+    if (lamports !== 0) {
+      changes.push({ address: getAccountAddress(accountKey), lamports });
+    }
+  });
+
+  return changes;
+}
+
+// Get the amount a given address received in a stored transaction
+// Falls back to the whole amount for records stored before legs were decoded
+function getAmountReceivedBy(tx, address) {
+  if (tx.legs && tx.legs.length > 0) {
+    return tx.legs
+      .filter(leg => leg.address === address)
+      .reduce((sum, leg) => sum + (leg.amount || 0), 0);
+  }
+
+  return tx.receiver === address ? (tx.amount || 0) : 0;
+}
+
+// Check whether an address is one of the recipients of a stored transaction
+function isRecipient(tx, address) {
+  if (tx.legs && tx.legs.length > 0) {
+    return tx.legs.some(leg => leg.address === address);
+  }
+
+  return tx.receiver === address;
+}
+
+module.exports = {
+  rawToAmount,
+  getTokenBalanceChanges,
+  getSolBalanceChanges,
+  getFeePayer,
+  getAmountReceivedBy,
+  isRecipient
+};
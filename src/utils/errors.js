@@ -0,0 +1,27 @@
+// Errors services throw when they refuse a request
+// Services don't depend on the HTTP layer: reason names the refusal, and src/api/errors.js
+// maps each reason to a code of its error catalog
+const REJECTIONS = {
+  INVALID_ADDRESS: 'invalid-address',
+  INVALID_ROLE: 'invalid-role',
+  PROTECTED_WALLET: 'protected-wallet',
+  KEY_INVALID: 'key-invalid',
+  KEY_EXPIRED: 'key-expired',
+  KEY_SCOPE: 'key-scope',
+  KEY_QUOTA: 'key-quota'
+};
+
+class RejectedError extends Error {
+  constructor(reason, message, options = {}) {
+    super(message);
+    this.name = 'RejectedError';
+    this.reason = reason;
+    this.details = options.details || null;
+    this.retryAfter = options.retryAfter || null; // seconds
+  }
+}
+
+module.exports = {
+  REJECTIONS,
+  RejectedError
+};
@@ -0,0 +1,136 @@
+// Cursor pagination for transaction listings
+// Pages are ordered by slot, then signature, then wallet, so the order is stable even when
+// many transactions share a slot or one signature is stored for several tracked wallets.
+// Records without a wallet come last, like missing values in the storage sorts. The cursor
+// is an opaque string holding the position of the last item on the previous page
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const ORDERS = ['desc', 'asc'];
+
+// Encode a page position as an opaque cursor
+function encodeCursor(tx) {
+  return Buffer.from(JSON.stringify([tx.slot || 0, tx.signature, tx.wallet || null])).toString('base64url');
+}
+
+// Decode a cursor back into { slot, signature, wallet }, throws when it is malformed
+// Cursors from before wallets were added decode with a null wallet
+function decodeCursor(cursor) {
+  try {
+    const [slot, signature, wallet = null] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof slot !== 'number' || typeof signature !== 'string' || (wallet !== null && typeof wallet !== 'string')) {
+      throw new Error('bad cursor contents');
+    }
+    return { slot, signature, wallet };
+  } catch (error) {
+    throw new Error('Invalid cursor. Pass the nextCursor value from a previous page');
+  }
+}
+
+// Read limit, cursor and order from request query parameters
+// Throws with a readable message when one is invalid
+function parsePaginationParams(params = {}, defaults = {}) {
+  const defaultLimit = defaults.limit || DEFAULT_LIMIT;
+  const limit = params.limit === undefined ? defaultLimit : parseInt(params.limit, 10);
+  if (isNaN(limit) || limit < 1) {
+    throw new Error('Invalid limit. Use a positive number');
+  }
+
+  const order = (params.order || defaults.order || 'desc').toLowerCase();
+  if (!ORDERS.includes(order)) {
+    throw new Error(`Invalid order: ${params.order}. Use one of: ${ORDERS.join(', ')}`);
+  }
+
+  return {
+    limit: Math.min(limit, MAX_LIMIT),
+    order,
+    cursor: params.cursor ? decodeCursor(params.cursor) : null
+  };
+}
+
+// Sort spec for an order
+function getSort(order) {
+  const direction = order === 'asc' ? 1 : -1;
+  return { slot: direction, signature: direction, wallet: direction };
+}
+
+// Filter for the items after a cursor in the given order
+function getCursorFilter(cursor, order) {
+  const operator = order === 'asc' ? '$gt' : '$lt';
+  const branches = [
+    { slot: { [operator]: cursor.slot } },
+    { slot: cursor.slot, signature: { [operator]: cursor.signature } }
+  ];
+  // Nothing sorts after a record without a wallet in its own signature
+  if (cursor.wallet) {
+    branches.push({
+      slot: cursor.slot,
+      signature: cursor.signature,
+      $or: [{ wallet: { [operator]: cursor.wallet } }, { wallet: null }, { wallet: { $exists: false } }]
+    });
+  }
+  return { $or: branches };
+}
+
+// Build the page result from up to limit + 1 fetched items
+function buildPage(items, pagination) {
+  const hasMore = items.length > pagination.limit;
+  const pageItems = hasMore ? items.slice(0, pagination.limit) : items;
+
+  return {
+    items: pageItems,
+    limit: pagination.limit,
+    order: pagination.order,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1]) : null
+  };
+}
+
+// Fetch one page of a Transaction query
+async function paginateQuery(query, pagination) {
+  if (pagination.cursor) {
+    query.where('$and', [...(query.filter.$and || []), getCursorFilter(pagination.cursor, pagination.order)]);
+  }
+
+  const items = await query
+    .sort(getSort(pagination.order))
+    .skip(0)
+    .limit(pagination.limit + 1)
+    .exec();
+
+  return buildPage(items, pagination);
+}
+
+// Fetch one page of an in-memory list of transactions
+function paginateArray(items, pagination) {
+  const direction = pagination.order === 'asc' ? 1 : -1;
+  const compare = (a, b) => {
+    const slotDiff = (a.slot || 0) - (b.slot || 0);
+    if (slotDiff !== 0) return slotDiff * direction;
+    if (a.signature !== b.signature) return (a.signature < b.signature ? -1 : 1) * direction;
+    const left = a.wallet || null;
+    const right = b.wallet || null;
+    if (left === right) return 0;
+    if (left === null) return 1;
+    if (right === null) return -1;
+    return (left < right ? -1 : 1) * direction;
+  };
+
+  let sorted = [...items].sort(compare);
+  if (pagination.cursor) {
+    const position = { slot: pagination.cursor.slot, signature: pagination.cursor.signature, wallet: pagination.cursor.wallet };
+    sorted = sorted.filter(item => compare(item, position) > 0);
+  }
+
+  return buildPage(sorted.slice(0, pagination.limit + 1), pagination);
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePaginationParams,
+  paginateQuery,
+  paginateArray
+};
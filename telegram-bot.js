@@ -55,6 +55,20 @@ function formatSol(lamports) {
   });
 }
 
+// Read an API response: the data of a success, or throw the API error
+// Thrown errors carry the API's error code (e.g. TIMEOUT, API_SHUTDOWN) and HTTP status
+async function readResponse(response) {
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body || !body.success) {
+    const apiError = (body && body.error) || {};
+    const error = new Error(`API error: ${apiError.message || `${response.status} ${response.statusText}`}`);
+    error.code = apiError.code || null;
+    error.status = response.status;
+    throw error;
+  }
+  return body.data;
+}
+
 // Helper function to fetch data from API
 async function fetchFromAPI(endpoint) {
   try {
@@ -69,10 +83,7 @@ async function fetchFromAPI(endpoint) {
     }
     
     const response = await fetch(`${API_BASE_URL}${endpoint}`, { headers });
-    if (!response.ok) {
-      throw new Error(`API returned ${response.status}: ${response.statusText}`);
-    }
-    return await response.json();
+    return await readResponse(response);
   } catch (error) {
     console.error(`Error fetching from ${endpoint}:`, error);
     throw error;
@@ -93,16 +104,14 @@ async function fetchStats() {
     }
     
     const response = await fetch(`${API_BASE_URL}/api/stats?limit=50`, { headers });
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`API error: ${errorData.error?.message || 'Unknown error'}`);
-    }
-    return await response.json();
+    return await readResponse(response);
   } catch (error) {
     console.error('Error fetching stats:', error.message);
     // Add more detailed error information
-    if (error.message.includes('timeout') || error.message.includes('15s limit')) {
-      throw new Error('The API is currently experiencing high load. Please try again later or use commands that don\'t require full statistics.');
+    if (error.code === 'TIMEOUT') {
+      const loadError = new Error('The API is currently experiencing high load. Please try again later or use commands that don\'t require full statistics.');
+      loadError.code = error.code;
+      throw loadError;
     }
     throw error;
   }
@@ -122,11 +131,7 @@ async function fetchBalance() {
     }
     
     const response = await fetch(`${API_BASE_URL}/api/stats?limit=50`, { headers });
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`API error: ${errorData.error?.message || 'Unknown error'}`);
-    }
-    const data = await response.json();
+    const data = await readResponse(response);
     return data.stats.currentSolBalance;
   } catch (error) {
     console.error('Error fetching balance:', error.message);
@@ -138,11 +143,7 @@ async function fetchBalance() {
 async function fetchDistributed() {
   try {
     const response = await fetch(`${API_BASE_URL}/api/stats?limit=50`);
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`API error: ${errorData.error?.message || 'Unknown error'}`);
-    }
-    const data = await response.json();
+    const data = await readResponse(response);
     return data.stats.totalSolDistributed;
   } catch (error) {
     console.error('Error fetching distributed amount:', error.message);
@@ -154,11 +155,7 @@ async function fetchDistributed() {
 async function fetchTransactionCount() {
   try {
     const response = await fetch(`${API_BASE_URL}/api/stats?limit=50`);
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`API error: ${errorData.error?.message || 'Unknown error'}`);
-    }
-    const data = await response.json();
+    const data = await readResponse(response);
     return data.stats.totalTransactions;
   } catch (error) {
     console.error('Error fetching transaction count:', error.message);
@@ -180,11 +177,7 @@ async function fetchWalletData(walletAddress) {
     }
     
     const response = await fetch(`${API_BASE_URL}/api/wallet?address=${walletAddress}&limit=50`, { headers });
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`API error: ${errorData.error?.message || 'Unknown error'}`);
-    }
-    return await response.json();
+    return await readResponse(response);
   } catch (error) {
     console.error('Error fetching wallet data:', error.message);
     throw error;
@@ -240,10 +233,6 @@ bot.onText(/\/stats/, async (msg) => {
     
     const data = await fetchStats();
     
-    if (!data.success) {
-      throw new Error(data.error?.message || 'Unknown error');
-    }
-    
     const stats = data.stats;
     const counts = data.transactionCounts;
     
@@ -269,8 +258,10 @@ bot.onText(/\/stats/, async (msg) => {
     let errorMessage = '❌ Error fetching statistics. Please try again later.';
     
     // Provide more helpful message for timeout errors
-    if (error.message.includes('high load') || error.message.includes('timeout') || error.message.includes('15s limit')) {
+    if (error.code === 'TIMEOUT') {
       errorMessage = '⏱️ *API Timeout Error*\n\nThe API is currently experiencing high load and reached the timeout limit. You can:\n\n• Try again later\n• Use simpler commands like /balance\n• Check the Solscan link directly';
+    } else if (error.code === 'API_SHUTDOWN') {
+      errorMessage = '🛠️ *Maintenance*\n\nThe API is in maintenance mode. Please try again later.';
     }
     
     bot.sendMessage(chatId, errorMessage, { parse_mode: 'Markdown' });
@@ -288,13 +279,7 @@ bot.onText(/\/balance(?:\s+([a-zA-Z0-9]{32,44}))?/, async (msg, match) => {
     if (walletAddress) {
       // Fetch data for the specified wallet
       try {
-        const walletData = await fetchWalletData(walletAddress);
-        
-        if (!walletData.success) {
-          throw new Error(walletData.error?.message || 'Unknown error');
-        }
-        
-        const data = walletData.data;
+        const data = await fetchWalletData(walletAddress);
         const message = 
           `💼 *WALLET DETAILS: CUSTOM SEARCH*\n\n` +
           `🔍 *Searched Address*\n` +
@@ -333,10 +318,6 @@ bot.onText(/\/balance(?:\s+([a-zA-Z0-9]{32,44}))?/, async (msg, match) => {
       // Fetch default stats (distribution wallet)
       const statsData = await fetchStats();
       
-      if (!statsData.success) {
-        throw new Error(statsData.error?.message || 'Unknown error');
-      }
-      
       const stats = statsData.stats;
       const message = 
         `💼 *WALLET BALANCE SUMMARY*\n\n` +
@@ -373,10 +354,6 @@ bot.onText(/\/distributed/, async (msg) => {
     
     const statsData = await fetchStats();
     
-    if (!statsData.success) {
-      throw new Error(statsData.error?.message || 'Unknown error');
-    }
-    
     const stats = statsData.stats;
     const counts = statsData.transactionCounts;
     
@@ -411,10 +388,6 @@ bot.onText(/\/transactions/, async (msg) => {
     
     const statsData = await fetchStats();
     
-    if (!statsData.success) {
-      throw new Error(statsData.error?.message || 'Unknown error');
-    }
-    
     const stats = statsData.stats;
     const counts = statsData.transactionCounts;
     
@@ -465,42 +438,35 @@ bot.onText(/\/refresh/, async (msg) => {
       headers['X-API-Key'] = apiKey;
     }
     
-    // Call the force-refresh endpoint with a limit parameter
-    const response = await fetch(`${API_BASE_URL}/api/force-refresh?limit=50`, { headers });
+    // Start a refresh job, state-changing admin endpoints only accept POST
+    // The API records the refresh in its audit log as this Telegram user
+    headers['Content-Type'] = 'application/json';
+    headers['X-Audit-Actor'] = `telegram:${msg.from.id}`;
+    const response = await fetch(`${API_BASE_URL}/api/admin/refresh`, { method: 'POST', headers, body: '{}' });
     
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`API error: ${errorData.error?.message || 'Unknown error'}`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.success) {
-      throw new Error(data.error?.message || 'Unknown error');
-    }
+    const data = await readResponse(response);
     
     // Get updated stats after refresh
     let statsMessage = '';
     try {
       const statsData = await fetchStats();
-      if (statsData.success) {
-        const stats = statsData.stats;
-        const counts = statsData.transactionCounts;
-        statsMessage = `\n\n📊 *Updated Statistics*\n` +
-          `• 🧮 Total Transactions: ${stats.totalTransactions}\n` +
-          `• ↗️ Sent Transactions: ${counts.sentTransactions}\n` +
-          `• ↘️ Received Transactions: ${counts.receivedTransactions}\n` +
-          `• 💎 Current Balance: ${formatSol(stats.currentSolBalance)} SOL`;
-      }
+      const stats = statsData.stats;
+      const counts = statsData.transactionCounts;
+      statsMessage = `\n\n📊 *Updated Statistics*\n` +
+        `• 🧮 Total Transactions: ${stats.totalTransactions}\n` +
+        `• ↗️ Sent Transactions: ${counts.sentTransactions}\n` +
+        `• ↘️ Received Transactions: ${counts.receivedTransactions}\n` +
+        `• 💎 Current Balance: ${formatSol(stats.currentSolBalance)} SOL`;
     } catch (error) {
       console.error('Error fetching updated stats after refresh:', error);
-      statsMessage = '\n\n⚠️ *Note:* Could not fetch updated statistics due to API timeout. The refresh was still successful.';
+      statsMessage = '\n\n⚠️ *Note:* Could not fetch updated statistics due to API timeout. The refresh was still started.';
     }
     
-    const message = `✅ *Refresh Complete!*\n\n` +
-      `Successfully refreshed transaction data.\n` +
-      `• 🔄 Transactions processed: ${data.processedCount}\n` +
-      `• ⏱️ Processing time: ${data.processingTime}s${statsMessage}`;
+    // The refresh runs as a job, the stats below are from before it finishes
+    const message = `✅ *Refresh Started!*\n\n` +
+      `${data.message}.\n` +
+      (data.jobId ? `• 🧾 Job: \`${data.jobId}\`` : `• 🔄 Total transactions: ${data.totalTransactions}`) +
+      statsMessage;
     
     bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   } catch (error) {
@@ -508,8 +474,10 @@ bot.onText(/\/refresh/, async (msg) => {
     let errorMessage = '❌ Error refreshing data. Please try again later.';
     
     // Provide more helpful message for timeout errors
-    if (error.message.includes('high load') || error.message.includes('timeout') || error.message.includes('15s limit')) {
+    if (error.code === 'TIMEOUT') {
       errorMessage = '⏱️ *API Timeout Error*\n\nThe refresh operation timed out due to high server load. The API has a 15-second execution limit.\n\nYou can try again later when the server load is lower.';
+    } else if (error.code === 'API_SHUTDOWN') {
+      errorMessage = '🛠️ *Maintenance*\n\nThe API is in maintenance mode. Please try again later.';
     }
     
     bot.sendMessage(chatId, errorMessage, { parse_mode: 'Markdown' });
@@ -0,0 +1,108 @@
+// API key check (src/services/apiKeys)
+// Runs against a throwaway json store. Covers scopes, daily quotas and expiry, and that
+// buffered usage written after another process revoked a key doesn't bring the key back.
+// The other process is a second storage adapter on the same file. Exits with 1 when a
+// check fails
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-api-keys-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.STORAGE_PATH = path.join(storeDir, 'data.json');
+
+const apiKeys = require('./src/services/apiKeys');
+const { createStorage } = require('./src/storage');
+const { REJECTIONS } = require('./src/utils/errors');
+
+const { SCOPES } = apiKeys;
+
+// Another process's view of the same store, read from the file when it's opened
+async function otherProcess() {
+  const storage = createStorage();
+  await storage.init();
+  return storage;
+}
+
+async function testApiKeys() {
+  console.log('=== TESTING API KEYS ===');
+
+  let failures = 0;
+  const check = (name, ok, detail = '') => {
+    console.log(`${ok ? '✅' : '❌'} ${name}${detail ? `: ${detail}` : ''}`);
+    if (!ok) failures++;
+  };
+  const rejection = result => (result.error ? result.error.reason : 'allowed');
+
+  const stats = await apiKeys.createKey({ name: 'stats', scopes: [SCOPES.READ_STATS], dailyQuota: 2 });
+  const admin = await apiKeys.createKey({ name: 'admin', scopes: `${SCOPES.ADMIN_REFRESH},${SCOPES.READ_STATS}` });
+
+  // Scopes
+  check('key with the scope is allowed', rejection(await apiKeys.authenticate(admin.secret, SCOPES.ADMIN_REFRESH)) === 'allowed');
+  const missingScope = await apiKeys.authenticate(stats.secret, SCOPES.ADMIN_REFRESH);
+  check('key without the scope is refused', rejection(missingScope) === REJECTIONS.KEY_SCOPE, rejection(missingScope));
+  const unknown = await apiKeys.authenticate('dtk_not-a-key', SCOPES.READ_STATS);
+  check('unknown key is refused', rejection(unknown) === REJECTIONS.KEY_INVALID, rejection(unknown));
+
+  let invalidScope = false;
+  try {
+    await apiKeys.createKey({ name: 'bad', scopes: 'read-everything' });
+  } catch (error) {
+    invalidScope = true;
+  }
+  check('unknown scope is refused when issuing', invalidScope);
+
+  // Daily quota
+  const first = await apiKeys.authenticate(stats.secret, SCOPES.READ_STATS);
+  check('first request within quota', rejection(first) === 'allowed' && first.quota.remaining === 1, JSON.stringify(first.quota));
+  await apiKeys.authenticate(stats.secret, SCOPES.READ_STATS);
+  const overQuota = await apiKeys.authenticate(stats.secret, SCOPES.READ_STATS);
+  check('request over the daily quota is refused', rejection(overQuota) === REJECTIONS.KEY_QUOTA && overQuota.error.retryAfter > 0,
+    rejection(overQuota));
+
+  // Usage is counted across flushes
+  await apiKeys.flush();
+  const flushed = (await apiKeys.listKeys()).find(key => key.id === stats.key.id);
+  check('usage is written on flush', flushed.requestCount === 2 && flushed.requestsToday === 2,
+    `${flushed.requestCount} requests, ${flushed.requestsToday} today`);
+
+  // Expiry
+  const shortLived = await apiKeys.createKey({ name: 'short-lived', scopes: [SCOPES.READ_STATS], expiresInDays: 1 / 86400 });
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  const expired = await apiKeys.authenticate(shortLived.secret, SCOPES.READ_STATS);
+  check('expired key is refused', rejection(expired) === REJECTIONS.KEY_EXPIRED, rejection(expired));
+
+  // Revocation by another process while usage is buffered here
+  const reader = await apiKeys.createKey({ name: 'reader', scopes: [SCOPES.READ_WALLET] });
+  await apiKeys.authenticate(reader.secret, SCOPES.READ_WALLET);
+  // The update runs on the other process's copy first, then again on the file under the lock
+  await (await otherProcess()).updateMetadata('apiKeys', keys => {
+    const key = (keys || []).find(entry => entry.id === reader.key.id);
+    if (key) {
+      key.revokedAt = new Date().toISOString();
+    }
+    return keys;
+  });
+  await apiKeys.flush();
+
+  const stored = (await (await otherProcess()).getMetadata('apiKeys')).find(key => key.id === reader.key.id);
+  check('revocation survives a flush of older usage', Boolean(stored.revokedAt) && stored.requestCount === 1,
+    `revokedAt ${stored.revokedAt}, ${stored.requestCount} requests`);
+  await apiKeys.listKeys(); // reload the cache instead of waiting for it to expire
+  const revoked = await apiKeys.authenticate(reader.secret, SCOPES.READ_WALLET);
+  check('revoked key is refused', rejection(revoked) === REJECTIONS.KEY_INVALID, rejection(revoked));
+
+  const revokedHere = await apiKeys.revokeKey(stats.key.id);
+  check('revokeKey marks the key revoked', Boolean(revokedHere && revokedHere.revokedAt));
+  check('revokeKey returns null for an unknown key', (await apiKeys.revokeKey('key_missing')) === null);
+
+  fs.rmSync(storeDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\nAll API key checks passed' : `\n${failures} API key checks failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testApiKeys().catch(error => {
+  console.error('Error testing API keys:', error);
+  process.exit(1);
+});
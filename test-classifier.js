@@ -0,0 +1,170 @@
+// Transaction classifier check (src/services/transactionClassifier)
+// Classifies hand-built jsonParsed RPC and Helius enhanced transactions with the rules in
+// config/classification_rules.json and checks the type, amount and counterparties of each.
+// Exits with 1 when a check fails
+const WALLET = 'Wa11et1111111111111111111111111111111111111';
+const SENDER = 'Sender11111111111111111111111111111111111111';
+const RECIPIENT_1 = 'Recipient1111111111111111111111111111111111';
+const RECIPIENT_2 = 'Recipient2222222222222222222222222222222222';
+const TAX_CONTRACT = 'TaxContract11111111111111111111111111111111';
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const SWAP_PROGRAM = 'SwapProgram11111111111111111111111111111111';
+const MINT = 'Mint111111111111111111111111111111111111111';
+const OTHER_MINT = 'OtherMint11111111111111111111111111111111111';
+const FEE = 5000;
+
+process.env.DISTRIBUTION_WALLET_ADDRESS = WALLET;
+process.env.TAX_CONTRACT_ADDRESS = TAX_CONTRACT;
+process.env.TAX_TOKEN_MINT_ADDRESS = MINT;
+
+const { TRANSACTION_TYPES, classifyTransaction, reclassifyTransaction } = require('./src/services/transactionClassifier');
+
+// A jsonParsed RPC transaction, accounts are [address, lamports before, lamports after]
+// and the first account pays the fee
+function rpcTransaction(signature, accounts, options = {}) {
+  return {
+    slot: 1000,
+    blockTime: 1700000000,
+    meta: {
+      err: options.err || null,
+      fee: FEE,
+      preBalances: accounts.map(account => account[1]),
+      postBalances: accounts.map(account => account[2]),
+      preTokenBalances: options.preTokenBalances || [],
+      postTokenBalances: options.postTokenBalances || [],
+      innerInstructions: []
+    },
+    transaction: {
+      signatures: [signature],
+      message: {
+        accountKeys: accounts.map(account => ({ pubkey: account[0] })),
+        instructions: (options.programIds || [SYSTEM_PROGRAM]).map(programId => ({ programId }))
+          .concat(options.memo ? [{ program: 'spl-memo', programId: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr', parsed: options.memo }] : [])
+      }
+    }
+  };
+}
+
+function tokenBalance(accountIndex, mint, owner, amount) {
+  return { accountIndex, mint, owner, uiTokenAmount: { amount: String(amount), decimals: 6 } };
+}
+
+const CASES = [
+  {
+    name: 'SOL received',
+    tx: rpcTransaction('sol-received', [[SENDER, 10e9, 8e9 - FEE], [WALLET, 1e9, 3e9]]),
+    expect: { type: TRANSACTION_TYPES.RECEIVED, amount: 2, token: 'SOL', sender: SENDER, receiver: WALLET }
+  },
+  {
+    name: 'SOL received from the tax contract',
+    tx: rpcTransaction('tax-sender', [[TAX_CONTRACT, 10e9, 9e9 - FEE], [WALLET, 1e9, 2e9]]),
+    expect: { type: TRANSACTION_TYPES.TAX_COLLECTION, amount: 1, sender: TAX_CONTRACT, rule: 'tax-contract-sender' }
+  },
+  {
+    name: 'SOL received with a tax memo',
+    tx: rpcTransaction('tax-memo', [[SENDER, 10e9, 9e9 - FEE], [WALLET, 1e9, 2e9]], { memo: 'weekly tax payment' }),
+    expect: { type: TRANSACTION_TYPES.TAX_COLLECTION, amount: 1, rule: 'tax-memo' }
+  },
+  {
+    name: 'batched payout from the distribution wallet',
+    tx: rpcTransaction('payout', [[WALLET, 10e9, 7e9 - FEE], [RECIPIENT_2, 0, 1e9], [RECIPIENT_1, 0, 2e9], [SYSTEM_PROGRAM, 1, 1]]),
+    expect: { type: TRANSACTION_TYPES.DISTRIBUTION, amount: 3, sender: WALLET, receiver: RECIPIENT_1, legs: 2, rule: 'distribution-wallet-payouts' }
+  },
+  {
+    name: 'the same payout seen by a recipient',
+    wallet: RECIPIENT_1,
+    tx: rpcTransaction('payout', [[WALLET, 10e9, 7e9 - FEE], [RECIPIENT_2, 0, 1e9], [RECIPIENT_1, 0, 2e9], [SYSTEM_PROGRAM, 1, 1]]),
+    expect: { type: TRANSACTION_TYPES.RECEIVED, amount: 2, sender: WALLET, receiver: RECIPIENT_1, legs: 1 }
+  },
+  {
+    name: 'token received',
+    tx: rpcTransaction('token-received', [[SENDER, 1e9, 1e9 - FEE], [WALLET, 1e9, 1e9], ['SenderTokenAccount', 1, 1], ['WalletTokenAccount', 1, 1]], {
+      preTokenBalances: [tokenBalance(2, MINT, SENDER, 5000000), tokenBalance(3, MINT, WALLET, 0)],
+      postTokenBalances: [tokenBalance(2, MINT, SENDER, 3000000), tokenBalance(3, MINT, WALLET, 2000000)]
+    }),
+    expect: { type: TRANSACTION_TYPES.RECEIVED, amount: 2, token: MINT, tokenMint: MINT, sender: SENDER, receiver: WALLET }
+  },
+  {
+    name: 'token swapped for another token',
+    tx: rpcTransaction('token-swap', [[WALLET, 1e9, 1e9 - FEE], ['PoolA', 1, 1], ['PoolB', 1, 1]], {
+      programIds: [SWAP_PROGRAM],
+      preTokenBalances: [tokenBalance(1, MINT, WALLET, 1000000), tokenBalance(2, OTHER_MINT, WALLET, 0)],
+      postTokenBalances: [tokenBalance(1, MINT, WALLET, 0), tokenBalance(2, OTHER_MINT, WALLET, 5000000)]
+    }),
+    expect: { type: TRANSACTION_TYPES.SWAP, amount: 1, token: MINT }
+  },
+  {
+    name: 'only the network fee paid',
+    tx: rpcTransaction('fee-only', [[WALLET, 1e9, 1e9 - FEE], [SYSTEM_PROGRAM, 1, 1]]),
+    expect: { type: TRANSACTION_TYPES.FEE_ONLY, amount: FEE / 1e9 }
+  },
+  {
+    name: 'failed transaction',
+    tx: rpcTransaction('failed', [[WALLET, 1e9, 1e9 - FEE], [RECIPIENT_1, 0, 0]], { err: { InstructionError: [0, 'Custom'] } }),
+    expect: { type: TRANSACTION_TYPES.UNKNOWN, status: 'failed' }
+  },
+  {
+    name: 'Helius enhanced SOL received',
+    tx: {
+      signature: 'enhanced-received',
+      slot: 1000,
+      timestamp: 1700000000,
+      fee: FEE,
+      feePayer: SENDER,
+      accountData: [
+        { account: SENDER, nativeBalanceChange: -1.5e9 - FEE, tokenBalanceChanges: [] },
+        { account: WALLET, nativeBalanceChange: 1.5e9, tokenBalanceChanges: [] }
+      ],
+      instructions: [{ programId: SYSTEM_PROGRAM, innerInstructions: [] }]
+    },
+    expect: { type: TRANSACTION_TYPES.RECEIVED, amount: 1.5, sender: SENDER, receiver: WALLET }
+  }
+];
+
+// Compare a classified transaction against the expected fields
+function describeMismatch(tx, expect) {
+  const actual = {
+    type: tx.type,
+    amount: tx.amount,
+    token: tx.token,
+    tokenMint: tx.tokenMint,
+    sender: tx.sender,
+    receiver: tx.receiver,
+    legs: tx.legs.length,
+    status: tx.status,
+    rule: tx.meta.rule
+  };
+  const mismatches = Object.entries(expect)
+    .filter(([field, value]) => field === 'amount' ? Math.abs(actual.amount - value) > 1e-9 : actual[field] !== value)
+    .map(([field, value]) => `${field} ${JSON.stringify(actual[field])}, expected ${JSON.stringify(value)}`);
+  return mismatches.join('; ');
+}
+
+function testClassifier() {
+  console.log('=== TESTING TRANSACTION CLASSIFIER ===');
+
+  let failures = 0;
+  for (const testCase of CASES) {
+    const wallet = testCase.wallet || WALLET;
+    const tx = classifyTransaction(testCase.tx, wallet);
+    const mismatch = tx ? describeMismatch(tx, testCase.expect) : 'not classified';
+    console.log(`${mismatch ? '❌' : '✅'} ${testCase.name}: ${mismatch || `${tx.type} ${tx.amount} ${tx.token}`}`);
+    if (mismatch) failures++;
+
+    // Stored records are reclassified from the changes kept on them
+    if (tx && !mismatch) {
+      const stored = JSON.parse(JSON.stringify(tx));
+      const reclassified = reclassifyTransaction(stored, wallet);
+      const changed = describeMismatch(reclassified, testCase.expect);
+      if (changed) {
+        console.log(`❌ ${testCase.name} (reclassified): ${changed}`);
+        failures++;
+      }
+    }
+  }
+
+  console.log(failures === 0 ? '\nAll transactions classified as expected' : `\n${failures} classifier checks failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testClassifier();
@@ -0,0 +1,124 @@
+// Cursor pagination check (src/utils/pagination)
+// Stores a signature for two tracked wallets next to transactions that share a slot, then
+// walks every listing a page at a time in both orders and checks each record comes back
+// exactly once. Runs against a throwaway json store and again against sqlite, and checks
+// paginateArray on the same records. Exits with 1 when a walk misses or repeats a record
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const BACKEND = process.env.TEST_STORAGE_BACKEND || 'json';
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-pagination-'));
+process.env.STORAGE_BACKEND = BACKEND;
+process.env.STORAGE_PATH = path.join(storeDir, BACKEND === 'sqlite' ? 'data.db' : 'data.json');
+
+const Transaction = require('./src/models/Transaction');
+const { decodeCursor, encodeCursor, parsePaginationParams, paginateQuery, paginateArray } = require('./src/utils/pagination');
+
+const WALLET_A = 'WalletA111111111111111111111111111111111111';
+const WALLET_B = 'WalletB111111111111111111111111111111111111';
+
+// One signature stored for both wallets and once without a wallet, plus a few
+// transactions in the same slot and one in a slot of its own
+function sampleTransactions() {
+  const now = Math.floor(Date.now() / 1000);
+  const sample = (signature, slot, wallet) => new Transaction({
+    signature,
+    wallet,
+    timestamp: new Date(now * 1000).toISOString(),
+    type: 'received',
+    amount: 1,
+    token: 'SOL',
+    status: 'success',
+    blockTime: now,
+    slot
+  });
+
+  return [
+    sample('shared-signature', 500, WALLET_A),
+    sample('shared-signature', 500, WALLET_B),
+    sample('shared-signature', 500, undefined),
+    sample('same-slot-1', 500, WALLET_A),
+    sample('same-slot-2', 500, WALLET_B),
+    sample('other-slot', 400, WALLET_A)
+  ];
+}
+
+const recordKey = tx => `${tx.signature}:${tx.wallet || '-'}`;
+
+// Walk all pages and return the record keys in the order they came
+async function walk(fetchPage, order) {
+  const seen = [];
+  let cursor = null;
+  for (let pages = 0; pages < 20; pages++) {
+    const pagination = parsePaginationParams({ limit: 2, order, cursor: cursor || undefined });
+    const page = await fetchPage(pagination);
+    seen.push(...page.items.map(recordKey));
+    if (!page.hasMore) {
+      return seen;
+    }
+    cursor = page.nextCursor;
+  }
+  throw new Error('Pagination did not finish within 20 pages');
+}
+
+async function testPagination() {
+  console.log(`=== TESTING PAGINATION (${BACKEND}) ===`);
+  const transactions = sampleTransactions();
+  await Transaction.saveMany(transactions);
+  const expected = transactions.map(recordKey).sort();
+
+  let failures = 0;
+  const check = (name, ok, detail = '') => {
+    console.log(`${ok ? '✅' : '❌'} ${name}${detail ? `: ${detail}` : ''}`);
+    if (!ok) failures++;
+  };
+
+  for (const order of ['desc', 'asc']) {
+    const listings = {
+      query: pagination => paginateQuery(Transaction.find({}), pagination),
+      array: pagination => paginateArray(transactions, pagination)
+    };
+    for (const [name, fetchPage] of Object.entries(listings)) {
+      const seen = await walk(fetchPage, order);
+      const complete = JSON.stringify([...seen].sort()) === JSON.stringify(expected);
+      check(`${name} pages in ${order} order return each record once`, complete, seen.join(', '));
+    }
+  }
+
+  const cursor = decodeCursor(encodeCursor({ slot: 500, signature: 'shared-signature', wallet: WALLET_A }));
+  check('cursor keeps the wallet', cursor.wallet === WALLET_A);
+  const oldCursor = decodeCursor(Buffer.from(JSON.stringify([500, 'shared-signature'])).toString('base64url'));
+  check('cursor without a wallet still decodes', oldCursor.wallet === null && oldCursor.slot === 500);
+
+  let rejected = false;
+  try {
+    parsePaginationParams({ cursor: 'not-a-cursor' });
+  } catch (error) {
+    rejected = true;
+  }
+  check('malformed cursor is rejected', rejected);
+
+  fs.rmSync(storeDir, { recursive: true, force: true });
+
+  // Same checks against sqlite, in a fresh process since the storage backend is shared
+  if (BACKEND === 'json') {
+    try {
+      execFileSync(process.execPath, [__filename], {
+        env: { ...process.env, TEST_STORAGE_BACKEND: 'sqlite' },
+        stdio: 'inherit'
+      });
+    } catch (error) {
+      failures++;
+    }
+  }
+
+  console.log(failures === 0 ? `\nAll ${BACKEND} pagination checks passed` : `\n${failures} ${BACKEND} pagination checks failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testPagination().catch(error => {
+  console.error('Error testing pagination:', error);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+// Smoke check for the service routes (src/routes), mounted at /api like src/index.js does
+// Runs against a throwaway json store with a few sample transactions and calls every
+// listing and statistics route, exits with 1 when one of them doesn't answer 200
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-routes-'));
+process.env.STORAGE_BACKEND = 'json';
+process.env.STORAGE_PATH = path.join(storeDir, 'data.json');
+process.env.TAX_TOKEN_MINT_ADDRESS = process.env.TAX_TOKEN_MINT_ADDRESS || 'TaxMint1111111111111111111111111111111111111';
+
+const express = require('express');
+const Transaction = require('./src/models/Transaction');
+const routes = require('./src/routes');
+
+const TOKEN_MINT = process.env.TAX_TOKEN_MINT_ADDRESS;
+
+const ROUTES = [
+  '/api/stats',
+  '/api/stats/tax-token',
+  `/api/stats/token/${TOKEN_MINT}`,
+  '/api/stats/sol',
+  '/api/transactions',
+  '/api/transactions?limit=1',
+  '/api/transactions/tax-token',
+  `/api/transactions/token/${TOKEN_MINT}`,
+  '/api/transactions/sol',
+  '/api/transactions/sol?limit=1&order=asc',
+  '/api/transactions/collected',
+  '/api/transactions/distributed',
+  '/api/transactions/swaps'
+];
+
+// A few transactions of each kind the routes list
+function sampleTransactions() {
+  const now = Math.floor(Date.now() / 1000);
+  const sample = (index, fields) => new Transaction({
+    signature: `test-routes-${index}`,
+    timestamp: new Date((now - index * 60) * 1000).toISOString(),
+    amount: 1 + index,
+    token: 'SOL',
+    fee: 0.000005,
+    status: 'success',
+    blockTime: now - index * 60,
+    slot: 1000 - index,
+    ...fields
+  });
+
+  return [
+    sample(1, { type: 'received' }),
+    sample(2, { type: 'sent' }),
+    sample(3, { type: 'distribution' }),
+    sample(4, { type: 'swap' }),
+    sample(5, { type: 'tax_collection', token: TOKEN_MINT, tokenMint: TOKEN_MINT })
+  ];
+}
+
+async function testRoutes() {
+  console.log('=== TESTING SERVICE ROUTES ===');
+  await Transaction.saveMany(sampleTransactions());
+
+  const app = express();
+  app.use('/api', routes);
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let failures = 0;
+  for (const route of ROUTES) {
+    try {
+      const response = await fetch(`${baseUrl}${route}`);
+      const body = await response.json();
+      const ok = response.status === 200 && body.success;
+      const data = body.data || {};
+      const summary = data.stats
+        ? `${data.stats.totalTransactions} transactions`
+        : `${(data.transactions || []).length} transactions${data.hasMore ? ', more' : ''}`;
+      console.log(`${ok ? '✅' : '❌'} ${route}: ${response.status} ${ok ? summary : JSON.stringify(body.error)}`);
+      if (!ok) failures++;
+    } catch (error) {
+      console.log(`❌ ${route}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  server.close();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+
+  console.log(failures === 0 ? '\nAll routes answered' : `\n${failures} of ${ROUTES.length} routes failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testRoutes().catch(error => {
+  console.error('Error testing routes:', error);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+// Storage adapter check (src/storage)
+// Runs the json and sqlite adapters through a round trip of transactions and metadata on
+// throwaway files. Two adapters open the same file, like two processes sharing a backend,
+// and their metadata updates and usage increments must both be kept. Exits with 1 when a
+// check fails
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { createStorage } = require('./src/storage');
+
+const WALLET_A = 'WalletA111111111111111111111111111111111111';
+const WALLET_B = 'WalletB111111111111111111111111111111111111';
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+function sampleTransactions() {
+  const sample = (signature, wallet, fields) => ({
+    signature,
+    wallet,
+    timestamp: new Date(1700000000 * 1000).toISOString(),
+    token: 'SOL',
+    tokenMint: null,
+    status: 'success',
+    blockTime: 1700000000,
+    slot: 1000,
+    sender: WALLET_A,
+    receiver: WALLET_B,
+    ...fields
+  });
+
+  return [
+    sample('shared', WALLET_A, { type: 'sent', amount: 2 }),
+    sample('shared', WALLET_B, { type: 'received', amount: 2 }),
+    sample('token', WALLET_B, { type: 'received', amount: 5, token: MINT, tokenMint: MINT, slot: 1001 }),
+    sample('payout', WALLET_A, { type: 'distribution', amount: 1, slot: 1002 })
+  ];
+}
+
+async function openStorage(backend, filePath) {
+  const storage = createStorage({ backend, path: filePath });
+  await storage.init();
+  return storage;
+}
+
+async function testBackend(backend, check) {
+  console.log(`\n--- ${backend} ---`);
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-storage-'));
+  const filePath = path.join(storeDir, backend === 'sqlite' ? 'data.db' : 'data.json');
+  const storage = await openStorage(backend, filePath);
+
+  // Transactions
+  check('new transactions are counted as inserted', await storage.putTransactions(sampleTransactions()) === 4);
+  check('saving them again inserts nothing', await storage.putTransactions(sampleTransactions()) === 0);
+  check('a signature is stored once per wallet', await storage.countTransactions({ signature: 'shared' }) === 2);
+  const stored = await storage.getTransaction('shared', WALLET_B);
+  check('a transaction is read back for its wallet', stored && stored.type === 'received' && stored.wallet === WALLET_B);
+  check('queries filter by type', (await storage.queryTransactions({ type: 'received' })).length === 2);
+  check('queries filter by token mint', (await storage.queryTransactions({ tokenMint: MINT })).length === 1);
+  check('amounts are summed', await storage.sumTransactions({ wallet: WALLET_A }) === 3);
+
+  const stats = await storage.getTransactionStats({ wallet: WALLET_B });
+  check('stats total amounts by token', stats.totalTransactions === 2 && stats.totalAmountByToken.SOL === 2 &&
+    stats.totalAmountByToken[MINT] === 5, JSON.stringify(stats.totalAmountByToken));
+
+  check('transactions are deleted by filter', await storage.deleteTransactions({ signature: 'payout' }) === 1 &&
+    await storage.countTransactions() === 3);
+
+  // Metadata, written by this adapter and one more on the same file
+  await storage.putMetadata('settings', { enabled: true });
+  const other = await openStorage(backend, filePath);
+  await other.updateMetadata('list', list => (list || []).concat('from-other'));
+  await storage.updateMetadata('list', list => (list || []).concat('from-first'));
+  const list = await (await openStorage(backend, filePath)).getMetadata('list');
+  check('updates from both adapters are kept', JSON.stringify(list) === '["from-other","from-first"]', JSON.stringify(list));
+
+  await storage.incrementMetadata('usage:day:2024-01-01', { requests: 2, endpoints: { helius: { requests: 2 } } }, { period: '2024-01-01' });
+  await other.incrementMetadata('usage:day:2024-01-01', { requests: 3, endpoints: { helius: { requests: 3 }, rpc: { requests: 1 } } });
+  const usage = await (await openStorage(backend, filePath)).getMetadata('usage:day:2024-01-01');
+  check('usage increments from both adapters add up',
+    usage.requests === 5 && usage.endpoints.helius.requests === 5 && usage.endpoints.rpc.requests === 1 && usage.period === '2024-01-01',
+    JSON.stringify(usage));
+
+  const settings = await (await openStorage(backend, filePath)).getMetadata('settings');
+  check('metadata is read back', settings && settings.enabled === true);
+  await storage.deleteMetadata('settings');
+  check('metadata is deleted', await storage.getMetadata('settings') === null);
+
+  await storage.close();
+  await other.close();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+}
+
+async function testStorage() {
+  console.log('=== TESTING STORAGE ADAPTERS ===');
+
+  let failures = 0;
+  const check = (name, ok, detail = '') => {
+    console.log(`${ok ? '✅' : '❌'} ${name}${detail && !ok ? `: ${detail}` : ''}`);
+    if (!ok) failures++;
+  };
+
+  for (const backend of ['json', 'sqlite']) {
+    await testBackend(backend, check);
+  }
+
+  console.log(failures === 0 ? '\nAll storage checks passed' : `\n${failures} storage checks failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testStorage().catch(error => {
+  console.error('Error testing storage:', error);
+  process.exit(1);
+});
@@ -19,6 +19,7 @@ const commands = [
   { command: 'balance', description: 'Check wallet balance (use with address to check any wallet)' },
   { command: 'distributed', description: 'View total distributed amount' },
   { command: 'transactions', description: 'Get recent transaction count' },
+  { command: 'top', description: 'Top reward recipients, e.g. /top 10 week' },
   { command: 'refresh', description: 'Force refresh transaction data' },
   { command: 'help', description: 'Show help message' }
 ];